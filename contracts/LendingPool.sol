@@ -5,6 +5,7 @@ import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IER
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
 import {IInterestRateModel} from "./interfaces/IInterestRateModel.sol";
+import {IAnchoredInterestRateModel} from "./interfaces/IAnchoredInterestRateModel.sol";
 import {IPriceOracle} from "./interfaces/IPriceOracle.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
@@ -15,18 +16,25 @@ error LiquidationNotPossible();
 error ZeroAddress();
 error AssetAlreadyListed();
 error ZeroAmount();
+error InvalidCloseFactor();
+error InvalidReserveFactor();
+error InsufficientReserves();
+error InterestRateModelNotAnchored();
 
 contract LendingPool is Ownable, ReentrancyGuard {
     using SafeERC20 for IERC20Metadata;
 
     uint256 private constant PRECISION = 1e18;
+    uint256 private constant DEFAULT_CLOSE_FACTOR = 0.5e18;
 
     struct AssetConfig {
         address assetAddress;
         address irmAddress;
         uint256 collateralFactor;
         uint256 liquidationBonus;
+        uint256 reserveFactor; // share of borrower interest kept by the protocol, 1e18 = 100%
         bool isActive;
+        uint8 decimals; // cached at listing so liquidity checks skip the decimals() call
     }
 
     struct UserAssetAccount {
@@ -45,15 +53,26 @@ contract LendingPool is Ownable, ReentrancyGuard {
 
     IPriceOracle public priceOracle;
 
+    /// @notice Share of a borrower's debt in one asset that a single liquidation may repay
+    uint256 public closeFactor = DEFAULT_CLOSE_FACTOR;
+
     mapping(address => AssetConfig) public assetConfigs;
     address[] public listedAssets;
 
     mapping(address => mapping(address => UserAssetAccount)) public userAccounts;
     mapping(address => PoolAssetAccount) public poolAccounts;
 
-    event AssetListed(address indexed asset, address irm, uint256 collateralFactor, uint256 liquidationBonus);
-    event AssetConfigUpdated(address indexed asset, uint256 collateralFactor, uint256 liquidationBonus);
+    // Assets each user has supplied or borrowed; liquidity checks only iterate these
+    mapping(address => address[]) private enteredMarkets;
+    // user => asset => position in enteredMarkets + 1 (0 = not entered)
+    mapping(address => mapping(address => uint256)) private enteredMarketIndex;
+
+    event AssetListed(address indexed asset, address irm, uint256 collateralFactor, uint256 liquidationBonus, uint256 reserveFactor);
+    event AssetConfigUpdated(address indexed asset, uint256 collateralFactor, uint256 liquidationBonus, uint256 reserveFactor);
+    event ReservesAccrued(address indexed asset, uint256 amount, uint256 totalReserves);
+    event ReservesWithdrawn(address indexed asset, address indexed to, uint256 amount);
     event PriceOracleUpdated(address indexed newOracle);
+    event CloseFactorUpdated(uint256 closeFactor);
     event Deposit(address indexed user, address indexed asset, uint256 amount, uint256 shares);
     event Withdraw(address indexed user, address indexed asset, uint256 amount, uint256 shares);
     event Borrow(address indexed user, address indexed asset, uint256 amount);
@@ -71,36 +90,72 @@ contract LendingPool is Ownable, ReentrancyGuard {
         emit PriceOracleUpdated(_newOracle);
     }
 
+    function setCloseFactor(uint256 _closeFactor) external onlyOwner {
+        if (_closeFactor == 0 || _closeFactor > PRECISION) revert InvalidCloseFactor();
+        closeFactor = _closeFactor;
+        emit CloseFactorUpdated(_closeFactor);
+    }
+
     function listAsset(
         address _asset,
         address _irm,
         uint256 _collateralFactor,
-        uint256 _liquidationBonus
+        uint256 _liquidationBonus,
+        uint256 _reserveFactor
     ) external onlyOwner {
         if (assetConfigs[_asset].isActive) revert AssetAlreadyListed();
         if (_asset == address(0) || _irm == address(0)) revert ZeroAddress();
+        if (_reserveFactor > PRECISION) revert InvalidReserveFactor();
+        _checkModelAnchor(_irm, _asset);
 
         assetConfigs[_asset] = AssetConfig({
             assetAddress: _asset,
             irmAddress: _irm,
             collateralFactor: _collateralFactor,
             liquidationBonus: _liquidationBonus,
-            isActive: true
+            reserveFactor: _reserveFactor,
+            isActive: true,
+            decimals: IERC20Metadata(_asset).decimals()
         });
         listedAssets.push(_asset);
 
-        emit AssetListed(_asset, _irm, _collateralFactor, _liquidationBonus);
+        emit AssetListed(_asset, _irm, _collateralFactor, _liquidationBonus, _reserveFactor);
     }
 
     function updateAssetConfig(
         address _asset,
         uint256 _collateralFactor,
-        uint256 _liquidationBonus
+        uint256 _liquidationBonus,
+        uint256 _reserveFactor
     ) external onlyOwner {
         if (!assetConfigs[_asset].isActive) revert AssetNotListed();
+        if (_reserveFactor > PRECISION) revert InvalidReserveFactor();
+
+        // Interest accrued so far is split with the old reserve factor
+        _accrueInterest(_asset);
+
         assetConfigs[_asset].collateralFactor = _collateralFactor;
         assetConfigs[_asset].liquidationBonus = _liquidationBonus;
-        emit AssetConfigUpdated(_asset, _collateralFactor, _liquidationBonus);
+        assetConfigs[_asset].reserveFactor = _reserveFactor;
+        emit AssetConfigUpdated(_asset, _collateralFactor, _liquidationBonus, _reserveFactor);
+    }
+
+    /// @notice Sends accrued protocol reserves of an asset to `_to`
+    function withdrawReserves(address _asset, uint256 _amount, address _to) external onlyOwner nonReentrant {
+        if (!assetConfigs[_asset].isActive) revert AssetNotListed();
+        if (_to == address(0)) revert ZeroAddress();
+        if (_amount == 0) revert ZeroAmount();
+
+        _accrueInterest(_asset);
+
+        PoolAssetAccount storage poolAccount = poolAccounts[_asset];
+        if (_amount > poolAccount.totalReserves) revert InsufficientReserves();
+        if (IERC20Metadata(_asset).balanceOf(address(this)) < _amount) revert InsufficientLiquidity();
+
+        poolAccount.totalReserves -= _amount;
+
+        IERC20Metadata(_asset).safeTransfer(_to, _amount);
+        emit ReservesWithdrawn(_asset, _to, _amount);
     }
 
     // ------- USER ACTIONS ------- //
@@ -117,6 +172,7 @@ contract LendingPool is Ownable, ReentrancyGuard {
         uint256 shares = _getSharesForAmount(_asset, _amount);
         userAccount.shares += shares;
         poolAccount.totalShares += shares;
+        _enterMarket(msg.sender, _asset);
 
         IERC20Metadata(_asset).safeTransferFrom(msg.sender, address(this), _amount);
         emit Deposit(msg.sender, _asset, _amount, shares);
@@ -140,6 +196,7 @@ contract LendingPool is Ownable, ReentrancyGuard {
 
         userAccount.shares -= _shares;
         poolAccounts[_asset].totalShares -= _shares;
+        _exitMarketIfEmpty(msg.sender, _asset);
 
         IERC20Metadata(_asset).safeTransfer(msg.sender, amount);
         emit Withdraw(msg.sender, _asset, amount, _shares);
@@ -154,7 +211,7 @@ contract LendingPool is Ownable, ReentrancyGuard {
 
         (uint256 totalCollateralValue, uint256 totalBorrowValue) = _getAccountLiquidity(msg.sender);
         uint256 assetPrice = priceOracle.getPrice(_asset);
-        uint256 borrowValue = (_amount * assetPrice) / (10 ** IERC20Metadata(_asset).decimals());
+        uint256 borrowValue = (_amount * assetPrice) / (10 ** assetConfigs[_asset].decimals);
 
         if (totalBorrowValue + borrowValue > totalCollateralValue) revert InsufficientCollateral();
         if (IERC20Metadata(_asset).balanceOf(address(this)) < _amount) revert InsufficientLiquidity();
@@ -166,6 +223,7 @@ contract LendingPool is Ownable, ReentrancyGuard {
         userAccount.borrowPrincipal = previousDebt + _amount;
         userAccount.borrowIndex = poolAccount.borrowIndex > 0 ? poolAccount.borrowIndex : PRECISION;
         poolAccount.totalBorrows += _amount;
+        _enterMarket(msg.sender, _asset);
 
         IERC20Metadata(_asset).safeTransfer(msg.sender, _amount);
         emit Borrow(msg.sender, _asset, _amount);
@@ -186,6 +244,7 @@ contract LendingPool is Ownable, ReentrancyGuard {
         userAccount.borrowPrincipal = totalDebt - repayAmount;
         userAccount.borrowIndex = userAccount.borrowPrincipal == 0 ? 0 : poolAccount.borrowIndex;
         poolAccount.totalBorrows -= repayAmount;
+        _exitMarketIfEmpty(msg.sender, _asset);
 
         IERC20Metadata(_asset).safeTransferFrom(msg.sender, address(this), repayAmount);
         emit Repay(msg.sender, _asset, repayAmount);
@@ -193,6 +252,16 @@ contract LendingPool is Ownable, ReentrancyGuard {
 
     // -------- INTERNAL HELPERS -------- //
 
+    /// @dev Models exposing pool() keep per-market state (IAnchoredInterestRateModel) and must be
+    ///      anchored to this pool and `_asset`; stateless models have no pool() and are shared freely.
+    function _checkModelAnchor(address _irm, address _asset) internal view {
+        (bool success, bytes memory data) = _irm.staticcall(abi.encodeCall(IAnchoredInterestRateModel.pool, ()));
+        if (!success || data.length != 32) return;
+        if (abi.decode(data, (address)) != address(this) || IAnchoredInterestRateModel(_irm).asset() != _asset) {
+            revert InterestRateModelNotAnchored();
+        }
+    }
+
     function _accrueInterest(address _asset) internal {
         PoolAssetAccount storage poolAccount = poolAccounts[_asset];
         uint256 lastTimestamp = poolAccount.lastInterestAccruedTimestamp;
@@ -203,17 +272,28 @@ contract LendingPool is Ownable, ReentrancyGuard {
         }
 
         uint256 elapsed = block.timestamp - lastTimestamp;
-        if (elapsed == 0 || poolAccount.totalBorrows == 0) return;
-
-        uint256 totalDeposits = _getAmountForShares(_asset, poolAccount.totalShares);
-        uint256 utilization = totalDeposits == 0 ? 0 : (poolAccount.totalBorrows * PRECISION) / totalDeposits;
+        if (elapsed == 0) return;
 
+        // Adaptive models adjust their state on every accrual, even while nothing is borrowed
+        uint256 currentUtilization = utilization(_asset);
         IInterestRateModel irm = IInterestRateModel(assetConfigs[_asset].irmAddress);
-        uint256 borrowRatePerSecond = irm.getBorrowRatePerSecond(utilization);
-        uint256 interest = (poolAccount.totalBorrows * borrowRatePerSecond * elapsed) / PRECISION;
+        irm.updateBorrowRate(currentUtilization);
+
+        if (poolAccount.totalBorrows == 0) {
+            poolAccount.lastInterestAccruedTimestamp = block.timestamp;
+            return;
+        }
+
+        uint256 ratePerSecond = irm.getBorrowRatePerSecond(currentUtilization);
+        uint256 interest = (poolAccount.totalBorrows * ratePerSecond * elapsed) / PRECISION;
+        uint256 reserves = (interest * assetConfigs[_asset].reserveFactor) / PRECISION;
 
         poolAccount.totalBorrows += interest;
-        poolAccount.borrowIndex = poolAccount.borrowIndex * (PRECISION + (borrowRatePerSecond * elapsed)) / PRECISION;
+        if (reserves > 0) {
+            poolAccount.totalReserves += reserves;
+            emit ReservesAccrued(_asset, reserves, poolAccount.totalReserves);
+        }
+        poolAccount.borrowIndex = poolAccount.borrowIndex * (PRECISION + (ratePerSecond * elapsed)) / PRECISION;
         poolAccount.lastInterestAccruedTimestamp = block.timestamp;
     }
 
@@ -222,17 +302,18 @@ contract LendingPool is Ownable, ReentrancyGuard {
         view
         returns (uint256 totalCollateralValue, uint256 totalBorrowValue)
     {
-        uint256 assetsLength = listedAssets.length;
+        address[] storage markets = enteredMarkets[_user];
+        uint256 marketsLength = markets.length;
 
-        for (uint i = 0; i < assetsLength; i++) {
-            address assetAddr = listedAssets[i];
+        for (uint i = 0; i < marketsLength; i++) {
+            address assetAddr = markets[i];
             AssetConfig memory config = assetConfigs[assetAddr];
             UserAssetAccount memory userAcc = userAccounts[_user][assetAddr];
 
             if (userAcc.shares > 0) {
                 uint256 amount = _getAmountForShares(assetAddr, userAcc.shares);
                 uint256 price = priceOracle.getPrice(assetAddr);
-                uint256 value = (amount * price) / (10 ** IERC20Metadata(assetAddr).decimals());
+                uint256 value = (amount * price) / (10 ** config.decimals);
                 totalCollateralValue += (value * config.collateralFactor) / PRECISION;
             }
 
@@ -240,7 +321,7 @@ contract LendingPool is Ownable, ReentrancyGuard {
                 PoolAssetAccount memory poolAcc = poolAccounts[assetAddr];
                 uint256 borrowAmt = (userAcc.borrowPrincipal * poolAcc.borrowIndex) / (userAcc.borrowIndex > 0 ? userAcc.borrowIndex : PRECISION);
                 uint256 price = priceOracle.getPrice(assetAddr);
-                uint256 value = (borrowAmt * price) / (10 ** IERC20Metadata(assetAddr).decimals());
+                uint256 value = (borrowAmt * price) / (10 ** config.decimals);
                 totalBorrowValue += value;
             }
         }
@@ -250,7 +331,29 @@ contract LendingPool is Ownable, ReentrancyGuard {
         AssetConfig storage config = assetConfigs[_asset];
         uint256 amount = _getAmountForShares(_asset, _shares);
         uint256 price = priceOracle.getPrice(_asset);
-        return (amount * price * config.collateralFactor) / (PRECISION * (10 ** IERC20Metadata(_asset).decimals()));
+        return (amount * price * config.collateralFactor) / (PRECISION * (10 ** config.decimals));
+    }
+
+    function _enterMarket(address _user, address _asset) internal {
+        if (enteredMarketIndex[_user][_asset] != 0) return;
+        enteredMarkets[_user].push(_asset);
+        enteredMarketIndex[_user][_asset] = enteredMarkets[_user].length;
+    }
+
+    /// @dev Drops the asset from the user's markets once they neither supply nor borrow it
+    function _exitMarketIfEmpty(address _user, address _asset) internal {
+        uint256 index = enteredMarketIndex[_user][_asset];
+        if (index == 0) return;
+
+        UserAssetAccount storage userAcc = userAccounts[_user][_asset];
+        if (userAcc.shares > 0 || userAcc.borrowPrincipal > 0) return;
+
+        address[] storage markets = enteredMarkets[_user];
+        address last = markets[markets.length - 1];
+        markets[index - 1] = last;
+        enteredMarketIndex[_user][last] = index;
+        markets.pop();
+        delete enteredMarketIndex[_user][_asset];
     }
 
     function _getAmountForShares(address _asset, uint256 _shares) internal view returns (uint256) {
@@ -273,6 +376,16 @@ contract LendingPool is Ownable, ReentrancyGuard {
         amount = _getAmountForShares(_asset, userAccounts[_user][_asset].shares);
     }
 
+    /// @notice Deposit amount a number of shares of an asset is worth, rounded down as on withdraw
+    function getAmountForShares(address _asset, uint256 _shares) external view returns (uint256) {
+        return _getAmountForShares(_asset, _shares);
+    }
+
+    /// @notice Shares a deposit of an asset would mint, rounded down as on deposit
+    function getSharesForAmount(address _asset, uint256 _amount) external view returns (uint256) {
+        return _getSharesForAmount(_asset, _amount);
+    }
+
     function userBorrows(address _user, address _asset) external view returns (uint256 debtAmount) {
         UserAssetAccount memory user = userAccounts[_user][_asset];
         PoolAssetAccount memory pool = poolAccounts[_asset];
@@ -280,6 +393,43 @@ contract LendingPool is Ownable, ReentrancyGuard {
         debtAmount = (user.borrowPrincipal * pool.borrowIndex) / (user.borrowIndex > 0 ? user.borrowIndex : PRECISION);
     }
 
+    /// @notice Share of an asset's deposits that is currently borrowed, 1e18 = 100%
+    function utilization(address _asset) public view returns (uint256) {
+        PoolAssetAccount storage poolAccount = poolAccounts[_asset];
+        uint256 totalDeposits = _getAmountForShares(_asset, poolAccount.totalShares);
+        if (totalDeposits == 0) return 0;
+        return (poolAccount.totalBorrows * PRECISION) / totalDeposits;
+    }
+
+    /// @notice Per-second rate borrowers of an asset pay at its current utilization
+    function borrowRatePerSecond(address _asset) public view returns (uint256) {
+        return IInterestRateModel(assetConfigs[_asset].irmAddress).getBorrowRatePerSecond(utilization(_asset));
+    }
+
+    /// @notice Per-second rate suppliers of an asset earn after the reserve factor
+    function supplyRatePerSecond(address _asset) external view returns (uint256) {
+        uint256 rateToPool = (borrowRatePerSecond(_asset) * utilization(_asset)) / PRECISION;
+        return (rateToPool * (PRECISION - assetConfigs[_asset].reserveFactor)) / PRECISION;
+    }
+
+    function listedAssetsCount() external view returns (uint256) {
+        return listedAssets.length;
+    }
+
+    /// @notice Assets the user currently supplies or borrows
+    function getEnteredMarkets(address _user) external view returns (address[] memory) {
+        return enteredMarkets[_user];
+    }
+
+    /// @notice Risk-adjusted collateral value and debt value of a user, in oracle precision
+    function getAccountLiquidity(address _user)
+        external
+        view
+        returns (uint256 totalCollateralValue, uint256 totalBorrowValue)
+    {
+        return _getAccountLiquidity(_user);
+    }
+
     function getHealthFactor(address _user) external view returns (uint256 healthFactor) {
         (uint256 collateral, uint256 debt) = _getAccountLiquidity(_user);
         if (debt == 0) return type(uint256).max;
@@ -329,44 +479,110 @@ contract LendingPool is Ownable, ReentrancyGuard {
             (user.borrowIndex > 0 ? user.borrowIndex : PRECISION);
     }
 
-    /// @notice Liquidates unhealthy positions assuming asset = collateral
-    function liquidate(address _borrower, address _asset, uint256 _repayAmount) external nonReentrant {
-        if (!assetConfigs[_asset].isActive) revert AssetNotListed();
+    /// @notice Repays part of an unhealthy borrower's debt in `_debtAsset` and seizes
+    ///         `_collateralAsset` deposits worth the repaid value plus the collateral's liquidation bonus.
+    /// @dev The repayment is capped by `closeFactor` and by the collateral the borrower has left.
+    ///      Seized deposit shares are credited to the liquidator.
+    function liquidate(
+        address _borrower,
+        address _debtAsset,
+        address _collateralAsset,
+        uint256 _repayAmount
+    ) external nonReentrant {
+        if (!assetConfigs[_debtAsset].isActive || !assetConfigs[_collateralAsset].isActive) revert AssetNotListed();
         if (_repayAmount == 0) revert ZeroAmount();
 
-        _accrueInterest(_asset);
+        _accrueInterest(_debtAsset);
+        if (_collateralAsset != _debtAsset) _accrueInterest(_collateralAsset);
 
         (uint256 collateralValue, uint256 debtValue) = _getAccountLiquidity(_borrower);
         if (collateralValue >= debtValue) revert LiquidationNotPossible();
 
-        UserAssetAccount storage userAcc = userAccounts[_borrower][_asset];
-        PoolAssetAccount storage poolAcc = poolAccounts[_asset];
+        (uint256 repayAmount, uint256 seizeAmount, uint256 seizedShares) =
+            _calculateLiquidation(_borrower, _debtAsset, _collateralAsset, _repayAmount);
 
-        uint256 totalDebt = (userAcc.borrowPrincipal * poolAcc.borrowIndex) /
-            (userAcc.borrowIndex > 0 ? userAcc.borrowIndex : PRECISION);
+        UserAssetAccount storage debtAcc = userAccounts[_borrower][_debtAsset];
+        PoolAssetAccount storage debtPool = poolAccounts[_debtAsset];
+        uint256 totalDebt = (debtAcc.borrowPrincipal * debtPool.borrowIndex) /
+            (debtAcc.borrowIndex > 0 ? debtAcc.borrowIndex : PRECISION);
 
-        uint256 repayAmount = _repayAmount >= totalDebt ? totalDebt : _repayAmount;
+        debtAcc.borrowPrincipal = totalDebt - repayAmount;
+        debtAcc.borrowIndex = debtAcc.borrowPrincipal == 0 ? 0 : debtPool.borrowIndex;
+        debtPool.totalBorrows -= repayAmount;
 
-        IERC20Metadata(_asset).safeTransferFrom(msg.sender, address(this), repayAmount);
+        // Seized deposits move to the liquidator; the pool's total shares are unchanged
+        userAccounts[_borrower][_collateralAsset].shares -= seizedShares;
+        userAccounts[msg.sender][_collateralAsset].shares += seizedShares;
+        _enterMarket(msg.sender, _collateralAsset);
+        _exitMarketIfEmpty(_borrower, _debtAsset);
+        _exitMarketIfEmpty(_borrower, _collateralAsset);
 
-        uint256 seizedShares = _getSharesForAmount(_asset, repayAmount);
-        if (seizedShares > userAcc.shares) seizedShares = userAcc.shares;
-
-        userAcc.borrowPrincipal = totalDebt - repayAmount;
-        userAcc.borrowIndex = userAcc.borrowPrincipal == 0 ? 0 : poolAcc.borrowIndex;
-        userAcc.shares -= seizedShares;
-        poolAcc.totalBorrows -= repayAmount;
-        poolAcc.totalShares -= seizedShares;
+        IERC20Metadata(_debtAsset).safeTransferFrom(msg.sender, address(this), repayAmount);
 
         emit Liquidate(
             msg.sender,
             _borrower,
-            _asset,
-            _asset,
+            _collateralAsset,
+            _debtAsset,
             repayAmount,
-            seizedShares
+            seizeAmount
         );
     }
 
+    /// @dev Applies the close factor and the borrower's remaining collateral to a requested repayment
+    function _calculateLiquidation(
+        address _borrower,
+        address _debtAsset,
+        address _collateralAsset,
+        uint256 _requestedRepay
+    ) internal view returns (uint256 repayAmount, uint256 seizeAmount, uint256 seizedShares) {
+        UserAssetAccount storage debtAcc = userAccounts[_borrower][_debtAsset];
+        uint256 collateralShares = userAccounts[_borrower][_collateralAsset].shares;
+
+        uint256 totalDebt = (debtAcc.borrowPrincipal * poolAccounts[_debtAsset].borrowIndex) /
+            (debtAcc.borrowIndex > 0 ? debtAcc.borrowIndex : PRECISION);
+        if (totalDebt == 0 || collateralShares == 0) revert LiquidationNotPossible();
+
+        uint256 maxRepay = (totalDebt * closeFactor) / PRECISION;
+        repayAmount = _requestedRepay > maxRepay ? maxRepay : _requestedRepay;
+
+        uint256 availableCollateral = _getAmountForShares(_collateralAsset, collateralShares);
+        seizeAmount = _getSeizeAmount(_debtAsset, _collateralAsset, repayAmount);
+        if (seizeAmount >= availableCollateral) {
+            // Not enough collateral left: take all of it and only repay what it covers
+            seizeAmount = availableCollateral;
+            seizedShares = collateralShares;
+            repayAmount = _getRepayAmountForSeize(_debtAsset, _collateralAsset, seizeAmount);
+        } else {
+            seizedShares = _getSharesForAmount(_collateralAsset, seizeAmount);
+        }
+        if (repayAmount == 0 || seizedShares == 0) revert LiquidationNotPossible();
+    }
+
+    /// @dev Collateral tokens worth `_repayAmount` of debt plus the collateral's liquidation bonus
+    function _getSeizeAmount(address _debtAsset, address _collateralAsset, uint256 _repayAmount)
+        internal
+        view
+        returns (uint256)
+    {
+        AssetConfig storage debtConfig = assetConfigs[_debtAsset];
+        AssetConfig storage collateralConfig = assetConfigs[_collateralAsset];
+        uint256 repayValue = (_repayAmount * priceOracle.getPrice(_debtAsset)) / (10 ** debtConfig.decimals);
+        uint256 seizeValue = (repayValue * (PRECISION + collateralConfig.liquidationBonus)) / PRECISION;
+        return (seizeValue * (10 ** collateralConfig.decimals)) / priceOracle.getPrice(_collateralAsset);
+    }
+
+    /// @dev Inverse of `_getSeizeAmount`: debt repaid in exchange for `_seizeAmount` collateral tokens
+    function _getRepayAmountForSeize(address _debtAsset, address _collateralAsset, uint256 _seizeAmount)
+        internal
+        view
+        returns (uint256)
+    {
+        AssetConfig storage debtConfig = assetConfigs[_debtAsset];
+        AssetConfig storage collateralConfig = assetConfigs[_collateralAsset];
+        uint256 seizeValue = (_seizeAmount * priceOracle.getPrice(_collateralAsset)) / (10 ** collateralConfig.decimals);
+        uint256 repayValue = (seizeValue * PRECISION) / (PRECISION + collateralConfig.liquidationBonus);
+        return (repayValue * (10 ** debtConfig.decimals)) / priceOracle.getPrice(_debtAsset);
+    }
 
-}
\ No newline at end of file
+}
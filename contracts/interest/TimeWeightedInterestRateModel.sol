@@ -2,16 +2,17 @@
 pragma solidity ^0.8.20;
 
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
-import {IInterestRateModel} from "../interfaces/IInterestRateModel.sol";
+import {IAnchoredInterestRateModel} from "../interfaces/IAnchoredInterestRateModel.sol";
 
 /// @notice Adaptive utilization-sensitive rate model inspired by Fraxlend's time-weighted design.
 /// @dev The model keeps a mutable APR state that nudges upward when utilization stays above the
 ///      target band, downward when below, and reverts toward a neutral APR when healthy.
-contract TimeWeightedInterestRateModel is Ownable, IInterestRateModel {
+contract TimeWeightedInterestRateModel is Ownable, IAnchoredInterestRateModel {
     uint256 public constant SECONDS_PER_YEAR = 365 days;
     uint256 private constant MAX_ADJUSTMENT_RATE = 5e15; // 0.5% APR change per second at full overshoot
 
     address public pool; // lending pool allowed to drive updates
+    address public asset; // pool asset whose utilization drives this model
 
     uint256 public minAPR;       // 1e18 annualized APR lower bound
     uint256 public maxAPR;       // 1e18 annualized APR upper bound
@@ -23,7 +24,7 @@ contract TimeWeightedInterestRateModel is Ownable, IInterestRateModel {
     uint256 public currentAPR;   // 1e18 APR that accrues interest
     uint256 public lastUpdate;   // timestamp of latest adjustment
 
-    event PoolConfigured(address indexed pool);
+    event PoolConfigured(address indexed pool, address indexed asset);
     event ParametersUpdated(
         uint256 minAPR,
         uint256 maxAPR,
@@ -61,13 +62,16 @@ contract TimeWeightedInterestRateModel is Ownable, IInterestRateModel {
         lastUpdate = block.timestamp;
     }
 
-    /// @notice One-time hook invoked post-deployment to anchor the pool address.
-    function setPool(address _pool) external onlyOwner {
+    /// @notice One-time hook invoked post-deployment to anchor the pool and the asset it prices.
+    /// @dev The APR state is per market, so a multi-asset pool needs one model instance per asset.
+    function setPool(address _pool, address _asset) external onlyOwner {
         if (pool != address(0)) revert PoolAlreadySet();
         require(_pool != address(0), "pool zero");
+        require(_asset != address(0), "asset zero");
         pool = _pool;
+        asset = _asset;
         lastUpdate = block.timestamp;
-        emit PoolConfigured(_pool);
+        emit PoolConfigured(_pool, _asset);
     }
 
     function getBorrowRatePerSecond(uint256) external view override returns (uint256) {
@@ -75,12 +79,12 @@ contract TimeWeightedInterestRateModel is Ownable, IInterestRateModel {
         return currentAPR / SECONDS_PER_YEAR;
     }
 
-    function updateBorrowRate(uint256) external override {
+    /// @dev The pool only lists this model for its anchored asset, so `utilization` is that asset's.
+    function updateBorrowRate(uint256 utilization) external override {
         if (pool == address(0)) revert PoolNotConfigured();
         if (msg.sender != pool) revert UnauthorizedUpdater();
 
-        uint256 util = ILendingPoolLike(pool).utilization();
-        _adjust(util);
+        _adjust(utilization);
     }
 
     function setParameters(
@@ -180,7 +184,3 @@ contract TimeWeightedInterestRateModel is Ownable, IInterestRateModel {
         );
     }
 }
-
-interface ILendingPoolLike {
-    function utilization() external view returns (uint256);
-}
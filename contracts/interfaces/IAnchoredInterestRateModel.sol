@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IInterestRateModel} from "./IInterestRateModel.sol";
+
+/// @notice Interest rate model that keeps state for a single market and is anchored to it.
+/// @dev LendingPool only lists such a model for the asset it is anchored to, on the pool it is
+///      anchored to, since updateBorrowRate cannot tell markets sharing the model apart.
+interface IAnchoredInterestRateModel is IInterestRateModel {
+    function pool() external view returns (address);
+
+    function asset() external view returns (address);
+}
@@ -4,7 +4,9 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 contract GlobalRepoRateOracle is Ownable {
-    uint256 private repoRate; // Represented as a percentage with 18 decimals, e.g., 5% is 5e16
+    // Per-second rate with 18 decimals, added to DynamicInterestRateModel's borrow rate as is:
+    // 5% a year is 5e16 / 365 days = 1585489599
+    uint256 private repoRate;
 
     event RepoRateUpdated(uint256 newRate);
 
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title Multicall
+/// @notice Read-only call aggregator used by the dashboard to batch thousands of view calls
+///         into a handful of `eth_call`s.
+/// @dev Every call is executed with `staticcall`, so the aggregator can never change state.
+///      Calls flagged with `allowFailure` report failures in their result instead of reverting
+///      the whole batch.
+contract Multicall {
+
+    struct Call {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    error CallFailed(uint256 index);
+
+    function aggregate(Call[] calldata calls)
+        external
+        view
+        returns (uint256 blockNumber, Result[] memory results)
+    {
+        blockNumber = block.number;
+        uint256 length = calls.length;
+        results = new Result[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            Call calldata call = calls[i];
+            (bool success, bytes memory returnData) = call.target.staticcall(call.callData);
+            if (!success && !call.allowFailure) revert CallFailed(i);
+            results[i] = Result({success: success, returnData: returnData});
+        }
+    }
+
+    function getBlockNumber() external view returns (uint256) {
+        return block.number;
+    }
+}
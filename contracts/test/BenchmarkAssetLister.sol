@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {LendingPool} from "../LendingPool.sol";
+
+/// @dev Minimal token stand-in: listing only needs decimals()
+contract FillerAsset {
+    function decimals() external pure returns (uint8) {
+        return 18;
+    }
+}
+
+/// @dev Lists thousands of filler assets in a few transactions for gas benchmarks.
+///      The pool owner transfers ownership here, lists, then takes it back.
+contract BenchmarkAssetLister {
+    address public immutable admin;
+
+    constructor() {
+        admin = msg.sender;
+    }
+
+    function listFillers(LendingPool pool, address irm, uint256 count) external {
+        require(msg.sender == admin, "Not admin");
+        for (uint256 i = 0; i < count; i++) {
+            pool.listAsset(address(new FillerAsset()), irm, 0, 0, 0);
+        }
+    }
+
+    function returnOwnership(LendingPool pool) external {
+        require(msg.sender == admin, "Not admin");
+        pool.transferOwnership(admin);
+    }
+}
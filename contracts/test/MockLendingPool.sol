@@ -7,7 +7,7 @@ contract MockLendingPool {
     IInterestRateModel public irm;
     uint256 public currentUtilization;
 
-    function utilization() external view returns (uint256) {
+    function utilization(address) external view returns (uint256) {
         return currentUtilization;
     }
 
@@ -27,6 +27,19 @@ contract MockPriceOracle is Ownable, IPriceOracle {
         emit PriceUpdated(asset, price);
     }
 
+    /**
+     * @notice Sets the prices of several assets in one transaction.
+     * @param assets The addresses of the assets.
+     * @param prices The prices to set, scaled by 1e8, in the same order as `assets`.
+     */
+    function setPrices(address[] calldata assets, uint256[] calldata prices) external onlyOwner {
+        require(assets.length == prices.length, "Length mismatch");
+        for (uint256 i = 0; i < assets.length; i++) {
+            _prices[assets[i]] = prices[i];
+            emit PriceUpdated(assets[i], prices[i]);
+        }
+    }
+
     /**
      * @notice Returns the price of a specific asset.
      * @param asset The address of the asset's ERC20 contract.
@@ -12,8 +12,14 @@ let signer = null;
 let lendingPoolContract = null;
 let assets = []; // All loaded assets
 let selectedAssets = new Map(); // address -> { asset, proportion }
+let filteredAssets = []; // Assets matching the search and category filter
+let lastAssetFilter = null;
+let assetListView = null; // Windowed asset browser (see lib/virtual-list.js)
 let userPositions = {}; // User's positions per asset
+let positionSort = { key: null, direction: 'desc' }; // Positions table order; null keeps the asset order
 let currentOperation = 'deposit';
+let batchAmountMode = 'usd'; // 'usd': a USD total split by proportion; 'tokens': an exact amount per asset
+let batchReader = null; // Multicall-backed read layer (see lib/batch-reader.js)
 
 // OpenAI API key - users must set their own key via /setkey command or localStorage
 // No default key - use local Mistral-7B model instead (type /local in chat)
@@ -24,33 +30,13 @@ let chatHistory = [];
 const LOCAL_RAG_URL = 'http://localhost:5000';
 let useLocalRAG = localStorage.getItem('use-local-rag') === 'true';
 
-// Contract ABIs (minimal for required functions)
-const LENDING_POOL_ABI = [
-    "function listedAssets(uint256) view returns (address)",
-    "function assetData(address) view returns (address oracle, address interestRateModel, uint256 collateralFactor, uint256 totalDeposits, uint256 totalBorrows, uint256 lastUpdateTime, uint256 borrowIndex)",
-    "function deposit(address asset, uint256 amount) external",
-    "function withdraw(address asset, uint256 amount) external",
-    "function borrow(address asset, uint256 amount) external",
-    "function repay(address asset, uint256 amount) external",
-    "function liquidate(address borrower, address collateralAsset, address borrowAsset, uint256 repayAmount) external",
-    "function userDeposits(address user, address asset) view returns (uint256)",
-    "function userBorrows(address user, address asset) view returns (uint256)",
-    "function getHealthFactor(address user) view returns (uint256)",
-    "function calculateInterestOwed(address user, address asset) view returns (uint256)"
-];
-
-const ERC20_ABI = [
-    "function name() view returns (string)",
-    "function symbol() view returns (string)",
-    "function decimals() view returns (uint8)",
-    "function balanceOf(address) view returns (uint256)",
-    "function allowance(address owner, address spender) view returns (uint256)",
-    "function approve(address spender, uint256 amount) returns (bool)"
-];
-
-const PRICE_ORACLE_ABI = [
-    "function getPrice(address asset) view returns (uint256)"
-];
+// Asset browser row height in px: .virtual-list-rows .asset-item height plus its margin in styles.css
+const ASSET_ROW_HEIGHT = 74;
+
+// Contract ABIs - loaded from abis.json (written by the deploy scripts from Hardhat artifacts)
+let abiRegistry = null;
+let ERC20_ABI = null;
+let PRICE_ORACLE_ABI = null;
 
 // ============================================================================
 // Initialization
@@ -91,6 +77,27 @@ async function initializeApp() {
         console.log('[Mini-DeFi] No deployed contracts found, will prompt for address:', e);
     }
 
+    // Load dashboard settings (networks, batch read tuning)
+    try {
+        const response = await fetch('config.json');
+        if (response.ok) {
+            window.appConfig = await response.json();
+        }
+    } catch (e) {
+        console.warn('[Mini-DeFi] No config.json found, using defaults:', e);
+    }
+
+    // Load contract ABIs - the dashboard refuses to start if they are missing or stale
+    try {
+        await loadContractAbis();
+    } catch (e) {
+        console.error('[Mini-DeFi] ABI check failed:', e);
+        showStartupError(e.message);
+        return;
+    }
+
+    initGovernancePanel();
+
     // Check for existing wallet connection
     if (window.ethereum && window.ethereum.selectedAddress) {
         console.log('[Mini-DeFi] Found existing connection, reconnecting...');
@@ -107,17 +114,62 @@ async function initializeApp() {
     console.log('[Mini-DeFi] App initialized');
 }
 
+async function loadContractAbis() {
+    let payload;
+    try {
+        const response = await fetch('abis.json');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        payload = await response.json();
+    } catch (e) {
+        throw new Error(`Could not load abis.json (${e.message}). Run a deploy script or "npm run export-abis".`);
+    }
+
+    abiRegistry = AbiRegistry.createRegistry(payload);
+    ERC20_ABI = abiRegistry.get('MockERC20');
+    PRICE_ORACLE_ABI = abiRegistry.get('MockPriceOracle');
+    console.log('[Mini-DeFi] Loaded ABIs for', Object.keys(abiRegistry.abis).join(', '));
+}
+
+function showStartupError(message) {
+    const connectBtn = document.getElementById('connect-btn');
+    if (connectBtn) connectBtn.disabled = true;
+
+    document.getElementById('asset-list').innerHTML = `
+        <div class="empty-state">
+            <p><strong>Dashboard cannot start</strong></p>
+            <p>${escapeHtml(message)}</p>
+        </div>
+    `;
+    showToast('Contract ABIs are missing or out of date', 'error');
+}
+
 function setupEventListeners() {
     // Connect wallet button
     document.getElementById('connect-btn').addEventListener('click', connectWallet);
 
+    // Asset browser
+    assetListView = VirtualList.createVirtualList({
+        container: document.getElementById('asset-list'),
+        rowHeight: ASSET_ROW_HEIGHT,
+        renderRow: renderAssetRow,
+        onActivate: asset => toggleAssetSelection(asset.address)
+    });
+    window.addEventListener('resize', () => assetListView.refresh());
+
     // Search and filter
     document.getElementById('asset-search').addEventListener('input', debounce(filterAssets, 300));
     document.getElementById('category-filter')?.addEventListener('change', filterAssets);
+    document.getElementById('asset-sort')?.addEventListener('change', filterAssets);
+
+    // Positions table rate columns
+    document.querySelectorAll('#positions-table th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => sortPositions(th.dataset.sort));
+    });
 
     // Selection buttons
     document.getElementById('select-all-btn')?.addEventListener('click', selectAllVisible);
     document.getElementById('clear-selection-btn')?.addEventListener('click', clearSelection);
+    document.getElementById('faucet-topup-btn')?.addEventListener('click', faucetTopUpSelected);
 
     // Operation tabs
     document.querySelectorAll('[data-op]').forEach(btn => {
@@ -126,6 +178,12 @@ function setupEventListeners() {
         });
     });
 
+    // Amount mode
+    document.querySelectorAll('[data-amount-mode]').forEach(button => {
+        button.addEventListener('click', () => setBatchAmountMode(button.dataset.amountMode));
+    });
+    setBatchAmountMode(localStorage.getItem('mini-defi-amount-mode') || 'usd');
+
     // Proportion controls
     document.getElementById('equalize-btn')?.addEventListener('click', equalizeProportions);
     document.getElementById('reset-proportions-btn')?.addEventListener('click', resetProportions);
@@ -136,12 +194,28 @@ function setupEventListeners() {
     document.getElementById('execute-borrow')?.addEventListener('click', () => executeBatchOperation('borrow'));
     document.getElementById('execute-repay')?.addEventListener('click', () => executeBatchOperation('repay'));
     document.getElementById('execute-liquidate')?.addEventListener('click', executeLiquidation);
+    document.getElementById('scan-liquidations')?.addEventListener('click', scanLiquidations);
 
     // Amount input change -> update preview
     ['deposit-total', 'withdraw-total', 'borrow-total', 'repay-total'].forEach(id => {
         document.getElementById(id)?.addEventListener('input', updatePreview);
     });
 
+    // Health factor target for batch previews and Max amounts
+    const marginInput = document.getElementById('hf-safety-margin');
+    if (marginInput) {
+        marginInput.value = localStorage.getItem('mini-defi-hf-margin') || DEFAULT_MIN_HEALTH_FACTOR;
+        marginInput.addEventListener('input', () => {
+            localStorage.setItem('mini-defi-hf-margin', marginInput.value);
+            updatePreview();
+            updatePositionsTable();
+        });
+    }
+
+    document.querySelectorAll('[data-max-operation]').forEach(button => {
+        button.addEventListener('click', () => fillBatchMax(button.dataset.maxOperation));
+    });
+
     // Chat
     document.getElementById('chat-btn')?.addEventListener('click', toggleChat);
     document.getElementById('chat-close')?.addEventListener('click', toggleChat);
@@ -173,6 +247,68 @@ function setupEventListeners() {
     // Refresh button
     document.getElementById('refresh-stats')?.addEventListener('click', refreshData);
 
+    // Activity history
+    document.getElementById('history-sync')?.addEventListener('click', loadHistory);
+    document.getElementById('history-rescan')?.addEventListener('click', rescanHistory);
+    document.getElementById('history-type-filter')?.addEventListener('change', () => {
+        historyPage = 0;
+        renderHistory();
+    });
+    document.getElementById('history-prev')?.addEventListener('click', () => changeHistoryPage(-1));
+    document.getElementById('history-next')?.addEventListener('click', () => changeHistoryPage(1));
+    document.getElementById('history-export-csv')?.addEventListener('click', () => exportHistory('csv'));
+    document.getElementById('history-export-json')?.addEventListener('click', () => exportHistory('json'));
+
+    // Transaction queue
+    document.getElementById('tx-queue-resume')?.addEventListener('click', resumeTxQueue);
+    document.getElementById('tx-queue-retry')?.addEventListener('click', () => retryTxLegs());
+    document.getElementById('tx-queue-cancel')?.addEventListener('click', cancelTxQueue);
+    document.getElementById('tx-queue-dismiss')?.addEventListener('click', dismissTxQueue);
+
+    // Rate curve explorer
+    document.getElementById('curve-asset')?.addEventListener('change', loadRateCurve);
+    document.getElementById('curve-overlay-model')?.addEventListener('change', renderCurveOverlayParams);
+    document.getElementById('curve-overlay-params')?.addEventListener('input', debounce(updateCurveOverlay, 300));
+    document.getElementById('curve-overlay-reset')?.addEventListener('click', resetCurveOverlay);
+    document.getElementById('curve-overlay-propose')?.addEventListener('click', proposeCurveOverlay);
+
+    // Pool admin (owner only)
+    document.getElementById('admin-config-asset')?.addEventListener('change', fillAdminConfig);
+    document.getElementById('admin-config-fields')?.addEventListener('input', debounce(previewAdminConfig, 300));
+    document.getElementById('admin-config-submit')?.addEventListener('click', submitAdminConfig);
+    document.getElementById('admin-list-fields')?.addEventListener('input', debounce(previewListing, 500));
+    document.getElementById('admin-list-submit')?.addEventListener('click', submitListing);
+    document.getElementById('admin-oracle-address')?.addEventListener('input', debounce(previewOracleChange, 500));
+    document.getElementById('admin-oracle-submit')?.addEventListener('click', submitOracleChange);
+
+    // Repo rate oracle
+    document.getElementById('load-repo-rate')?.addEventListener('click', loadRepoRate);
+    document.getElementById('repo-rate-new')?.addEventListener('input', debounce(previewRepoRate, 300));
+    document.getElementById('repo-rate-submit')?.addEventListener('click', submitRepoRate);
+
+    // Time travel (local networks)
+    document.getElementById('time-travel-custom')?.addEventListener('click', travelCustomTime);
+
+    // Mock oracle prices (local networks)
+    document.getElementById('shock-rows')?.addEventListener('input', debounce(previewPriceShocks, 500));
+    document.getElementById('shock-rows')?.addEventListener('change', debounce(previewPriceShocks, 500));
+    document.getElementById('shock-add')?.addEventListener('click', addShockRow);
+    document.getElementById('shock-apply')?.addEventListener('click', applyPriceShocks);
+    document.getElementById('shock-restore')?.addEventListener('click', restoreOraclePrices);
+    document.getElementById('shock-save')?.addEventListener('click', saveShockScenario);
+    document.getElementById('shock-load')?.addEventListener('change', loadShockScenario);
+
+    // Governance queue
+    document.getElementById('load-governance')?.addEventListener('click', loadGovernance);
+    document.getElementById('gov-queue-call')?.addEventListener('change', renderGovernanceParamInputs);
+    document.getElementById('gov-queue-target')?.addEventListener('change', prefillGovernanceParams);
+    document.getElementById('gov-queue-params')?.addEventListener('input', debounce(updateGovernanceQueuePreview, 300));
+    document.getElementById('gov-queue-params')?.addEventListener('change', (e) => {
+        // A new asset address selects a different assetConfigs entry
+        if (e.target.dataset.govUnit === 'address') prefillGovernanceParams();
+    });
+    document.getElementById('gov-queue-submit')?.addEventListener('click', queueGovernanceProposal);
+
     // Toast close
     document.querySelector('.toast-close')?.addEventListener('click', hideToast);
 
@@ -201,6 +337,11 @@ async function connectWallet() {
         return;
     }
 
+    if (!abiRegistry) {
+        showToast('Contract ABIs not loaded - see the asset browser for details', 'error');
+        return;
+    }
+
     try {
         console.log('[Mini-DeFi] Connecting wallet...');
         const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
@@ -231,7 +372,30 @@ async function connectWallet() {
         await updatePortfolio();
         updateNetworkDisplay();
 
-        showToast('Wallet connected successfully!', 'success');
+        // A different account needs its own history cache
+        historyLoader = null;
+        historyPage = 0;
+        liquidationScanner = null;
+        await loadHistory();
+
+        txQueue = await createAccountTxQueue();
+        renderTxQueue();
+
+        await loadPoolAdmin();
+        await loadTimeTravel();
+        await loadFaucet();
+        await loadOraclePanel();
+        await discoverRepoOracle();
+
+        if (document.getElementById('governor-address')?.value) {
+            await loadGovernance();
+        }
+
+        if (txQueue.hasUnfinished) {
+            showToast('Wallet connected - an interrupted batch can be resumed from the transaction queue', 'warning');
+        } else {
+            showToast('Wallet connected successfully!', 'success');
+        }
     } catch (error) {
         console.error('[Mini-DeFi] Connection error:', error);
         showToast('Failed to connect wallet', 'error');
@@ -245,6 +409,26 @@ function disconnectWallet() {
     assets = [];
     selectedAssets.clear();
     userPositions = {};
+    historyLoader = null;
+    liquidationScanner = null;
+    liquidationOpportunities = [];
+    clearTimeout(liquidationPollTimer);
+    txQueue = null;
+    renderTxQueue();
+    adminState = null;
+    document.getElementById('admin-section').style.display = 'none';
+    timeTravelAvailable = false;
+    document.getElementById('time-travel-section').style.display = 'none';
+    faucetAvailable = false;
+    document.getElementById('faucet-controls').style.display = 'none';
+    oraclePanel = null;
+    document.getElementById('oracle-section').style.display = 'none';
+    repoState = null;
+    renderRepoRate();
+    governorContract = null;
+    governanceState = null;
+    stopGovernanceCountdown();
+    renderGovernanceProposals([]);
 
     const connectBtn = document.getElementById('connect-btn');
     connectBtn.innerHTML = `
@@ -261,6 +445,16 @@ function disconnectWallet() {
     updatePortfolio();
 }
 
+// Direct JSON-RPC access to the local node behind the wallet; wallets do not forward evm_* methods
+async function getDevRpcProvider() {
+    const { chainId } = await provider.getNetwork();
+    const network = window.appConfig?.supportedNetworks?.[chainId.toString()];
+    if (!network?.isTestnet || !network.rpcUrl) {
+        throw new Error(`Chain ${chainId} is not a local development network in config.json`);
+    }
+    return new ethers.JsonRpcProvider(network.rpcUrl);
+}
+
 async function updateNetworkDisplay() {
     const networkName = document.getElementById('network-name');
     const networkBadge = document.getElementById('network-badge');
@@ -411,8 +605,21 @@ async function initializeContracts() {
         }
     }
 
-    lendingPoolContract = new ethers.Contract(poolAddress, LENDING_POOL_ABI, signer);
+    lendingPoolContract = new ethers.Contract(poolAddress, abiRegistry.get('LendingPool'), signer);
     console.log('[Mini-DeFi] LendingPool contract created at:', poolAddress);
+
+    const multicallAddress = window.deployedContracts?.multicall || null;
+    const batchConfig = window.appConfig?.batchReads || {};
+    batchReader = BatchReader.createBatchReader({
+        provider,
+        multicallAddress,
+        multicallAbi: abiRegistry.get('Multicall'),
+        chunkSize: batchConfig.chunkSize || BatchReader.DEFAULT_CHUNK_SIZE,
+        concurrency: batchConfig.concurrency || BatchReader.DEFAULT_CONCURRENCY
+    });
+    if (!multicallAddress) {
+        console.warn('[Mini-DeFi] No Multicall in deployed-contracts.json - reads will not be batched');
+    }
 }
 
 // ============================================================================
@@ -438,71 +645,28 @@ async function loadAllAssets() {
     `;
 
     try {
-        // First try to use pre-loaded asset data from deployed-contracts.json (faster)
+        // Prefer the asset list from deployed-contracts.json, otherwise enumerate the pool
+        let listed;
         if (window.deployedContracts?.assets) {
-            console.log('[Mini-DeFi] Using pre-loaded asset data');
-            const assetEntries = Object.entries(window.deployedContracts.assets);
-            
-            for (const [symbol, assetInfo] of assetEntries) {
-                try {
-                    const tokenContract = new ethers.Contract(assetInfo.token, ERC20_ABI, signer);
-                    const [name, decimals, balance] = await Promise.all([
-                        tokenContract.name().catch(() => assetInfo.name || symbol),
-                        tokenContract.decimals().catch(() => 18),
-                        tokenContract.balanceOf(await signer.getAddress()).catch(() => 0n)
-                    ]);
-                    
-                    assets.push({
-                        address: assetInfo.token,
-                        symbol: symbol.replace(/_\d+$/, ''), // Remove version suffix like _0, _1
-                        name: name,
-                        decimals: Number(decimals),
-                        price: BigInt(Math.floor((parseFloat(assetInfo.price) || 1) * 1e8)),
-                        collateralFactor: parseFloat(assetInfo.collateralFactor) || 0.5,
-                        category: assetInfo.category || 'Other',
-                        balance: balance
-                    });
-                    
-                    updateAssetCount(assets.length);
-                } catch (err) {
-                    console.warn('[Mini-DeFi] Failed to load asset', symbol, err);
-                }
-            }
+            console.log('[Mini-DeFi] Using pre-loaded asset list');
+            listed = Object.entries(window.deployedContracts.assets).map(([symbol, info]) => ({
+                address: info.token,
+                symbol: symbol.replace(/_\d+$/, ''), // Remove version suffix like _0, _1
+                info
+            }));
         } else {
-            // Fallback: Load from contract (slower but works without deployed-contracts.json)
-            console.log('[Mini-DeFi] Loading assets from contract');
-            let index = 0;
-            const batchSize = 50;
-            let hasMore = true;
-
-            while (hasMore) {
-                const batch = [];
-                for (let i = 0; i < batchSize; i++) {
-                    batch.push(loadAssetAtIndex(index + i));
-                }
-
-                const results = await Promise.allSettled(batch);
-                let loadedInBatch = 0;
-
-                for (const result of results) {
-                    if (result.status === 'fulfilled' && result.value) {
-                        assets.push(result.value);
-                        loadedInBatch++;
-                    }
-                }
-
-                if (loadedInBatch < batchSize) {
-                    hasMore = false;
-                }
-
-                index += batchSize;
-                updateAssetCount(assets.length);
-            }
+            console.log('[Mini-DeFi] Loading asset list from contract');
+            const addresses = await loadListedAssetAddresses();
+            listed = addresses.map(address => ({ address, symbol: null, info: {} }));
         }
 
+        assets = await loadAssetDetails(listed);
+        updateAssetCount(assets.length);
+
         console.log('[Mini-DeFi] Loaded', assets.length, 'assets');
 
-        // Load user positions for all assets
+        // Load rates and user positions for all assets
+        await loadAssetRates();
         await loadUserPositions();
 
         // Render asset list
@@ -513,6 +677,7 @@ async function loadAllAssets() {
 
         // Populate liquidation dropdowns
         populateLiquidationDropdowns();
+        populateCurveAssets();
 
         showToast(`Loaded ${assets.length} assets`, 'success');
     } catch (error) {
@@ -527,50 +692,83 @@ async function loadAllAssets() {
     }
 }
 
-async function loadAssetAtIndex(index) {
-    try {
-        const assetAddress = await lendingPoolContract.listedAssets(index);
-        if (!assetAddress || assetAddress === ethers.ZeroAddress) {
-            return null;
+async function loadListedAssetAddresses() {
+    const pageSize = 1000;
+    const poolAddress = lendingPoolContract.target;
+    const poolInterface = lendingPoolContract.interface;
+    const count = Number(await lendingPoolContract.listedAssetsCount());
+    const addresses = [];
+
+    for (let start = 0; start < count; start += pageSize) {
+        const calls = [];
+        for (let i = start; i < Math.min(start + pageSize, count); i++) {
+            calls.push({ target: poolAddress, iface: poolInterface, method: 'listedAssets', args: [i], allowFailure: false });
         }
 
-        const tokenContract = new ethers.Contract(assetAddress, ERC20_ABI, provider);
-        const assetData = await lendingPoolContract.assetData(assetAddress);
+        const results = await batchReader.read(calls);
+        addresses.push(...results.map(result => result.value));
+        updateAssetCount(addresses.length);
+    }
+    return addresses;
+}
 
-        const [name, symbol, decimals] = await Promise.all([
-            tokenContract.name(),
-            tokenContract.symbol(),
-            tokenContract.decimals()
-        ]);
+/**
+ * Reads token metadata, pool config and oracle price for each listed asset in batches.
+ * @param {Array<{address: string, symbol: ?string, info: Object}>} listed
+ */
+async function loadAssetDetails(listed) {
+    const poolAddress = lendingPoolContract.target;
+    const poolInterface = lendingPoolContract.interface;
+    const tokenInterface = new ethers.Interface(ERC20_ABI);
+    const oracleInterface = new ethers.Interface(PRICE_ORACLE_ABI);
+    const oracleAddress = await lendingPoolContract.priceOracle();
+
+    const CALLS_PER_ASSET = 6;
+    const calls = [];
+    for (const { address } of listed) {
+        calls.push(
+            { target: address, iface: tokenInterface, method: 'name' },
+            { target: address, iface: tokenInterface, method: 'symbol' },
+            { target: address, iface: tokenInterface, method: 'decimals' },
+            { target: poolAddress, iface: poolInterface, method: 'assetConfigs', args: [address] },
+            { target: poolAddress, iface: poolInterface, method: 'poolAccounts', args: [address] },
+            { target: oracleAddress, iface: oracleInterface, method: 'getPrice', args: [address] }
+        );
+    }
 
-        // Get price from oracle
-        let price = BigInt(0);
-        try {
-            const oracleContract = new ethers.Contract(assetData[0], PRICE_ORACLE_ABI, provider);
-            price = await oracleContract.getPrice(assetAddress);
-        } catch (e) {
-            console.log(`Could not get price for ${symbol}`);
+    const results = await batchReader.read(calls, {
+        onProgress: (done) => updateAssetCount(Math.floor(done / CALLS_PER_ASSET))
+    });
+
+    const loaded = [];
+    listed.forEach(({ address, symbol: knownSymbol, info }, i) => {
+        const [name, symbol, decimals, config, poolAccount, price] = results.slice(i * CALLS_PER_ASSET, (i + 1) * CALLS_PER_ASSET);
+        if (!config.success || !config.value.isActive) {
+            console.warn('[Mini-DeFi] Skipping unlisted asset', knownSymbol || address);
+            return;
         }
 
-        // Determine category from symbol
-        const category = categorizeAsset(symbol);
-
-        return {
-            address: assetAddress,
-            name,
-            symbol,
-            decimals: Number(decimals),
-            oracle: assetData[0],
-            interestRateModel: assetData[1],
-            collateralFactor: assetData[2],
-            totalDeposits: assetData[3],
-            totalBorrows: assetData[4],
-            price,
-            category
-        };
-    } catch (error) {
-        return null;
-    }
+        const assetSymbol = knownSymbol || (symbol.success ? symbol.value : address.slice(0, 6));
+        if (!price.success) {
+            console.log(`Could not get price for ${assetSymbol}`);
+        }
+
+        loaded.push({
+            address,
+            symbol: assetSymbol,
+            name: name.success ? name.value : (info.name || assetSymbol),
+            decimals: decimals.success ? Number(decimals.value) : 18,
+            price: price.success ? price.value : BigInt(0),
+            interestRateModel: config.value.irmAddress,
+            collateralFactor: config.value.collateralFactor,
+            liquidationBonus: config.value.liquidationBonus,
+            reserveFactor: config.value.reserveFactor,
+            totalReserves: poolAccount.success ? poolAccount.value.totalReserves : BigInt(0),
+            category: info.category || categorizeAsset(assetSymbol)
+        });
+    });
+
+    return loaded;
 }
 
 function categorizeAsset(symbol) {
@@ -588,57 +786,51 @@ async function loadUserPositions() {
     if (!signer || assets.length === 0) return;
 
     const userAddress = await signer.getAddress();
-    const poolAddress = await lendingPoolContract.getAddress();
-    userPositions = {};
+    const poolAddress = lendingPoolContract.target;
+    const poolInterface = lendingPoolContract.interface;
+    const tokenInterface = new ethers.Interface(ERC20_ABI);
 
-    // Load positions in batches
-    const batchSize = 50;
-    for (let i = 0; i < assets.length; i += batchSize) {
-        const batch = assets.slice(i, i + batchSize);
-        const promises = batch.map(async (asset) => {
-            // Default position values
-            const position = {
-                deposits: BigInt(0),
-                borrows: BigInt(0),
-                balance: BigInt(0),
-                allowance: BigInt(0)
-            };
+    const calls = [];
+    for (const asset of assets) {
+        calls.push(
+            { target: poolAddress, iface: poolInterface, method: 'userDeposits', args: [userAddress, asset.address] },
+            { target: poolAddress, iface: poolInterface, method: 'userBorrows', args: [userAddress, asset.address] },
+            // Token reads fail softly for addresses without a deployed contract
+            { target: asset.address, iface: tokenInterface, method: 'balanceOf', args: [userAddress] },
+            { target: asset.address, iface: tokenInterface, method: 'allowance', args: [userAddress, poolAddress] },
+            // Pool cash, which caps borrows
+            { target: asset.address, iface: tokenInterface, method: 'balanceOf', args: [poolAddress] }
+        );
+    }
 
-            try {
-                // Get deposits and borrows from lending pool (these should always work)
-                const [deposits, borrows] = await Promise.all([
-                    lendingPoolContract.userDeposits(userAddress, asset.address).catch(() => BigInt(0)),
-                    lendingPoolContract.userBorrows(userAddress, asset.address).catch(() => BigInt(0))
-                ]);
-                position.deposits = deposits;
-                position.borrows = borrows;
-
-                // Try to get token balance and allowance - these may fail for invalid/mock tokens
-                try {
-                    const tokenContract = new ethers.Contract(asset.address, ERC20_ABI, provider);
-                    // Check if the contract has code (is a valid contract)
-                    const code = await provider.getCode(asset.address);
-                    if (code && code !== '0x') {
-                        const [balance, allowance] = await Promise.all([
-                            tokenContract.balanceOf(userAddress).catch(() => BigInt(0)),
-                            tokenContract.allowance(userAddress, poolAddress).catch(() => BigInt(0))
-                        ]);
-                        position.balance = balance;
-                        position.allowance = allowance;
-                    }
-                } catch (tokenErr) {
-                    // Token contract calls failed - use defaults
-                    console.debug(`[Mini-DeFi] Token ${asset.symbol} contract call failed:`, tokenErr.message);
-                }
-            } catch (e) {
-                console.debug(`[Mini-DeFi] Failed to load position for ${asset.symbol}:`, e.message);
-            }
+    const results = await batchReader.read(calls);
+    const valueOrZero = (result) => (result.success ? result.value : BigInt(0));
 
-            userPositions[asset.address] = position;
-        });
+    userPositions = {};
+    assets.forEach((asset, i) => {
+        const [deposits, borrows, balance, allowance, liquidity] = results.slice(i * 5, i * 5 + 5);
+        asset.liquidity = valueOrZero(liquidity);
+        userPositions[asset.address] = {
+            deposits: valueOrZero(deposits),
+            borrows: valueOrZero(borrows),
+            balance: valueOrZero(balance),
+            allowance: valueOrZero(allowance)
+        };
+    });
+    console.log(`[Mini-DeFi] Loaded positions with ${batchReader.stats.requests} batched requests so far`);
+}
 
-        await Promise.all(promises);
-    }
+// Utilization and supply/borrow APYs, read in two batched rounds (see lib/rate-math.js)
+async function loadAssetRates() {
+    if (!lendingPoolContract || assets.length === 0) return;
+
+    const rates = await RateMath.readAssetRates({
+        reader: batchReader,
+        pool: lendingPoolContract,
+        irmInterface: new ethers.Interface(abiRegistry.get('LinearInterestRateModel')),
+        assets
+    });
+    assets.forEach(asset => { asset.rates = rates.get(asset.address); });
 }
 
 // ============================================================================
@@ -668,12 +860,36 @@ function filterAssets() {
         filtered = filtered.filter(asset => asset.category === categoryFilter);
     }
 
+    const sortOrder = document.getElementById('asset-sort')?.value || '';
+    if (sortOrder) {
+        const [key, direction] = sortOrder.split(':');
+        filtered = [...filtered].sort(compareAssetsByRate(key, direction));
+    }
+
+    // A new search starts at the top; re-renders after selection or data changes keep the scroll position
+    const filterKey = `${searchTerm}\n${categoryFilter}\n${sortOrder}`;
     document.getElementById('filtered-count').textContent = filtered.length;
-    renderAssetList(filtered);
+    renderAssetList(filtered, { resetScroll: filterKey !== lastAssetFilter });
+    lastAssetFilter = filterKey;
+}
+
+// Orders assets by a field of asset.rates; assets whose rates could not be read go last
+function compareAssetsByRate(key, direction) {
+    const sign = direction === 'asc' ? 1 : -1;
+    return (a, b) => {
+        if (!a.rates || !b.rates) return (a.rates ? 0 : 1) - (b.rates ? 0 : 1);
+        const diff = a.rates[key] - b.rates[key];
+        return diff === 0n ? 0 : (diff > 0n ? sign : -sign);
+    };
 }
 
-function renderAssetList(assetList) {
+function formatRate(asset, key) {
+    return asset.rates ? RateMath.formatPercent(asset.rates[key]) : 'N/A';
+}
+
+function renderAssetList(assetList, { resetScroll = true } = {}) {
     const container = document.getElementById('asset-list');
+    filteredAssets = assetList;
 
     if (assetList.length === 0) {
         container.innerHTML = `
@@ -688,55 +904,57 @@ function renderAssetList(assetList) {
         return;
     }
 
-    // Limit displayed items for performance (virtual scrolling can be added later)
-    const displayLimit = 200;
-    const displayedAssets = assetList.slice(0, displayLimit);
-
-    container.innerHTML = displayedAssets.map(asset => {
-        const isSelected = selectedAssets.has(asset.address);
-        const position = userPositions[asset.address] || {};
-        const priceFormatted = asset.price > 0n ? `$${formatUnits(asset.price, 8)}` : 'N/A';
-        
-        // Calculate user's value in this asset
-        const depositValue = position.deposits && asset.price > 0n 
-            ? formatUnits(position.deposits * asset.price / (10n ** BigInt(asset.decimals)), 8)
-            : '0';
+    // Only the rows in view are in the DOM, so this stays fast for 10,000+ assets
+    assetListView.setItems(assetList, { resetScroll });
+}
 
-        return `
-            <div class="asset-item ${isSelected ? 'selected' : ''}" data-address="${asset.address}" onclick="toggleAssetSelection('${asset.address}')">
-                <div class="asset-main">
-                    <div class="asset-icon">${asset.symbol.slice(0, 2)}</div>
-                    <div class="asset-info">
-                        <span class="asset-symbol">${asset.symbol}</span>
-                        <span class="asset-name">${asset.name}</span>
-                    </div>
-                </div>
-                <div class="asset-meta">
-                    <span class="asset-price">${priceFormatted}</span>
-                    ${position.deposits > 0 ? `<span class="asset-deposited">$${depositValue}</span>` : ''}
-                </div>
-                <div class="asset-select ${isSelected ? 'active' : ''}">
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
-                        <polyline points="20 6 9 17 4 12"/>
-                    </svg>
+function renderAssetRow(asset, index, { active }) {
+    const isSelected = selectedAssets.has(asset.address);
+    const position = userPositions[asset.address] || {};
+    const priceFormatted = asset.price > 0n ? `$${formatUnits(asset.price, 8)}` : 'N/A';
+
+    // Calculate user's value in this asset
+    const depositValue = position.deposits && asset.price > 0n
+        ? formatUnits(position.deposits * asset.price / (10n ** BigInt(asset.decimals)), 8)
+        : '0';
+
+    return `
+        <div class="asset-item ${isSelected ? 'selected' : ''} ${active ? 'active' : ''}" role="option" aria-selected="${isSelected}" data-index="${index}" data-address="${asset.address}" onclick="toggleAssetSelection('${asset.address}')">
+            <div class="asset-main">
+                <div class="asset-icon">${asset.symbol.slice(0, 2)}</div>
+                <div class="asset-info">
+                    <span class="asset-symbol">${asset.symbol}</span>
+                    <span class="asset-name">${asset.name}</span>
+                    <span class="asset-rates" title="Utilization ${formatRate(asset, 'utilization')}">Supply ${formatRate(asset, 'supplyApy')} · Borrow ${formatRate(asset, 'borrowApy')}</span>
                 </div>
             </div>
-        `;
-    }).join('');
-
-    if (assetList.length > displayLimit) {
-        container.innerHTML += `
-            <div class="asset-more">
-                <p>Showing ${displayLimit} of ${assetList.length} assets. Use search to narrow results.</p>
+            <div class="asset-meta">
+                <span class="asset-price">${priceFormatted}</span>
+                ${position.deposits > 0 ? `<span class="asset-deposited">$${depositValue}</span>` : ''}
+                ${asset.totalReserves > 0n ? `<span class="asset-reserves" title="Protocol reserves (reserve factor ${formatUnits(asset.reserveFactor, 16)}%)">Reserves ${formatUnits(asset.totalReserves, asset.decimals)}</span>` : ''}
             </div>
-        `;
-    }
+            ${faucetAvailable ? `
+            <button class="asset-faucet-btn" title="Mint ${asset.symbol} from the faucet" aria-label="Faucet" onclick="faucetMint('${asset.address}', event)">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M12 2.69l5.66 5.66a8 8 0 1 1-11.31 0z"/>
+                </svg>
+            </button>` : ''}
+            <div class="asset-select ${isSelected ? 'active' : ''}">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                    <polyline points="20 6 9 17 4 12"/>
+                </svg>
+            </div>
+        </div>
+    `;
 }
 
 // ============================================================================
 // Asset Selection
 // ============================================================================
 
+// Keeps the selected-assets panel renderable and every equal proportion at 1% or more
+const MAX_SELECTED_ASSETS = 100;
+
 function toggleAssetSelection(address) {
     if (!signer) {
         showToast('Please connect your wallet first', 'warning');
@@ -751,6 +969,9 @@ function toggleAssetSelection(address) {
 
     if (selectedAssets.has(address)) {
         selectedAssets.delete(address);
+    } else if (selectedAssets.size >= MAX_SELECTED_ASSETS) {
+        showToast(`At most ${MAX_SELECTED_ASSETS} assets can be selected at once`, 'warning');
+        return;
     } else {
         // Add with default proportion
         selectedAssets.set(address, { asset, proportion: 0 });
@@ -769,26 +990,27 @@ function updateAssetItemUI(address) {
 
     const isSelected = selectedAssets.has(address);
     item.classList.toggle('selected', isSelected);
+    item.setAttribute('aria-selected', String(isSelected));
     item.querySelector('.asset-select').classList.toggle('active', isSelected);
 }
 
 function selectAllVisible() {
-    const visibleItems = document.querySelectorAll('.asset-item');
-    visibleItems.forEach(item => {
-        const address = item.dataset.address;
-        const asset = assets.find(a => a.address === address);
-        if (asset && !selectedAssets.has(address)) {
-            selectedAssets.set(address, { asset, proportion: 0 });
-        }
-    });
+    // Assets matching the current search in list order, not just the rows scrolled into view
+    const unselected = filteredAssets.filter(asset => !selectedAssets.has(asset.address));
+    const added = unselected.slice(0, Math.max(0, MAX_SELECTED_ASSETS - selectedAssets.size));
+    added.forEach(asset => selectedAssets.set(asset.address, { asset, proportion: 0 }));
+    if (added.length < unselected.length) {
+        showToast(`Selected ${added.length} of ${unselected.length} matching assets - at most ${MAX_SELECTED_ASSETS} can be selected at once. Narrow the search to pick the rest.`, 'warning');
+    }
+    if (added.length === 0) return;
     equalizeProportions();
-    filterAssets(); // Re-render to show selection
+    assetListView.refresh(); // Re-render to show selection
     updateSelectedAssetsPanel();
 }
 
 function clearSelection() {
     selectedAssets.clear();
-    filterAssets();
+    assetListView.refresh();
     updateSelectedAssetsPanel();
     updatePreview();
 }
@@ -814,13 +1036,16 @@ function updateSelectedAssetsPanel() {
     }
 
     let html = '';
-    for (const [address, { asset, proportion }] of selectedAssets) {
-        html += `
-            <div class="selected-asset-item" data-address="${address}">
-                <div class="selected-asset-info">
-                    <span class="selected-asset-symbol">${asset.symbol}</span>
-                    <button class="remove-asset-btn" onclick="removeFromSelection('${address}', event)">&times;</button>
-                </div>
+    for (const [address, { asset, proportion, tokenAmount }] of selectedAssets) {
+        const amountControls = batchAmountMode === 'tokens'
+            ? `
+                <div class="proportion-slider-group">
+                    <input type="text" inputmode="decimal" class="token-amount-input" placeholder="0.0"
+                        value="${escapeHtml(tokenAmount || '')}"
+                        oninput="updateTokenAmount('${address}', this.value)">
+                    <span class="proportion-unit">${asset.symbol}</span>
+                </div>`
+            : `
                 <div class="proportion-slider-group">
                     <input type="range" class="proportion-slider" 
                         min="0" max="100" value="${proportion}"
@@ -829,7 +1054,15 @@ function updateSelectedAssetsPanel() {
                         min="0" max="100" value="${proportion}"
                         onchange="updateProportion('${address}', this.value)">
                     <span class="proportion-unit">%</span>
+                </div>`;
+
+        html += `
+            <div class="selected-asset-item" data-address="${address}">
+                <div class="selected-asset-info">
+                    <span class="selected-asset-symbol">${asset.symbol}</span>
+                    <button class="remove-asset-btn" onclick="removeFromSelection('${address}', event)">&times;</button>
                 </div>
+                ${amountControls}
             </div>
         `;
     }
@@ -865,6 +1098,32 @@ function updateProportion(address, value) {
     }
 }
 
+// Typed as text and parsed with ethers.parseUnits in the asset's decimals (see lib/batch-amounts.js)
+function updateTokenAmount(address, value) {
+    const data = selectedAssets.get(address);
+    if (data) {
+        data.tokenAmount = value;
+        updatePreview();
+    }
+}
+
+function setBatchAmountMode(mode) {
+    batchAmountMode = mode === 'tokens' ? 'tokens' : 'usd';
+    localStorage.setItem('mini-defi-amount-mode', batchAmountMode);
+
+    document.querySelectorAll('[data-amount-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.amountMode === batchAmountMode);
+    });
+    const usdMode = batchAmountMode === 'usd';
+    document.getElementById('proportion-controls').style.display = usdMode ? '' : 'none';
+    document.querySelectorAll('.usd-total-group').forEach(group => {
+        group.style.display = usdMode ? '' : 'none';
+    });
+
+    updateSelectedAssetsPanel();
+    updatePreview();
+}
+
 function equalizeProportions() {
     if (selectedAssets.size === 0) return;
 
@@ -937,161 +1196,313 @@ function switchOperation(op) {
 // Transaction Preview
 // ============================================================================
 
+// Operations whose legs are checked against the pool's liquidity math before sending
+const HEALTH_PREVIEW_OPERATIONS = ['deposit', 'withdraw', 'borrow', 'repay'];
+const DEFAULT_MIN_HEALTH_FACTOR = '1.1';
+
 function updatePreview() {
     const previewList = document.getElementById('preview-list');
+    setBatchExecuteBlocked(currentOperation, null);
     
     if (selectedAssets.size === 0) {
         previewList.innerHTML = '<p class="muted">Select assets and enter an amount to preview</p>';
         return;
     }
 
-    let total = 0;
-    for (const { proportion } of selectedAssets.values()) {
-        total += proportion;
-    }
-
-    if (total !== 100) {
-        previewList.innerHTML = '<p class="muted warning">Allocation must equal 100%</p>';
+    const { legs, message, warning } = computeBatchLegs(currentOperation);
+    if (message) {
+        previewList.innerHTML = `<p class="muted${warning ? ' warning' : ''}">${escapeHtml(message)}</p>`;
         return;
     }
 
-    // Get amount from current operation input
-    const amountInput = document.getElementById(`${currentOperation}-total`);
-    const totalAmount = parseFloat(amountInput?.value || 0);
-
-    if (totalAmount <= 0 && currentOperation !== 'liquidate') {
-        previewList.innerHTML = '<p class="muted">Enter an amount to preview transactions</p>';
-        return;
-    }
+    const health = signer && HEALTH_PREVIEW_OPERATIONS.includes(currentOperation)
+        ? previewBatchHealth(currentOperation, legs)
+        : null;
+    const legResults = new Map((health?.legs || []).map(leg => [leg.asset.address, leg]));
 
     let html = '<div class="preview-transactions">';
     
-    for (const [address, { asset, proportion }] of selectedAssets) {
-        if (proportion === 0) continue;
-
-        const usdAmount = totalAmount * (proportion / 100);
-        let tokenAmount = 'N/A';
-
-        if (asset.price > 0n) {
-            // Convert USD to tokens: (usdAmount * 10^8 * 10^decimals) / price
-            const amountBigInt = BigInt(Math.floor(usdAmount * 1e8)) * (10n ** BigInt(asset.decimals)) / asset.price;
-            tokenAmount = formatUnits(amountBigInt, asset.decimals);
-        }
+    for (const { asset, proportion, usdValue, amount } of legs) {
+        const tokenAmount = amount !== null ? formatUnits(amount, asset.decimals) : 'N/A';
+        const result = legResults.get(asset.address);
+        const revert = result && !result.ok
+            ? `<span class="preview-revert">Would revert: ${escapeHtml(result.reason)}</span>`
+            : '';
 
         html += `
-            <div class="preview-item">
+            <div class="preview-item${revert ? ' reverts' : ''}">
                 <div class="preview-asset">
                     <span class="preview-symbol">${asset.symbol}</span>
-                    <span class="preview-proportion">${proportion}%</span>
+                    ${proportion !== null ? `<span class="preview-proportion">${proportion}%</span>` : ''}
+                    ${revert}
                 </div>
                 <div class="preview-amounts">
-                    <span class="preview-usd">$${usdAmount.toFixed(2)}</span>
+                    <span class="preview-usd">${BatchAmounts.formatUsd(usdValue)}</span>
                     <span class="preview-tokens">${tokenAmount} ${asset.symbol}</span>
                 </div>
             </div>
         `;
     }
 
+    html += `
+        <div class="preview-item preview-total">
+            <span>Total</span>
+            <span class="preview-usd">${BatchAmounts.formatUsd(BatchAmounts.totalUsd(legs))}</span>
+        </div>
+    `;
     html += '</div>';
+    if (health) {
+        html += renderHealthPreview(health);
+    }
     previewList.innerHTML = html;
 }
 
-// ============================================================================
-// Batch Operations
-// ============================================================================
+// Legs for the current amount mode (see lib/batch-amounts.js). Without legs, `message` says
+// what is missing; `warning` marks input that needs fixing rather than input not typed yet.
+// A USD leg's amount is null when the asset has no price.
+function computeBatchLegs(operation) {
+    const selected = [...selectedAssets.values()];
 
-async function executeBatchOperation(operation) {
-    const amountInput = document.getElementById(`${operation}-total`);
-    const totalAmount = parseFloat(amountInput?.value || 0);
+    if (batchAmountMode === 'tokens') {
+        const { legs, errors } = BatchAmounts.tokenLegs(
+            selected.map(({ asset, tokenAmount }) => ({ asset, text: tokenAmount || '' }))
+        );
+        if (errors.length > 0) {
+            return { legs: [], message: `${errors[0].asset.symbol}: ${errors[0].message}`, warning: true };
+        }
+        if (legs.length === 0) {
+            return { legs, message: 'Enter a token amount for at least one selected asset', warning: false };
+        }
+        return { legs, message: null };
+    }
 
-    if (selectedAssets.size === 0) {
-        showToast('Please select at least one asset', 'error');
-        return;
+    const total = selected.reduce((sum, { proportion }) => sum + proportion, 0);
+    if (total !== 100) {
+        return { legs: [], message: 'Allocation must equal 100%', warning: true };
     }
 
-    let total = 0;
-    for (const { proportion } of selectedAssets.values()) {
-        total += proportion;
+    let totalUsd;
+    try {
+        totalUsd = BatchAmounts.parseUsd(document.getElementById(`${operation}-total`)?.value);
+    } catch (error) {
+        return { legs: [], message: `Invalid amount: ${error.message}`, warning: true };
+    }
+    if (!totalUsd && operation !== 'liquidate') {
+        return { legs: [], message: 'Enter an amount to preview transactions', warning: false };
     }
+    return { legs: BatchAmounts.usdLegs(totalUsd || 0n, selected), message: null };
+}
 
-    if (total !== 100) {
-        showToast('Allocation must equal 100%', 'error');
+// Loaded positions in the shape lib/health-preview.js expects
+function getPreviewPositions() {
+    return assets
+        .filter(asset => {
+            const position = userPositions[asset.address];
+            return position && (position.deposits > 0n || position.borrows > 0n || selectedAssets.has(asset.address));
+        })
+        .map(asset => ({ asset, ...userPositions[asset.address] }));
+}
+
+// Replays the batch against the loaded positions (see lib/health-preview.js)
+function previewBatchHealth(operation, legs) {
+    return HealthPreview.simulateBatch({
+        operation,
+        legs: legs.filter(leg => leg.amount !== null),
+        positions: getPreviewPositions()
+    });
+}
+
+// Largest borrow or withdraw of one asset that keeps the health factor at the target
+function getSafeMaxAmount(asset, operation) {
+    if (!userPositions[asset.address] || asset.price === 0n) return 0n;
+    return HealthPreview.maxSafeAmount({
+        operation,
+        asset,
+        positions: getPreviewPositions(),
+        targetHealthFactor: getMinHealthFactor()
+    });
+}
+
+// Fills a batch form with the largest USD total its selected assets can move at the target
+function fillBatchMax(operation) {
+    if (!signer) {
+        showToast('Connect your wallet first', 'warning');
         return;
     }
 
-    if (totalAmount <= 0) {
-        showToast('Please enter a valid amount', 'error');
+    const allocations = [...selectedAssets.values()].filter(({ proportion }) => proportion > 0);
+    if (allocations.length === 0) {
+        showToast('Select assets first', 'warning');
         return;
     }
 
-    showToast(`Executing batch ${operation}...`, 'info');
+    const value = HealthPreview.maxSafeBatchValue({
+        operation,
+        allocations,
+        positions: getPreviewPositions(),
+        targetHealthFactor: getMinHealthFactor()
+    });
+    // Round down to cents so the typed-in total never exceeds the computed one
+    const cents = value / 1000000n;
+    document.getElementById(`${operation}-total`).value = ethers.formatUnits(cents, 2);
+    if (cents === 0n) {
+        showToast(`Nothing can be ${operation === 'borrow' ? 'borrowed' : 'withdrawn'} without going below the target health factor`, 'warning');
+    }
+    updatePreview();
+}
 
+function getMinHealthFactor() {
+    const input = document.getElementById('hf-safety-margin');
     try {
-        const results = [];
-        const skipped = [];
+        return ethers.parseUnits(input?.value || DEFAULT_MIN_HEALTH_FACTOR, 18);
+    } catch (e) {
+        return ethers.parseUnits(DEFAULT_MIN_HEALTH_FACTOR, 18);
+    }
+}
 
-        for (const [address, { asset, proportion }] of selectedAssets) {
-            if (proportion === 0) continue;
+function formatHealthFactor(healthFactor) {
+    const value = parseFloat(formatUnits(healthFactor, 18));
+    return value > 1000 ? 'MAX' : value.toFixed(2);
+}
 
-            // Calculate amount for this asset based on USD value and asset price
-            let amount;
-            if (asset.price > 0n) {
-                const usdAmount = totalAmount * (proportion / 100);
-                amount = BigInt(Math.floor(usdAmount * 1e8)) * (10n ** BigInt(asset.decimals)) / asset.price;
-            } else {
-                console.warn(`[Mini-DeFi] Skipping ${asset.symbol} - no price data`);
-                skipped.push({ asset: asset.symbol, reason: 'No price data' });
-                continue;
-            }
+function healthFactorClass(healthFactor) {
+    const value = parseFloat(formatUnits(healthFactor, 18));
+    return value >= 1.5 ? 'health-good' : (value >= 1.0 ? 'health-warning' : 'health-danger');
+}
 
-            const result = await executeAssetOperation(operation, asset, amount);
-            if (result?.skipped) {
-                skipped.push({ asset: asset.symbol, reason: result.reason });
-            } else {
-                results.push({ asset: asset.symbol, status: 'success' });
-            }
-        }
+function renderHealthPreview(health) {
+    const { before, after } = health;
+    const minHealthFactor = getMinHealthFactor();
+    const blocked = HealthPreview.isBelowSafetyMargin(health, minHealthFactor);
+    const reverting = health.legs.filter(leg => !leg.ok).length;
 
-        // Show results
-        if (results.length > 0 && skipped.length === 0) {
-            showToast(`Successfully executed ${operation} for ${results.length} assets`, 'success');
-        } else if (results.length > 0) {
-            showToast(`${operation} completed for ${results.length} assets (${skipped.length} skipped)`, 'success');
-        } else if (skipped.length > 0) {
-            showToast(`All ${skipped.length} assets were skipped. Try deploying contracts first.`, 'warning');
-        } else {
-            showToast(`No operations performed.`, 'warning');
-        }
+    setBatchExecuteBlocked(currentOperation, blocked
+        ? `Projected health factor ${formatHealthFactor(after.healthFactor)} is below your minimum of ${formatHealthFactor(minHealthFactor)}`
+        : null);
 
-        // Refresh data
-        await refreshData();
-    } catch (error) {
-        console.error('Batch operation error:', error);
-        showToast(`Error: ${error.message}`, 'error');
-    }
+    return `
+        <div class="health-preview">
+            <div class="preview-item">
+                <span>Total collateral</span>
+                <span>$${formatUnits(before.collateralValue, 8)} → $${formatUnits(after.collateralValue, 8)}</span>
+            </div>
+            <div class="preview-item">
+                <span>Total debt</span>
+                <span>$${formatUnits(before.debt, 8)} → $${formatUnits(after.debt, 8)}</span>
+            </div>
+            <div class="preview-item">
+                <span>Health factor</span>
+                <span>
+                    <span class="${healthFactorClass(before.healthFactor)}">${formatHealthFactor(before.healthFactor)}</span> →
+                    <span class="${healthFactorClass(after.healthFactor)}">${formatHealthFactor(after.healthFactor)}</span>
+                </span>
+            </div>
+            ${reverting > 0 ? `<p class="muted warning">${reverting} leg(s) would revert and be skipped</p>` : ''}
+            ${blocked ? `<p class="preview-blocked">Blocked: the health factor would fall below ${formatHealthFactor(minHealthFactor)}</p>` : ''}
+        </div>
+    `;
 }
 
-async function executeAssetOperation(action, asset, amount) {
-    const poolAddress = await lendingPoolContract.getAddress();
-    const userAddress = await signer.getAddress();
+// Disables the operation's Execute button while the preview blocks it; null reason unblocks
+function setBatchExecuteBlocked(operation, reason) {
+    const button = document.getElementById(`execute-${operation}`);
+    if (!button) return;
+    button.disabled = Boolean(reason);
+    button.title = reason || '';
+}
 
-    // Verify the token contract is valid before proceeding
-    const code = await provider.getCode(asset.address);
-    if (!code || code === '0x') {
-        // Skip this token silently - it's not deployed on the current network
-        console.warn(`[Mini-DeFi] Skipping ${asset.symbol} - contract not deployed at ${asset.address}`);
-        return { skipped: true, reason: 'Contract not deployed' };
+// ============================================================================
+// Batch Operations
+// ============================================================================
+
+async function executeBatchOperation(operation) {
+    if (!txQueue) {
+        showToast('Please connect your wallet first', 'warning');
+        return;
     }
 
-    const tokenContract = new ethers.Contract(asset.address, ERC20_ABI, signer);
+    if (selectedAssets.size === 0) {
+        showToast('Please select at least one asset', 'error');
+        return;
+    }
 
-    // Check and approve if needed for deposit/repay
-    if (action === 'deposit' || action === 'repay') {
-        try {
-            const allowance = await tokenContract.allowance(userAddress, poolAddress);
-            if (allowance < amount) {
+    const { legs, message } = computeBatchLegs(operation);
+    if (message) {
+        showToast(message, 'error');
+        return;
+    }
+
+    if (HEALTH_PREVIEW_OPERATIONS.includes(operation)
+        && HealthPreview.isBelowSafetyMargin(previewBatchHealth(operation, legs), getMinHealthFactor())) {
+        showToast('Batch blocked: the projected health factor is below your minimum', 'error');
+        return;
+    }
+
+    if (txQueue.isRunning) {
+        showToast('Wait for the current batch to finish', 'warning');
+        return;
+    }
+    if (txQueue.hasUnfinished && !confirm('An earlier batch has legs that were not sent. Discard them and start this batch?')) {
+        return;
+    }
+
+    showToast(`Executing batch ${operation}...`, 'info');
+    // Legs without a price are recorded as failed so they show up in the queue
+    const queued = legs.map(leg => leg.amount === null ? { ...leg, error: 'No price data' } : leg);
+    await runTxQueue(() => txQueue.start(operation, queued));
+}
+
+// Withdraws are denominated in deposit shares (see lib/share-math.js); read the
+// current share totals right before sending so the conversion is as fresh as possible
+async function getWithdrawShares(asset, amount) {
+    const userAddress = await signer.getAddress();
+    const poolAddress = lendingPoolContract.target;
+    const poolInterface = lendingPoolContract.interface;
+
+    const [account, poolAccount, cash] = await batchReader.read([
+        { target: poolAddress, iface: poolInterface, method: 'userAccounts', args: [userAddress, asset.address], allowFailure: false },
+        { target: poolAddress, iface: poolInterface, method: 'poolAccounts', args: [asset.address], allowFailure: false },
+        { target: asset.address, iface: new ethers.Interface(ERC20_ABI), method: 'balanceOf', args: [poolAddress], allowFailure: false }
+    ]);
+
+    return ShareMath.withdrawShares({
+        amount,
+        userShares: account.value.shares,
+        pool: {
+            cash: cash.value,
+            totalShares: poolAccount.value.totalShares,
+            totalBorrows: poolAccount.value.totalBorrows,
+            totalReserves: poolAccount.value.totalReserves
+        }
+    });
+}
+
+// `amount` is a token amount for every action; a null withdraw amount withdraws the whole deposit
+// `hooks` let the transaction queue follow the leg: signing(step) before each wallet prompt and
+// submitted(step, txHash) once sent, where step is 'approval' or 'transaction'
+async function executeAssetOperation(action, asset, amount, hooks = {}) {
+    const poolAddress = await lendingPoolContract.getAddress();
+    const userAddress = await signer.getAddress();
+
+    // Verify the token contract is valid before proceeding
+    const code = await provider.getCode(asset.address);
+    if (!code || code === '0x') {
+        // Skip this token silently - it's not deployed on the current network
+        console.warn(`[Mini-DeFi] Skipping ${asset.symbol} - contract not deployed at ${asset.address}`);
+        return { skipped: true, reason: 'Contract not deployed' };
+    }
+
+    const tokenContract = new ethers.Contract(asset.address, ERC20_ABI, signer);
+
+    // Check and approve if needed for deposit/repay
+    if (action === 'deposit' || action === 'repay') {
+        try {
+            const allowance = await tokenContract.allowance(userAddress, poolAddress);
+            if (allowance < amount) {
                 showToast(`Approving ${asset.symbol}...`, 'info');
+                hooks.signing?.('approval');
                 const approveTx = await tokenContract.approve(poolAddress, ethers.MaxUint256);
+                hooks.submitted?.('approval', approveTx.hash);
                 await approveTx.wait();
             }
         } catch (approvalErr) {
@@ -1102,13 +1513,17 @@ async function executeAssetOperation(action, asset, amount) {
 
     let tx;
     try {
+        hooks.signing?.('transaction');
         switch (action) {
             case 'deposit':
                 tx = await lendingPoolContract.deposit(asset.address, amount);
                 break;
-            case 'withdraw':
-                tx = await lendingPoolContract.withdraw(asset.address, amount);
+            case 'withdraw': {
+                const { shares } = await getWithdrawShares(asset, amount);
+                if (shares === 0n) return { skipped: true, reason: 'Nothing to withdraw' };
+                tx = await lendingPoolContract.withdraw(asset.address, shares);
                 break;
+            }
             case 'borrow':
                 tx = await lendingPoolContract.borrow(asset.address, amount);
                 break;
@@ -1119,15 +1534,163 @@ async function executeAssetOperation(action, asset, amount) {
                 throw new Error('Unknown action');
         }
 
+        hooks.submitted?.('transaction', tx.hash);
         showToast(`Waiting for ${action} confirmation...`, 'info');
-        await tx.wait();
-        return { success: true };
+        const receipt = await tx.wait();
+        return { success: true, receipt };
     } catch (txErr) {
         console.warn(`[Mini-DeFi] Transaction failed for ${asset.symbol}:`, txErr.message);
         return { skipped: true, reason: txErr.message };
     }
 }
 
+// ============================================================================
+// Transaction Queue
+// ============================================================================
+
+let txQueue = null; // Batch legs for the connected account, saved across reloads (see lib/tx-queue.js)
+let txExplorerUrl = ''; // Block explorer for receipt links; local networks show receipts inline
+
+const TX_STATUS_LABELS = {
+    'pending': 'Pending',
+    'awaiting-signature': 'Awaiting signature',
+    'confirming': 'Confirming',
+    'mined': 'Mined',
+    'failed': 'Failed',
+    'cancelled': 'Cancelled'
+};
+
+async function createAccountTxQueue() {
+    const account = await signer.getAddress();
+    const { chainId } = await provider.getNetwork();
+    txExplorerUrl = window.appConfig?.supportedNetworks?.[chainId.toString()]?.explorerUrl || '';
+
+    const queue = TxQueue.createTxQueue({
+        storage: localStorage,
+        storageKey: `mini-defi-tx-queue:${chainId}:${lendingPoolContract.target}:${account}`.toLowerCase(),
+        execute: async (leg, hooks) => {
+            const result = await executeAssetOperation(queue.operation, leg.asset, leg.amount, hooks);
+            if (result.skipped) throw new Error(result.reason);
+            return result.receipt;
+        },
+        // A transaction sent before a reload: wait for it if the node still knows it
+        confirm: async (txHash) => {
+            const tx = await provider.getTransaction(txHash);
+            return tx ? tx.wait() : null;
+        },
+        onChange: renderTxQueue
+    });
+    return queue;
+}
+
+// Runs a queue action (start, resume, retry), then reports the outcome and refreshes positions
+async function runTxQueue(action) {
+    try {
+        const counts = await action();
+        const sent = counts['mined'];
+        if (counts['failed'] === 0 && counts['cancelled'] === 0) {
+            showToast(`Successfully executed ${txQueue.operation} for ${sent} assets`, 'success');
+        } else if (sent > 0) {
+            showToast(`${txQueue.operation} completed for ${sent} assets (${counts['failed']} failed, ${counts['cancelled']} cancelled)`, 'warning');
+        } else {
+            showToast(`No ${txQueue.operation} legs were mined. Retry failed legs from the queue.`, 'warning');
+        }
+        await refreshData();
+    } catch (error) {
+        console.error('Batch operation error:', error);
+        showToast(`Error: ${error.message}`, 'error');
+    }
+}
+
+function resumeTxQueue() {
+    if (txQueue && !txQueue.isRunning) runTxQueue(() => txQueue.run());
+}
+
+function retryTxLegs(legId = null) {
+    if (txQueue && !txQueue.isRunning) runTxQueue(() => txQueue.retry(legId));
+}
+
+function cancelTxQueue() {
+    txQueue?.cancel();
+}
+
+function dismissTxQueue() {
+    if (txQueue && !txQueue.isRunning) txQueue.clear();
+}
+
+function txReceiptLink(txHash) {
+    const label = `${txHash.slice(0, 10)}...`;
+    if (txExplorerUrl) {
+        return `<a href="${txExplorerUrl.replace(/\/$/, '')}/tx/${txHash}" target="_blank" rel="noopener">${label}</a>`;
+    }
+    return `<a href="#" onclick="showTxReceipt('${txHash}'); return false;">${label}</a>`;
+}
+
+async function showTxReceipt(txHash) {
+    const details = document.getElementById('tx-queue-receipt');
+    if (!details || !provider) return;
+    try {
+        const receipt = await provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            details.innerHTML = `<p class="muted">No receipt for ${txHash}; the node may have been reset.</p>`;
+            return;
+        }
+        details.innerHTML = `
+            <div class="preview-item"><span>Transaction</span><span class="tx-hash">${receipt.hash}</span></div>
+            <div class="preview-item"><span>Status</span><span>${receipt.status === 1 ? 'Success' : 'Reverted'}</span></div>
+            <div class="preview-item"><span>Block</span><span>${receipt.blockNumber}</span></div>
+            <div class="preview-item"><span>Gas used</span><span>${receipt.gasUsed.toLocaleString()}</span></div>
+            <div class="preview-item"><span>Events</span><span>${receipt.logs.length}</span></div>
+        `;
+    } catch (error) {
+        details.innerHTML = `<p class="muted">Could not load the receipt: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderTxQueue() {
+    const container = document.getElementById('tx-queue');
+    if (!container) return;
+    if (!txQueue || txQueue.legs.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const counts = txQueue.summary();
+    const running = txQueue.isRunning;
+    container.style.display = '';
+    document.getElementById('tx-queue-summary').textContent =
+        `${txQueue.operation}: ${counts['mined']}/${txQueue.legs.length} mined` +
+        (counts['failed'] ? `, ${counts['failed']} failed` : '') +
+        (counts['cancelled'] ? `, ${counts['cancelled']} cancelled` : '') +
+        (running ? '' : (txQueue.hasUnfinished ? ' - interrupted' : ''));
+
+    document.getElementById('tx-queue-legs').innerHTML = txQueue.legs.map(leg => {
+        const amount = leg.amount === null ? '-' : `${formatUnits(leg.amount, leg.asset.decimals)} ${escapeHtml(leg.asset.symbol)}`;
+        let detail = '';
+        if (leg.status === 'mined') {
+            detail = txReceiptLink(leg.txHash);
+        } else if (leg.status === 'failed') {
+            detail = `<span class="tx-error" title="${escapeHtml(leg.error || '')}">${escapeHtml(leg.error || 'Failed')}</span>` +
+                (running ? '' : ` <button class="btn btn-ghost btn-sm" onclick="retryTxLegs(${leg.id})">Retry</button>`);
+        } else if (leg.txHash || leg.approvalTxHash) {
+            detail = `<span class="tx-hash">${(leg.txHash || leg.approvalTxHash).slice(0, 10)}...</span>`;
+        }
+        return `
+            <div class="tx-leg tx-${leg.status}">
+                <span class="tx-leg-asset">${escapeHtml(leg.asset.symbol)}</span>
+                <span class="tx-leg-amount">${amount}</span>
+                <span class="tx-status">${TX_STATUS_LABELS[leg.status]}${leg.status === 'awaiting-signature' && leg.step === 'approval' ? ' (approval)' : ''}</span>
+                <span class="tx-leg-detail">${detail}</span>
+            </div>
+        `;
+    }).join('');
+
+    document.getElementById('tx-queue-resume').style.display = !running && txQueue.hasUnfinished ? '' : 'none';
+    document.getElementById('tx-queue-retry').style.display = !running && counts['failed'] > 0 ? '' : 'none';
+    document.getElementById('tx-queue-cancel').style.display = counts['pending'] > 0 ? '' : 'none';
+    document.getElementById('tx-queue-dismiss').style.display = running ? 'none' : '';
+}
+
 // ============================================================================
 // Liquidation
 // ============================================================================
@@ -1143,6 +1706,106 @@ function populateLiquidationDropdowns() {
     collateralSelect.innerHTML = '<option value="">Select collateral</option>' + options;
 }
 
+let liquidationScanner = null; // Borrower set and health-factor polling (see lib/liquidation-scanner.js)
+let liquidationOpportunities = [];
+let liquidationPollTimer = null;
+
+function getLiquidationScanner() {
+    if (!liquidationScanner) {
+        liquidationScanner = LiquidationScanner.createLiquidationScanner({
+            pool: new ethers.Contract(lendingPoolContract.target, abiRegistry.get('LendingPool'), provider),
+            provider,
+            reader: batchReader,
+            startBlock: window.deployedContracts?.blockNumber || 0,
+            chunkSize: window.appConfig?.history?.blockChunkSize || EventHistory.DEFAULT_BLOCK_CHUNK_SIZE
+        });
+    }
+    return liquidationScanner;
+}
+
+async function scanLiquidations() {
+    if (!lendingPoolContract || !provider) {
+        showToast('Connect your wallet first', 'warning');
+        return;
+    }
+
+    const status = document.getElementById('liquidation-scan-status');
+    status.textContent = 'Scanning...';
+    try {
+        const closeFactor = await lendingPoolContract.closeFactor();
+        const { borrowers, opportunities } = await getLiquidationScanner().scan({ assets, closeFactor });
+        liquidationOpportunities = opportunities;
+        status.textContent = `${borrowers} borrower(s), ${opportunities.length} below HF 1.0 · ${new Date().toLocaleTimeString()}`;
+        renderLiquidationOpportunities();
+        scheduleLiquidationPoll();
+    } catch (error) {
+        console.error('Liquidation scan error:', error);
+        status.textContent = `Scan failed: ${error.message}`;
+    }
+}
+
+// Keeps health factors fresh while the liquidation form is open
+function scheduleLiquidationPoll() {
+    clearTimeout(liquidationPollTimer);
+    const seconds = window.appConfig?.liquidations?.pollIntervalSeconds || 30;
+    liquidationPollTimer = setTimeout(() => {
+        if (currentOperation === 'liquidate' && signer) scanLiquidations();
+    }, seconds * 1000);
+}
+
+function renderLiquidationOpportunities() {
+    const container = document.getElementById('liquidation-opportunities');
+    if (!container) return;
+
+    if (liquidationOpportunities.length === 0) {
+        container.innerHTML = '<p class="muted">No liquidatable accounts</p>';
+        return;
+    }
+
+    container.innerHTML = liquidationOpportunities.map((opportunity, i) => {
+        const { borrower, healthFactor, collateralValue, debtValue, positions, best } = opportunity;
+        const breakdown = positions.map(({ asset, deposits, borrows }) => `
+            <li>
+                <span>${asset.symbol}</span>
+                <span>${deposits > 0n ? `+${formatUnits(deposits, asset.decimals)}` : ''}
+                    ${borrows > 0n ? `<span class="liquidation-debt">-${formatUnits(borrows, asset.decimals)}</span>` : ''}</span>
+            </li>
+        `).join('');
+        const action = best
+            ? `<div class="liquidation-best">
+                    Repay ${formatUnits(best.repayAmount, best.debtAsset.decimals)} ${best.debtAsset.symbol}
+                    → seize ${formatUnits(best.seizeAmount, best.collateralAsset.decimals)} ${best.collateralAsset.symbol}
+                    <strong>≈ $${formatUnits(best.profit, 8)} profit</strong>
+                </div>
+                <button type="button" class="btn btn-ghost btn-sm" onclick="prefillLiquidation(${i})">Prefill</button>`
+            : '<p class="muted">No pair the pool would liquidate</p>';
+
+        return `
+            <div class="liquidation-opportunity">
+                <div class="liquidation-opportunity-header">
+                    <span class="liquidation-borrower" title="${borrower}">${borrower.slice(0, 6)}...${borrower.slice(-4)}</span>
+                    <span class="liquidation-debt">HF ${formatHealthFactor(healthFactor)}</span>
+                </div>
+                <div class="muted">Collateral $${formatUnits(collateralValue, 8)} · Debt $${formatUnits(debtValue, 8)}</div>
+                <ul class="liquidation-breakdown">${breakdown}</ul>
+                ${action}
+            </div>
+        `;
+    }).join('');
+}
+
+// Fills the liquidation form with the most profitable pair of a scanned account
+function prefillLiquidation(index) {
+    const opportunity = liquidationOpportunities[index];
+    if (!opportunity || !opportunity.best) return;
+
+    const { best } = opportunity;
+    document.getElementById('liquidate-borrower').value = opportunity.borrower;
+    document.getElementById('liquidate-debt-asset').value = best.debtAsset.address;
+    document.getElementById('liquidate-collateral-asset').value = best.collateralAsset.address;
+    document.getElementById('liquidate-amount').value = formatUnits(best.repayAmount, best.debtAsset.decimals);
+}
+
 async function executeLiquidation() {
     const borrower = document.getElementById('liquidate-borrower')?.value;
     const debtAsset = document.getElementById('liquidate-debt-asset')?.value;
@@ -1170,7 +1833,8 @@ async function executeLiquidation() {
             await approveTx.wait();
         }
 
-        const tx = await lendingPoolContract.liquidate(borrower, collateralAsset, debtAsset, repayAmount);
+        // Repayment is capped on-chain by the close factor and the borrower's remaining collateral
+        const tx = await lendingPoolContract.liquidate(borrower, debtAsset, collateralAsset, repayAmount);
         await tx.wait();
 
         showToast('Liquidation successful!', 'success');
@@ -1185,29 +1849,35 @@ async function executeLiquidation() {
 // Portfolio & Positions
 // ============================================================================
 
-async function updatePortfolio() {
-    if (!signer || !lendingPoolContract) {
-        document.getElementById('total-collateral').textContent = '$0.00';
-        document.getElementById('total-borrowed').textContent = '$0.00';
-        document.getElementById('health-factor').textContent = '-';
-        document.getElementById('net-worth').textContent = '$0.00';
-        return;
-    }
-
-    let totalCollateralUSD = BigInt(0);
-    let totalBorrowedUSD = BigInt(0);
+// USD value (8 decimals) of the connected account's deposits and borrows at the loaded prices
+function portfolioTotals() {
+    let collateral = BigInt(0);
+    let borrowed = BigInt(0);
 
     for (const asset of assets) {
         const position = userPositions[asset.address];
         if (!position || asset.price === 0n) continue;
 
         if (position.deposits > 0n) {
-            totalCollateralUSD += position.deposits * asset.price / (10n ** BigInt(asset.decimals));
+            collateral += position.deposits * asset.price / (10n ** BigInt(asset.decimals));
         }
         if (position.borrows > 0n) {
-            totalBorrowedUSD += position.borrows * asset.price / (10n ** BigInt(asset.decimals));
+            borrowed += position.borrows * asset.price / (10n ** BigInt(asset.decimals));
         }
     }
+    return { collateral, borrowed };
+}
+
+async function updatePortfolio() {
+    if (!signer || !lendingPoolContract) {
+        document.getElementById('total-collateral').textContent = '$0.00';
+        document.getElementById('total-borrowed').textContent = '$0.00';
+        document.getElementById('health-factor').textContent = '-';
+        document.getElementById('net-worth').textContent = '$0.00';
+        return;
+    }
+
+    const { collateral: totalCollateralUSD, borrowed: totalBorrowedUSD } = portfolioTotals();
 
     document.getElementById('total-collateral').textContent = '$' + formatUnits(totalCollateralUSD, 8);
     document.getElementById('total-borrowed').textContent = '$' + formatUnits(totalBorrowedUSD, 8);
@@ -1215,12 +1885,10 @@ async function updatePortfolio() {
     // Get health factor
     try {
         const healthFactor = await lendingPoolContract.getHealthFactor(await signer.getAddress());
-        const hfFormatted = formatUnits(healthFactor, 18);
-        const hfNum = parseFloat(hfFormatted);
-        
+
         const hfEl = document.getElementById('health-factor');
-        hfEl.textContent = hfNum > 1000 ? 'MAX' : hfNum.toFixed(2);
-        hfEl.className = `overview-value ${hfNum >= 1.5 ? 'health-good' : (hfNum >= 1.0 ? 'health-warning' : 'health-danger')}`;
+        hfEl.textContent = formatHealthFactor(healthFactor);
+        hfEl.className = `overview-value ${healthFactorClass(healthFactor)}`;
     } catch (e) {
         document.getElementById('health-factor').textContent = '-';
     }
@@ -1234,18 +1902,26 @@ function updatePositionsTable() {
     const tbody = document.getElementById('positions-tbody');
     
     if (!signer) {
-        tbody.innerHTML = '<tr class="empty-row"><td colspan="6">Connect wallet to view positions</td></tr>';
+        tbody.innerHTML = '<tr class="empty-row"><td colspan="10">Connect wallet to view positions</td></tr>';
         return;
     }
 
     // Filter to assets with positions
-    const assetsWithPositions = assets.filter(asset => {
+    let assetsWithPositions = assets.filter(asset => {
         const pos = userPositions[asset.address];
         return pos && (pos.deposits > 0 || pos.borrows > 0);
     });
+    if (positionSort.key) {
+        assetsWithPositions = assetsWithPositions.sort(compareAssetsByRate(positionSort.key, positionSort.direction));
+    }
+    document.querySelectorAll('#positions-table th[data-sort]').forEach(th => {
+        const sorted = th.dataset.sort === positionSort.key;
+        th.classList.toggle('sorted', sorted);
+        th.setAttribute('aria-sort', sorted ? (positionSort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+    });
 
     if (assetsWithPositions.length === 0) {
-        tbody.innerHTML = '<tr class="empty-row"><td colspan="6">No positions yet</td></tr>';
+        tbody.innerHTML = '<tr class="empty-row"><td colspan="10">No positions yet</td></tr>';
         return;
     }
 
@@ -1255,6 +1931,8 @@ function updatePositionsTable() {
         const depositsFormatted = formatUnits(pos.deposits, asset.decimals);
         const borrowsFormatted = formatUnits(pos.borrows, asset.decimals);
         const cfFormatted = formatUnits(asset.collateralFactor, 16) + '%';
+        const maxWithdraw = pos.deposits > 0n ? getSafeMaxAmount(asset, 'withdraw') : 0n;
+        const maxBorrow = getSafeMaxAmount(asset, 'borrow');
 
         return `
             <tr>
@@ -1271,32 +1949,78 @@ function updatePositionsTable() {
                 <td>${depositsFormatted}</td>
                 <td>${borrowsFormatted}</td>
                 <td>${cfFormatted}</td>
+                <td>${formatRate(asset, 'utilization')}</td>
+                <td>${formatRate(asset, 'supplyApy')}</td>
+                <td>${formatRate(asset, 'borrowApy')}</td>
+                <td>
+                    <div class="safe-max">
+                        <span>Withdraw ${formatUnits(maxWithdraw, asset.decimals)}</span>
+                        <button class="btn btn-ghost btn-sm" onclick="quickAction('${asset.address}', 'withdraw', true)" ${maxWithdraw === 0n ? 'disabled' : ''}>Max</button>
+                    </div>
+                    <div class="safe-max">
+                        <span>Borrow ${formatUnits(maxBorrow, asset.decimals)}</span>
+                        <button class="btn btn-ghost btn-sm" onclick="quickAction('${asset.address}', 'borrow', true)" ${maxBorrow === 0n ? 'disabled' : ''}>Max</button>
+                    </div>
+                </td>
                 <td>
                     <button class="btn btn-ghost btn-sm" onclick="quickAction('${asset.address}', 'withdraw')">Withdraw</button>
+                    <button class="btn btn-ghost btn-sm" onclick="quickAction('${asset.address}', 'borrow')">Borrow</button>
                     <button class="btn btn-ghost btn-sm" onclick="quickAction('${asset.address}', 'repay')">Repay</button>
+                    <button class="btn btn-ghost btn-sm" onclick="showRateCurve('${asset.address}')">Curve</button>
                 </td>
             </tr>
         `;
     }).join('');
 }
 
-async function quickAction(address, action) {
+// Clicking a rate column sorts by it, highest first; clicking it again flips the order
+function sortPositions(key) {
+    positionSort = positionSort.key === key
+        ? { key, direction: positionSort.direction === 'desc' ? 'asc' : 'desc' }
+        : { key, direction: 'desc' };
+    updatePositionsTable();
+}
+
+// `useMax` prefills the prompt with the largest amount that keeps the target health factor
+async function quickAction(address, action, useMax = false) {
     const asset = assets.find(a => a.address === address);
     if (!asset) return;
 
     const pos = userPositions[address];
-    const maxAmount = action === 'withdraw' ? pos?.deposits : pos?.borrows;
+    if (action === 'repay' && (!pos || pos.borrows === 0n)) {
+        showToast('No borrows to repay', 'warning');
+        return;
+    }
+    if (action === 'withdraw' && (!pos || pos.deposits === 0n)) {
+        showToast('No deposits to withdraw', 'warning');
+        return;
+    }
 
-    if (!maxAmount || maxAmount === BigInt(0)) {
-        showToast(`No ${action === 'withdraw' ? 'deposits' : 'borrows'} to ${action}`, 'warning');
+    const maxAmount = action === 'repay' ? pos.borrows : getSafeMaxAmount(asset, action);
+    if (maxAmount === 0n) {
+        const target = formatUnits(getMinHealthFactor(), 18);
+        showToast(`Cannot ${action} any ${asset.symbol} without going below a health factor of ${target}`, 'warning');
         return;
     }
 
-    const amountStr = prompt(`Enter amount to ${action} (max: ${formatUnits(maxAmount, asset.decimals)} ${asset.symbol}):`);
+    const maxFormatted = formatUnits(maxAmount, asset.decimals);
+    // Withdrawing the whole deposit sends every share instead of a rounded amount
+    const canWithdrawAll = action === 'withdraw' && maxAmount === pos.deposits;
+    const amountStr = prompt(
+        `Enter amount to ${action} (max: ${maxFormatted} ${asset.symbol})` +
+            (canWithdrawAll ? ', or "all" for the whole deposit:' : ':'),
+        useMax ? (canWithdrawAll ? 'all' : maxFormatted) : ''
+    );
     if (!amountStr) return;
 
+    const withdrawAll = action === 'withdraw' && amountStr.trim().toLowerCase() === 'all';
+    if (withdrawAll && !canWithdrawAll) {
+        showToast(`Part of your ${asset.symbol} deposit backs your debt; at most ${maxFormatted} can be withdrawn`, 'warning');
+        return;
+    }
+
     try {
-        const amount = ethers.parseUnits(amountStr, asset.decimals);
+        const amount = withdrawAll ? null : ethers.parseUnits(amountStr, asset.decimals);
         showToast(`Executing ${action}...`, 'info');
         await executeAssetOperation(action, asset, amount);
         showToast(`${action} successful!`, 'success');
@@ -1309,13 +2033,1834 @@ async function quickAction(address, action) {
 
 async function refreshData() {
     showToast('Refreshing data...', 'info');
+    await loadAssetRates();
     await loadUserPositions();
     filterAssets();
     updatePositionsTable();
     await updatePortfolio();
+    updatePreview();
+    if (historyLoader) await loadHistory();
     showToast('Data refreshed', 'success');
 }
 
+// ============================================================================
+// Rate Curve Explorer
+// ============================================================================
+
+let curveState = null; // { asset, model, contract, params, curve, overlay: {contract, params, curve} | null }
+
+const CURVE_CHART = { width: 640, height: 260, left: 48, right: 16, top: 16, bottom: 32 };
+
+function populateCurveAssets() {
+    const select = document.getElementById('curve-asset');
+    if (!select) return;
+
+    const current = select.value;
+    select.innerHTML = '<option value="">Select asset</option>' +
+        assets.map(a => `<option value="${a.address}">${a.symbol}</option>`).join('');
+    select.value = assets.some(a => a.address === current) ? current : '';
+}
+
+// Interfaces of the models the registry has ABIs for, keyed by contract name
+function curveModelInterfaces() {
+    const interfaces = {};
+    for (const contract of Object.keys(RateCurves.MODEL_PROBES)) {
+        const abi = abiRegistry.abis[contract];
+        if (abi) interfaces[contract] = new ethers.Interface(abi);
+    }
+    return interfaces;
+}
+
+// Opens the explorer on an asset, e.g. from the positions table
+async function showRateCurve(address) {
+    document.getElementById('curve-asset').value = address;
+    document.getElementById('rate-curve-section')?.scrollIntoView({ behavior: 'smooth' });
+    await loadRateCurve();
+}
+
+async function loadRateCurve() {
+    const address = document.getElementById('curve-asset').value;
+    const asset = assets.find(a => a.address === address);
+    const info = document.getElementById('curve-info');
+    curveState = null;
+    document.getElementById('curve-overlay-form').style.display = 'none';
+    if (!asset) {
+        info.textContent = 'Select an asset to plot its borrow APR against utilization.';
+        renderRateCurve();
+        return;
+    }
+
+    try {
+        info.textContent = `Sampling ${asset.symbol}'s interest rate model...`;
+        const interfaces = curveModelInterfaces();
+        const model = asset.interestRateModel;
+        const contract = await RateCurves.detectModel({ reader: batchReader, model, interfaces });
+        const curve = await RateCurves.readCurve({
+            reader: batchReader, model, iface: new ethers.Interface(abiRegistry.get('LinearInterestRateModel'))
+        });
+
+        let params = null;
+        if (contract && RateCurves.FORMULAS[contract]) {
+            params = await RateCurves.readModelParams({
+                reader: batchReader,
+                model,
+                iface: interfaces[contract],
+                params: GovernanceCalls.getCall(contract).params,
+                contract,
+                repoOracleInterface: new ethers.Interface(abiRegistry.get('GlobalRepoRateOracle'))
+            });
+        }
+
+        curveState = { asset, model, contract, params, curve, overlay: null };
+        const label = contract ? GovernanceCalls.getCall(contract).label : 'Unknown';
+        info.textContent = contract === 'TimeWeightedInterestRateModel'
+            ? `${asset.symbol} uses a ${label} model at ${model.slice(0, 6)}...${model.slice(-4)}; its rate follows utilization over time, so the curve is flat at the current APR.`
+            : `${asset.symbol} uses a ${label} model at ${model.slice(0, 6)}...${model.slice(-4)}.`;
+
+        renderCurveOverlayModels();
+        document.getElementById('curve-overlay-form').style.display = '';
+    } catch (error) {
+        console.error('[Mini-DeFi] Could not load rate curve:', error);
+        info.textContent = `Could not read ${asset.symbol}'s interest rate model: ${error.shortMessage || error.message}`;
+    }
+    renderRateCurve();
+}
+
+// Overlays start from the asset's own model and parameters
+function renderCurveOverlayModels() {
+    const select = document.getElementById('curve-overlay-model');
+    const contracts = Object.keys(RateCurves.FORMULAS);
+    select.innerHTML = contracts
+        .map(contract => `<option value="${contract}">${GovernanceCalls.getCall(contract).label}</option>`)
+        .join('');
+    select.value = contracts.includes(curveState.contract) ? curveState.contract : contracts[0];
+    renderCurveOverlayParams();
+}
+
+function curveOverlayParams(contract) {
+    return [...GovernanceCalls.getCall(contract).params, ...(RateCurves.EXTRA_PARAMS[contract] || [])];
+}
+
+function renderCurveOverlayParams() {
+    const contract = document.getElementById('curve-overlay-model').value;
+    const current = contract === curveState.contract ? curveState.params : null;
+    document.getElementById('curve-overlay-params').innerHTML = curveOverlayParams(contract).map(param => {
+        const unit = param.unit === 'percent' ? '%' : '×1e18';
+        const value = current ? ethers.formatUnits(current[param.name], param.unit === 'percent' ? 16 : 18).replace(/\.0$/, '') : '';
+        return `
+            <div class="form-group">
+                <label>${escapeHtml(param.label)} ${unit}</label>
+                <input type="text" class="form-input" data-curve-param="${param.name}" value="${value}" placeholder="0" />
+            </div>
+        `;
+    }).join('');
+    updateCurveOverlay();
+}
+
+function readCurveOverlayParams(contract) {
+    return Object.fromEntries(curveOverlayParams(contract).map(param => {
+        const raw = document.querySelector(`[data-curve-param="${param.name}"]`)?.value.trim() || '';
+        return [param.name, parseParamValue(param, raw)];
+    }));
+}
+
+function updateCurveOverlay() {
+    if (!curveState) return;
+    const preview = document.getElementById('curve-overlay-preview');
+    const contract = document.getElementById('curve-overlay-model').value;
+
+    try {
+        const params = readCurveOverlayParams(contract);
+        curveState.overlay = { contract, params, curve: RateCurves.localCurve(contract, params) };
+    } catch (e) {
+        curveState.overlay = null;
+        preview.innerHTML = `<p class="muted">${escapeHtml(e.message)}</p>`;
+        renderRateCurve();
+        return;
+    }
+
+    // APR now and with the overlay at a few utilizations, including the asset's current one
+    const utilization = curveState.asset.rates?.utilization;
+    const checkpoints = [0n, 5n * 10n ** 17n, 8n * 10n ** 17n, 10n ** 18n];
+    if (utilization !== undefined && !checkpoints.includes(utilization)) checkpoints.push(utilization);
+    checkpoints.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    const overlayApr = (u) => {
+        const [point] = RateCurves.localCurve(contract, curveState.overlay.params, [u]);
+        return point.apr === null ? 'reverts' : RateMath.formatPercent(point.apr);
+    };
+    const liveApr = (u) => {
+        const point = curveState.curve.find(p => p.utilization === u);
+        if (point) return point.apr === null ? 'N/A' : RateMath.formatPercent(point.apr);
+        if (u === utilization && curveState.asset.rates) return RateMath.formatPercent(RateMath.aprFromRate(curveState.asset.rates.borrowRatePerSecond));
+        return 'N/A';
+    };
+    preview.innerHTML = checkpoints.map(u => `
+        <div class="preview-item${u === utilization ? ' changed' : ''}">
+            <span>${RateMath.formatPercent(u, 0)} utilization${u === utilization ? ' (now)' : ''}</span>
+            <span>${liveApr(u)} → ${overlayApr(u)}</span>
+        </div>
+    `).join('');
+    renderRateCurve();
+}
+
+// Back to the model's current parameters
+function resetCurveOverlay() {
+    if (!curveState) return;
+    renderCurveOverlayParams();
+}
+
+// Hands the overlay to the governance queue form; only the model's own setter can be proposed
+async function proposeCurveOverlay() {
+    const overlay = curveState?.overlay;
+    if (!overlay) {
+        showToast('Enter valid parameters first', 'warning');
+        return;
+    }
+    if (overlay.contract !== curveState.contract) {
+        showToast(`${curveState.asset.symbol}'s model is not a ${GovernanceCalls.getCall(overlay.contract).label} model; only its own parameters can be queued`, 'warning');
+        return;
+    }
+    if (document.getElementById('governance-queue-form').style.display === 'none') {
+        showToast('Load a RateGovernor you own to queue this change', 'warning');
+        return;
+    }
+
+    document.getElementById('gov-queue-call').value = overlay.contract;
+    document.getElementById('gov-queue-target').value = curveState.model;
+    await renderGovernanceParamInputs();
+    for (const param of GovernanceCalls.getCall(overlay.contract).params) {
+        const input = document.querySelector(`[data-gov-param="${param.name}"]`);
+        if (input) input.value = ethers.formatUnits(overlay.params[param.name], param.unit === 'percent' ? 16 : 18).replace(/\.0$/, '');
+    }
+    await updateGovernanceQueuePreview();
+    document.getElementById('governance-section')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Borrow APR (y) against utilization (x) as an SVG: the live curve, the overlay dashed, and
+// a marker at the asset's current utilization
+function renderRateCurve() {
+    const container = document.getElementById('curve-chart');
+    const legend = document.getElementById('curve-legend');
+    if (!curveState) {
+        container.innerHTML = '';
+        legend.innerHTML = '';
+        return;
+    }
+
+    const { width, height, left, right, top, bottom } = CURVE_CHART;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+    const curves = [curveState.curve, curveState.overlay?.curve || []];
+    const maxApr = RateCurves.chartMaxApr(curves);
+    const ratio = (value, max) => Number(value * 10000n / max) / 10000;
+    const x = (utilization) => (left + ratio(utilization, 10n ** 18n) * plotWidth).toFixed(1);
+    const y = (apr) => (top + plotHeight - Math.min(ratio(apr, maxApr), 1) * plotHeight).toFixed(1);
+    const line = (curve) => curve.filter(p => p.apr !== null).map(p => `${x(p.utilization)},${y(p.apr)}`).join(' ');
+
+    const grid = [0n, 1n, 2n, 3n, 4n].map(i => {
+        const u = 10n ** 18n * i / 4n;
+        const apr = maxApr * i / 4n;
+        return `
+            <line class="curve-grid" x1="${x(u)}" y1="${top}" x2="${x(u)}" y2="${top + plotHeight}" />
+            <text class="curve-axis" x="${x(u)}" y="${height - 8}" text-anchor="middle">${RateMath.formatPercent(u, 0)}</text>
+            <line class="curve-grid" x1="${left}" y1="${y(apr)}" x2="${left + plotWidth}" y2="${y(apr)}" />
+            <text class="curve-axis" x="${left - 6}" y="${y(apr)}" text-anchor="end" dominant-baseline="middle">${RateMath.formatPercent(apr, 0)}</text>
+        `;
+    }).join('');
+
+    let marker = '';
+    const rates = curveState.asset.rates;
+    if (rates) {
+        const apr = RateMath.aprFromRate(rates.borrowRatePerSecond);
+        const u = rates.utilization > 10n ** 18n ? 10n ** 18n : rates.utilization;
+        marker = `
+            <line class="curve-marker" x1="${x(u)}" y1="${top}" x2="${x(u)}" y2="${top + plotHeight}" />
+            <circle class="curve-marker-dot" cx="${x(u)}" cy="${y(apr)}" r="4">
+                <title>Now: ${RateMath.formatPercent(rates.utilization)} utilization, ${RateMath.formatPercent(apr)} APR</title>
+            </circle>
+        `;
+    }
+
+    container.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Borrow APR by utilization for ${escapeHtml(curveState.asset.symbol)}">
+            ${grid}
+            <polyline class="curve-live" points="${line(curveState.curve)}" />
+            ${curveState.overlay ? `<polyline class="curve-overlay" points="${line(curveState.overlay.curve)}" />` : ''}
+            ${marker}
+        </svg>
+    `;
+    legend.innerHTML = `
+        <span class="curve-key live">On-chain borrow APR</span>
+        ${curveState.overlay ? `<span class="curve-key overlay">${GovernanceCalls.getCall(curveState.overlay.contract).label} overlay</span>` : ''}
+        ${rates ? `<span class="curve-key marker">Current utilization ${RateMath.formatPercent(rates.utilization)}</span>` : ''}
+    `;
+}
+
+// ============================================================================
+// Repo Rate Oracle
+// ============================================================================
+
+let repoState = null; // { oracle, owner, isOwner, rate, history, dynamicModels, now }
+
+const REPO_PREVIEW_ROWS = 50;
+
+// Fills in the repo oracle the listed assets' DynamicInterestRateModels read, or the one deploy.js recorded
+async function discoverRepoOracle() {
+    const input = document.getElementById('repo-oracle-address');
+    if (!input || !batchReader || assets.length === 0) return;
+
+    try {
+        const models = await RepoRate.readDynamicModels({
+            reader: batchReader,
+            iface: new ethers.Interface(abiRegistry.abis.DynamicInterestRateModel),
+            assets
+        });
+        const oracles = [...new Set(models.values())];
+        if (window.deployedContracts?.repoRateOracle) oracles.push(window.deployedContracts.repoRateOracle);
+        if (!input.value.trim() && oracles.length > 0) input.value = oracles[0];
+        if (input.value.trim()) {
+            await loadRepoRate();
+        } else {
+            document.getElementById('repo-rate-info').textContent =
+                'No listed asset uses a DynamicInterestRateModel. Enter a GlobalRepoRateOracle address to load one.';
+        }
+    } catch (error) {
+        console.error('[Mini-DeFi] Repo oracle discovery failed:', error);
+    }
+}
+
+async function loadRepoRate() {
+    const address = document.getElementById('repo-oracle-address')?.value.trim();
+    if (!signer || !batchReader) {
+        showToast('Connect your wallet first', 'warning');
+        return;
+    }
+    if (!ethers.isAddress(address)) {
+        showToast('Enter a valid GlobalRepoRateOracle address', 'error');
+        return;
+    }
+
+    // The oracle may predate the pool: scan from its own deployment when deploy.js recorded it
+    const deployed = window.deployedContracts;
+    const fromBlock = deployed?.repoRateOracle?.toLowerCase() === address.toLowerCase()
+        ? deployed.repoRateOracleBlock || 0
+        : 0;
+
+    try {
+        const oracle = new ethers.Contract(address, abiRegistry.get('GlobalRepoRateOracle'), provider);
+        const [rate, owner, account, block, history, dynamicModels] = await Promise.all([
+            oracle.getRepoRate(),
+            oracle.owner(),
+            signer.getAddress(),
+            provider.getBlock('latest'),
+            RepoRate.readRateHistory({
+                oracle,
+                provider,
+                fromBlock,
+                chunkSize: window.appConfig?.history?.blockChunkSize || EventHistory.DEFAULT_BLOCK_CHUNK_SIZE
+            }),
+            RepoRate.readDynamicModels({
+                reader: batchReader,
+                iface: new ethers.Interface(abiRegistry.abis.DynamicInterestRateModel),
+                assets
+            })
+        ]);
+        repoState = {
+            oracle,
+            owner,
+            isOwner: owner.toLowerCase() === account.toLowerCase(),
+            rate,
+            history,
+            dynamicModels,
+            now: block.timestamp
+        };
+    } catch (error) {
+        console.error('[Mini-DeFi] Repo rate load error:', error);
+        repoState = null;
+        showToast(`Could not load repo oracle: ${error.shortMessage || error.message}`, 'error');
+    }
+    renderRepoRate();
+}
+
+function formatRepoRate(rate) {
+    return `${RateMath.formatPercent(RateMath.aprFromRate(rate))} APR (${rate.toString()}/s)`;
+}
+
+function renderRepoRate() {
+    const form = document.getElementById('repo-rate-form');
+    const tbody = document.getElementById('repo-rate-tbody');
+    if (!repoState) {
+        document.getElementById('repo-rate-summary').innerHTML = '';
+        document.getElementById('repo-rate-chart').innerHTML = '';
+        tbody.innerHTML = '<tr class="empty-row"><td colspan="4">No repo oracle loaded</td></tr>';
+        form.style.display = 'none';
+        return;
+    }
+
+    const { owner, isOwner, rate, history, dynamicModels, oracle } = repoState;
+    const models = [...dynamicModels].filter(([, reads]) => reads.toLowerCase() === oracle.target.toLowerCase()).map(([model]) => model);
+    const assetCount = assets.filter(asset => models.includes(asset.interestRateModel)).length;
+    document.getElementById('repo-rate-info').textContent =
+        `Owner ${owner.slice(0, 6)}...${owner.slice(-4)}${isOwner ? ' (you)' : ''} · ` +
+        `read by ${models.length} Dynamic model(s) covering ${assetCount} asset(s) · ${history.length} update(s)`;
+    document.getElementById('repo-rate-summary').innerHTML = `
+        <div class="preview-item">
+            <span>Current repo rate</span>
+            <span>${formatRepoRate(rate)}</span>
+        </div>
+    `;
+
+    renderRepoRateChart();
+    const pageSize = window.appConfig?.history?.pageSize || 25;
+    tbody.innerHTML = history.length === 0
+        ? '<tr class="empty-row"><td colspan="4">No RepoRateUpdated events; the rate is unchanged since deployment</td></tr>'
+        : history.slice(-pageSize).reverse().map(entry => `
+            <tr>
+                <td>${new Date(entry.timestamp * 1000).toLocaleString()}</td>
+                <td>${entry.blockNumber}</td>
+                <td>${formatRepoRate(entry.rate)}</td>
+                <td class="admin-account">${entry.transactionHash.slice(0, 10)}...</td>
+            </tr>
+        `).join('');
+
+    form.style.display = isOwner ? '' : 'none';
+    previewRepoRate();
+}
+
+// Step chart of the repo rate's APR from the first update to the latest block
+function renderRepoRateChart() {
+    const container = document.getElementById('repo-rate-chart');
+    const { history, rate, now } = repoState;
+    if (history.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const { width, height, left, right, top, bottom } = CURVE_CHART;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+    const start = history[0].timestamp;
+    const span = Math.max(now - start, 1);
+    const points = [...history.map(entry => ({ timestamp: entry.timestamp, apr: entry.apr })), { timestamp: now, apr: RateMath.aprFromRate(rate) }];
+    const maxApr = RateCurves.chartMaxApr([points]);
+    const x = (timestamp) => (left + (timestamp - start) / span * plotWidth).toFixed(1);
+    const y = (apr) => (top + plotHeight - Number(apr * 10000n / maxApr) / 10000 * plotHeight).toFixed(1);
+    // Each rate holds until the next update
+    const line = points.map((p, i) => (i === 0 ? `${x(p.timestamp)},${y(p.apr)}` : `${x(p.timestamp)},${y(points[i - 1].apr)} ${x(p.timestamp)},${y(p.apr)}`)).join(' ');
+
+    const grid = [0, 1, 2, 3, 4].map(i => {
+        const apr = maxApr * BigInt(i) / 4n;
+        return `
+            <line class="curve-grid" x1="${left}" y1="${y(apr)}" x2="${left + plotWidth}" y2="${y(apr)}" />
+            <text class="curve-axis" x="${left - 6}" y="${y(apr)}" text-anchor="end" dominant-baseline="middle">${RateMath.formatPercent(apr, 1)}</text>
+        `;
+    }).join('');
+    const label = (timestamp) => new Date(timestamp * 1000)[span > 86400 ? 'toLocaleDateString' : 'toLocaleTimeString']();
+    const axis = [start, start + span / 2, now].map((timestamp, i) => `
+        <text class="curve-axis" x="${x(timestamp)}" y="${height - 8}" text-anchor="${['start', 'middle', 'end'][i]}">${label(timestamp)}</text>
+    `).join('');
+    const dots = history.map(entry => `
+        <circle class="curve-marker-dot" cx="${x(entry.timestamp)}" cy="${y(entry.apr)}" r="3">
+            <title>${new Date(entry.timestamp * 1000).toLocaleString()}: ${RateMath.formatPercent(entry.apr)} APR</title>
+        </circle>
+    `).join('');
+
+    container.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Repo rate APR over time">
+            ${grid}
+            ${axis}
+            <polyline class="curve-live" points="${line}" />
+            ${dots}
+        </svg>
+    `;
+}
+
+function readNewRepoRate() {
+    return RepoRate.parseAnnualRate(document.getElementById('repo-rate-new').value);
+}
+
+// Borrow APR of every asset on this oracle's Dynamic models, now and at the new rate
+function previewRepoRate() {
+    const preview = document.getElementById('repo-rate-preview');
+    const submit = document.getElementById('repo-rate-submit');
+    submit.disabled = true;
+    if (!repoState?.isOwner) return;
+    if (!document.getElementById('repo-rate-new').value.trim()) {
+        preview.innerHTML = '';
+        return;
+    }
+
+    let newRate;
+    try {
+        newRate = readNewRepoRate();
+    } catch (e) {
+        preview.innerHTML = renderAdminErrors([e.message]);
+        return;
+    }
+
+    const changes = RepoRate.borrowAprChanges(assets, repoState.dynamicModels, repoState.oracle.target, repoState.rate, newRate);
+    const rows = changes.slice(0, REPO_PREVIEW_ROWS).map(({ asset, utilization, before, after }) => `
+        <div class="preview-item ${before === null ? 'muted warning' : after !== before ? 'changed' : ''}">
+            <span>${escapeHtml(asset.symbol)}${utilization !== null ? ` at ${RateMath.formatPercent(utilization)} utilization` : ''}</span>
+            <span>${before === null ? 'rates unavailable' : `${RateMath.formatPercent(before)} → ${RateMath.formatPercent(after)} borrow APR`}</span>
+        </div>
+    `).join('');
+    preview.innerHTML = `
+        <div class="preview-item ${newRate !== repoState.rate ? 'changed' : ''}">
+            <span>Repo rate</span>
+            <span>${formatRepoRate(repoState.rate)} → ${formatRepoRate(newRate)}</span>
+        </div>
+        ${changes.length === 0 ? '<p class="muted">No listed asset uses a Dynamic model that reads this oracle</p>' : rows}
+        ${changes.length > REPO_PREVIEW_ROWS ? `<p class="muted">and ${changes.length - REPO_PREVIEW_ROWS} more asset(s)</p>` : ''}
+    `;
+    submit.disabled = newRate === repoState.rate;
+}
+
+async function submitRepoRate() {
+    try {
+        const newRate = readNewRepoRate();
+        showToast('Setting repo rate...', 'info');
+        const tx = await repoState.oracle.connect(signer).setRepoRate(newRate);
+        await tx.wait();
+        showToast(`Repo rate set to ${formatRepoRate(newRate)}`, 'success');
+
+        document.getElementById('repo-rate-new').value = '';
+        await loadAssetRates();
+        filterAssets();
+        updatePositionsTable();
+        await loadRepoRate();
+    } catch (error) {
+        console.error('Repo rate error:', error);
+        showToast(`Setting repo rate failed: ${error.shortMessage || error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// Activity History
+// ============================================================================
+
+let historyLoader = null; // Cached log scanner for the connected account (see lib/event-history.js)
+let historyPage = 0;
+
+function getHistoryPageSize() {
+    return window.appConfig?.history?.pageSize || 25;
+}
+
+async function createAccountHistoryLoader() {
+    const account = await signer.getAddress();
+    const { chainId } = await provider.getNetwork();
+    const poolAddress = lendingPoolContract.target;
+
+    return EventHistory.createHistoryLoader({
+        pool: new ethers.Contract(poolAddress, abiRegistry.get('LendingPool'), provider),
+        provider,
+        account,
+        // Nothing can be logged before the pool was deployed
+        startBlock: window.deployedContracts?.blockNumber || 0,
+        chunkSize: window.appConfig?.history?.blockChunkSize || EventHistory.DEFAULT_BLOCK_CHUNK_SIZE,
+        storage: localStorage,
+        cacheKey: `mini-defi-history:${chainId}:${poolAddress}:${account}`.toLowerCase()
+    });
+}
+
+async function loadHistory() {
+    if (!signer || !lendingPoolContract) {
+        showToast('Connect your wallet first', 'warning');
+        return;
+    }
+
+    const status = document.getElementById('history-status');
+    try {
+        if (!historyLoader) historyLoader = await createAccountHistoryLoader();
+        await historyLoader.sync({
+            onProgress: (scanned, total) => {
+                status.textContent = `Scanning blocks... ${scanned.toLocaleString()} / ${total.toLocaleString()}`;
+            }
+        });
+        status.textContent = `${historyLoader.entries.length} events up to block ${historyLoader.scannedTo.toLocaleString()}. USD values use current prices.`;
+        renderHistory();
+    } catch (error) {
+        console.error('[Mini-DeFi] History load error:', error);
+        status.textContent = `Could not load history: ${error.message}`;
+    }
+}
+
+async function rescanHistory() {
+    historyLoader?.clear();
+    historyPage = 0;
+    await loadHistory();
+}
+
+function historyAssetsByAddress() {
+    return new Map(assets.map(asset => [asset.address.toLowerCase(), asset]));
+}
+
+// Export rows for the entries matching the type filter
+function filteredHistoryRows() {
+    if (!historyLoader) return [];
+    const type = document.getElementById('history-type-filter')?.value;
+    const entries = historyLoader.entries.filter(entry => !type || entry.type === type);
+    return EventHistory.toExportRows(entries, historyAssetsByAddress());
+}
+
+function renderHistory() {
+    const tbody = document.getElementById('history-tbody');
+    const rows = filteredHistoryRows();
+    const pageSize = getHistoryPageSize();
+    const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+    historyPage = Math.min(historyPage, pageCount - 1);
+
+    document.getElementById('history-page').textContent = `Page ${historyPage + 1} of ${pageCount}`;
+    document.getElementById('history-prev').disabled = historyPage === 0;
+    document.getElementById('history-next').disabled = historyPage >= pageCount - 1;
+
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr class="empty-row"><td colspan="7">No activity yet</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = rows.slice(historyPage * pageSize, (historyPage + 1) * pageSize).map(row => {
+        const details = row.type === 'Liquidate'
+            ? `${row.role === 'liquidator' ? 'Seized' : 'Lost'} ${row.seizedAmount} ${escapeHtml(row.collateralAsset)} · ${row.counterparty.slice(0, 6)}...${row.counterparty.slice(-4)}`
+            : '';
+        return `
+            <tr>
+                <td>${row.time ? new Date(row.time).toLocaleString() : '-'}</td>
+                <td><span class="badge history-${row.type.toLowerCase()}">${row.type}</span></td>
+                <td>${escapeHtml(row.asset)}</td>
+                <td>${row.amount}</td>
+                <td>${row.usdValue ? '$' + Number(row.usdValue).toLocaleString(undefined, { maximumFractionDigits: 2 }) : 'N/A'}</td>
+                <td>${details}</td>
+                <td class="history-tx" title="${row.transactionHash}">${row.transactionHash.slice(0, 10)}...</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function changeHistoryPage(delta) {
+    historyPage = Math.max(0, historyPage + delta);
+    renderHistory();
+}
+
+function exportHistory(format) {
+    const rows = filteredHistoryRows();
+    if (rows.length === 0) {
+        showToast('No activity to export', 'warning');
+        return;
+    }
+
+    const content = format === 'csv' ? EventHistory.toCSV(rows) : EventHistory.toJSON(rows);
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `mini-defi-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// ============================================================================
+// Governance Queue
+// ============================================================================
+
+let governorContract = null;
+let governanceState = null; // { owner, minDelay, isOwner, chainOffset, proposals }
+let governanceTimer = null;
+
+function initGovernancePanel() {
+    const addressInput = document.getElementById('governor-address');
+    if (addressInput && !addressInput.value) {
+        addressInput.value = window.deployedContracts?.governor || '';
+    }
+
+    const callSelect = document.getElementById('gov-queue-call');
+    if (callSelect) {
+        callSelect.innerHTML = GovernanceCalls.GOVERNED_CALLS
+            .map(call => `<option value="${call.contract}">${call.label} ${call.method}</option>`)
+            .join('');
+        renderGovernanceParamInputs();
+    }
+}
+
+// Chain time, corrected for the offset between the local clock and the latest block
+function governanceNow() {
+    return Math.floor(Date.now() / 1000) + (governanceState?.chainOffset || 0);
+}
+
+async function loadGovernance() {
+    const address = document.getElementById('governor-address')?.value.trim();
+    if (!signer || !batchReader) {
+        showToast('Connect your wallet first', 'warning');
+        return;
+    }
+    if (!ethers.isAddress(address)) {
+        showToast('Enter a valid RateGovernor address', 'error');
+        return;
+    }
+
+    try {
+        governorContract = new ethers.Contract(address, abiRegistry.get('RateGovernor'), signer);
+        const [owner, minDelay, count, block, account] = await Promise.all([
+            governorContract.owner(),
+            governorContract.minDelay(),
+            governorContract.proposalCount(),
+            provider.getBlock('latest'),
+            signer.getAddress()
+        ]);
+
+        const calls = Array.from({ length: Number(count) }, (_, id) => ({
+            target: address,
+            iface: governorContract.interface,
+            method: 'getProposal',
+            args: [id],
+            allowFailure: false
+        }));
+        const results = await batchReader.read(calls);
+
+        governanceState = {
+            owner,
+            minDelay: Number(minDelay),
+            isOwner: owner.toLowerCase() === account.toLowerCase(),
+            chainOffset: block.timestamp - Math.floor(Date.now() / 1000),
+            proposals: results.map(({ value }, id) => ({
+                id,
+                target: value.target,
+                data: value.data,
+                executeAfter: Number(value.executeAfter),
+                executed: value.executed,
+                cancelled: value.cancelled
+            }))
+        };
+
+        const openProposals = governanceState.proposals.filter(p => !p.executed && !p.cancelled);
+        await Promise.all(openProposals.map(describeGovernanceProposal));
+
+        document.getElementById('governance-info').textContent =
+            `Owner ${owner.slice(0, 6)}...${owner.slice(-4)}${governanceState.isOwner ? ' (you)' : ''} · ` +
+            `minimum delay ${GovernanceProposals.formatCountdown(governanceState.minDelay)} · ${count} proposals`;
+        document.getElementById('governance-queue-form').style.display = governanceState.isOwner ? '' : 'none';
+        const delayInput = document.getElementById('gov-queue-delay');
+        if (delayInput && !delayInput.value) delayInput.value = governanceState.minDelay;
+        populateGovernanceTargets();
+
+        renderGovernanceProposals(openProposals);
+        startGovernanceCountdown();
+        await loadGovernanceHistory();
+    } catch (error) {
+        console.error('[Mini-DeFi] Governance load error:', error);
+        governorContract = null;
+        governanceState = null;
+        // Rows from an earlier load would keep counting down and offer to execute on the old governor
+        stopGovernanceCountdown();
+        renderGovernanceProposals([]);
+        showToast(`Could not load governor: ${error.message}`, 'error');
+    }
+}
+
+// Decodes a proposal and compares it with the target's current parameters
+async function describeGovernanceProposal(proposal) {
+    const decoded = GovernanceCalls.decodeCall(proposal.data);
+    if (!decoded) {
+        proposal.summary = GovernanceCalls.describeCall(proposal.data);
+        return;
+    }
+
+    let current = [];
+    try {
+        const target = new ethers.Contract(proposal.target, abiRegistry.get(decoded.contract), provider);
+        current = await GovernanceCalls.readCurrentValues(decoded, target);
+    } catch (e) {
+        console.warn(`[Mini-DeFi] Could not read current values for proposal #${proposal.id}:`, e);
+    }
+    proposal.summary = GovernanceCalls.summarizeChanges(decoded, current);
+    proposal.changes = GovernanceCalls.describeChanges(decoded, current);
+}
+
+function renderGovernanceProposals(openProposals) {
+    const tbody = document.getElementById('governance-tbody');
+    if (openProposals.length === 0) {
+        tbody.innerHTML = '<tr class="empty-row"><td colspan="5">No queued proposals</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = openProposals.map(proposal => {
+        const details = (proposal.changes || [])
+            .map(change => `${change.label}: ${change.from ?? '?'} → ${change.to}`)
+            .join('\n');
+        const cancelButton = governanceState.isOwner
+            ? `<button class="btn btn-ghost btn-sm" onclick="cancelGovernanceProposal(${proposal.id})">Cancel</button>`
+            : '';
+
+        return `
+            <tr>
+                <td>${proposal.id}</td>
+                <td title="${escapeHtml(details)}">${escapeHtml(proposal.summary)}</td>
+                <td class="governance-target">${proposal.target.slice(0, 6)}...${proposal.target.slice(-4)}</td>
+                <td><span class="governance-countdown" data-execute-after="${proposal.executeAfter}"></span></td>
+                <td>
+                    <button class="btn btn-ghost btn-sm" onclick="simulateGovernanceProposal(${proposal.id})">Simulate</button>
+                    <button class="btn btn-success btn-sm" data-execute-id="${proposal.id}" onclick="executeGovernanceProposal(${proposal.id})">Execute</button>
+                    ${cancelButton}
+                </td>
+            </tr>
+        `;
+    }).join('');
+    updateGovernanceCountdowns();
+}
+
+function updateGovernanceCountdowns() {
+    const now = governanceNow();
+    document.querySelectorAll('#governance-tbody [data-execute-after]').forEach(el => {
+        const remaining = Number(el.dataset.executeAfter) - now;
+        el.textContent = GovernanceProposals.formatCountdown(remaining);
+        el.classList.toggle('ready', remaining <= 0);
+
+        const row = el.closest('tr');
+        const executeButton = row?.querySelector('[data-execute-id]');
+        if (executeButton) executeButton.disabled = remaining > 0;
+    });
+}
+
+function startGovernanceCountdown() {
+    stopGovernanceCountdown();
+    governanceTimer = setInterval(updateGovernanceCountdowns, 1000);
+}
+
+function stopGovernanceCountdown() {
+    if (governanceTimer) clearInterval(governanceTimer);
+    governanceTimer = null;
+}
+
+async function loadGovernanceHistory() {
+    const container = document.getElementById('governance-history');
+    const [queued, executed, cancelled] = await Promise.all([
+        governorContract.queryFilter(governorContract.filters.UpdateQueued()),
+        governorContract.queryFilter(governorContract.filters.UpdateExecuted()),
+        governorContract.queryFilter(governorContract.filters.UpdateCancelled())
+    ]);
+
+    const toEntry = (event) => ({
+        ...event.args.toObject(),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+    });
+    const history = GovernanceProposals.buildProposalHistory({
+        queued: queued.map(toEntry),
+        executed: executed.map(toEntry),
+        cancelled: cancelled.map(toEntry)
+    });
+
+    if (history.length === 0) {
+        container.innerHTML = '<p class="muted">No proposals yet</p>';
+        return;
+    }
+
+    container.innerHTML = history.map(entry => {
+        const status = entry.outcome
+            ? `${entry.outcome} in block ${entry.outcomeBlock}`
+            : `queued in block ${entry.queuedBlock}`;
+        return `
+            <div class="preview-item">
+                <span>#${entry.id} ${escapeHtml(GovernanceCalls.describeCall(entry.data))}</span>
+                <span class="governance-outcome ${entry.outcome || 'open'}" title="${entry.outcomeTx || entry.queuedTx}">${status}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// Suggest the pool and every interest rate model used by a listed asset
+function populateGovernanceTargets() {
+    const datalist = document.getElementById('gov-target-options');
+    if (!datalist) return;
+
+    const options = new Map();
+    if (lendingPoolContract) options.set(lendingPoolContract.target, 'LendingPool');
+    for (const asset of assets) {
+        const label = options.get(asset.interestRateModel);
+        options.set(asset.interestRateModel, label ? `${label}, ${asset.symbol}` : `IRM for ${asset.symbol}`);
+    }
+    datalist.innerHTML = [...options]
+        .map(([address, label]) => `<option value="${address}">${escapeHtml(label)}</option>`)
+        .join('');
+}
+
+function renderGovernanceParamInputs() {
+    const call = GovernanceCalls.getCall(document.getElementById('gov-queue-call').value);
+    document.getElementById('gov-queue-params').innerHTML = call.params.map(param => {
+        const unit = param.unit === 'percent' ? '%' : (param.unit === 'wad' ? '×1e18' : '');
+        const placeholder = param.unit === 'address' ? '0x...' : '0';
+        return `
+            <div class="form-group">
+                <label>${escapeHtml(param.label)} ${unit}</label>
+                <input type="text" class="form-input" data-gov-param="${param.name}" data-gov-unit="${param.unit}" placeholder="${placeholder}" />
+            </div>
+        `;
+    }).join('');
+
+    const pool = lendingPoolContract?.target;
+    if (call.contract === 'LendingPool' && pool) {
+        document.getElementById('gov-queue-target').value = pool;
+    }
+    return prefillGovernanceParams();
+}
+
+// Parses a typed setter parameter: percentages (3 = 3%) and plain decimals into 1e18 fixed point
+function parseParamValue(param, raw) {
+    if (param.unit === 'address') {
+        if (!ethers.isAddress(raw)) throw new Error(`${param.label} must be an address`);
+        return raw;
+    }
+    if (!/^\d+(\.\d+)?$/.test(raw)) throw new Error(`${param.label} must be a non-negative decimal`);
+    return ethers.parseUnits(raw, param.unit === 'percent' ? 16 : 18);
+}
+
+// Parses the queue form into setter arguments; throws on the first invalid field
+function readGovernanceParamInputs(call) {
+    return call.params.map(param => {
+        const raw = document.querySelector(`[data-gov-param="${param.name}"]`)?.value.trim() || '';
+        return parseParamValue(param, raw);
+    });
+}
+
+// Fills the parameter inputs with the target's current values so only the changes need typing
+async function prefillGovernanceParams() {
+    const call = GovernanceCalls.getCall(document.getElementById('gov-queue-call').value);
+    const target = document.getElementById('gov-queue-target').value.trim();
+    if (!provider || !ethers.isAddress(target)) return;
+
+    const args = call.params.map(param => ({
+        ...param,
+        value: param.unit === 'address'
+            ? document.querySelector(`[data-gov-param="${param.name}"]`)?.value.trim()
+            : 0n
+    }));
+    if (args.some(arg => arg.unit === 'address' && !ethers.isAddress(arg.value))) return;
+
+    try {
+        const contract = new ethers.Contract(target, abiRegistry.get(call.contract), provider);
+        const current = await GovernanceCalls.readCurrentValues({ contract: call.contract, args }, contract);
+        call.params.forEach((param, i) => {
+            if (param.unit === 'address') return;
+            const input = document.querySelector(`[data-gov-param="${param.name}"]`);
+            if (input) input.value = ethers.formatUnits(current[i], param.unit === 'percent' ? 16 : 18).replace(/\.0$/, '');
+        });
+    } catch (e) {
+        // Not a contract of the selected type - leave the inputs for manual entry
+        console.warn('[Mini-DeFi] Could not read current parameters:', e);
+    }
+    await updateGovernanceQueuePreview();
+}
+
+async function updateGovernanceQueuePreview() {
+    const preview = document.getElementById('gov-queue-preview');
+    const call = GovernanceCalls.getCall(document.getElementById('gov-queue-call').value);
+    const target = document.getElementById('gov-queue-target').value.trim();
+
+    let decoded;
+    try {
+        decoded = GovernanceCalls.decodeCall(GovernanceCalls.encodeCall(call.contract, readGovernanceParamInputs(call)));
+    } catch (e) {
+        preview.innerHTML = `<p class="muted">${escapeHtml(e.message)}</p>`;
+        return;
+    }
+
+    let current = [];
+    if (ethers.isAddress(target)) {
+        try {
+            const contract = new ethers.Contract(target, abiRegistry.get(call.contract), provider);
+            current = await GovernanceCalls.readCurrentValues(decoded, contract);
+        } catch (e) {
+            current = [];
+        }
+    }
+
+    preview.innerHTML = GovernanceCalls.describeChanges(decoded, current).map(change => `
+        <div class="preview-item${change.changed ? ' changed' : ''}">
+            <span>${escapeHtml(change.label)}</span>
+            <span>${change.from ?? '?'} → ${change.to}</span>
+        </div>
+    `).join('');
+}
+
+async function queueGovernanceProposal() {
+    if (!governorContract || !governanceState?.isOwner) {
+        showToast('Only the governor owner can queue updates', 'error');
+        return;
+    }
+
+    const call = GovernanceCalls.getCall(document.getElementById('gov-queue-call').value);
+    const target = document.getElementById('gov-queue-target').value.trim();
+    const delay = Number(document.getElementById('gov-queue-delay').value || governanceState.minDelay);
+
+    try {
+        if (!ethers.isAddress(target)) throw new Error('Target must be an address');
+        if (!Number.isInteger(delay) || delay < 0) throw new Error('Delay must be a whole number of seconds');
+        const data = GovernanceCalls.encodeCall(call.contract, readGovernanceParamInputs(call));
+
+        showToast('Queueing update...', 'info');
+        const tx = await governorContract.queueUpdate(target, data, governanceNow() + delay);
+        await tx.wait();
+
+        showToast('Update queued', 'success');
+        await loadGovernance();
+    } catch (error) {
+        console.error('Queue error:', error);
+        showToast(`Queue failed: ${error.message}`, 'error');
+    }
+}
+
+// Dry run on a snapshot of the local node; see lib/governance-simulation.js
+async function simulateGovernanceProposal(id) {
+    const container = document.getElementById('governance-simulation');
+
+    try {
+        showToast(`Simulating proposal #${id}...`, 'info');
+        const devProvider = await getDevRpcProvider();
+        const devSigner = await devProvider.getSigner();
+
+        const result = await GovernanceSimulation.simulateProposal({
+            provider: devProvider,
+            governor: new ethers.Contract(governorContract.target, abiRegistry.get('RateGovernor'), devSigner),
+            proposalId: id,
+            pool: new ethers.Contract(lendingPoolContract.target, abiRegistry.get('LendingPool'), devProvider),
+            assets
+        });
+
+        renderGovernanceSimulation(result);
+        container.style.display = '';
+        showToast(`Proposal #${id} simulated - chain state restored`, 'success');
+    } catch (error) {
+        console.error('Simulation error:', error);
+        showToast(`Simulation failed: ${error.message}`, 'error');
+    }
+}
+
+function renderGovernanceSimulation(result) {
+    const { formatPercent } = GovernanceSimulation;
+    const row = (label, before, after) => {
+        const delta = after - before;
+        return `
+            <tr>
+                <td>${escapeHtml(label)}</td>
+                <td>${formatPercent(before)}</td>
+                <td>${formatPercent(after)}</td>
+                <td class="${delta > 0n ? 'apr-up' : (delta < 0n ? 'apr-down' : '')}">${formatPercent(delta, { signed: true })}</td>
+            </tr>
+        `;
+    };
+    const table = (title, rows) => `
+        <table class="markets-table">
+            <thead><tr><th>${title}</th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+            <tbody>${rows || '<tr class="empty-row"><td colspan="4">No pool assets use this model</td></tr>'}</tbody>
+        </table>
+    `;
+
+    const curveRows = result.curve
+        .map(point => row(formatPercent(point.utilization, { digits: 0 }), point.before, point.after))
+        .join('');
+    const assetRows = result.assets
+        .map(asset => row(asset.symbol, asset.before, asset.after))
+        .join('');
+
+    document.getElementById('governance-simulation').innerHTML = `
+        <div class="panel-header">
+            <h4>Dry run of #${result.proposalId}: ${escapeHtml(result.description)}</h4>
+            <button class="btn btn-ghost btn-sm" onclick="this.closest('.governance-simulation').style.display = 'none'">Close</button>
+        </div>
+        <div class="governance-panel">
+            <div class="markets-table-wrapper">${table('Utilization', curveRows)}</div>
+            <div class="markets-table-wrapper">${table('Asset (current APR)', assetRows)}</div>
+        </div>
+    `;
+}
+
+async function executeGovernanceProposal(id) {
+    try {
+        showToast(`Executing proposal #${id}...`, 'info');
+        const tx = await governorContract.execute(id);
+        await tx.wait();
+
+        showToast(`Proposal #${id} executed`, 'success');
+        await loadGovernance();
+    } catch (error) {
+        console.error('Execute error:', error);
+        showToast(`Execution failed: ${error.message}`, 'error');
+    }
+}
+
+async function cancelGovernanceProposal(id) {
+    if (!confirm(`Cancel proposal #${id}?`)) return;
+
+    try {
+        showToast(`Cancelling proposal #${id}...`, 'info');
+        const tx = await governorContract.cancel(id);
+        await tx.wait();
+
+        showToast(`Proposal #${id} cancelled`, 'success');
+        await loadGovernance();
+    } catch (error) {
+        console.error('Cancel error:', error);
+        showToast(`Cancel failed: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// Pool Admin
+// ============================================================================
+
+let adminState = null; // { owner, oracle, borrowerPositions: Promise<Map> | null } while the signer owns the pool
+
+// Shows the admin section only to LendingPool.owner()
+async function loadPoolAdmin() {
+    const section = document.getElementById('admin-section');
+    adminState = null;
+    if (!section) return;
+    section.style.display = 'none';
+    if (!signer || !lendingPoolContract) return;
+
+    try {
+        const [owner, oracle, account] = await Promise.all([
+            lendingPoolContract.owner(),
+            lendingPoolContract.priceOracle(),
+            signer.getAddress()
+        ]);
+        if (owner.toLowerCase() !== account.toLowerCase()) return;
+
+        adminState = { owner, oracle, borrowerPositions: null };
+        section.style.display = '';
+        document.getElementById('admin-oracle-current').textContent = oracle;
+        populateAdminAssets();
+        populateAdminModels();
+        await previewAdminConfig();
+    } catch (error) {
+        console.warn('[Mini-DeFi] Could not check the pool owner:', error);
+    }
+}
+
+function populateAdminAssets() {
+    const select = document.getElementById('admin-config-asset');
+    const current = select.value;
+    select.innerHTML = '<option value="">Select asset</option>' +
+        assets.map(a => `<option value="${a.address}">${a.symbol}</option>`).join('');
+    select.value = assets.some(a => a.address === current) ? current : '';
+}
+
+// Suggest the interest rate models already used by listed assets
+function populateAdminModels() {
+    const options = new Map();
+    for (const asset of assets) {
+        const label = options.get(asset.interestRateModel);
+        options.set(asset.interestRateModel, label ? `${label}, ${asset.symbol}` : `IRM for ${asset.symbol}`);
+    }
+    document.getElementById('admin-irm-options').innerHTML = [...options]
+        .map(([address, label]) => `<option value="${address}">${escapeHtml(label)}</option>`)
+        .join('');
+}
+
+// Every known borrower's positions, read once per admin session
+function getBorrowerPositions() {
+    if (!adminState.borrowerPositions) {
+        adminState.borrowerPositions = readBorrowerPositions()
+            .catch(error => {
+                adminState.borrowerPositions = null;
+                throw error;
+            });
+    }
+    return adminState.borrowerPositions;
+}
+
+// Reads the collateral factor, liquidation bonus and reserve factor inputs of a form
+function readAdminConfigInputs(prefix) {
+    const field = (name, label) => {
+        const raw = document.getElementById(`${prefix}-${name}`).value.trim();
+        return parseParamValue({ label, unit: 'percent' }, raw);
+    };
+    return {
+        collateralFactor: field('cf', 'Collateral factor'),
+        liquidationBonus: field('lb', 'Liquidation bonus'),
+        reserveFactor: field('rf', 'Reserve factor')
+    };
+}
+
+function formatPercentParam(value) {
+    return GovernanceCalls.formatValue(value, 'percent');
+}
+
+function renderAdminErrors(errors) {
+    return errors.map(error => `<p class="preview-blocked">${escapeHtml(error)}</p>`).join('');
+}
+
+function renderHealthImpact(impact) {
+    const worst = impact.accounts.slice(0, 5).map(row => `
+        <div class="preview-item">
+            <span class="admin-account" title="${row.account}">${row.account.slice(0, 6)}...${row.account.slice(-4)}</span>
+            <span>
+                <span class="${healthFactorClass(row.before)}">${formatHealthFactor(row.before)}</span> →
+                <span class="${healthFactorClass(row.after)}">${formatHealthFactor(row.after)}</span>
+            </span>
+        </div>
+    `).join('');
+
+    return `
+        <div class="preview-item">
+            <span>Borrowers checked</span>
+            <span>${impact.checked}</span>
+        </div>
+        <div class="preview-item">
+            <span>Health factor lowered</span>
+            <span>${impact.lowered}</span>
+        </div>
+        <div class="preview-item${impact.newlyLiquidatable > 0 ? ' reverts' : ''}">
+            <span>Newly liquidatable</span>
+            <span>${impact.newlyLiquidatable} (${impact.liquidatable} below 1.0 after)</span>
+        </div>
+        ${worst}
+    `;
+}
+
+function setAdminSubmitBlocked(id, blocked) {
+    document.getElementById(id).disabled = blocked;
+}
+
+function fillAdminConfig() {
+    const asset = assets.find(a => a.address === document.getElementById('admin-config-asset').value);
+    if (!asset) return;
+    document.getElementById('admin-config-cf').value = formatUnits(asset.collateralFactor, 16);
+    document.getElementById('admin-config-lb').value = formatUnits(asset.liquidationBonus, 16);
+    document.getElementById('admin-config-rf').value = formatUnits(asset.reserveFactor, 16);
+    previewAdminConfig();
+}
+
+async function previewAdminConfig() {
+    const preview = document.getElementById('admin-config-preview');
+    const asset = assets.find(a => a.address === document.getElementById('admin-config-asset').value);
+    setAdminSubmitBlocked('admin-config-submit', true);
+    if (!asset) {
+        preview.innerHTML = '<p class="muted">Select an asset to edit its risk parameters</p>';
+        return;
+    }
+
+    let config;
+    try {
+        config = readAdminConfigInputs('admin-config');
+    } catch (e) {
+        preview.innerHTML = renderAdminErrors([e.message]);
+        return;
+    }
+    const errors = PoolAdmin.validateAssetConfig(config);
+    const changes = ['collateralFactor', 'liquidationBonus', 'reserveFactor']
+        .filter(key => config[key] !== asset[key])
+        .map(key => `
+            <div class="preview-item changed">
+                <span>${{ collateralFactor: 'Collateral factor', liquidationBonus: 'Liquidation bonus', reserveFactor: 'Reserve factor' }[key]}</span>
+                <span>${formatPercentParam(asset[key])} → ${formatPercentParam(config[key])}</span>
+            </div>
+        `).join('');
+    if (errors.length > 0 || !changes) {
+        preview.innerHTML = renderAdminErrors(errors) + (changes || '<p class="muted">No changes</p>');
+        return;
+    }
+
+    // Only the collateral factor moves health factors
+    let impact = '';
+    if (config.collateralFactor !== asset.collateralFactor) {
+        preview.innerHTML = changes + '<p class="muted">Checking existing borrowers...</p>';
+        try {
+            const positions = await getBorrowerPositions();
+            impact = renderHealthImpact(PoolAdmin.healthImpact(positions, new Map([[asset.address, { collateralFactor: config.collateralFactor }]])));
+        } catch (error) {
+            console.error('[Mini-DeFi] Health impact preview failed:', error);
+            impact = '<p class="muted warning">Could not read existing borrowers</p>';
+        }
+    }
+    preview.innerHTML = changes + impact;
+    setAdminSubmitBlocked('admin-config-submit', false);
+}
+
+async function submitAdminConfig() {
+    const asset = assets.find(a => a.address === document.getElementById('admin-config-asset').value);
+    try {
+        if (!asset) throw new Error('Select an asset');
+        const config = readAdminConfigInputs('admin-config');
+        const [error] = PoolAdmin.validateAssetConfig(config);
+        if (error) throw new Error(error);
+
+        showToast(`Updating ${asset.symbol} config...`, 'info');
+        const tx = await lendingPoolContract.updateAssetConfig(asset.address, config.collateralFactor, config.liquidationBonus, config.reserveFactor);
+        await tx.wait();
+        showToast(`${asset.symbol} config updated`, 'success');
+        await reloadAfterAdminChange();
+    } catch (error) {
+        console.error('Update config error:', error);
+        showToast(`Update failed: ${error.shortMessage || error.message}`, 'error');
+    }
+}
+
+// Checks the token, the interest rate model and the risk parameters of a new listing
+async function validateListing() {
+    const token = document.getElementById('admin-list-token').value.trim();
+    const irm = document.getElementById('admin-list-irm').value.trim();
+    const errors = [];
+    const details = [];
+
+    if (!ethers.isAddress(token)) {
+        errors.push('Token must be an address');
+    } else {
+        const tokenInterface = new ethers.Interface(ERC20_ABI);
+        const [config, symbol, decimals] = await batchReader.read([
+            { target: lendingPoolContract.target, iface: lendingPoolContract.interface, method: 'assetConfigs', args: [token] },
+            { target: token, iface: tokenInterface, method: 'symbol' },
+            { target: token, iface: tokenInterface, method: 'decimals' }
+        ]);
+        if (config.success && config.value.isActive) errors.push('Token is already listed');
+        // listAsset reads decimals() from the token
+        if (!decimals.success) errors.push('Token has no decimals(); is it an ERC-20?');
+        else details.push(`${symbol.success ? symbol.value : 'Token'} with ${decimals.value} decimals`);
+    }
+
+    const model = await PoolAdmin.checkInterestRateModel({ provider, reader: batchReader, address: irm });
+    errors.push(...model.errors.map(error => `Interest rate model: ${error}`));
+    if (model.ok) {
+        const aprs = model.rates.map(({ utilization, ratePerSecond }) =>
+            `${RateMath.formatPercent(utilization, 0)}: ${RateMath.formatPercent(RateMath.aprFromRate(ratePerSecond))}`);
+        details.push(`Borrow APR ${aprs.join(', ')}`);
+    }
+
+    let config = null;
+    try {
+        config = readAdminConfigInputs('admin-list');
+        errors.push(...PoolAdmin.validateAssetConfig(config));
+    } catch (e) {
+        errors.push(e.message);
+    }
+    return { token, irm, config, errors, details };
+}
+
+async function previewListing() {
+    const preview = document.getElementById('admin-list-preview');
+    setAdminSubmitBlocked('admin-list-submit', true);
+    const { errors, details } = await validateListing();
+
+    preview.innerHTML = renderAdminErrors(errors) + details.map(detail => `
+        <div class="preview-item"><span>${escapeHtml(detail)}</span></div>
+    `).join('') + (errors.length === 0 ? '<p class="muted">No existing positions use a new asset, so no health factor changes</p>' : '');
+    setAdminSubmitBlocked('admin-list-submit', errors.length > 0);
+}
+
+async function submitListing() {
+    try {
+        const { token, irm, config, errors } = await validateListing();
+        if (errors.length > 0) throw new Error(errors[0]);
+
+        showToast('Listing asset...', 'info');
+        const tx = await lendingPoolContract.listAsset(token, irm, config.collateralFactor, config.liquidationBonus, config.reserveFactor);
+        await tx.wait();
+        showToast('Asset listed', 'success');
+        await reloadAfterAdminChange();
+    } catch (error) {
+        console.error('List asset error:', error);
+        showToast(`Listing failed: ${error.shortMessage || error.message}`, 'error');
+    }
+}
+
+// Prices every listed asset on the new oracle; an asset it cannot price would make every
+// health check that touches it revert
+async function validateOracleChange() {
+    const oracle = document.getElementById('admin-oracle-address').value.trim();
+    if (!ethers.isAddress(oracle)) return { oracle, errors: ['Oracle must be an address'], changes: new Map() };
+    if (oracle.toLowerCase() === adminState.oracle.toLowerCase()) return { oracle, errors: ['This is already the price oracle'], changes: new Map() };
+
+    const prices = await PoolAdmin.readOraclePrices({
+        reader: batchReader, oracle, iface: new ethers.Interface(PRICE_ORACLE_ABI), assets
+    });
+    const unpriced = assets.filter(asset => prices.get(asset.address) === null);
+    const errors = unpriced.length > 0
+        ? [`No price for ${unpriced.length} listed asset(s): ${unpriced.slice(0, 5).map(a => a.symbol).join(', ')}${unpriced.length > 5 ? ', ...' : ''}`]
+        : [];
+
+    const changes = new Map();
+    for (const asset of assets) {
+        const price = prices.get(asset.address);
+        if (price !== null && price !== asset.price) changes.set(asset.address, { price });
+    }
+    return { oracle, errors, changes };
+}
+
+async function previewOracleChange() {
+    const preview = document.getElementById('admin-oracle-preview');
+    setAdminSubmitBlocked('admin-oracle-submit', true);
+    preview.innerHTML = '<p class="muted">Reading prices from the new oracle...</p>';
+
+    const { errors, changes } = await validateOracleChange();
+    if (errors.length > 0) {
+        preview.innerHTML = renderAdminErrors(errors);
+        return;
+    }
+
+    let impact;
+    try {
+        impact = renderHealthImpact(PoolAdmin.healthImpact(await getBorrowerPositions(), changes));
+    } catch (error) {
+        console.error('[Mini-DeFi] Health impact preview failed:', error);
+        impact = '<p class="muted warning">Could not read existing borrowers</p>';
+    }
+    preview.innerHTML = `
+        <div class="preview-item changed">
+            <span>Prices that change</span>
+            <span>${changes.size} of ${assets.length}</span>
+        </div>
+        ${impact}
+    `;
+    setAdminSubmitBlocked('admin-oracle-submit', false);
+}
+
+async function submitOracleChange() {
+    try {
+        const { oracle, errors } = await validateOracleChange();
+        if (errors.length > 0) throw new Error(errors[0]);
+
+        showToast('Setting price oracle...', 'info');
+        const tx = await lendingPoolContract.setPriceOracle(oracle);
+        await tx.wait();
+        showToast('Price oracle updated', 'success');
+        await reloadAfterAdminChange();
+    } catch (error) {
+        console.error('Set oracle error:', error);
+        showToast(`Oracle change failed: ${error.shortMessage || error.message}`, 'error');
+    }
+}
+
+async function reloadAfterAdminChange() {
+    await loadAllAssets();
+    await updatePortfolio();
+    await loadPoolAdmin();
+}
+
+// ============================================================================
+// Time Travel (local networks)
+// ============================================================================
+
+let timeTravelAvailable = false;
+
+// Shown on the local development networks in config.json
+async function loadTimeTravel() {
+    const section = document.getElementById('time-travel-section');
+    timeTravelAvailable = false;
+    if (!section) return;
+    section.style.display = 'none';
+    if (!provider || !lendingPoolContract) return;
+
+    try {
+        const devProvider = await getDevRpcProvider();
+        await devProvider.getBlockNumber();
+    } catch (error) {
+        // Not a local network, or its RPC URL is unreachable
+        return;
+    }
+
+    timeTravelAvailable = true;
+    section.style.display = '';
+    document.getElementById('time-travel-presets').innerHTML = DevChain.TIME_PRESETS.map(preset => `
+        <button class="btn btn-secondary btn-sm" onclick="travelInTime(${preset.seconds})">${preset.label}</button>
+    `).join('');
+    await renderChainTime();
+}
+
+async function renderChainTime() {
+    const block = await (await getDevRpcProvider()).getBlock('latest');
+    document.getElementById('chain-time').textContent =
+        `${new Date(block.timestamp * 1000).toLocaleString()} · block ${block.number}`;
+}
+
+function travelCustomTime() {
+    try {
+        const seconds = DevChain.parseDuration(
+            document.getElementById('time-travel-amount').value,
+            document.getElementById('time-travel-unit').value
+        );
+        travelInTime(seconds);
+    } catch (error) {
+        showToast(error.message, 'warning');
+    }
+}
+
+// Advances the node's clock, accrues interest where the connected account has positions and refreshes
+async function travelInTime(seconds) {
+    if (!timeTravelAvailable) return;
+    const buttons = document.querySelectorAll('#time-travel-section button');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+        const devProvider = await getDevRpcProvider();
+        const before = portfolioTotals();
+        await DevChain.advanceTime(devProvider, seconds);
+
+        const held = assets.filter(asset => {
+            const position = userPositions[asset.address];
+            return position && (position.deposits > 0n || position.borrows > 0n);
+        });
+        if (held.length > 0) {
+            const pool = lendingPoolContract.connect(await devProvider.getSigner());
+            await DevChain.accrueInterest(pool, held.map(asset => asset.address), (done, total) => {
+                document.getElementById('time-travel-result').textContent = `Accruing interest ${done}/${total}...`;
+            });
+        }
+
+        await loadAssetRates();
+        await loadUserPositions();
+        filterAssets();
+        updatePositionsTable();
+        await updatePortfolio();
+        if (governanceState) await loadGovernance();
+        await renderChainTime();
+
+        const after = portfolioTotals();
+        const change = (label, from, to) => `${label} ${to >= from ? '+' : '-'}$${formatUnits(to >= from ? to - from : from - to, 8)}`;
+        const message = `Advanced ${DevChain.formatDuration(seconds)}`;
+        document.getElementById('time-travel-result').textContent = held.length > 0
+            ? `${message} · ${change('deposits', before.collateral, after.collateral)} · ${change('debt', before.borrowed, after.borrowed)}`
+            : `${message} · no positions to accrue`;
+        showToast(message, 'success');
+    } catch (error) {
+        console.error('Time travel error:', error);
+        showToast(`Time travel failed: ${error.shortMessage || error.message}`, 'error');
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+// ============================================================================
+// Token Faucet (local networks)
+// ============================================================================
+
+let faucetAvailable = false;
+let faucetLimiter = null;
+
+function faucetSettings() {
+    return Faucet.settings(window.appConfig?.faucet);
+}
+
+// Offered on the local development networks in config.json
+async function loadFaucet() {
+    const controls = document.getElementById('faucet-controls');
+    faucetAvailable = false;
+    if (!controls) return;
+    controls.style.display = 'none';
+    if (!provider || !signer) return;
+
+    try {
+        await (await getDevRpcProvider()).getBlockNumber();
+    } catch (error) {
+        // Not a local network, or its RPC URL is unreachable
+        return;
+    }
+
+    const { amount, cooldownSeconds } = faucetSettings();
+    faucetAvailable = true;
+    faucetLimiter = Faucet.createRateLimiter({ cooldownSeconds, storage: localStorage });
+    controls.style.display = '';
+    document.getElementById('faucet-amount').placeholder = amount;
+    assetListView.refresh();
+}
+
+// Mints the faucet amount of one asset from its row in the asset browser
+function faucetMint(address, event) {
+    event?.stopPropagation();
+    const asset = assets.find(a => a.address === address);
+    if (asset) runFaucet('mint', [asset]);
+}
+
+function faucetTopUpSelected() {
+    runFaucet('topUp', [...selectedAssets.values()].map(({ asset }) => asset));
+}
+
+async function runFaucet(mode, targets) {
+    if (!faucetAvailable || !signer) return;
+    const account = await signer.getAddress();
+    const amount = document.getElementById('faucet-amount').value.trim() || faucetSettings().amount;
+
+    let plan;
+    try {
+        plan = Faucet.planMints({
+            mode,
+            assets: targets.map(asset => ({ ...asset, balance: userPositions[asset.address]?.balance || 0n })),
+            amount,
+            account,
+            limiter: faucetLimiter,
+            config: window.appConfig?.faucet
+        });
+    } catch (error) {
+        showToast(error.message, 'warning');
+        return;
+    }
+
+    const skipped = plan.skipped.map(({ asset, reason }) => `${asset.symbol}: ${reason}`).join(', ');
+    if (plan.mints.length === 0) {
+        showToast(`Nothing to mint (${skipped})`, 'info');
+        return;
+    }
+
+    try {
+        const owners = await Faucet.readTokenOwners({ reader: batchReader, assets: plan.mints.map(({ asset }) => asset) });
+        const { minted, failed } = await Faucet.sendMints({
+            provider: await getDevRpcProvider(),
+            account,
+            mints: plan.mints,
+            owners,
+            onMinted: (done, total, asset) => {
+                faucetLimiter.record(account, asset.address);
+                if (total > 1) showToast(`Minted ${done}/${total}...`, 'info');
+            }
+        });
+
+        await loadUserPositions();
+        filterAssets();
+        updatePositionsTable();
+        updatePreview();
+
+        const summary = minted.length === 1
+            ? `Minted ${formatUnits(minted[0].amount, minted[0].asset.decimals)} ${minted[0].asset.symbol}`
+            : `Minted ${minted.length} asset(s)`;
+        const problems = [skipped, ...failed.map(({ asset, error }) => `${asset.symbol}: ${error}`)].filter(Boolean).join(', ');
+        showToast(problems ? `${summary}; skipped ${problems}` : summary, failed.length > 0 ? 'warning' : 'success');
+    } catch (error) {
+        console.error('Faucet error:', error);
+        showToast(`Faucet failed: ${error.shortMessage || error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// Mock Oracle Prices (local networks)
+// ============================================================================
+
+let oraclePanel = null; // { oracle, baseline: Map<address, price> } on local networks with a MockPriceOracle
+let shockRows = [];
+
+// Shown on local development networks whose pool reads a MockPriceOracle
+async function loadOraclePanel() {
+    const section = document.getElementById('oracle-section');
+    oraclePanel = null;
+    if (!section) return;
+    section.style.display = 'none';
+    if (!provider || !lendingPoolContract) return;
+
+    try {
+        const devProvider = await getDevRpcProvider();
+        const address = await lendingPoolContract.priceOracle();
+        const code = (await devProvider.getCode(address)).toLowerCase();
+        const setPrices = new ethers.Interface(PRICE_ORACLE_ABI).getFunction('setPrices');
+        if (!code.includes(setPrices.selector.slice(2))) return;
+
+        const oracle = new ethers.Contract(address, PRICE_ORACLE_ABI, devProvider);
+        oraclePanel = { oracle, owner: await oracle.owner(), baseline: new Map() };
+    } catch (error) {
+        // Not a local network, or not a mock oracle
+        return;
+    }
+
+    section.style.display = '';
+    document.getElementById('oracle-address').textContent = oraclePanel.oracle.target;
+    if (shockRows.length === 0) shockRows = [{ target: PriceScenarios.ALL_ASSETS, type: 'percent', value: '-10' }];
+    renderShockRows();
+    renderOracleRestore();
+}
+
+function shockTargetOptions(selected) {
+    const categories = [...new Set(assets.map(asset => asset.category))].sort();
+    const known = selected === PriceScenarios.ALL_ASSETS || categories.includes(selected) ||
+        assets.some(asset => asset.address === selected);
+    const option = (value, label) => `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    return `
+        ${option(PriceScenarios.ALL_ASSETS, 'All assets')}
+        ${known ? '' : option(selected, `${selected} (not listed)`)}
+        <optgroup label="Categories">${categories.map(category => option(category, `${category} category`)).join('')}</optgroup>
+        <optgroup label="Assets">${assets.map(asset => option(asset.address, asset.symbol)).join('')}</optgroup>
+    `;
+}
+
+function renderShockRows() {
+    document.getElementById('shock-rows').innerHTML = shockRows.map((shock, index) => `
+        <div class="shock-row" data-shock-index="${index}">
+            <select class="form-select" data-shock-field="target">${shockTargetOptions(shock.target)}</select>
+            <select class="form-select" data-shock-field="type">
+                <option value="percent" ${shock.type === 'percent' ? 'selected' : ''}>Change %</option>
+                <option value="price" ${shock.type === 'price' ? 'selected' : ''}>Set price $</option>
+            </select>
+            <input type="text" class="form-input" data-shock-field="value" value="${escapeHtml(shock.value)}" placeholder="-30" />
+            <button class="btn btn-ghost btn-sm" onclick="removeShockRow(${index})" title="Remove shock">✕</button>
+        </div>
+    `).join('');
+    previewPriceShocks();
+}
+
+function readShockRows() {
+    shockRows = [...document.querySelectorAll('#shock-rows .shock-row')].map(row => ({
+        target: row.querySelector('[data-shock-field="target"]').value,
+        type: row.querySelector('[data-shock-field="type"]').value,
+        value: row.querySelector('[data-shock-field="value"]').value.trim()
+    }));
+    return shockRows;
+}
+
+function addShockRow() {
+    readShockRows();
+    shockRows.push({ target: PriceScenarios.ALL_ASSETS, type: 'percent', value: '' });
+    renderShockRows();
+}
+
+function removeShockRow(index) {
+    readShockRows();
+    shockRows.splice(index, 1);
+    renderShockRows();
+}
+
+// Prices the current shocks would set; throws on the first invalid shock
+function shockedPrices() {
+    const shocks = readShockRows();
+    if (shocks.length === 0) throw new Error('Add a shock first');
+    return PriceScenarios.applyShocks(assets, shocks);
+}
+
+// Every known borrower's positions at the loaded prices (see lib/pool-admin.js)
+async function readBorrowerPositions() {
+    const accounts = await getLiquidationScanner().syncBorrowers();
+    return PoolAdmin.readAccountPositions({ pool: lendingPoolContract, reader: batchReader, accounts, assets });
+}
+
+async function previewPriceShocks() {
+    if (!oraclePanel) return;
+    const preview = document.getElementById('shock-preview');
+    document.getElementById('shock-apply').disabled = true;
+
+    let prices;
+    try {
+        prices = shockedPrices();
+    } catch (e) {
+        preview.innerHTML = renderAdminErrors([e.message]);
+        return;
+    }
+    if (prices.size === 0) {
+        preview.innerHTML = '<p class="muted">No prices change</p>';
+        return;
+    }
+
+    preview.innerHTML = '<p class="muted">Checking existing borrowers...</p>';
+    let impact;
+    try {
+        const changes = new Map([...prices].map(([address, price]) => [address, { price }]));
+        impact = renderHealthImpact(PoolAdmin.healthImpact(await readBorrowerPositions(), changes));
+    } catch (error) {
+        console.error('[Mini-DeFi] Shock preview failed:', error);
+        impact = '<p class="muted warning">Could not read existing borrowers</p>';
+    }
+    const batches = Math.ceil(prices.size / PriceScenarios.DEFAULT_BATCH_SIZE);
+    preview.innerHTML = `
+        <div class="preview-item changed">
+            <span>Prices that change</span>
+            <span>${prices.size} of ${assets.length} in ${batches} transaction(s)</span>
+        </div>
+        ${impact}
+    `;
+    document.getElementById('shock-apply').disabled = false;
+}
+
+// Sends prices with MockPriceOracle.setPrices from the oracle owner's account on the local node
+async function sendOraclePrices(prices) {
+    const devProvider = await getDevRpcProvider();
+    const oracle = oraclePanel.oracle.connect(await devProvider.getSigner(oraclePanel.owner));
+    const batches = PriceScenarios.priceBatches(prices);
+    for (const [i, batch] of batches.entries()) {
+        showToast(`Setting prices ${i + 1}/${batches.length}...`, 'info');
+        const tx = await oracle.setPrices(batch.assets, batch.prices);
+        await tx.wait();
+    }
+}
+
+async function applyPriceShocks() {
+    try {
+        const prices = shockedPrices();
+        if (prices.size === 0) throw new Error('No prices change');
+
+        // Remember the prices from before the first shock so they can be restored
+        for (const asset of assets) {
+            if (prices.has(asset.address) && !oraclePanel.baseline.has(asset.address)) {
+                oraclePanel.baseline.set(asset.address, asset.price);
+            }
+        }
+        await sendOraclePrices(prices);
+        await afterOraclePriceChange(`${prices.size} price(s) updated`);
+    } catch (error) {
+        console.error('Price shock error:', error);
+        showToast(`Price shock failed: ${error.shortMessage || error.message}`, 'error');
+    }
+}
+
+async function restoreOraclePrices() {
+    if (!oraclePanel || oraclePanel.baseline.size === 0) return;
+    try {
+        await sendOraclePrices(oraclePanel.baseline);
+        oraclePanel.baseline = new Map();
+        await afterOraclePriceChange('Prices restored');
+    } catch (error) {
+        console.error('Restore prices error:', error);
+        showToast(`Restoring prices failed: ${error.shortMessage || error.message}`, 'error');
+    }
+}
+
+// Reloads prices and positions, then counts the accounts now below HF 1.0 on chain
+async function afterOraclePriceChange(message) {
+    await loadAllAssets();
+    await updatePortfolio();
+
+    const closeFactor = await lendingPoolContract.closeFactor();
+    const { borrowers, opportunities } = await getLiquidationScanner().scan({ assets, closeFactor });
+    liquidationOpportunities = opportunities;
+    renderLiquidationOpportunities();
+
+    document.getElementById('shock-result').textContent =
+        `${message} · ${opportunities.length} of ${borrowers} borrower(s) below HF 1.0 · ${new Date().toLocaleTimeString()}`;
+    showToast(`${message}; ${opportunities.length} account(s) below HF 1.0`, opportunities.length > 0 ? 'warning' : 'success');
+    renderOracleRestore();
+    await previewPriceShocks();
+}
+
+function renderOracleRestore() {
+    const button = document.getElementById('shock-restore');
+    button.disabled = !oraclePanel || oraclePanel.baseline.size === 0;
+    button.textContent = oraclePanel?.baseline.size ? `Restore ${oraclePanel.baseline.size} Price(s)` : 'Restore Prices';
+}
+
+function saveShockScenario() {
+    try {
+        const name = document.getElementById('shock-scenario-name').value.trim() || 'Untitled scenario';
+        const content = PriceScenarios.serializeScenario({ name, shocks: readShockRows() });
+        const blob = new Blob([content], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `mini-defi-scenario-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        showToast(`Cannot save scenario: ${error.message}`, 'error');
+    }
+}
+
+async function loadShockScenario(event) {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+        const scenario = PriceScenarios.parseScenario(await file.text());
+        document.getElementById('shock-scenario-name').value = scenario.name;
+        shockRows = scenario.shocks;
+        renderShockRows();
+        showToast(`Loaded scenario "${scenario.name}"`, 'success');
+    } catch (error) {
+        showToast(`Cannot load scenario: ${error.message}`, 'error');
+    }
+}
+
 // ============================================================================
 // RAG Chat Agent with OpenAI Integration
 // ============================================================================
@@ -1954,7 +4499,18 @@ function applyContrast(level) {
 window.toggleAssetSelection = toggleAssetSelection;
 window.removeFromSelection = removeFromSelection;
 window.updateProportion = updateProportion;
+window.updateTokenAmount = updateTokenAmount;
 window.quickAction = quickAction;
+window.prefillLiquidation = prefillLiquidation;
+window.showRateCurve = showRateCurve;
+window.travelInTime = travelInTime;
+window.faucetMint = faucetMint;
+window.removeShockRow = removeShockRow;
+window.retryTxLegs = retryTxLegs;
+window.showTxReceipt = showTxReceipt;
+window.simulateGovernanceProposal = simulateGovernanceProposal;
+window.executeGovernanceProposal = executeGovernanceProposal;
+window.cancelGovernanceProposal = cancelGovernanceProposal;
 window.loadAllAssets = loadAllAssets;
 window.setTheme = setTheme;
 window.applyContrast = applyContrast;
@@ -0,0 +1,137 @@
+/**
+ * Contract ABI registry
+ * Loads the ABIs emitted by the deploy scripts (abis.json) and checks that every
+ * function the dashboard calls is actually present before the app starts.
+ */
+(function (root, factory) {
+    const api = factory(root.ethers || require('ethers'));
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.AbiRegistry = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+
+    // Function signatures the dashboard depends on, per contract
+    const REQUIRED_FUNCTIONS = {
+        LendingPool: [
+            'listedAssets(uint256)',
+            'listedAssetsCount()',
+            'assetConfigs(address)',
+            'assetData(address)',
+            'poolAccounts(address)',
+            'userAccounts(address,address)',
+            'priceOracle()',
+            'deposit(address,uint256)',
+            'withdraw(address,uint256)',
+            'borrow(address,uint256)',
+            'repay(address,uint256)',
+            'liquidate(address,address,address,uint256)',
+            'closeFactor()',
+            'userDeposits(address,address)',
+            'userBorrows(address,address)',
+            'getHealthFactor(address)',
+            'borrowRatePerSecond(address)',
+            'utilization(address)',
+            'getEnteredMarkets(address)',
+            // Owner console
+            'owner()',
+            'listAsset(address,address,uint256,uint256,uint256)',
+            'updateAssetConfig(address,uint256,uint256,uint256)',
+            'setPriceOracle(address)',
+            // Dev time travel
+            'accrueInterest(address)'
+        ],
+        // Every interest rate model implements IInterestRateModel; the dashboard reads them through this ABI
+        LinearInterestRateModel: [
+            'getBorrowRatePerSecond(uint256)'
+        ],
+        MockERC20: [
+            'name()',
+            'symbol()',
+            'decimals()',
+            'balanceOf(address)',
+            'allowance(address,address)',
+            'approve(address,uint256)'
+        ],
+        MockPriceOracle: [
+            'getPrice(address)',
+            'owner()',
+            'setPrices(address[],uint256[])'
+        ],
+        GlobalRepoRateOracle: [
+            'getRepoRate()',
+            'owner()',
+            'setRepoRate(uint256)'
+        ],
+        Multicall: [
+            'aggregate((address,bool,bytes)[])'
+        ],
+        RateGovernor: [
+            'owner()',
+            'minDelay()',
+            'proposalCount()',
+            'getProposal(uint256)',
+            'queueUpdate(address,bytes,uint256)',
+            'cancel(uint256)',
+            'execute(uint256)'
+        ]
+    };
+
+    /**
+     * Returns every required signature that the given ABIs do not provide.
+     * @param {Object<string, Array>} abis - contract name -> ABI
+     * @param {Object<string, string[]>} [required] - contract name -> signatures
+     * @returns {Array<{contract: string, signature: string}>}
+     */
+    function findMissingFunctions(abis, required = REQUIRED_FUNCTIONS) {
+        const missing = [];
+        for (const [contract, signatures] of Object.entries(required)) {
+            const abi = abis?.[contract];
+            if (!abi) {
+                signatures.forEach(signature => missing.push({ contract, signature }));
+                continue;
+            }
+
+            const iface = new ethers.Interface(abi);
+            for (const signature of signatures) {
+                if (!iface.getFunction(signature)) {
+                    missing.push({ contract, signature });
+                }
+            }
+        }
+        return missing;
+    }
+
+    /**
+     * Validates the parsed abis.json payload and returns a lookup of ABIs by contract name.
+     * Throws with a readable list of missing functions if the ABIs are out of date.
+     */
+    function createRegistry(payload, required = REQUIRED_FUNCTIONS) {
+        const abis = payload?.contracts;
+        if (!abis || typeof abis !== 'object') {
+            throw new Error('abis.json has no "contracts" section. Re-run the deploy script.');
+        }
+
+        const missing = findMissingFunctions(abis, required);
+        if (missing.length > 0) {
+            const list = missing.map(m => `${m.contract}.${m.signature}`).join(', ');
+            throw new Error(`Deployed ABIs are missing functions required by the dashboard: ${list}`);
+        }
+
+        return {
+            abis,
+            get(name) {
+                const abi = abis[name];
+                if (!abi) throw new Error(`No ABI loaded for ${name}`);
+                return abi;
+            }
+        };
+    }
+
+    return {
+        REQUIRED_FUNCTIONS,
+        findMissingFunctions,
+        createRegistry
+    };
+});
@@ -0,0 +1,120 @@
+/**
+ * Batch leg amounts
+ * Turns what the user typed into per-asset token amounts for a batch operation, in one of
+ * two modes: a USD total split by whole-number proportions, or an exact token amount per
+ * asset. Everything is bigint fixed point; typed values go through ethers.parseUnits and
+ * never through floats, so 18-decimal tokens and sub-cent meme prices keep full precision.
+ */
+(function (root, factory) {
+    const api = factory(root.ethers || require('ethers'), root.HealthPreview || require('./health-preview'));
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.BatchAmounts = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers, HealthPreview) {
+
+    // USD values use the oracle's 8 decimals
+    const USD_DECIMALS = 8;
+    const CENT = 10n ** BigInt(USD_DECIMALS - 2);
+
+    /**
+     * Parses a typed decimal amount.
+     * @returns {bigint|null} the amount in `decimals` fixed point, or null for an empty input
+     * @throws {Error} for anything that is not a non-negative decimal with at most `decimals` places
+     */
+    function parseAmount(text, decimals) {
+        const trimmed = String(text ?? '').trim();
+        if (trimmed === '') return null;
+        if (!/^\d*\.?\d*$/.test(trimmed) || trimmed === '.') throw new Error(`"${trimmed}" is not a valid amount`);
+        const [, fraction = ''] = trimmed.split('.');
+        if (fraction.length > decimals) throw new Error(`At most ${decimals} decimal places are allowed`);
+        // parseUnits wants digits on both sides of the point
+        const normalized = `${trimmed.startsWith('.') ? '0' : ''}${trimmed}${trimmed.endsWith('.') ? '0' : ''}`;
+        return ethers.parseUnits(normalized, decimals);
+    }
+
+    /** A typed USD total in 8-decimal fixed point; see parseAmount. */
+    function parseUsd(text) {
+        return parseAmount(text, USD_DECIMALS);
+    }
+
+    /** Tokens worth `usdValue` at the asset's price, rounded down; null without a price. */
+    function usdToTokens(usdValue, asset) {
+        const price = BigInt(asset.price);
+        if (price === 0n) return null;
+        return usdValue * (10n ** BigInt(asset.decimals)) / price;
+    }
+
+    /** USD value of a token amount; null without a price. */
+    function tokensToUsd(amount, asset) {
+        if (BigInt(asset.price) === 0n) return null;
+        return HealthPreview.valueOf(amount, asset);
+    }
+
+    /**
+     * Dollars and cents, rounded down. Values under a cent show as "<$0.01" rather than "$0.00".
+     * @param {bigint|null} value - 8-decimal USD
+     */
+    function formatUsd(value) {
+        if (value === null) return 'N/A';
+        if (value > 0n && value < CENT) return '<$0.01';
+        const cents = value / CENT;
+        return `$${(cents / 100n).toLocaleString('en-US')}.${(cents % 100n).toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Legs for a USD total split by proportion, the same way HealthPreview.maxSafeBatchValue
+     * splits it. Allocations with a zero proportion are left out.
+     * @param {bigint} totalUsd - 8-decimal USD
+     * @param {Array<{asset: Object, proportion: number}>} allocations
+     * @returns {Array<{asset, proportion, usdValue: bigint, amount: bigint|null}>}
+     */
+    function usdLegs(totalUsd, allocations) {
+        return allocations
+            .filter(({ proportion }) => proportion > 0)
+            .map(({ asset, proportion }) => {
+                const usdValue = totalUsd * BigInt(proportion) / 100n;
+                return { asset, proportion, usdValue, amount: usdToTokens(usdValue, asset) };
+            });
+    }
+
+    /**
+     * Legs for exact token amounts. Empty and zero entries are left out.
+     * @param {Array<{asset: Object, text: string}>} entries - typed amount per asset
+     * @returns {{legs: Array<{asset, proportion: null, usdValue: bigint|null, amount: bigint}>, errors: Array<{asset, message: string}>}}
+     */
+    function tokenLegs(entries) {
+        const legs = [];
+        const errors = [];
+        for (const { asset, text } of entries) {
+            let amount;
+            try {
+                amount = parseAmount(text, Number(asset.decimals));
+            } catch (error) {
+                errors.push({ asset, message: error.message });
+                continue;
+            }
+            if (amount === null || amount === 0n) continue;
+            legs.push({ asset, proportion: null, usdValue: tokensToUsd(amount, asset), amount });
+        }
+        return { legs, errors };
+    }
+
+    /** Sum of the legs' USD values, ignoring legs without a price. */
+    function totalUsd(legs) {
+        return legs.reduce((sum, leg) => sum + (leg.usdValue ?? 0n), 0n);
+    }
+
+    return {
+        USD_DECIMALS,
+        parseAmount,
+        parseUsd,
+        usdToTokens,
+        tokensToUsd,
+        formatUsd,
+        usdLegs,
+        tokenLegs,
+        totalUsd
+    };
+});
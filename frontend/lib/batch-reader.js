@@ -0,0 +1,159 @@
+/**
+ * Batched contract reads
+ * Packs many view calls into a few aggregated eth_calls through the Multicall contract,
+ * so loading 10,000 assets does not cost tens of thousands of RPC requests.
+ */
+(function (root, factory) {
+    const api = factory(root.ethers || require('ethers'));
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.BatchReader = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+
+    const DEFAULT_CHUNK_SIZE = 200;
+    const DEFAULT_CONCURRENCY = 4;
+
+    /**
+     * Runs `fn` over `items` with at most `limit` invocations in flight.
+     */
+    async function mapWithConcurrency(items, limit, fn) {
+        let next = 0;
+        const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (next < items.length) {
+                const index = next++;
+                await fn(items[index], index);
+            }
+        });
+        await Promise.all(workers);
+    }
+
+    /**
+     * Creates a reader for view calls.
+     *
+     * A call is `{ target, iface, method, args, allowFailure }` where `iface` is an
+     * ethers.Interface. Calls default to `allowFailure: true`; a failing call then yields
+     * `{ success: false, value: null }` instead of failing the whole batch.
+     *
+     * @param {Object} options
+     * @param {ethers.Provider} options.provider - Provider used for eth_call
+     * @param {string} [options.multicallAddress] - Deployed Multicall; without it calls are sent one by one
+     * @param {Array} [options.multicallAbi] - Multicall ABI
+     * @param {number} [options.chunkSize] - Calls packed into a single aggregate eth_call
+     * @param {number} [options.concurrency] - Aggregated eth_calls in flight at once
+     */
+    function createBatchReader({
+        provider,
+        multicallAddress = null,
+        multicallAbi = null,
+        chunkSize = DEFAULT_CHUNK_SIZE,
+        concurrency = DEFAULT_CONCURRENCY
+    }) {
+        if (!provider) throw new Error('createBatchReader requires a provider');
+        if (multicallAddress && !multicallAbi) throw new Error('Multicall ABI is required with a multicall address');
+
+        const multicall = multicallAddress
+            ? new ethers.Contract(multicallAddress, multicallAbi, provider)
+            : null;
+        const stats = { requests: 0, calls: 0 };
+
+        function decodeResult(call, success, returnData, error = null) {
+            if (success) {
+                try {
+                    const decoded = call.iface.decodeFunctionResult(call.method, returnData);
+                    return { success: true, value: decoded.length === 1 ? decoded[0] : decoded };
+                } catch (decodeError) {
+                    // e.g. an address without code returns empty data
+                    error = decodeError;
+                }
+            }
+
+            if (call.allowFailure === false) {
+                throw error || new Error(`Call to ${call.method} on ${call.target} failed`);
+            }
+            return { success: false, value: null };
+        }
+
+        async function readDirect(call) {
+            stats.requests++;
+            try {
+                const data = call.iface.encodeFunctionData(call.method, call.args || []);
+                const returnData = await provider.call({ to: call.target, data });
+                return decodeResult(call, true, returnData);
+            } catch (error) {
+                return decodeResult(call, false, '0x', error);
+            }
+        }
+
+        async function readChunk(chunk) {
+            if (!multicall) {
+                return Promise.all(chunk.map(readDirect));
+            }
+
+            const encoded = chunk.map(call => ({
+                target: call.target,
+                allowFailure: call.allowFailure !== false,
+                callData: call.iface.encodeFunctionData(call.method, call.args || [])
+            }));
+
+            let results;
+            try {
+                stats.requests++;
+                [, results] = await multicall.aggregate(encoded);
+            } catch (error) {
+                // A required call reverted or the chunk hit the node's gas cap:
+                // split the chunk so only the offending call is affected
+                if (chunk.length === 1) {
+                    return [decodeResult(chunk[0], false, '0x', error)];
+                }
+                const middle = Math.ceil(chunk.length / 2);
+                const head = await readChunk(chunk.slice(0, middle));
+                const tail = await readChunk(chunk.slice(middle));
+                return head.concat(tail);
+            }
+
+            return results.map((result, i) => decodeResult(chunk[i], result.success, result.returnData));
+        }
+
+        /**
+         * Executes the calls and returns one `{ success, value }` per call, in order.
+         * @param {Array} calls
+         * @param {Object} [options]
+         * @param {function(number, number)} [options.onProgress] - called with (completed, total)
+         */
+        async function read(calls, { onProgress } = {}) {
+            const results = new Array(calls.length);
+            const chunks = [];
+            for (let start = 0; start < calls.length; start += chunkSize) {
+                chunks.push(start);
+            }
+
+            let completed = 0;
+            await mapWithConcurrency(chunks, concurrency, async (start) => {
+                const chunk = calls.slice(start, start + chunkSize);
+                const chunkResults = await readChunk(chunk);
+                chunkResults.forEach((result, i) => { results[start + i] = result; });
+
+                stats.calls += chunk.length;
+                completed += chunk.length;
+                onProgress?.(completed, calls.length);
+            });
+
+            return results;
+        }
+
+        return {
+            read,
+            stats,
+            usesMulticall: Boolean(multicall)
+        };
+    }
+
+    return {
+        DEFAULT_CHUNK_SIZE,
+        DEFAULT_CONCURRENCY,
+        createBatchReader,
+        mapWithConcurrency
+    };
+});
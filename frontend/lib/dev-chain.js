@@ -0,0 +1,87 @@
+/**
+ * Development chain time travel
+ * Moves a local node's clock forward with evm_increaseTime/evm_mine and accrues interest on
+ * the pool's assets, so interest and the TimeWeightedInterestRateModel controller can be
+ * watched without waiting in real time. Only works against Hardhat and Ganache nodes.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.DevChain = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const TIME_UNITS = { minutes: 60, hours: 60 * 60, days: 24 * 60 * 60 };
+    const TIME_PRESETS = [
+        { label: '+1 hour', seconds: TIME_UNITS.hours },
+        { label: '+1 day', seconds: TIME_UNITS.days },
+        { label: '+30 days', seconds: 30 * TIME_UNITS.days }
+    ];
+    // Guards the custom field against typos; LendingPool accrues a whole jump as simple interest
+    const MAX_SECONDS = 10 * 365 * TIME_UNITS.days;
+
+    /**
+     * Seconds in a custom duration.
+     * @param {string|number} amount - whole number of `unit`s
+     * @param {'minutes'|'hours'|'days'} unit
+     * @throws {Error} for anything but a positive whole number up to ten years
+     */
+    function parseDuration(amount, unit) {
+        const text = String(amount ?? '').trim();
+        if (!TIME_UNITS[unit]) throw new Error(`Unknown time unit ${unit}`);
+        if (!/^\d+$/.test(text) || Number(text) === 0) throw new Error('Enter a whole number above zero');
+        const seconds = Number(text) * TIME_UNITS[unit];
+        if (seconds > MAX_SECONDS) throw new Error('Advance at most ten years at a time');
+        return seconds;
+    }
+
+    /**
+     * Moves the node's clock forward and mines a block at the new time.
+     * @param {ethers.JsonRpcProvider} provider - provider of a development node
+     * @param {number} seconds
+     * @returns {Promise<{from: number, to: number}>} latest block timestamps before and after
+     */
+    async function advanceTime(provider, seconds) {
+        const before = await provider.getBlock('latest');
+        await provider.send('evm_increaseTime', [seconds]);
+        await provider.send('evm_mine', []);
+        const after = await provider.getBlock('latest');
+        return { from: before.timestamp, to: after.timestamp };
+    }
+
+    /**
+     * Calls LendingPool.accrueInterest for each asset, one transaction after another.
+     * @param {ethers.Contract} pool - LendingPool connected to a signer on the node
+     * @param {string[]} assets - asset addresses
+     * @param {function(number, number): void} [onProgress] - called with (done, total) after each asset
+     */
+    async function accrueInterest(pool, assets, onProgress = () => {}) {
+        for (const [i, asset] of assets.entries()) {
+            await (await pool.accrueInterest(asset)).wait();
+            onProgress(i + 1, assets.length);
+        }
+    }
+
+    /** Short duration label such as "30 days" or "2 hours". */
+    function formatDuration(seconds) {
+        for (const [unit, size] of Object.entries(TIME_UNITS).reverse()) {
+            if (seconds >= size && seconds % size === 0) {
+                const count = seconds / size;
+                return `${count} ${count === 1 ? unit.slice(0, -1) : unit}`;
+            }
+        }
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+
+    return {
+        TIME_UNITS,
+        TIME_PRESETS,
+        MAX_SECONDS,
+        parseDuration,
+        advanceTime,
+        accrueInterest,
+        formatDuration
+    };
+});
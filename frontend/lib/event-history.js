@@ -0,0 +1,293 @@
+/**
+ * Account activity history
+ * Rebuilds an account's Deposit, Withdraw, Borrow, Repay and Liquidate history from
+ * LendingPool logs, scanning in block-range chunks and caching what has been fetched
+ * so later syncs only read new blocks. The cache remembers the hash of the last scanned
+ * block and is dropped once the chain no longer has that block, as after a local node
+ * is reset. Also formats the history for CSV/JSON export.
+ */
+(function (root, factory) {
+    const api = factory(root.ethers || require('ethers'));
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.EventHistory = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+
+    const HISTORY_EVENTS = ['Deposit', 'Withdraw', 'Borrow', 'Repay', 'Liquidate'];
+    const DEFAULT_BLOCK_CHUNK_SIZE = 5000;
+    const PRICE_DECIMALS = 8;
+    const BIGINT_FIELDS = ['amount', 'shares', 'seizedAmount'];
+    const CACHE_VERSION = 2;
+
+    /** Splits [fromBlock, toBlock] into inclusive ranges of at most `size` blocks. */
+    function blockRanges(fromBlock, toBlock, size = DEFAULT_BLOCK_CHUNK_SIZE) {
+        if (!Number.isInteger(size) || size < 1) throw new Error('Block chunk size must be a positive integer');
+        const ranges = [];
+        for (let start = fromBlock; start <= toBlock; start += size) {
+            ranges.push([start, Math.min(start + size - 1, toBlock)]);
+        }
+        return ranges;
+    }
+
+    /** Event filters matching the account, tagged with the account's role in the event. */
+    function historyFilters(pool, account) {
+        return [
+            ...['Deposit', 'Withdraw', 'Borrow', 'Repay'].map(name => ({ filter: pool.filters[name](account), role: 'user' })),
+            { filter: pool.filters.Liquidate(account), role: 'liquidator' },
+            { filter: pool.filters.Liquidate(null, account), role: 'borrower' }
+        ];
+    }
+
+    /** Flattens a decoded pool log into a history entry. */
+    function normalizeEvent(log, role) {
+        const args = log.args;
+        const entry = {
+            type: log.eventName,
+            role,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            timestamp: null
+        };
+
+        if (entry.type === 'Liquidate') {
+            return {
+                ...entry,
+                asset: args.borrowAsset,
+                amount: args.repayAmount,
+                collateralAsset: args.collateralAsset,
+                seizedAmount: args.seizedAmount,
+                counterparty: role === 'liquidator' ? args.borrower : args.liquidator
+            };
+        }
+
+        const normalized = { ...entry, asset: args.asset, amount: args.amount };
+        if (args.shares !== undefined) normalized.shares = args.shares;
+        return normalized;
+    }
+
+    const entryKey = (entry) => `${entry.transactionHash}:${entry.logIndex}`;
+
+    // Newest first
+    const compareEntries = (a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex;
+
+    function serializeEntries(entries) {
+        return entries.map(entry => {
+            const copy = { ...entry };
+            for (const field of BIGINT_FIELDS) {
+                if (copy[field] !== undefined) copy[field] = copy[field].toString();
+            }
+            return copy;
+        });
+    }
+
+    function deserializeEntries(entries) {
+        return entries.map(entry => {
+            const copy = { ...entry };
+            for (const field of BIGINT_FIELDS) {
+                if (copy[field] !== undefined) copy[field] = BigInt(copy[field]);
+            }
+            return copy;
+        });
+    }
+
+    /**
+     * Creates a history loader for one account on one pool.
+     *
+     * @param {Object} options
+     * @param {ethers.Contract} options.pool - LendingPool with a provider
+     * @param {ethers.Provider} options.provider - provider for block numbers and timestamps
+     * @param {string} options.account - account whose history is loaded
+     * @param {number} [options.startBlock] - first block to scan, e.g. the pool's deployment block
+     * @param {number} [options.chunkSize] - blocks per eth_getLogs range
+     * @param {Storage} [options.storage] - localStorage-like cache; omitted means in-memory only
+     * @param {string} [options.cacheKey] - storage key, should include chain, pool and account
+     */
+    function createHistoryLoader({
+        pool,
+        provider,
+        account,
+        startBlock = 0,
+        chunkSize = DEFAULT_BLOCK_CHUNK_SIZE,
+        storage = null,
+        cacheKey = null
+    }) {
+        if (!pool || !provider || !account) throw new Error('createHistoryLoader requires a pool, provider and account');
+
+        const filters = historyFilters(pool, account);
+        const state = { scannedTo: startBlock - 1, scannedHash: null, entries: [] };
+        const stats = { logRequests: 0, blockRequests: 0 };
+
+        if (storage && cacheKey) {
+            try {
+                const cached = JSON.parse(storage.getItem(cacheKey));
+                if (cached && cached.version === CACHE_VERSION && cached.scannedTo >= state.scannedTo) {
+                    state.scannedTo = cached.scannedTo;
+                    state.scannedHash = cached.scannedHash;
+                    state.entries = deserializeEntries(cached.entries);
+                }
+            } catch (e) {
+                // Unreadable cache: rescan from startBlock
+            }
+        }
+
+        function persist() {
+            if (!storage || !cacheKey) return;
+            storage.setItem(cacheKey, JSON.stringify({
+                version: CACHE_VERSION,
+                scannedTo: state.scannedTo,
+                scannedHash: state.scannedHash,
+                entries: serializeEntries(state.entries)
+            }));
+        }
+
+        async function fetchRange(fromBlock, toBlock) {
+            const results = await Promise.all(filters.map(async ({ filter, role }) => {
+                stats.logRequests++;
+                const logs = await pool.queryFilter(filter, fromBlock, toBlock);
+                return logs.map(log => normalizeEvent(log, role));
+            }));
+
+            // A self-liquidation matches both Liquidate filters; keep one entry per log
+            const known = new Set(state.entries.map(entryKey));
+            const fresh = results.flat().filter(entry => {
+                const key = entryKey(entry);
+                if (known.has(key)) return false;
+                known.add(key);
+                return true;
+            });
+
+            const blocks = [...new Set(fresh.map(entry => entry.blockNumber))];
+            const timestamps = new Map(await Promise.all(blocks.map(async (number) => {
+                stats.blockRequests++;
+                const block = await provider.getBlock(number);
+                return [number, block.timestamp];
+            })));
+            fresh.forEach(entry => { entry.timestamp = timestamps.get(entry.blockNumber); });
+            return fresh;
+        }
+
+        async function blockHash(number) {
+            stats.blockRequests++;
+            return (await provider.getBlock(number))?.hash ?? null;
+        }
+
+        /**
+         * Whether the scanned range is still part of the chain. A reset node starts again from
+         * block 0 and a redeploy can reach the same height, so the height alone does not tell.
+         */
+        async function scannedRangeValid(latest) {
+            if (state.scannedTo < startBlock) return true;
+            if (latest < state.scannedTo) return false;
+            return state.scannedHash !== null && await blockHash(state.scannedTo) === state.scannedHash;
+        }
+
+        /**
+         * Scans every block after the cached range up to the latest block, one chunk at a time.
+         * The cache is written after each chunk, so an interrupted sync resumes where it stopped;
+         * a cache from blocks the chain no longer has is discarded and the range rescanned.
+         * @param {Object} [options]
+         * @param {function(number, number)} [options.onProgress] - called with (scannedBlocks, totalBlocks)
+         * @returns {Promise<Array>} all entries, newest first
+         */
+        async function sync({ onProgress } = {}) {
+            const latest = await provider.getBlockNumber();
+            if (!await scannedRangeValid(latest)) clear();
+            const ranges = blockRanges(state.scannedTo + 1, latest, chunkSize);
+            const total = Math.max(0, latest - state.scannedTo);
+
+            let scanned = 0;
+            for (const [fromBlock, toBlock] of ranges) {
+                const fresh = await fetchRange(fromBlock, toBlock);
+                state.entries = state.entries.concat(fresh).sort(compareEntries);
+                state.scannedTo = toBlock;
+                state.scannedHash = await blockHash(toBlock);
+                persist();
+
+                scanned += toBlock - fromBlock + 1;
+                if (onProgress) onProgress(scanned, total);
+            }
+            return state.entries;
+        }
+
+        function clear() {
+            state.scannedTo = startBlock - 1;
+            state.scannedHash = null;
+            state.entries = [];
+            if (storage && cacheKey) storage.removeItem(cacheKey);
+        }
+
+        return {
+            sync,
+            clear,
+            stats,
+            get entries() { return state.entries; },
+            get scannedTo() { return state.scannedTo; }
+        };
+    }
+
+    /**
+     * Export rows with symbols, formatted amounts and USD values at the given prices.
+     * @param {Array} entries
+     * @param {Map<string, {symbol: string, decimals: number, price: bigint}>} assetsByAddress - lowercase address keys
+     */
+    function toExportRows(entries, assetsByAddress, { priceDecimals = PRICE_DECIMALS } = {}) {
+        const lookup = (address) => (address && assetsByAddress.get(address.toLowerCase())) || null;
+        const format = (amount, asset) => (asset ? ethers.formatUnits(amount, asset.decimals) : amount.toString());
+
+        return entries.map(entry => {
+            const asset = lookup(entry.asset);
+            const collateral = lookup(entry.collateralAsset);
+            const usdValue = asset && asset.price
+                ? ethers.formatUnits(entry.amount * BigInt(asset.price) / (10n ** BigInt(asset.decimals)), priceDecimals)
+                : '';
+
+            return {
+                time: entry.timestamp ? new Date(entry.timestamp * 1000).toISOString() : '',
+                block: entry.blockNumber,
+                transactionHash: entry.transactionHash,
+                type: entry.type,
+                role: entry.role,
+                asset: asset ? asset.symbol : entry.asset,
+                amount: format(entry.amount, asset),
+                usdValue,
+                collateralAsset: entry.collateralAsset ? (collateral ? collateral.symbol : entry.collateralAsset) : '',
+                seizedAmount: entry.seizedAmount !== undefined ? format(entry.seizedAmount, collateral) : '',
+                counterparty: entry.counterparty || ''
+            };
+        });
+    }
+
+    function csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCSV(rows) {
+        if (rows.length === 0) return '';
+        const columns = Object.keys(rows[0]);
+        const lines = [columns.join(',')];
+        for (const row of rows) {
+            lines.push(columns.map(column => csvField(row[column])).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    function toJSON(rows) {
+        return JSON.stringify(rows, null, 2);
+    }
+
+    return {
+        HISTORY_EVENTS,
+        DEFAULT_BLOCK_CHUNK_SIZE,
+        blockRanges,
+        historyFilters,
+        normalizeEvent,
+        createHistoryLoader,
+        toExportRows,
+        toCSV,
+        toJSON
+    };
+});
@@ -0,0 +1,181 @@
+/**
+ * MockERC20 faucet
+ * Mints test tokens to the connected account on local networks, either a fixed amount of one
+ * asset or enough of each selected asset to top its balance up to an amount. MockERC20.mint is
+ * owner-only, so mints are sent from each token's owner account on the local node. A per-asset
+ * cooldown, a maximum amount and a maximum number of assets per request keep it from
+ * flooding the node.
+ */
+(function (root, factory) {
+    const api = factory(root.ethers || require('ethers'));
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.Faucet = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+
+    // Overridden by the "faucet" block of config.json
+    const DEFAULT_SETTINGS = {
+        amount: '1000',
+        maxAmount: '1000000',
+        cooldownSeconds: 60,
+        maxAssetsPerRequest: 50
+    };
+    const STORAGE_KEY = 'mini-defi-faucet';
+
+    const TOKEN_INTERFACE = new ethers.Interface([
+        'function owner() view returns (address)',
+        'function mint(address to, uint256 amount)'
+    ]);
+
+    function settings(config = {}) {
+        return { ...DEFAULT_SETTINGS, ...config };
+    }
+
+    /**
+     * Whole-token amount typed by the user, in token units.
+     * @throws {Error} for amounts that are not positive or exceed the configured maximum
+     */
+    function parseAmount(value, decimals, maxAmount = DEFAULT_SETTINGS.maxAmount) {
+        const text = String(value ?? '').trim();
+        let amount;
+        try {
+            amount = ethers.parseUnits(text, decimals);
+        } catch (e) {
+            throw new Error(`"${text}" is not a valid amount`);
+        }
+        if (amount <= 0n) throw new Error('Amount must be above zero');
+        if (amount > ethers.parseUnits(String(maxAmount), decimals)) throw new Error(`At most ${maxAmount} per asset`);
+        return amount;
+    }
+
+    /**
+     * Remembers when each account last used the faucet for each asset, optionally in
+     * localStorage so reloading the page does not reset the cooldown.
+     * @param {Object} options
+     * @param {number} options.cooldownSeconds
+     * @param {Storage} [options.storage]
+     * @param {function(): number} [options.now] - milliseconds
+     */
+    function createRateLimiter({ cooldownSeconds, storage = null, now = () => Date.now() }) {
+        let last = {};
+        try {
+            last = JSON.parse(storage?.getItem(STORAGE_KEY) || '{}');
+        } catch (e) {
+            // Unreadable entries only reset the cooldowns
+        }
+        const key = (account, token) => `${account}:${token}`.toLowerCase();
+
+        /** Seconds until `account` may mint `token` again, 0 if it may now. */
+        function waitSeconds(account, token) {
+            const elapsed = now() - (last[key(account, token)] || 0);
+            return Math.max(0, Math.ceil((cooldownSeconds * 1000 - elapsed) / 1000));
+        }
+
+        function record(account, token) {
+            const time = now();
+            last[key(account, token)] = time;
+            // Expired entries are dropped so storage does not grow with every asset ever minted
+            for (const [entry, at] of Object.entries(last)) {
+                if (time - at >= cooldownSeconds * 1000) delete last[entry];
+            }
+            storage?.setItem(STORAGE_KEY, JSON.stringify(last));
+        }
+
+        return { waitSeconds, record };
+    }
+
+    /**
+     * Works out what to mint.
+     * @param {Object} options
+     * @param {'mint'|'topUp'} options.mode - mint `amount` of each asset, or enough to bring the
+     *        wallet balance up to `amount`
+     * @param {Array<{address: string, symbol: string, decimals: number, balance: bigint}>} options.assets
+     * @param {string} options.amount - whole tokens, as typed
+     * @param {string} options.account
+     * @param {Object} options.limiter - see createRateLimiter
+     * @param {Object} [options.config] - see settings()
+     * @returns {{mints: Array<{asset: Object, amount: bigint}>, skipped: Array<{asset: Object, reason: string}>}}
+     * @throws {Error} for an invalid amount or more assets than one request allows
+     */
+    function planMints({ mode, assets, amount, account, limiter, config = {} }) {
+        const { maxAmount, maxAssetsPerRequest } = settings(config);
+        if (assets.length === 0) throw new Error('Select at least one asset');
+        if (assets.length > maxAssetsPerRequest) {
+            throw new Error(`The faucet serves at most ${maxAssetsPerRequest} assets per request`);
+        }
+
+        const mints = [];
+        const skipped = [];
+        for (const asset of assets) {
+            const target = parseAmount(amount, asset.decimals, maxAmount);
+            const wait = limiter.waitSeconds(account, asset.address);
+            const balance = BigInt(asset.balance || 0n);
+            if (wait > 0) {
+                skipped.push({ asset, reason: `try again in ${wait}s` });
+            } else if (mode === 'topUp' && balance >= target) {
+                skipped.push({ asset, reason: 'already topped up' });
+            } else {
+                mints.push({ asset, amount: mode === 'topUp' ? target - balance : target });
+            }
+        }
+        return { mints, skipped };
+    }
+
+    /**
+     * Owner of each token, null where owner() reverts (not a MockERC20).
+     * @returns {Promise<Map<string, string|null>>}
+     */
+    async function readTokenOwners({ reader, assets }) {
+        const results = await reader.read(assets.map(asset => ({
+            target: asset.address, iface: TOKEN_INTERFACE, method: 'owner'
+        })));
+        return new Map(assets.map((asset, i) => [asset.address, results[i].success ? results[i].value : null]));
+    }
+
+    /**
+     * Sends the mints one after another, each from its token's owner account on the node.
+     * @param {Object} options
+     * @param {ethers.JsonRpcProvider} options.provider - provider of a development node
+     * @param {string} options.account - recipient
+     * @param {Array<{asset: Object, amount: bigint}>} options.mints - see planMints
+     * @param {Map<string, string|null>} options.owners - see readTokenOwners
+     * @param {function(number, number, Object): void} [options.onMinted] - (done, total, asset) after each mint
+     * @returns {Promise<{minted: Array, failed: Array<{asset: Object, error: string}>}>}
+     */
+    async function sendMints({ provider, account, mints, owners, onMinted = () => {} }) {
+        const minted = [];
+        const failed = [];
+        const signers = new Map();
+
+        for (const mint of mints) {
+            const owner = owners.get(mint.asset.address);
+            if (!owner) {
+                failed.push({ asset: mint.asset, error: 'not a MockERC20' });
+                continue;
+            }
+            try {
+                if (!signers.has(owner)) signers.set(owner, await provider.getSigner(owner));
+                const token = new ethers.Contract(mint.asset.address, TOKEN_INTERFACE, signers.get(owner));
+                await (await token.mint(account, mint.amount)).wait();
+                minted.push(mint);
+                onMinted(minted.length, mints.length, mint.asset);
+            } catch (error) {
+                failed.push({ asset: mint.asset, error: error.shortMessage || error.message });
+            }
+        }
+        return { minted, failed };
+    }
+
+    return {
+        DEFAULT_SETTINGS,
+        TOKEN_INTERFACE,
+        settings,
+        parseAmount,
+        createRateLimiter,
+        planMints,
+        readTokenOwners,
+        sendMints
+    };
+});
@@ -0,0 +1,198 @@
+/**
+ * Governed setter calls
+ * Describes every setter that RateGovernor proposals are expected to call, so proposal
+ * calldata can be encoded by the Hardhat tasks and decoded back into readable parameters.
+ */
+(function (root, factory) {
+    const api = factory(root.ethers || require('ethers'));
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.GovernanceCalls = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+
+    // unit: 'percent' = 1e18 fraction shown as %, 'wad' = plain 1e18 fixed point, 'address'
+    const GOVERNED_CALLS = [
+        {
+            contract: 'LinearInterestRateModel',
+            label: 'Linear',
+            fragment: 'function setAPR(uint256 baseAPR, uint256 slopeAPR)',
+            params: [
+                { name: 'baseAPR', label: 'base', unit: 'percent' },
+                { name: 'slopeAPR', label: 'slope', unit: 'percent' }
+            ]
+        },
+        {
+            contract: 'KinkInterestRateModel',
+            label: 'Kink',
+            fragment: 'function setParams(uint256 baseAPR, uint256 slopeLowAPR, uint256 slopeHighAPR, uint256 kink)',
+            params: [
+                { name: 'baseAPR', label: 'base', unit: 'percent' },
+                { name: 'slopeLowAPR', label: 'slope low', unit: 'percent' },
+                { name: 'slopeHighAPR', label: 'slope high', unit: 'percent' },
+                { name: 'kink', label: 'kink', unit: 'percent' }
+            ]
+        },
+        {
+            contract: 'ExponentialInterestRateModel',
+            label: 'Exponential',
+            fragment: 'function setParams(uint256 baseAPR, uint256 coefficientAPR, uint256 exponentFactor)',
+            params: [
+                { name: 'baseAPR', label: 'base', unit: 'percent' },
+                { name: 'coefficientAPR', label: 'coefficient', unit: 'percent' },
+                { name: 'exponentFactor', label: 'exponent', unit: 'wad' }
+            ]
+        },
+        {
+            contract: 'TimeWeightedInterestRateModel',
+            label: 'TimeWeighted',
+            fragment: 'function setParameters(uint256 minAPR, uint256 maxAPR, uint256 neutralAPR, uint256 adjustmentRatePerSecond, uint256 lowerUtilization, uint256 upperUtilization)',
+            params: [
+                { name: 'minAPR', label: 'min', unit: 'percent' },
+                { name: 'maxAPR', label: 'max', unit: 'percent' },
+                { name: 'neutralAPR', label: 'neutral', unit: 'percent' },
+                { name: 'adjustmentRatePerSecond', label: 'adjustment/s', unit: 'percent' },
+                { name: 'lowerUtilization', label: 'lower', unit: 'percent' },
+                { name: 'upperUtilization', label: 'upper', unit: 'percent' }
+            ]
+        },
+        {
+            contract: 'DynamicInterestRateModel',
+            label: 'Dynamic',
+            fragment: 'function setParameters(uint256 baseRatePerSecond, uint256 utilizationMultiplier)',
+            params: [
+                { name: 'baseRatePerSecond', label: 'base rate/s', unit: 'wad' },
+                { name: 'utilizationMultiplier', label: 'multiplier', unit: 'wad' }
+            ]
+        },
+        {
+            contract: 'LendingPool',
+            label: 'LendingPool',
+            // Current values live in assetConfigs(asset) rather than in public variables
+            stateGetter: 'assetConfigs',
+            fragment: 'function updateAssetConfig(address asset, uint256 collateralFactor, uint256 liquidationBonus, uint256 reserveFactor)',
+            params: [
+                { name: 'asset', label: 'asset', unit: 'address' },
+                { name: 'collateralFactor', label: 'collateral factor', unit: 'percent' },
+                { name: 'liquidationBonus', label: 'liquidation bonus', unit: 'percent' },
+                { name: 'reserveFactor', label: 'reserve factor', unit: 'percent' }
+            ]
+        }
+    ];
+
+    const callsBySelector = new Map();
+    for (const call of GOVERNED_CALLS) {
+        call.iface = new ethers.Interface([call.fragment]);
+        call.method = call.iface.fragments[0].name;
+        call.selector = call.iface.fragments[0].selector;
+        callsBySelector.set(call.selector, call);
+    }
+
+    /** Returns the governed call definition for a contract name. */
+    function getCall(contract) {
+        const call = GOVERNED_CALLS.find(c => c.contract === contract);
+        if (!call) throw new Error(`No governed setter known for ${contract}`);
+        return call;
+    }
+
+    /** Encodes calldata for the governed setter of `contract`. */
+    function encodeCall(contract, args) {
+        const call = getCall(contract);
+        return call.iface.encodeFunctionData(call.method, args);
+    }
+
+    /** Formats a raw parameter value according to its unit. */
+    function formatValue(value, unit) {
+        if (unit === 'address') return value;
+        const text = ethers.formatUnits(value, unit === 'percent' ? 16 : 18).replace(/\.0$/, '');
+        return unit === 'percent' ? `${text}%` : text;
+    }
+
+    /**
+     * Decodes proposal calldata into its setter and named arguments.
+     * @returns {?{contract: string, label: string, method: string, args: Array}} null for unknown calls
+     */
+    function decodeCall(data) {
+        if (!data || data.length < 10) return null;
+        const call = callsBySelector.get(data.slice(0, 10).toLowerCase());
+        if (!call) return null;
+
+        const values = call.iface.decodeFunctionData(call.method, data);
+        return {
+            contract: call.contract,
+            label: call.label,
+            method: call.method,
+            args: call.params.map((param, i) => ({
+                ...param,
+                value: values[i],
+                formatted: formatValue(values[i], param.unit)
+            }))
+        };
+    }
+
+    /**
+     * Reads the target's current value for every decoded argument (null for address arguments).
+     * Model setters mirror public variables of the same name; LendingPool reads assetConfigs(asset).
+     * @param {Object} decoded - result of decodeCall
+     * @param {ethers.Contract} contract - the call's target, connected to a provider
+     */
+    async function readCurrentValues(decoded, contract) {
+        const call = getCall(decoded.contract);
+        if (call.stateGetter) {
+            const keys = decoded.args.filter(arg => arg.unit === 'address').map(arg => arg.value);
+            const state = await contract[call.stateGetter](...keys);
+            return decoded.args.map(arg => (arg.unit === 'address' ? null : state[arg.name]));
+        }
+        return Promise.all(decoded.args.map(arg => (arg.unit === 'address' ? null : contract[arg.name]())));
+    }
+
+    /**
+     * Pairs each decoded argument with its current value.
+     * @returns {Array<{label: string, from: ?string, to: string, changed: boolean}>}
+     */
+    function describeChanges(decoded, currentValues = []) {
+        return decoded.args
+            .filter(arg => arg.unit !== 'address')
+            .map(arg => {
+                const current = currentValues[decoded.args.indexOf(arg)];
+                const hasCurrent = current !== null && current !== undefined;
+                return {
+                    label: arg.label,
+                    from: hasCurrent ? formatValue(current, arg.unit) : null,
+                    to: arg.formatted,
+                    changed: !hasCurrent || BigInt(current) !== BigInt(arg.value)
+                };
+            });
+    }
+
+    /** Summary of the changed parameters only, such as "Kink base 2% → 3%, kink 80% → 85%". */
+    function summarizeChanges(decoded, currentValues = []) {
+        const changes = describeChanges(decoded, currentValues).filter(change => change.changed);
+        if (changes.length === 0) return `${decoded.label} (no parameter changes)`;
+        const parts = changes.map(change => (change.from === null
+            ? `${change.label} → ${change.to}`
+            : `${change.label} ${change.from} → ${change.to}`));
+        return `${decoded.label} ${parts.join(', ')}`;
+    }
+
+    /** One-line summary such as "Kink setParams(base 3%, slope low 10%, ...)". */
+    function describeCall(data) {
+        const decoded = decodeCall(data);
+        if (!decoded) return `Unknown call ${data ? data.slice(0, 10) : ''}`;
+        const args = decoded.args.map(arg => `${arg.label} ${arg.formatted}`).join(', ');
+        return `${decoded.label} ${decoded.method}(${args})`;
+    }
+
+    return {
+        GOVERNED_CALLS,
+        getCall,
+        encodeCall,
+        decodeCall,
+        describeCall,
+        readCurrentValues,
+        describeChanges,
+        summarizeChanges,
+        formatValue
+    };
+});
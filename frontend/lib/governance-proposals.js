@@ -0,0 +1,83 @@
+/**
+ * RateGovernor proposal helpers
+ * Status, countdown formatting and the event-based history shared by the dashboard's
+ * governance panel and the Hardhat governance tasks.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.GovernanceProposals = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * @param {{executed: boolean, cancelled: boolean, executeAfter: (number|bigint)}} proposal
+     * @param {number} now - chain timestamp in seconds
+     * @returns {'executed'|'cancelled'|'ready'|'pending'}
+     */
+    function proposalStatus(proposal, now) {
+        if (proposal.executed) return 'executed';
+        if (proposal.cancelled) return 'cancelled';
+        return BigInt(now) >= BigInt(proposal.executeAfter) ? 'ready' : 'pending';
+    }
+
+    /** Formats a remaining delay such as "1d 02h 05m 09s"; "ready" once it has elapsed. */
+    function formatCountdown(seconds) {
+        let remaining = Math.max(0, Math.floor(Number(seconds)));
+        if (remaining === 0) return 'ready';
+
+        const days = Math.floor(remaining / 86400);
+        remaining %= 86400;
+        const pad = (value) => String(value).padStart(2, '0');
+        const time = `${pad(Math.floor(remaining / 3600))}h ${pad(Math.floor(remaining % 3600 / 60))}m ${pad(remaining % 60)}s`;
+        return days > 0 ? `${days}d ${time}` : time;
+    }
+
+    /**
+     * Rebuilds the proposal history from governor events.
+     * Each event is `{ proposalId, blockNumber, transactionHash }`; queued events also carry
+     * `target`, `executeAfter` and `data`.
+     * @returns {Array} one entry per queued proposal, newest activity first
+     */
+    function buildProposalHistory({ queued = [], executed = [], cancelled = [] }) {
+        const byId = new Map();
+        for (const event of queued) {
+            const id = Number(event.proposalId);
+            byId.set(id, {
+                id,
+                target: event.target,
+                data: event.data,
+                executeAfter: Number(event.executeAfter),
+                queuedBlock: event.blockNumber,
+                queuedTx: event.transactionHash,
+                outcome: null,
+                outcomeBlock: null,
+                outcomeTx: null
+            });
+        }
+
+        const resolve = (events, outcome) => {
+            for (const event of events) {
+                const entry = byId.get(Number(event.proposalId));
+                // Outcome of a proposal queued before the scanned block range
+                if (!entry) continue;
+                entry.outcome = outcome;
+                entry.outcomeBlock = event.blockNumber;
+                entry.outcomeTx = event.transactionHash;
+            }
+        };
+        resolve(executed, 'executed');
+        resolve(cancelled, 'cancelled');
+
+        const lastActivity = (entry) => entry.outcomeBlock ?? entry.queuedBlock;
+        return [...byId.values()].sort((a, b) => lastActivity(b) - lastActivity(a) || b.id - a.id);
+    }
+
+    return {
+        proposalStatus,
+        formatCountdown,
+        buildProposalHistory
+    };
+});
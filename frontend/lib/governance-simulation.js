@@ -0,0 +1,146 @@
+/**
+ * RateGovernor proposal dry runs
+ * Executes a queued proposal on a snapshot of a development chain, samples the rate curve
+ * before and after, and reverts the snapshot. Shared by `governance:simulate` and the
+ * dashboard's governance panel.
+ */
+(function (root, factory) {
+    const api = factory(
+        root.ethers || require('ethers'),
+        root.GovernanceCalls || require('./governance-calls')
+    );
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.GovernanceSimulation = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers, GovernanceCalls) {
+
+    const WAD = 10n ** 18n;
+    const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+    const DEFAULT_STEPS = 10;
+
+    const MODEL_ABI = ['function getBorrowRatePerSecond(uint256 utilization) view returns (uint256)'];
+
+    /** Utilization points from 0 to 100% in `steps` equal increments, as 1e18 fractions. */
+    function utilizationPoints(steps = DEFAULT_STEPS) {
+        if (!Number.isInteger(steps) || steps < 1) throw new Error('steps must be a positive integer');
+        return Array.from({ length: steps + 1 }, (_, i) => WAD * BigInt(i) / BigInt(steps));
+    }
+
+    /** Annualizes a per-second rate into a 1e18 APR. */
+    function toAPR(ratePerSecond) {
+        return BigInt(ratePerSecond) * SECONDS_PER_YEAR;
+    }
+
+    /** Formats a 1e18 fraction as a percentage, e.g. "3.25%"; `signed` prefixes gains with "+". */
+    function formatPercent(value, { digits = 2, signed = false } = {}) {
+        const text = Number(ethers.formatUnits(value, 16)).toFixed(digits);
+        return `${signed && BigInt(value) >= 0n ? '+' : ''}${text}%`;
+    }
+
+    /**
+     * Pool assets whose borrow rate a proposal can move: those using the target model,
+     * or the configured asset for LendingPool.updateAssetConfig.
+     * @param {{target: string, data: string}} proposal
+     * @param {Array<{address: string, interestRateModel: string}>} assets
+     */
+    function findAffectedAssets(proposal, assets) {
+        const decoded = GovernanceCalls.decodeCall(proposal.data);
+        if (decoded && decoded.contract === 'LendingPool') {
+            const asset = decoded.args[0].value.toLowerCase();
+            return assets.filter(a => a.address.toLowerCase() === asset);
+        }
+        const target = proposal.target.toLowerCase();
+        return assets.filter(a => a.interestRateModel.toLowerCase() === target);
+    }
+
+    async function sampleRates({ model, pool, points, assets }) {
+        const [curve, assetRates] = await Promise.all([
+            Promise.all(points.map(utilization => model.getBorrowRatePerSecond(utilization))),
+            pool ? Promise.all(assets.map(asset => pool.borrowRatePerSecond(asset.address))) : []
+        ]);
+        return { curve, assetRates };
+    }
+
+    /**
+     * Dry-runs a queued proposal: snapshots the chain (evm_snapshot), advances time past
+     * executeAfter, executes, samples the rate curve and the affected assets' borrow rates,
+     * then reverts the snapshot. Only works against development nodes.
+     *
+     * @param {Object} options
+     * @param {ethers.JsonRpcProvider} options.provider - provider of a development node
+     * @param {ethers.Contract} options.governor - RateGovernor connected to a signer on that node
+     * @param {number} options.proposalId
+     * @param {ethers.Contract} [options.pool] - LendingPool on the same provider, for per-asset rates
+     * @param {Array} [options.assets] - pool assets as `{ address, symbol, interestRateModel }`
+     * @param {number} [options.steps] - utilization increments between 0 and 100%
+     * @returns {Promise<Object>} before/after APRs per utilization point and per affected asset
+     */
+    async function simulateProposal({ provider, governor, proposalId, pool = null, assets = [], steps = DEFAULT_STEPS }) {
+        const proposal = await governor.getProposal(proposalId);
+        if (proposal.executed || proposal.cancelled) {
+            throw new Error(`Proposal #${proposalId} is already ${proposal.executed ? 'executed' : 'cancelled'}`);
+        }
+
+        const decoded = GovernanceCalls.decodeCall(proposal.data);
+        const affected = findAffectedAssets(proposal, assets);
+        // Asset config updates leave the curve alone; show the configured asset's model instead
+        const modelAddress = decoded && decoded.contract === 'LendingPool'
+            ? (affected[0] ? affected[0].interestRateModel : null)
+            : proposal.target;
+        const model = modelAddress ? new ethers.Contract(modelAddress, MODEL_ABI, provider) : null;
+        const points = model ? utilizationPoints(steps) : [];
+        const sample = () => sampleRates({ model, pool, points, assets: affected });
+
+        const before = await sample();
+        let after;
+        let executedAt;
+
+        const snapshot = await provider.send('evm_snapshot', []);
+        try {
+            const latest = await provider.getBlock('latest');
+            const wait = Number(proposal.executeAfter) - latest.timestamp;
+            if (wait > 0) {
+                await provider.send('evm_increaseTime', [wait]);
+                await provider.send('evm_mine', []);
+            }
+
+            const receipt = await (await governor.execute(proposalId)).wait();
+            executedAt = (await provider.getBlock(receipt.blockNumber)).timestamp;
+            after = await sample();
+        } finally {
+            await provider.send('evm_revert', [snapshot]);
+        }
+
+        return {
+            proposalId: Number(proposalId),
+            target: proposal.target,
+            description: GovernanceCalls.describeCall(proposal.data),
+            model: modelAddress,
+            executeAfter: Number(proposal.executeAfter),
+            executedAt,
+            curve: points.map((utilization, i) => ({
+                utilization,
+                before: toAPR(before.curve[i]),
+                after: toAPR(after.curve[i])
+            })),
+            assets: affected.map((asset, i) => ({
+                address: asset.address,
+                symbol: asset.symbol,
+                before: pool ? toAPR(before.assetRates[i]) : null,
+                after: pool ? toAPR(after.assetRates[i]) : null
+            }))
+        };
+    }
+
+    return {
+        DEFAULT_STEPS,
+        SECONDS_PER_YEAR,
+        utilizationPoints,
+        toAPR,
+        formatPercent,
+        findAffectedAssets,
+        simulateProposal
+    };
+});
@@ -0,0 +1,294 @@
+/**
+ * Batch health-factor preview
+ * Replays LendingPool's liquidity checks client-side so the dashboard can show the
+ * projected collateral, debt and health factor of a batch, and which legs would revert,
+ * before anything is sent.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.HealthPreview = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const PRECISION = 10n ** 18n;
+    // LendingPool.getHealthFactor returns type(uint256).max for accounts without debt
+    const MAX_HEALTH_FACTOR = (1n << 256n) - 1n;
+
+    /** Oracle value of a token amount, in the oracle's price units. */
+    function valueOf(amount, asset) {
+        return amount * BigInt(asset.price) / (10n ** BigInt(asset.decimals));
+    }
+
+    /**
+     * Account totals over a set of positions, as LendingPool._getAccountLiquidity computes them.
+     * @param {Array<{asset: Object, deposits: bigint, borrows: bigint}>} positions
+     */
+    function accountLiquidity(positions) {
+        let collateralValue = 0n;
+        let borrowingPower = 0n;
+        let debt = 0n;
+        for (const { asset, deposits, borrows } of positions) {
+            if (deposits > 0n) {
+                const value = valueOf(deposits, asset);
+                collateralValue += value;
+                borrowingPower += value * BigInt(asset.collateralFactor) / PRECISION;
+            }
+            if (borrows > 0n) {
+                debt += valueOf(borrows, asset);
+            }
+        }
+        return {
+            collateralValue,
+            borrowingPower,
+            debt,
+            healthFactor: debt === 0n ? MAX_HEALTH_FACTOR : borrowingPower * PRECISION / debt
+        };
+    }
+
+    // Outcome of one leg against the simulated state: a revert reason, or null if it goes through.
+    // `liquidity` tracks the pool's remaining token balance per asset across the batch.
+    function applyLeg(operation, position, amount, positions, liquidity) {
+        const { asset } = position;
+        const key = asset.address.toLowerCase();
+
+        switch (operation) {
+            case 'deposit':
+                if (amount === 0n) return 'ZeroAmount';
+                if (position.balance < amount) return 'Insufficient wallet balance';
+                position.deposits += amount;
+                position.balance -= amount;
+                return null;
+
+            case 'withdraw': {
+                if (amount === 0n) return 'ZeroAmount';
+                if (position.deposits < amount) return 'InsufficientCollateral (exceeds deposit)';
+                // LendingPool.withdraw compares the total debt with the withdrawn asset's
+                // remaining collateral only, so other collateral does not help here
+                const { debt } = accountLiquidity(positions);
+                const remaining = valueOf(position.deposits - amount, asset) * BigInt(asset.collateralFactor) / PRECISION;
+                if (debt > remaining) return 'InsufficientCollateral';
+                position.deposits -= amount;
+                position.balance += amount;
+                return null;
+            }
+
+            case 'borrow': {
+                // The pool returns early for zero borrows instead of reverting
+                if (amount === 0n) return null;
+                const { borrowingPower, debt } = accountLiquidity(positions);
+                if (debt + valueOf(amount, asset) > borrowingPower) return 'InsufficientCollateral';
+                if (liquidity.has(key) && liquidity.get(key) < amount) return 'InsufficientLiquidity';
+                position.borrows += amount;
+                position.balance += amount;
+                if (liquidity.has(key)) liquidity.set(key, liquidity.get(key) - amount);
+                return null;
+            }
+
+            case 'repay': {
+                if (amount === 0n) return 'ZeroAmount';
+                // Repayments are capped at the outstanding debt
+                const repayAmount = amount < position.borrows ? amount : position.borrows;
+                if (position.balance < repayAmount) return 'Insufficient wallet balance';
+                position.borrows -= repayAmount;
+                position.balance -= repayAmount;
+                return null;
+            }
+
+            default:
+                throw new Error(`Unknown operation: ${operation}`);
+        }
+    }
+
+    /**
+     * Replays a batch leg by leg, in order. Legs that would revert leave the state untouched,
+     * as the dashboard skips failed legs and carries on with the rest of the batch.
+     *
+     * @param {Object} options
+     * @param {'deposit'|'withdraw'|'borrow'|'repay'} options.operation
+     * @param {Array<{asset: Object, amount: bigint}>} options.legs - `asset` carries address, price,
+     *        decimals, collateralFactor and optionally liquidity (the pool's token balance)
+     * @param {Array<{asset: Object, deposits: bigint, borrows: bigint, balance: bigint}>} options.positions -
+     *        the account's current positions; assets of the legs may be missing
+     */
+    function simulateBatch({ operation, legs, positions }) {
+        const state = positions.map(position => ({ ...position }));
+        const byAddress = new Map(state.map(position => [position.asset.address.toLowerCase(), position]));
+        const liquidity = new Map();
+        const before = accountLiquidity(state);
+
+        const results = legs.map(({ asset, amount }) => {
+            const key = asset.address.toLowerCase();
+            if (!byAddress.has(key)) {
+                const position = { asset, deposits: 0n, borrows: 0n, balance: 0n };
+                state.push(position);
+                byAddress.set(key, position);
+            }
+            if (!liquidity.has(key) && asset.liquidity !== undefined) {
+                liquidity.set(key, BigInt(asset.liquidity));
+            }
+
+            // applyLeg only mutates the position when the leg goes through
+            const reason = applyLeg(operation, byAddress.get(key), amount, state, liquidity);
+            return { asset, amount, ok: reason === null, reason };
+        });
+
+        return { legs: results, before, after: accountLiquidity(state) };
+    }
+
+    /**
+     * Whether the batch must be blocked: the projected health factor ends below the margin
+     * and the batch lowers it. Batches that only improve the account are never blocked.
+     * @param {{before: Object, after: Object}} preview - result of simulateBatch
+     * @param {bigint} minHealthFactor - 1e18 fixed point
+     */
+    function isBelowSafetyMargin(preview, minHealthFactor) {
+        return preview.after.healthFactor < minHealthFactor
+            && preview.after.healthFactor < preview.before.healthFactor;
+    }
+
+    // Largest x in [0, hi] for which fits(x) holds; fits must be monotonic, fits(0) is assumed
+    function searchMax(hi, fits) {
+        let lo = 0n;
+        while (lo < hi) {
+            const mid = (lo + hi + 1n) / 2n;
+            if (fits(mid)) {
+                lo = mid;
+            } else {
+                hi = mid - 1n;
+            }
+        }
+        return lo;
+    }
+
+    // The pool itself only requires debt <= borrowing power, i.e. a health factor of 1
+    const effectiveTarget = (target) => (BigInt(target) > PRECISION ? BigInt(target) : PRECISION);
+
+    /**
+     * Largest amount of one asset the account can borrow or withdraw right now without the pool
+     * reverting and without the health factor ending below the target.
+     *
+     * @param {Object} options
+     * @param {'borrow'|'withdraw'} options.operation
+     * @param {Object} options.asset - as for simulateBatch legs
+     * @param {Array} options.positions - as for simulateBatch
+     * @param {bigint} options.targetHealthFactor - 1e18 fixed point; values below 1 mean 1
+     * @returns {bigint} token amount
+     */
+    function maxSafeAmount({ operation, asset, positions, targetHealthFactor }) {
+        const target = effectiveTarget(targetHealthFactor);
+        const fits = (amount) => {
+            const preview = simulateBatch({ operation, legs: [{ asset, amount }], positions });
+            return preview.legs[0].ok && preview.after.healthFactor >= target;
+        };
+
+        let hi;
+        if (operation === 'withdraw') {
+            const position = positions.find(p => p.asset.address.toLowerCase() === asset.address.toLowerCase());
+            hi = position ? position.deposits : 0n;
+        } else if (operation === 'borrow') {
+            const { borrowingPower, debt } = accountLiquidity(positions);
+            if (borrowingPower <= debt || BigInt(asset.price) === 0n) return 0n;
+            hi = (borrowingPower - debt) * (10n ** BigInt(asset.decimals)) / BigInt(asset.price) + 1n;
+            if (asset.liquidity !== undefined && BigInt(asset.liquidity) < hi) hi = BigInt(asset.liquidity);
+        } else {
+            throw new Error(`Max amounts are only defined for borrow and withdraw, not ${operation}`);
+        }
+        return searchMax(hi, fits);
+    }
+
+    /**
+     * Largest total value (in oracle price units) a batch borrow or withdraw can move when it
+     * is split across assets by percentage, under the same conditions as maxSafeAmount.
+     * Legs are sized like the dashboard does: value * proportion / 100, converted at the asset price.
+     *
+     * @param {Object} options
+     * @param {'borrow'|'withdraw'} options.operation
+     * @param {Array<{asset: Object, proportion: number}>} options.allocations - proportions in whole percent
+     * @param {Array} options.positions
+     * @param {bigint} options.targetHealthFactor
+     * @returns {bigint} total value
+     */
+    function maxSafeBatchValue({ operation, allocations, positions, targetHealthFactor }) {
+        const target = effectiveTarget(targetHealthFactor);
+        const priced = allocations.filter(({ asset, proportion }) => proportion > 0 && BigInt(asset.price) > 0n);
+        if (priced.length === 0) return 0n;
+
+        const legsFor = (value) => priced.map(({ asset, proportion }) => ({
+            asset,
+            amount: value * BigInt(proportion) / 100n * (10n ** BigInt(asset.decimals)) / BigInt(asset.price)
+        }));
+        const fits = (value) => {
+            const preview = simulateBatch({ operation, legs: legsFor(value), positions });
+            // Legs rounded down to nothing are harmless, even if the pool rejects them
+            return preview.legs.every(leg => leg.ok || leg.amount === 0n)
+                && preview.after.healthFactor >= target;
+        };
+
+        const { collateralValue, borrowingPower } = accountLiquidity(positions);
+        const smallest = BigInt(Math.min(...priced.map(({ proportion }) => proportion)));
+        // A leg can never exceed the account's whole collateral or borrowing power
+        const hi = (operation === 'withdraw' ? collateralValue : borrowingPower) * 100n / smallest + 1n;
+        return searchMax(hi, fits);
+    }
+
+    /**
+     * Reads each account's deposits and borrows in the markets it has entered, in two batched
+     * rounds: the entered markets, then the balances in them.
+     * @param {Object} options
+     * @param {ethers.Contract} options.pool - LendingPool
+     * @param {Object} options.reader - batch reader (see lib/batch-reader.js)
+     * @param {string[]} options.accounts
+     * @param {Array<Object>} options.assets - listed assets with address, decimals, price and collateralFactor
+     * @returns {Promise<Map<string, Array<{asset: Object, deposits: bigint, borrows: bigint}>>>}
+     */
+    async function readAccountPositions({ pool, reader, accounts, assets }) {
+        const poolAddress = pool.target;
+        const iface = pool.interface;
+        const byAddress = new Map(assets.map(asset => [asset.address.toLowerCase(), asset]));
+
+        const entered = await reader.read(accounts.map(account => ({
+            target: poolAddress, iface, method: 'getEnteredMarkets', args: [account]
+        })));
+        const markets = accounts.map((account, i) => (entered[i].success ? [...entered[i].value] : [])
+            .map(address => byAddress.get(address.toLowerCase()))
+            .filter(Boolean));
+
+        const calls = [];
+        accounts.forEach((account, i) => {
+            for (const asset of markets[i]) {
+                calls.push(
+                    { target: poolAddress, iface, method: 'userDeposits', args: [account, asset.address] },
+                    { target: poolAddress, iface, method: 'userBorrows', args: [account, asset.address] }
+                );
+            }
+        });
+        const results = await reader.read(calls);
+        const valueOrZero = (result) => (result.success ? result.value : 0n);
+
+        const positions = new Map();
+        let next = 0;
+        accounts.forEach((account, i) => {
+            positions.set(account, markets[i].map(asset => ({
+                asset,
+                deposits: valueOrZero(results[next++]),
+                borrows: valueOrZero(results[next++])
+            })));
+        });
+        return positions;
+    }
+
+    return {
+        PRECISION,
+        MAX_HEALTH_FACTOR,
+        valueOf,
+        accountLiquidity,
+        simulateBatch,
+        isBelowSafetyMargin,
+        maxSafeAmount,
+        maxSafeBatchValue,
+        readAccountPositions
+    };
+});
@@ -0,0 +1,192 @@
+/**
+ * Liquidation opportunity scanner
+ * Collects borrowers from LendingPool Borrow events, polls their health factors and, for
+ * accounts below 1.0, picks the debt/collateral pair and repay amount with the highest
+ * estimated profit, replaying the pool's close-factor and liquidation-bonus math.
+ * Shared by the dashboard's liquidation form and scripts/scan-liquidations.js.
+ */
+(function (root, factory) {
+    const api = factory(
+        root.EventHistory || require('./event-history'),
+        root.HealthPreview || require('./health-preview')
+    );
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.LiquidationScanner = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (EventHistory, HealthPreview) {
+
+    const { PRECISION, valueOf, accountLiquidity, readAccountPositions } = HealthPreview;
+
+    /** Collateral tokens the pool seizes for `repayAmount` of debt, as LendingPool._getSeizeAmount. */
+    function seizeAmountFor(repayAmount, debtAsset, collateralAsset) {
+        const repayValue = valueOf(repayAmount, debtAsset);
+        const seizeValue = repayValue * (PRECISION + BigInt(collateralAsset.liquidationBonus)) / PRECISION;
+        return seizeValue * (10n ** BigInt(collateralAsset.decimals)) / BigInt(collateralAsset.price);
+    }
+
+    /** Debt repaid in exchange for `seizeAmount` collateral tokens, as LendingPool._getRepayAmountForSeize. */
+    function repayAmountForSeize(seizeAmount, debtAsset, collateralAsset) {
+        const seizeValue = valueOf(seizeAmount, collateralAsset);
+        const repayValue = seizeValue * PRECISION / (PRECISION + BigInt(collateralAsset.liquidationBonus));
+        return repayValue * (10n ** BigInt(debtAsset.decimals)) / BigInt(debtAsset.price);
+    }
+
+    /**
+     * Outcome of liquidating one debt/collateral pair with the largest repayment the pool allows:
+     * the close factor caps the repayment, and a borrower without enough collateral left loses
+     * all of it for a correspondingly smaller repayment. Returns null if the pool would revert.
+     *
+     * @param {{asset: Object, borrows: bigint}} debt - asset carries address, decimals and price
+     * @param {{asset: Object, deposits: bigint}} collateral - asset also carries liquidationBonus
+     * @param {bigint} closeFactor - 1e18 fixed point
+     */
+    function quoteLiquidation(debt, collateral, closeFactor) {
+        if (debt.borrows === 0n || collateral.deposits === 0n) return null;
+        if (BigInt(debt.asset.price) === 0n || BigInt(collateral.asset.price) === 0n) return null;
+
+        let repayAmount = debt.borrows * BigInt(closeFactor) / PRECISION;
+        let seizeAmount = seizeAmountFor(repayAmount, debt.asset, collateral.asset);
+        if (seizeAmount >= collateral.deposits) {
+            seizeAmount = collateral.deposits;
+            repayAmount = repayAmountForSeize(seizeAmount, debt.asset, collateral.asset);
+        }
+        if (repayAmount === 0n || seizeAmount === 0n) return null;
+
+        const repayValue = valueOf(repayAmount, debt.asset);
+        const seizeValue = valueOf(seizeAmount, collateral.asset);
+        return {
+            debtAsset: debt.asset,
+            collateralAsset: collateral.asset,
+            repayAmount,
+            seizeAmount,
+            repayValue,
+            seizeValue,
+            profit: seizeValue - repayValue
+        };
+    }
+
+    /** Most profitable quote over every debt/collateral pair of the positions, or null. */
+    function bestLiquidation(positions, closeFactor) {
+        let best = null;
+        for (const debt of positions) {
+            for (const collateral of positions) {
+                const quote = quoteLiquidation(debt, collateral, closeFactor);
+                if (quote && (!best || quote.profit > best.profit)) best = quote;
+            }
+        }
+        return best;
+    }
+
+    const profitOf = (opportunity) => (opportunity.best ? opportunity.best.profit : -1n);
+
+    /**
+     * Reads the health factors of the given accounts; accounts below 1.0 come back with their
+     * positions in the markets they entered and the best liquidation.
+     *
+     * @param {Object} options
+     * @param {ethers.Contract} options.pool - LendingPool
+     * @param {Object} options.reader - batch reader (see lib/batch-reader.js)
+     * @param {Array<string>} options.accounts
+     * @param {Array<Object>} options.assets - listed assets with address, symbol, decimals, price,
+     *        collateralFactor and liquidationBonus
+     * @param {bigint} options.closeFactor - LendingPool.closeFactor()
+     * @returns {Promise<Array>} opportunities by profit, highest first
+     */
+    async function assessAccounts({ pool, reader, accounts, assets, closeFactor }) {
+        const poolAddress = pool.target;
+        const iface = pool.interface;
+
+        const healthFactors = await reader.read(accounts.map(account => ({
+            target: poolAddress, iface, method: 'getHealthFactor', args: [account]
+        })));
+        const unhealthy = accounts
+            .map((account, i) => ({ account, healthFactor: healthFactors[i] }))
+            .filter(({ healthFactor }) => healthFactor.success && healthFactor.value < PRECISION);
+
+        // Only the markets each account has entered can hold its deposits or debt
+        const accountPositions = await readAccountPositions({
+            pool, reader, accounts: unhealthy.map(({ account }) => account), assets
+        });
+
+        const opportunities = unhealthy.map(({ account, healthFactor }) => {
+            const positions = accountPositions.get(account)
+                .filter(position => position.deposits > 0n || position.borrows > 0n);
+            const { collateralValue, debt } = accountLiquidity(positions);
+
+            return {
+                borrower: account,
+                healthFactor: healthFactor.value,
+                collateralValue,
+                debtValue: debt,
+                positions,
+                best: bestLiquidation(positions, closeFactor)
+            };
+        });
+
+        return opportunities.sort((a, b) => (profitOf(b) > profitOf(a) ? 1 : profitOf(b) < profitOf(a) ? -1 : 0));
+    }
+
+    /**
+     * Creates a scanner for one pool. The borrower set is kept between scans, so each scan
+     * only reads Borrow events from blocks it has not seen.
+     *
+     * @param {Object} options
+     * @param {ethers.Contract} options.pool - LendingPool with a provider
+     * @param {ethers.Provider} options.provider
+     * @param {Object} options.reader - batch reader (see lib/batch-reader.js)
+     * @param {number} [options.startBlock] - first block to scan, e.g. the pool's deployment block
+     * @param {number} [options.chunkSize] - blocks per eth_getLogs range
+     */
+    function createLiquidationScanner({
+        pool,
+        provider,
+        reader,
+        startBlock = 0,
+        chunkSize = EventHistory.DEFAULT_BLOCK_CHUNK_SIZE
+    }) {
+        if (!pool || !provider || !reader) throw new Error('createLiquidationScanner requires a pool, provider and reader');
+
+        const borrowers = new Set();
+        let scannedTo = startBlock - 1;
+
+        /** Adds borrowers from Borrow events up to the latest block; returns the whole set. */
+        async function syncBorrowers() {
+            const latest = await provider.getBlockNumber();
+            for (const [fromBlock, toBlock] of EventHistory.blockRanges(scannedTo + 1, latest, chunkSize)) {
+                const logs = await pool.queryFilter(pool.filters.Borrow(), fromBlock, toBlock);
+                logs.forEach(log => borrowers.add(log.args.user));
+                scannedTo = toBlock;
+            }
+            return [...borrowers];
+        }
+
+        /**
+         * Assesses every known borrower (see assessAccounts).
+         * @param {{assets: Array<Object>, closeFactor: bigint}} options
+         * @returns {Promise<{borrowers: number, opportunities: Array}>}
+         */
+        async function scan({ assets, closeFactor }) {
+            const accounts = await syncBorrowers();
+            const opportunities = await assessAccounts({ pool, reader, accounts, assets, closeFactor });
+            return { borrowers: accounts.length, opportunities };
+        }
+
+        return {
+            syncBorrowers,
+            scan,
+            get borrowers() { return [...borrowers]; },
+            get scannedTo() { return scannedTo; }
+        };
+    }
+
+    return {
+        seizeAmountFor,
+        repayAmountForSeize,
+        quoteLiquidation,
+        bestLiquidation,
+        assessAccounts,
+        createLiquidationScanner
+    };
+});
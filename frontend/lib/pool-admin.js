@@ -0,0 +1,134 @@
+/**
+ * Pool administration checks
+ * Validation and previews for the owner's LendingPool setters (listAsset, updateAssetConfig,
+ * setPriceOracle): sane risk parameters, an interest rate model that actually implements
+ * IInterestRateModel, and how a change moves existing borrowers' health factors.
+ */
+(function (root, factory) {
+    const api = factory(root.ethers || require('ethers'), root.HealthPreview || require('./health-preview'));
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PoolAdmin = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers, HealthPreview) {
+
+    const { PRECISION, accountLiquidity, readAccountPositions } = HealthPreview;
+    // Larger bonuses hand liquidators more than a price move would justify
+    const MAX_LIQUIDATION_BONUS = PRECISION / 4n;
+    // Utilizations an interest rate model must answer for
+    const IRM_PROBE_UTILIZATIONS = [0n, PRECISION / 2n, PRECISION];
+
+    const IRM_INTERFACE = new ethers.Interface([
+        'function getBorrowRatePerSecond(uint256 utilization) view returns (uint256)',
+        'function updateBorrowRate(uint256 utilization)'
+    ]);
+
+    /**
+     * Checks risk parameters before they are sent; the pool itself only bounds the reserve factor.
+     * @param {{collateralFactor: bigint, liquidationBonus: bigint, reserveFactor: bigint}} config - 1e18 fixed point
+     * @returns {string[]} problems, empty if the config is acceptable
+     */
+    function validateAssetConfig({ collateralFactor, liquidationBonus, reserveFactor }) {
+        const errors = [];
+        if (collateralFactor >= PRECISION) errors.push('Collateral factor must be below 100%');
+        if (liquidationBonus > MAX_LIQUIDATION_BONUS) errors.push('Liquidation bonus must be at most 25%');
+        // Seizing debt × (1 + bonus) of collateral worth CF of its value must improve the account
+        if (collateralFactor < PRECISION && collateralFactor * (PRECISION + liquidationBonus) / PRECISION >= PRECISION) {
+            errors.push('Collateral factor × (1 + liquidation bonus) must stay below 100%, or liquidations leave accounts less healthy');
+        }
+        if (reserveFactor > PRECISION) errors.push('Reserve factor must be at most 100%');
+        return errors;
+    }
+
+    /**
+     * Checks that `address` is a contract implementing IInterestRateModel: its dispatcher has
+     * both functions and getBorrowRatePerSecond answers at 0%, 50% and 100% utilization.
+     * @param {Object} options
+     * @param {ethers.Provider} options.provider
+     * @param {Object} options.reader - batch reader (see lib/batch-reader.js)
+     * @param {string} options.address
+     * @returns {Promise<{ok: boolean, errors: string[], rates: Array<{utilization: bigint, ratePerSecond: bigint}>}>}
+     */
+    async function checkInterestRateModel({ provider, reader, address }) {
+        if (!ethers.isAddress(address)) return { ok: false, errors: ['Not an address'], rates: [] };
+
+        const code = (await provider.getCode(address)).toLowerCase();
+        if (code === '0x') return { ok: false, errors: ['No contract at this address'], rates: [] };
+
+        const errors = [];
+        IRM_INTERFACE.forEachFunction(fragment => {
+            if (!code.includes(fragment.selector.slice(2))) errors.push(`Does not implement ${fragment.format('sighash')}`);
+        });
+
+        const results = await reader.read(IRM_PROBE_UTILIZATIONS.map(utilization => ({
+            target: address, iface: IRM_INTERFACE, method: 'getBorrowRatePerSecond', args: [utilization]
+        })));
+        const rates = [];
+        results.forEach((result, i) => {
+            const utilization = IRM_PROBE_UTILIZATIONS[i];
+            if (result.success) {
+                rates.push({ utilization, ratePerSecond: result.value });
+            } else {
+                errors.push(`getBorrowRatePerSecond reverts at ${utilization * 100n / PRECISION}% utilization`);
+            }
+        });
+        return { ok: errors.length === 0, errors, rates };
+    }
+
+    /**
+     * Reads every asset's price from an oracle.
+     * @returns {Promise<Map<string, bigint|null>>} asset address -> price, null where the oracle reverts
+     */
+    async function readOraclePrices({ reader, oracle, iface, assets }) {
+        const results = await reader.read(assets.map(asset => ({
+            target: oracle, iface, method: 'getPrice', args: [asset.address]
+        })));
+        return new Map(assets.map((asset, i) => [asset.address, results[i].success ? results[i].value : null]));
+    }
+
+    /**
+     * Health factors before and after changing some assets' parameters, per account with debt.
+     * @param {Map<string, Array>} accountPositions - result of readAccountPositions
+     * @param {Map<string, Object>} changes - asset address -> fields that change, e.g. { collateralFactor } or { price }
+     * @returns {{accounts: Array<{account: string, before: bigint, after: bigint}>, checked: number, lowered: number, liquidatable: number, newlyLiquidatable: number}}
+     *          accounts whose health factor changes, lowest after first
+     */
+    function healthImpact(accountPositions, changes) {
+        const changed = new Map([...changes].map(([address, fields]) => [address.toLowerCase(), fields]));
+        const rows = [];
+        let checked = 0;
+        let liquidatable = 0;
+
+        for (const [account, positions] of accountPositions) {
+            if (!positions.some(position => position.borrows > 0n)) continue;
+            checked++;
+            const before = accountLiquidity(positions).healthFactor;
+            const after = accountLiquidity(positions.map(position => {
+                const fields = changed.get(position.asset.address.toLowerCase());
+                return fields ? { ...position, asset: { ...position.asset, ...fields } } : position;
+            })).healthFactor;
+            if (after < PRECISION) liquidatable++;
+            if (after !== before) rows.push({ account, before, after });
+        }
+
+        rows.sort((a, b) => (a.after < b.after ? -1 : a.after > b.after ? 1 : 0));
+        return {
+            accounts: rows,
+            checked,
+            lowered: rows.filter(row => row.after < row.before).length,
+            liquidatable,
+            newlyLiquidatable: rows.filter(row => row.before >= PRECISION && row.after < PRECISION).length
+        };
+    }
+
+    return {
+        MAX_LIQUIDATION_BONUS,
+        IRM_INTERFACE,
+        validateAssetConfig,
+        checkInterestRateModel,
+        readAccountPositions,
+        readOraclePrices,
+        healthImpact
+    };
+});
@@ -0,0 +1,137 @@
+/**
+ * Price shock scenarios
+ * Market-shock scenarios for the mock price oracle on local networks: each shock sets or
+ * moves the price of one asset, a whole category from deployed-contracts.json, or every
+ * asset. Scenarios are plain JSON so they can be saved, shared and loaded again.
+ */
+(function (root, factory) {
+    const api = factory(root.ethers || require('ethers'));
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PriceScenarios = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+
+    const SCENARIO_VERSION = 1;
+    // Prices sent per MockPriceOracle.setPrices transaction
+    const DEFAULT_BATCH_SIZE = 200;
+    const PRICE_DECIMALS = 8;
+    const ALL_ASSETS = '*';
+
+    // 'percent': move the price by `value` percent; 'price': set it to `value` USD
+    const SHOCK_TYPES = ['percent', 'price'];
+    const DECIMAL = /^-?\d+(\.\d+)?$/;
+
+    /**
+     * Checks one shock and returns it normalized; values stay strings so they survive JSON.
+     * @param {{target: string, type: 'percent'|'price', value: string|number}} shock - target is
+     *        '*', a category such as 'MEME', or an asset address
+     * @throws {Error} describing the first problem
+     */
+    function normalizeShock(shock, index = 0) {
+        const where = `Shock ${index + 1}`;
+        const target = String(shock?.target ?? '').trim();
+        const value = String(shock?.value ?? '').trim();
+        if (!target) throw new Error(`${where} has no target`);
+        if (!SHOCK_TYPES.includes(shock.type)) throw new Error(`${where} type must be one of ${SHOCK_TYPES.join(', ')}`);
+        if (!DECIMAL.test(value)) throw new Error(`${where} value "${value}" is not a number`);
+        if (shock.type === 'percent' && ethers.parseUnits(value, 6) <= -100000000n) {
+            throw new Error(`${where} cannot remove 100% or more of a price`);
+        }
+        if (shock.type === 'price' && ethers.parseUnits(value, PRICE_DECIMALS) <= 0n) {
+            throw new Error(`${where} price must be above zero`);
+        }
+        return { target: ethers.isAddress(target) ? ethers.getAddress(target) : target, type: shock.type, value };
+    }
+
+    /**
+     * Parses a saved scenario.
+     * @param {string|Object} input - JSON text or an already parsed object
+     * @returns {{name: string, shocks: Array}}
+     */
+    function parseScenario(input) {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (e) {
+                throw new Error('Scenario is not valid JSON');
+            }
+        }
+        if (!data || data.version !== SCENARIO_VERSION) throw new Error(`Unsupported scenario version ${data?.version}`);
+        if (!Array.isArray(data.shocks) || data.shocks.length === 0) throw new Error('Scenario has no shocks');
+        return {
+            name: String(data.name || 'Untitled scenario'),
+            shocks: data.shocks.map(normalizeShock)
+        };
+    }
+
+    /** JSON for a scenario, readable back with parseScenario. */
+    function serializeScenario({ name, shocks }) {
+        return JSON.stringify({ version: SCENARIO_VERSION, name, shocks: shocks.map(normalizeShock) }, null, 2);
+    }
+
+    function matches(asset, target) {
+        if (target === ALL_ASSETS) return true;
+        if (ethers.isAddress(target)) return asset.address.toLowerCase() === target.toLowerCase();
+        return asset.category === target;
+    }
+
+    /**
+     * New prices after applying the shocks in order; later shocks compound on earlier ones.
+     * Percent shocks leave unpriced assets alone and never go below one oracle unit, since a
+     * zero price makes MockPriceOracle.getPrice revert.
+     * @param {Array<{address: string, category: string, price: bigint}>} assets - oracle 8-decimal prices
+     * @returns {Map<string, bigint>} asset address -> new price, for the assets whose price changes
+     */
+    function applyShocks(assets, shocks) {
+        const prices = new Map(assets.map(asset => [asset.address, BigInt(asset.price)]));
+        shocks.map(normalizeShock).forEach(({ target, type, value }) => {
+            for (const asset of assets) {
+                if (!matches(asset, target)) continue;
+                const price = prices.get(asset.address);
+                if (type === 'price') {
+                    prices.set(asset.address, ethers.parseUnits(value, PRICE_DECIMALS));
+                } else if (price > 0n) {
+                    const moved = price * (100000000n + ethers.parseUnits(value, 6)) / 100000000n;
+                    prices.set(asset.address, moved > 0n ? moved : 1n);
+                }
+            }
+        });
+
+        const changed = new Map();
+        for (const asset of assets) {
+            const price = prices.get(asset.address);
+            if (price !== BigInt(asset.price)) changed.set(asset.address, price);
+        }
+        return changed;
+    }
+
+    /**
+     * Splits price updates into MockPriceOracle.setPrices calls.
+     * @param {Map<string, bigint>} prices - result of applyShocks
+     * @returns {Array<{assets: string[], prices: bigint[]}>}
+     */
+    function priceBatches(prices, batchSize = DEFAULT_BATCH_SIZE) {
+        const entries = [...prices];
+        const batches = [];
+        for (let i = 0; i < entries.length; i += batchSize) {
+            const chunk = entries.slice(i, i + batchSize);
+            batches.push({ assets: chunk.map(([address]) => address), prices: chunk.map(([, price]) => price) });
+        }
+        return batches;
+    }
+
+    return {
+        SCENARIO_VERSION,
+        DEFAULT_BATCH_SIZE,
+        ALL_ASSETS,
+        SHOCK_TYPES,
+        normalizeShock,
+        parseScenario,
+        serializeScenario,
+        applyShocks,
+        priceBatches
+    };
+});
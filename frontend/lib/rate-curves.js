@@ -0,0 +1,176 @@
+/**
+ * Interest rate curves
+ * Samples an interest rate model's borrow rate across utilization, on chain in one batch,
+ * and evaluates hypothetical parameters locally with the same integer maths as the Linear,
+ * Kink, Exponential and Dynamic models in contracts/interest/, so a proposed change can be
+ * plotted against the live curve before it is queued.
+ */
+(function (root, factory) {
+    const api = factory(root.RateMath || require('./rate-math'));
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.RateCurves = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (RateMath) {
+
+    const { PRECISION, SECONDS_PER_YEAR } = RateMath;
+    const DEFAULT_SAMPLES = 21; // every 5%
+
+    const capUtilization = (utilization) => (utilization > PRECISION ? PRECISION : utilization);
+
+    // ExponentialInterestRateModel's ExpMath.exp1e18: a 5-term Taylor series
+    function exp1e18(x) {
+        if (x > 2n * PRECISION) throw new Error('exp overflow');
+        let sum = PRECISION;
+        let term = PRECISION;
+        for (const divisor of [1n, 2n, 6n, 24n, 120n]) {
+            term = term * x / PRECISION;
+            sum += term / divisor;
+        }
+        return sum;
+    }
+
+    /**
+     * Borrow rate per second of each model at a utilization, mirroring getBorrowRatePerSecond.
+     * Parameters are named as in the models' setters (see lib/governance-calls.js); Dynamic also
+     * takes the repo oracle's rate as `repoRate`.
+     */
+    const FORMULAS = {
+        LinearInterestRateModel({ baseAPR, slopeAPR }, utilization) {
+            return (baseAPR + slopeAPR * capUtilization(utilization) / PRECISION) / SECONDS_PER_YEAR;
+        },
+        KinkInterestRateModel({ baseAPR, slopeLowAPR, slopeHighAPR, kink }, utilization) {
+            const u = capUtilization(utilization);
+            if (u <= kink) return (baseAPR + slopeLowAPR * u / PRECISION) / SECONDS_PER_YEAR;
+            const head = baseAPR + slopeLowAPR * kink / PRECISION;
+            const tail = slopeHighAPR * (u - kink) / PRECISION;
+            return (head + tail) / SECONDS_PER_YEAR;
+        },
+        ExponentialInterestRateModel({ baseAPR, coefficientAPR, exponentFactor }, utilization) {
+            const exponent = exponentFactor * capUtilization(utilization) / PRECISION;
+            return (baseAPR + coefficientAPR * (exp1e18(exponent) - PRECISION) / PRECISION) / SECONDS_PER_YEAR;
+        },
+        // Not capped at 100%, as in the contract
+        DynamicInterestRateModel({ baseRatePerSecond, utilizationMultiplier, repoRate }, utilization) {
+            return baseRatePerSecond + utilization * utilizationMultiplier / PRECISION + repoRate;
+        }
+    };
+
+    // Inputs a local curve needs beyond the model's setter parameters
+    const EXTRA_PARAMS = {
+        DynamicInterestRateModel: [{ name: 'repoRate', label: 'repo rate/s', unit: 'wad' }]
+    };
+
+    // A public getter only one model has, used to tell which model an address is
+    const MODEL_PROBES = {
+        LinearInterestRateModel: 'slopeAPR',
+        KinkInterestRateModel: 'kink',
+        ExponentialInterestRateModel: 'exponentFactor',
+        TimeWeightedInterestRateModel: 'neutralAPR',
+        DynamicInterestRateModel: 'utilizationMultiplier'
+    };
+
+    /** Evenly spaced utilizations from 0 to 100%, 1e18 fixed point. */
+    function sampleUtilizations(count = DEFAULT_SAMPLES) {
+        return Array.from({ length: count }, (_, i) => PRECISION * BigInt(i) / BigInt(count - 1));
+    }
+
+    function point(utilization, ratePerSecond) {
+        return { utilization, ratePerSecond, apr: ratePerSecond === null ? null : RateMath.aprFromRate(ratePerSecond) };
+    }
+
+    /**
+     * A model's curve evaluated locally. Points the contract would revert on (an exponent past
+     * ExpMath's range) have a null rate.
+     * @returns {Array<{utilization: bigint, ratePerSecond: bigint|null, apr: bigint|null}>}
+     */
+    function localCurve(contract, params, utilizations = sampleUtilizations()) {
+        const formula = FORMULAS[contract];
+        if (!formula) throw new Error(`No local formula for ${contract}`);
+        return utilizations.map(utilization => {
+            try {
+                return point(utilization, formula(params, utilization));
+            } catch (e) {
+                return point(utilization, null);
+            }
+        });
+    }
+
+    /**
+     * A deployed model's curve, sampled with getBorrowRatePerSecond in one batch.
+     * @param {Object} options
+     * @param {Object} options.reader - batch reader (see lib/batch-reader.js)
+     * @param {string} options.model - interest rate model address
+     * @param {ethers.Interface} options.iface - any ABI with getBorrowRatePerSecond(uint256)
+     */
+    async function readCurve({ reader, model, iface, utilizations = sampleUtilizations() }) {
+        const results = await reader.read(utilizations.map(utilization => ({
+            target: model, iface, method: 'getBorrowRatePerSecond', args: [utilization]
+        })));
+        return utilizations.map((utilization, i) => point(utilization, results[i].success ? results[i].value : null));
+    }
+
+    /**
+     * Which model is deployed at `model`, by probing each model's distinctive getter.
+     * @param {Object<string, ethers.Interface>} interfaces - contract name -> interface
+     * @returns {Promise<string|null>} contract name, or null for an unknown model
+     */
+    async function detectModel({ reader, model, interfaces }) {
+        const candidates = Object.keys(MODEL_PROBES).filter(contract => interfaces[contract]);
+        const results = await reader.read(candidates.map(contract => ({
+            target: model, iface: interfaces[contract], method: MODEL_PROBES[contract]
+        })));
+        const index = results.findIndex(result => result.success);
+        return index === -1 ? null : candidates[index];
+    }
+
+    /**
+     * Current parameters of a deployed model, read from the public variables its setter writes.
+     * For Dynamic the repo rate is read from its oracle as well.
+     * @param {Object} options
+     * @param {string} options.contract - the model's contract name (see detectModel)
+     * @param {Array<{name: string}>} options.params - the setter's parameters
+     * @param {ethers.Interface} [options.repoOracleInterface] - GlobalRepoRateOracle, for Dynamic
+     * @returns {Promise<Object<string, bigint>>}
+     */
+    async function readModelParams({ reader, model, iface, params, contract, repoOracleInterface = null }) {
+        const calls = params.map(param => ({ target: model, iface, method: param.name, allowFailure: false }));
+        const values = Object.fromEntries((await reader.read(calls)).map((result, i) => [params[i].name, result.value]));
+
+        if (contract === 'DynamicInterestRateModel') {
+            const [oracle] = await reader.read([{ target: model, iface, method: 'repoRateOracle', allowFailure: false }]);
+            const [repoRate] = await reader.read([{
+                target: oracle.value, iface: repoOracleInterface, method: 'getRepoRate', allowFailure: false
+            }]);
+            values.repoRate = repoRate.value;
+        }
+        return values;
+    }
+
+    /** Smallest "round" APR (1, 2 or 5 times a power of ten percent) at or above every point of the curves. */
+    function chartMaxApr(curves) {
+        const highest = curves.flat().reduce((max, p) => (p.apr !== null && p.apr > max ? p.apr : max), 0n);
+        let step = PRECISION / 100n; // 1%
+        for (;;) {
+            for (const multiple of [1n, 2n, 5n]) {
+                if (step * multiple >= highest) return step * multiple;
+            }
+            step *= 10n;
+        }
+    }
+
+    return {
+        DEFAULT_SAMPLES,
+        FORMULAS,
+        EXTRA_PARAMS,
+        MODEL_PROBES,
+        exp1e18,
+        sampleUtilizations,
+        localCurve,
+        readCurve,
+        detectModel,
+        readModelParams,
+        chartMaxApr
+    };
+});
@@ -0,0 +1,120 @@
+/**
+ * Interest rates and APYs
+ * Reads each asset's utilization and its interest rate model's per-second borrow rate in
+ * batches, derives the supply rate the way LendingPool.supplyRatePerSecond does, and
+ * annualizes both with compounding.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.RateMath = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const PRECISION = 10n ** 18n;
+    // 365 days, as in the interest rate models
+    const SECONDS_PER_YEAR = 31536000n;
+
+    /** `base` to the power `exponent`, both 1e18 fixed point except the integer exponent. */
+    function rpow(base, exponent) {
+        let result = PRECISION;
+        let factor = base;
+        for (let n = BigInt(exponent); n > 0n; n >>= 1n) {
+            if (n & 1n) result = result * factor / PRECISION;
+            factor = factor * factor / PRECISION;
+        }
+        return result;
+    }
+
+    /** Simple annual rate of a per-second rate, 1e18 = 100%. */
+    function aprFromRate(ratePerSecond) {
+        return ratePerSecond * SECONDS_PER_YEAR;
+    }
+
+    /**
+     * Annual yield of a per-second rate compounded every second, 1e18 = 100%. The pool compounds
+     * whenever an asset accrues interest, so this is the upper bound a busy market approaches.
+     */
+    function apyFromRate(ratePerSecond) {
+        return rpow(PRECISION + ratePerSecond, SECONDS_PER_YEAR) - PRECISION;
+    }
+
+    /** Suppliers' per-second rate: the borrow rate on the borrowed share, minus the reserve share. */
+    function supplyRatePerSecond(borrowRatePerSecond, utilization, reserveFactor) {
+        const rateToPool = borrowRatePerSecond * utilization / PRECISION;
+        return rateToPool * (PRECISION - BigInt(reserveFactor)) / PRECISION;
+    }
+
+    /**
+     * Rates of one asset.
+     * @returns {{utilization: bigint, borrowRatePerSecond: bigint, supplyRatePerSecond: bigint, borrowApy: bigint, supplyApy: bigint}}
+     */
+    function assetRates({ utilization, borrowRatePerSecond, reserveFactor }) {
+        const supplyRate = supplyRatePerSecond(borrowRatePerSecond, utilization, reserveFactor);
+        return {
+            utilization,
+            borrowRatePerSecond,
+            supplyRatePerSecond: supplyRate,
+            borrowApy: apyFromRate(borrowRatePerSecond),
+            supplyApy: apyFromRate(supplyRate)
+        };
+    }
+
+    /**
+     * Reads every asset's rates in two batched rounds: the pool's utilization of each asset,
+     * then each asset's interest rate model at that utilization.
+     *
+     * @param {Object} options
+     * @param {Object} options.reader - batch reader (see lib/batch-reader.js)
+     * @param {{target: string, interface: ethers.Interface}} options.pool - LendingPool
+     * @param {ethers.Interface} options.irmInterface - any ABI with getBorrowRatePerSecond(uint256)
+     * @param {Array<{address: string, interestRateModel: string, reserveFactor: bigint}>} options.assets
+     * @returns {Promise<Map<string, Object|null>>} asset address -> assetRates(), or null if a read failed
+     */
+    async function readAssetRates({ reader, pool, irmInterface, assets }) {
+        const utilizations = await reader.read(assets.map(asset => ({
+            target: pool.target, iface: pool.interface, method: 'utilization', args: [asset.address]
+        })));
+
+        const readable = assets
+            .map((asset, i) => ({ asset, utilization: utilizations[i] }))
+            .filter(({ utilization }) => utilization.success);
+        const borrowRates = await reader.read(readable.map(({ asset, utilization }) => ({
+            target: asset.interestRateModel, iface: irmInterface, method: 'getBorrowRatePerSecond', args: [utilization.value]
+        })));
+
+        const rates = new Map(assets.map(asset => [asset.address, null]));
+        readable.forEach(({ asset, utilization }, i) => {
+            if (!borrowRates[i].success) return;
+            rates.set(asset.address, assetRates({
+                utilization: utilization.value,
+                borrowRatePerSecond: borrowRates[i].value,
+                reserveFactor: asset.reserveFactor
+            }));
+        });
+        return rates;
+    }
+
+    /** A 1e18-based rate as a percentage, e.g. "4.25%". */
+    function formatPercent(value, digits = 2) {
+        const scale = 10n ** BigInt(digits);
+        const scaled = value * 100n * scale / PRECISION;
+        const whole = scaled / scale;
+        const fraction = (scaled % scale).toString().padStart(digits, '0');
+        return digits > 0 ? `${whole}.${fraction}%` : `${whole}%`;
+    }
+
+    return {
+        PRECISION,
+        SECONDS_PER_YEAR,
+        rpow,
+        aprFromRate,
+        apyFromRate,
+        supplyRatePerSecond,
+        assetRates,
+        readAssetRates,
+        formatPercent
+    };
+});
@@ -0,0 +1,112 @@
+/**
+ * Repo rate oracle
+ * Reads a GlobalRepoRateOracle's rate history from RepoRateUpdated logs and works out how a
+ * new rate moves the assets whose DynamicInterestRateModel reads it. The model adds the repo
+ * rate to its borrow rate per second unchanged, so the rate is per second as well.
+ */
+(function (root, factory) {
+    const api = factory(
+        root.ethers || require('ethers'),
+        root.RateMath || require('./rate-math'),
+        root.EventHistory || require('./event-history')
+    );
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.RepoRate = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers, RateMath, EventHistory) {
+
+    const { SECONDS_PER_YEAR, aprFromRate } = RateMath;
+
+    /**
+     * Per-second repo rate for an annual percentage typed by the user, rounded down as the
+     * contract would store it.
+     * @param {string} value - e.g. "4.5" for 4.5% a year
+     * @returns {bigint}
+     * @throws {Error} for anything but a non-negative decimal
+     */
+    function parseAnnualRate(value) {
+        const text = String(value ?? '').trim();
+        if (!/^\d+(\.\d+)?$/.test(text)) throw new Error(`"${text}" is not a percentage`);
+        return ethers.parseUnits(text, 16) / SECONDS_PER_YEAR;
+    }
+
+    /**
+     * Every RepoRateUpdated event, oldest first, scanned in block-range chunks.
+     * @param {Object} options
+     * @param {ethers.Contract} options.oracle - GlobalRepoRateOracle
+     * @param {ethers.Provider} options.provider
+     * @param {number} [options.fromBlock]
+     * @param {number} [options.chunkSize] - blocks per eth_getLogs range
+     * @returns {Promise<Array<{rate: bigint, apr: bigint, blockNumber: number, timestamp: number, transactionHash: string}>>}
+     */
+    async function readRateHistory({ oracle, provider, fromBlock = 0, chunkSize }) {
+        const toBlock = await provider.getBlockNumber();
+        const logs = [];
+        for (const [from, to] of EventHistory.blockRanges(fromBlock, toBlock, chunkSize)) {
+            logs.push(...await oracle.queryFilter(oracle.filters.RepoRateUpdated(), from, to));
+        }
+
+        const timestamps = new Map();
+        for (const blockNumber of new Set(logs.map(log => log.blockNumber))) {
+            timestamps.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+        }
+        return logs.map(log => ({
+            rate: log.args.newRate,
+            apr: aprFromRate(log.args.newRate),
+            blockNumber: log.blockNumber,
+            timestamp: timestamps.get(log.blockNumber),
+            transactionHash: log.transactionHash
+        }));
+    }
+
+    /**
+     * Which of the assets' interest rate models are DynamicInterestRateModels, and the repo
+     * oracle each reads. Each model is read once however many assets share it.
+     * @param {ethers.Interface} options.iface - DynamicInterestRateModel
+     * @returns {Promise<Map<string, string>>} model address -> repo oracle address, Dynamic models only
+     */
+    async function readDynamicModels({ reader, iface, assets }) {
+        const models = [...new Set(assets.map(asset => asset.interestRateModel).filter(Boolean))];
+        const results = await reader.read(models.map(model => ({ target: model, iface, method: 'repoRateOracle' })));
+        const oracles = new Map();
+        models.forEach((model, i) => {
+            if (results[i].success) oracles.set(model, results[i].value);
+        });
+        return oracles;
+    }
+
+    /**
+     * Borrow APR of each asset on `oracle` at its current utilization, now and with `newRate`.
+     * @param {Array<{address: string, interestRateModel: string, rates: Object|null}>} assets - with
+     *        lib/rate-math.js assetRates() as `rates`
+     * @param {Map<string, string>} dynamicModels - result of readDynamicModels
+     * @param {string} oracle - repo oracle address
+     * @param {bigint} currentRate - the oracle's rate now
+     * @param {bigint} newRate
+     * @returns {Array<{asset: Object, utilization: bigint|null, before: bigint|null, after: bigint|null}>} APRs,
+     *          null where the asset's rates could not be read
+     */
+    function borrowAprChanges(assets, dynamicModels, oracle, currentRate, newRate) {
+        return assets
+            .filter(asset => dynamicModels.get(asset.interestRateModel)?.toLowerCase() === oracle.toLowerCase())
+            .map(asset => {
+                if (!asset.rates) return { asset, utilization: null, before: null, after: null };
+                const { utilization, borrowRatePerSecond } = asset.rates;
+                return {
+                    asset,
+                    utilization,
+                    before: aprFromRate(borrowRatePerSecond),
+                    after: aprFromRate(borrowRatePerSecond - currentRate + newRate)
+                };
+            });
+    }
+
+    return {
+        parseAnnualRate,
+        readRateHistory,
+        readDynamicModels,
+        borrowAprChanges
+    };
+});
@@ -0,0 +1,72 @@
+/**
+ * Deposit share conversions
+ * LendingPool.withdraw takes deposit shares, not token amounts. These helpers mirror the
+ * pool's _getAmountForShares/_getSharesForAmount rounding so the dashboard can turn the
+ * amount a user asked for into the shares to send.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.ShareMath = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * Deposits backing an asset's shares: the pool's cash plus what is borrowed, minus reserves.
+     * @param {{cash: bigint, totalBorrows: bigint, totalReserves: bigint}} pool
+     */
+    function totalDeposits({ cash, totalBorrows, totalReserves }) {
+        return cash + totalBorrows - totalReserves;
+    }
+
+    /** Token amount the shares are worth, rounded down like the pool does on withdraw. */
+    function amountForShares(shares, pool) {
+        if (pool.totalShares === 0n) return shares;
+        return shares * totalDeposits(pool) / pool.totalShares;
+    }
+
+    /** Shares a deposit of `amount` mints, rounded down like the pool does on deposit. */
+    function sharesForAmount(amount, pool) {
+        const deposits = totalDeposits(pool);
+        if (deposits === 0n) return amount;
+        return amount * pool.totalShares / deposits;
+    }
+
+    /**
+     * Shares to pass to LendingPool.withdraw.
+     *
+     * An exact amount rounds the shares up, so the pool pays out at least the amount asked for.
+     * Asking for the whole deposit or more, or passing `amount: null`, withdraws every share,
+     * which leaves no dust behind. Interest accrued before the transaction is mined only makes
+     * each share worth more, so the payout never falls short of the amount.
+     *
+     * @param {Object} options
+     * @param {bigint|null} options.amount - token amount, or null to withdraw everything
+     * @param {bigint} options.userShares - userAccounts(user, asset).shares
+     * @param {{cash: bigint, totalBorrows: bigint, totalReserves: bigint, totalShares: bigint}} options.pool -
+     *        the asset's pool token balance and poolAccounts(asset) totals
+     * @returns {{shares: bigint, amount: bigint, all: boolean}} shares to send and the amount they pay out now
+     */
+    function withdrawShares({ amount, userShares, pool }) {
+        const balance = amountForShares(userShares, pool);
+        if (amount === null || amount >= balance) {
+            return { shares: userShares, amount: balance, all: true };
+        }
+
+        const deposits = totalDeposits(pool);
+        let shares = pool.totalShares === 0n || deposits === 0n
+            ? amount
+            : (amount * pool.totalShares + deposits - 1n) / deposits;
+        if (shares > userShares) shares = userShares;
+        return { shares, amount: amountForShares(shares, pool), all: shares === userShares };
+    }
+
+    return {
+        totalDeposits,
+        amountForShares,
+        sharesForAmount,
+        withdrawShares
+    };
+});
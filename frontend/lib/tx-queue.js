@@ -0,0 +1,226 @@
+/**
+ * Resumable transaction queue
+ * Runs a batch operation one leg at a time and records each leg's status (pending, awaiting
+ * signature, confirming, mined, failed, cancelled) in localStorage, so failed legs can be
+ * retried, the rest cancelled, and an interrupted batch resumed after a page reload.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.TxQueue = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const STATUS = Object.freeze({
+        PENDING: 'pending',
+        AWAITING_SIGNATURE: 'awaiting-signature',
+        CONFIRMING: 'confirming',
+        MINED: 'mined',
+        FAILED: 'failed',
+        CANCELLED: 'cancelled'
+    });
+    const STORAGE_VERSION = 1;
+    const BIGINT_FIELDS = ['amount', 'usdValue'];
+
+    function serializeLeg(leg) {
+        const copy = { ...leg };
+        for (const field of BIGINT_FIELDS) {
+            if (typeof copy[field] === 'bigint') copy[field] = copy[field].toString();
+        }
+        return copy;
+    }
+
+    function deserializeLeg(leg) {
+        const copy = { ...leg };
+        for (const field of BIGINT_FIELDS) {
+            if (typeof copy[field] === 'string') copy[field] = BigInt(copy[field]);
+        }
+        return copy;
+    }
+
+    /**
+     * A leg left mid-flight by a page reload. A transaction that was sent is confirmed by its
+     * hash; one that may or may not have been signed fails rather than risk sending it twice.
+     * Approvals are idempotent, so those legs simply start over.
+     */
+    function recoverLeg(leg) {
+        if (leg.status === STATUS.CONFIRMING && leg.step === 'transaction' && leg.txHash) return leg;
+        if (leg.status === STATUS.AWAITING_SIGNATURE && leg.step === 'transaction') {
+            return { ...leg, status: STATUS.FAILED, error: 'Interrupted while waiting for the wallet; check your activity before retrying' };
+        }
+        if (leg.status === STATUS.AWAITING_SIGNATURE || leg.status === STATUS.CONFIRMING) {
+            return { ...leg, status: STATUS.PENDING, step: null };
+        }
+        return leg;
+    }
+
+    /**
+     * Creates the queue for one account, restoring any batch saved under `storageKey`.
+     *
+     * `execute(leg, hooks)` sends one leg. It calls `hooks.signing(step)` before each wallet
+     * prompt and `hooks.submitted(step, txHash)` once a transaction is sent, where step is
+     * 'approval' or 'transaction', and resolves with the pool transaction's receipt. It throws
+     * to fail the leg. `confirm(txHash)` resolves with the receipt of a transaction sent before
+     * a reload, or null if the node no longer knows it, and throws if it reverted.
+     *
+     * @param {Object} options
+     * @param {function(Object, Object): Promise<{hash: string, blockNumber: number}>} options.execute
+     * @param {function(string): Promise<Object|null>} options.confirm
+     * @param {Storage} [options.storage] - localStorage-like; omitted means in-memory only
+     * @param {string} [options.storageKey] - should include chain, pool and account
+     * @param {function(Object)} [options.onChange] - called with the queue after every status change
+     */
+    function createTxQueue({ execute, confirm, storage = null, storageKey = null, onChange = () => {} }) {
+        let batch = null; // { operation, createdAt, legs }
+        let running = null;
+
+        if (storage && storageKey) {
+            try {
+                const saved = JSON.parse(storage.getItem(storageKey));
+                if (saved && saved.version === STORAGE_VERSION) {
+                    batch = { ...saved, legs: saved.legs.map(deserializeLeg).map(recoverLeg) };
+                }
+            } catch (e) {
+                // Unreadable queue: start empty
+            }
+        }
+
+        function persist() {
+            if (storage && storageKey) {
+                if (batch) {
+                    storage.setItem(storageKey, JSON.stringify({
+                        version: STORAGE_VERSION,
+                        ...batch,
+                        legs: batch.legs.map(serializeLeg)
+                    }));
+                } else {
+                    storage.removeItem(storageKey);
+                }
+            }
+            onChange(api);
+        }
+
+        function update(leg, changes) {
+            Object.assign(leg, changes, { updatedAt: Date.now() });
+            persist();
+        }
+
+        async function runLeg(leg) {
+            try {
+                let receipt;
+                if (leg.status === STATUS.CONFIRMING) {
+                    receipt = await confirm(leg.txHash);
+                    if (!receipt) throw new Error('Transaction not found; it was dropped or the node was reset');
+                } else {
+                    receipt = await execute(leg, {
+                        signing: (step) => update(leg, { status: STATUS.AWAITING_SIGNATURE, step }),
+                        submitted: (step, txHash) => update(leg, step === 'approval'
+                            ? { status: STATUS.CONFIRMING, step, approvalTxHash: txHash }
+                            : { status: STATUS.CONFIRMING, step, txHash })
+                    });
+                }
+                update(leg, { status: STATUS.MINED, txHash: receipt.hash, blockNumber: receipt.blockNumber, error: null });
+            } catch (error) {
+                update(leg, { status: STATUS.FAILED, error: error.shortMessage || error.reason || error.message });
+            }
+        }
+
+        // Legs run strictly in order; cancel() turns the remaining ones into no-ops
+        async function drain() {
+            for (;;) {
+                const next = batch?.legs.find(leg => leg.status === STATUS.PENDING || leg.status === STATUS.CONFIRMING);
+                if (!next) return summary();
+                await runLeg(next);
+            }
+        }
+
+        /** Sends every pending leg, and confirms any sent before a reload. */
+        function run() {
+            if (!running) {
+                running = drain().finally(() => {
+                    running = null;
+                    onChange(api);
+                });
+                onChange(api);
+            }
+            return running;
+        }
+
+        /** Counts of legs per status. */
+        function summary() {
+            const counts = Object.fromEntries(Object.values(STATUS).map(status => [status, 0]));
+            (batch?.legs || []).forEach(leg => { counts[leg.status]++; });
+            return counts;
+        }
+
+        const api = {
+            STATUS,
+            /**
+             * Replaces the saved batch and runs it.
+             * @param {string} operation - deposit, withdraw, borrow or repay
+             * @param {Array<{asset: {address: string, symbol: string, decimals: number}, amount: bigint|null, usdValue: bigint|null, error?: string}>} legs -
+             *        legs with an `error` are recorded as failed without being sent
+             */
+            start(operation, legs) {
+                if (running) throw new Error('A batch is already running');
+                batch = {
+                    operation,
+                    createdAt: Date.now(),
+                    legs: legs.map(({ asset, amount, usdValue = null, error }, id) => ({
+                        id,
+                        asset: { address: asset.address, symbol: asset.symbol, decimals: asset.decimals },
+                        amount,
+                        usdValue,
+                        status: error ? STATUS.FAILED : STATUS.PENDING,
+                        step: null,
+                        txHash: null,
+                        approvalTxHash: null,
+                        blockNumber: null,
+                        error: error || null,
+                        updatedAt: Date.now()
+                    }))
+                };
+                persist();
+                return run();
+            },
+            run,
+            /** Queues failed legs again (or just the one with `legId`) and runs them. */
+            retry(legId = null) {
+                (batch?.legs || [])
+                    .filter(leg => leg.status === STATUS.FAILED && (legId === null || leg.id === legId))
+                    .forEach(leg => Object.assign(leg, { status: STATUS.PENDING, step: null, error: null }));
+                persist();
+                return run();
+            },
+            /** Cancels every leg not sent yet; a leg already in the wallet or on chain finishes. */
+            cancel() {
+                (batch?.legs || [])
+                    .filter(leg => leg.status === STATUS.PENDING)
+                    .forEach(leg => Object.assign(leg, { status: STATUS.CANCELLED, updatedAt: Date.now() }));
+                persist();
+            },
+            /** Forgets the batch. */
+            clear() {
+                if (running) throw new Error('Cannot clear a running batch');
+                batch = null;
+                persist();
+            },
+            summary,
+            get operation() { return batch?.operation || null; },
+            get legs() { return batch?.legs || []; },
+            get isRunning() { return running !== null; },
+            /** Whether legs are left to send or confirm, e.g. after a reload. */
+            get hasUnfinished() {
+                return (batch?.legs || []).some(leg => leg.status === STATUS.PENDING || leg.status === STATUS.CONFIRMING);
+            }
+        };
+        return api;
+    }
+
+    return {
+        STATUS,
+        createTxQueue
+    };
+});
@@ -0,0 +1,185 @@
+/**
+ * Windowed list rendering
+ * Keeps only the rows inside the scroll viewport (plus a few above and below) in the DOM, so
+ * lists of 10,000+ assets scroll as smoothly as a list of twenty. Rows have a fixed height;
+ * a spacer element gives the container its full scroll height and the rendered rows are
+ * translated to where they would sit in the full list.
+ */
+(function (root, factory) {
+    const api = factory(root);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.VirtualList = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (root) {
+
+    const DEFAULT_OVERSCAN = 6;
+
+    /**
+     * Rows to render for a scroll position.
+     * @param {Object} options
+     * @param {number} options.itemCount
+     * @param {number} options.rowHeight - px, including any margin between rows
+     * @param {number} options.scrollTop
+     * @param {number} options.viewportHeight
+     * @param {number} [options.overscan] - extra rows rendered above and below the viewport
+     * @returns {{start: number, end: number, offset: number, totalHeight: number}} rows
+     *          [start, end) and the px offset of row `start`
+     */
+    function computeWindow({ itemCount, rowHeight, scrollTop, viewportHeight, overscan = DEFAULT_OVERSCAN }) {
+        const totalHeight = itemCount * rowHeight;
+        // The browser clamps scrollTop once the list shrinks, but not before the next layout
+        const top = Math.max(0, Math.min(scrollTop, totalHeight - viewportHeight));
+        const start = Math.max(0, Math.floor(top / rowHeight) - overscan);
+        const end = Math.min(itemCount, Math.ceil((top + viewportHeight) / rowHeight) + overscan);
+        return { start, end: Math.max(start, end), offset: start * rowHeight, totalHeight };
+    }
+
+    /**
+     * Renders `items` into `container` one window at a time.
+     *
+     * The container must scroll vertically and be focusable; arrow keys, Page Up/Down and
+     * Home/End move the active row, and Enter or Space passes it to `onActivate`. Rows are
+     * re-rendered from `renderRow` whenever they come into view, so per-row state such as a
+     * selection belongs in the caller's data and survives scrolling.
+     *
+     * @param {Object} options
+     * @param {HTMLElement} options.container
+     * @param {number} options.rowHeight - px; must match the rendered row height plus margin
+     * @param {function(*, number, {active: boolean}): string} options.renderRow - row HTML
+     * @param {function(*, number)} [options.onActivate] - Enter/Space on the active row
+     * @param {number} [options.overscan]
+     * @param {function(function)} [options.requestFrame] - defaults to requestAnimationFrame
+     */
+    function createVirtualList({
+        container,
+        rowHeight,
+        renderRow,
+        onActivate = () => {},
+        overscan = DEFAULT_OVERSCAN,
+        requestFrame = root.requestAnimationFrame ? root.requestAnimationFrame.bind(root) : (fn) => setTimeout(fn, 16)
+    }) {
+        const spacer = container.ownerDocument.createElement('div');
+        spacer.className = 'virtual-list-spacer';
+        const rows = container.ownerDocument.createElement('div');
+        rows.className = 'virtual-list-rows';
+        spacer.appendChild(rows);
+
+        let items = [];
+        let activeIndex = -1;
+        let range = { start: 0, end: 0 };
+        let framePending = false;
+
+        const viewportHeight = () => Math.max(container.clientHeight, rowHeight);
+        const pageSize = () => Math.max(1, Math.floor(viewportHeight() / rowHeight) - 1);
+
+        function render(force = false) {
+            // Callers may replace the container's content with loading or empty states
+            if (spacer.parentNode !== container) {
+                container.replaceChildren(spacer);
+                force = true;
+            }
+
+            const next = computeWindow({
+                itemCount: items.length, rowHeight, scrollTop: container.scrollTop,
+                viewportHeight: viewportHeight(), overscan
+            });
+            // Scrolling within the overscan rows does not touch the DOM
+            if (!force && next.start === range.start && next.end === range.end) return;
+            range = next;
+
+            spacer.style.height = `${next.totalHeight}px`;
+            rows.style.transform = `translateY(${next.offset}px)`;
+            let html = '';
+            for (let i = next.start; i < next.end; i++) {
+                html += renderRow(items[i], i, { active: i === activeIndex });
+            }
+            rows.innerHTML = html;
+        }
+
+        function scrollIntoView(index) {
+            const top = index * rowHeight;
+            if (top < container.scrollTop) {
+                container.scrollTop = top;
+            } else if (top + rowHeight > container.scrollTop + viewportHeight()) {
+                container.scrollTop = top + rowHeight - viewportHeight();
+            }
+        }
+
+        function setActive(index) {
+            if (items.length === 0) return;
+            activeIndex = Math.max(0, Math.min(index, items.length - 1));
+            scrollIntoView(activeIndex);
+            render(true);
+        }
+
+        /**
+         * Handles a KeyboardEvent.key.
+         * @returns {boolean} whether the key was used (so the caller can preventDefault)
+         */
+        function handleKey(key) {
+            switch (key) {
+                case 'ArrowDown': setActive(activeIndex + 1); return true;
+                case 'ArrowUp': setActive(activeIndex - 1); return true;
+                case 'PageDown': setActive(activeIndex + pageSize()); return true;
+                case 'PageUp': setActive(activeIndex - pageSize()); return true;
+                case 'Home': setActive(0); return true;
+                case 'End': setActive(items.length - 1); return true;
+                case 'Enter':
+                case ' ':
+                    if (items[activeIndex] === undefined) return false;
+                    onActivate(items[activeIndex], activeIndex);
+                    render(true);
+                    return true;
+                default:
+                    return false;
+            }
+        }
+
+        container.addEventListener('scroll', () => {
+            // At most one render per frame, however many scroll events arrive
+            if (framePending) return;
+            framePending = true;
+            requestFrame(() => {
+                framePending = false;
+                render();
+            });
+        });
+        container.addEventListener('keydown', (event) => {
+            if (handleKey(event.key)) event.preventDefault();
+        });
+
+        return {
+            /**
+             * Replaces the list. `resetScroll` returns to the top, e.g. after a new search;
+             * otherwise the scroll position and active row are kept where they still exist.
+             */
+            setItems(nextItems, { resetScroll = false } = {}) {
+                items = nextItems;
+                if (resetScroll) {
+                    container.scrollTop = 0;
+                    activeIndex = -1;
+                } else if (activeIndex >= items.length) {
+                    activeIndex = items.length - 1;
+                }
+                render(true);
+            },
+            /** Re-renders the visible rows, e.g. after the data behind them changed. */
+            refresh() {
+                render(true);
+            },
+            handleKey,
+            get items() { return items; },
+            get activeIndex() { return activeIndex; },
+            /** Rows currently in the DOM, [start, end). */
+            get range() { return { start: range.start, end: range.end }; }
+        };
+    }
+
+    return {
+        DEFAULT_OVERSCAN,
+        computeWindow,
+        createVirtualList
+    };
+});
@@ -1,5 +1,5 @@
 require("@nomicfoundation/hardhat-toolbox");
-// require("./tasks/governance");
+require("./tasks/governance");
 
 /**
  * ⚠️  IMPORTANT: This project is configured for TEST NETWORKS ONLY
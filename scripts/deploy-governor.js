@@ -0,0 +1,41 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+
+// Minimum timelock in seconds; override with GOVERNOR_MIN_DELAY
+const DEFAULT_MIN_DELAY = 12 * 60 * 60;
+const DEPLOYED_CONTRACTS_PATH = "./frontend/deployed-contracts.json";
+
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  const minDelay = Number(process.env.GOVERNOR_MIN_DELAY || DEFAULT_MIN_DELAY);
+  if (!Number.isInteger(minDelay) || minDelay < 0) {
+    throw new Error(`GOVERNOR_MIN_DELAY must be a whole number of seconds, got "${process.env.GOVERNOR_MIN_DELAY}"`);
+  }
+
+  console.log(`🏛️  Deploying RateGovernor with a ${minDelay}s minimum delay...`);
+  const RateGovernor = await ethers.getContractFactory("RateGovernor");
+  const governor = await RateGovernor.deploy(minDelay, deployer.address);
+  await governor.waitForDeployment();
+  const governorAddress = await governor.getAddress();
+  console.log(`✅ RateGovernor deployed to: ${governorAddress}`);
+  console.log(`👤 Owner: ${deployer.address}`);
+
+  // Let the dashboard find the governor next to the pool it governs
+  if (fs.existsSync(DEPLOYED_CONTRACTS_PATH)) {
+    const deployedContracts = JSON.parse(fs.readFileSync(DEPLOYED_CONTRACTS_PATH, "utf8"));
+    deployedContracts.governor = governorAddress;
+    fs.writeFileSync(DEPLOYED_CONTRACTS_PATH, JSON.stringify(deployedContracts, null, 2));
+    console.log(`✅ Governor address saved to ${DEPLOYED_CONTRACTS_PATH}`);
+  }
+
+  console.log("\nNext: hand your rate models to the governor with");
+  console.log(`  MODEL_ADDRESS=<MODEL_ADDRESS> GOVERNOR_ADDRESS=${governorAddress} npx hardhat run scripts/transfer-model-ownership.js --network ${hre.network.name}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("💥 Governor deployment failed:", error);
+    process.exit(1);
+  });
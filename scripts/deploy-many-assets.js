@@ -1,13 +1,16 @@
 const hre = require("hardhat");
 const { ethers } = hre;
 const fs = require("fs");
+const { writeFrontendAbis } = require("./lib/frontend-artifacts");
+const { readFundAddresses } = require("./lib/fund-addresses");
 
 // Configuration - adjust as needed
 // Default to 10,000 assets, can override with NUM_ASSETS env variable
 const NUM_ASSETS = process.env.NUM_ASSETS ? parseInt(process.env.NUM_ASSETS) : 10000;
 
-// Test wallet addresses to fund with tokens (add your MetaMask addresses here)
-const TEST_WALLETS = [
+// Wallets funded with every token unless FUND_ADDRESSES or FUND_ADDRESSES_FILE lists others
+// (see scripts/lib/fund-addresses.js)
+const DEFAULT_FUND_ADDRESSES = [
   "0xa8a2082b012d8e84fd3463561cd94c15efda3bdd", // User's MetaMask wallet
   "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266", // Hardhat default deployer
 ];
@@ -155,7 +158,9 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log(`👤 Deployer: ${deployer.address}`);
   const balance = await ethers.provider.getBalance(deployer.address);
-  console.log(`💰 Balance: ${ethers.formatEther(balance)} ETH\n`);
+  console.log(`💰 Balance: ${ethers.formatEther(balance)} ETH`);
+  const fundAddresses = readFundAddresses({ defaults: DEFAULT_FUND_ADDRESSES });
+  console.log(`🎁 Funding ${fundAddresses.length} wallet(s): ${fundAddresses.join(", ")}\n`);
 
   // Generate asset configurations
   const assetConfigs = generateAssetList(NUM_ASSETS);
@@ -200,7 +205,13 @@ async function main() {
   const pool = await LendingPool.deploy(priceOracleAddress, deployer.address);
   await pool.waitForDeployment();
   const poolAddress = await pool.getAddress();
-  console.log(`✅ LendingPool: ${poolAddress}\n`);
+  console.log(`✅ LendingPool: ${poolAddress}`);
+
+  const Multicall = await ethers.getContractFactory("Multicall");
+  const multicall = await Multicall.deploy();
+  await multicall.waitForDeployment();
+  const multicallAddress = await multicall.getAddress();
+  console.log(`✅ Multicall: ${multicallAddress}\n`);
 
   // Deploy MockERC20 tokens and list them
   console.log(`🪙 Deploying ${NUM_ASSETS} tokens...\n`);
@@ -227,17 +238,11 @@ async function main() {
     for (const { asset, token } of results) {
       const tokenAddress = await token.getAddress();
       
-      // Mint tokens to deployer AND test wallets (1 million tokens each)
+      // Mint tokens to deployer AND funded wallets (1 million tokens each)
       const mintAmount = ethers.parseUnits("1000000", 18);
       await token.mint(deployer.address, mintAmount);
-      
-      // Mint to all test wallets
-      for (const wallet of TEST_WALLETS) {
-        try {
-          await token.mint(wallet, mintAmount);
-        } catch (e) {
-          // Ignore if wallet is invalid
-        }
+      for (const wallet of fundAddresses) {
+        await token.mint(wallet, mintAmount);
       }
       
       // Set price (8 decimals)
@@ -254,8 +259,10 @@ async function main() {
       // List asset in pool
       const collateralFactorWei = ethers.parseUnits(asset.collateralFactor, 18);
       const liquidationBonusWei = ethers.parseUnits(asset.liquidationBonus, 18);
+      // Stablecoins keep a smaller protocol cut of interest
+      const reserveFactorWei = ethers.parseUnits(irmIndex === 0 ? "0.05" : "0.10", 18);
       
-      await pool.listAsset(tokenAddress, irm.address, collateralFactorWei, liquidationBonusWei);
+      await pool.listAsset(tokenAddress, irm.address, collateralFactorWei, liquidationBonusWei, reserveFactorWei);
       
       deployedAssets[asset.symbol] = {
         token: tokenAddress,
@@ -284,6 +291,7 @@ async function main() {
     totalAssets: NUM_ASSETS,
     lendingPool: poolAddress,
     priceOracle: priceOracleAddress,
+    multicall: multicallAddress,
     interestRateModels: irms,
     assets: deployedAssets,
   };
@@ -293,6 +301,7 @@ async function main() {
     "./frontend/deployed-contracts.json",
     JSON.stringify(deployedContracts, null, 2)
   );
+  await writeFrontendAbis(hre);
 
   console.log("\n" + "=".repeat(60));
   console.log("🎉 DEPLOYMENT COMPLETE!");
@@ -300,7 +309,7 @@ async function main() {
   console.log(`Total assets deployed: ${NUM_ASSETS}`);
   console.log(`LendingPool: ${poolAddress}`);
   console.log(`PriceOracle: ${priceOracleAddress}`);
-  console.log("\n✅ Saved to frontend/deployed-contracts.json");
+  console.log("\n✅ Saved to frontend/deployed-contracts.json and frontend/abis.json");
 }
 
 main()
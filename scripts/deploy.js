@@ -1,6 +1,11 @@
 const hre = require("hardhat");
 const { ethers } = hre;
 const fs = require("fs");
+const { writeFrontendAbis } = require("./lib/frontend-artifacts");
+const { readFundAddresses } = require("./lib/fund-addresses");
+
+// 365 days, as in the interest rate models
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
 
 async function main() {
   console.log("🚀 Starting multi-asset DeFi Lending Pool deployment...");
@@ -10,9 +15,11 @@ async function main() {
   console.log(`\n👤 Deploying contracts with account: ${deployer.address}`);
   const balance = await ethers.provider.getBalance(deployer.address);
   console.log(`💰 Account balance: ${ethers.formatEther(balance)} ETH`);
+  // Wallets to mint test tokens to, from FUND_ADDRESSES or FUND_ADDRESSES_FILE
+  const fundAddresses = readFundAddresses();
 
   // --- 1. Deploy Mock Tokens ---
-  console.log("\n_Step 1: Deploying Mock ERC20 tokens (TKA & TKB)..._");
+  console.log("\n_Step 1: Deploying Mock ERC20 tokens (TKA, TKB & TKC)..._");
   const MockERC20 = await ethers.getContractFactory("MockERC20");
   
   const tokenA = await MockERC20.deploy("Token A", "TKA");
@@ -25,6 +32,11 @@ async function main() {
   const tokenBAddress = await tokenB.getAddress();
   console.log(`✅ Token B (TKB) deployed to: ${tokenBAddress}`);
 
+  const tokenC = await MockERC20.deploy("Token C", "TKC");
+  await tokenC.waitForDeployment();
+  const tokenCAddress = await tokenC.getAddress();
+  console.log(`✅ Token C (TKC) deployed to: ${tokenCAddress}`);
+
   // --- 2. Deploy Price Oracle & Set Prices ---
   console.log("\n_Step 2: Deploying MockPriceOracle and setting prices..._");
   const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
@@ -33,11 +45,21 @@ async function main() {
   const priceOracleAddress = await priceOracle.getAddress();
   console.log(`✅ MockPriceOracle deployed to: ${priceOracleAddress}`);
 
-  // Set prices: TKA = $100, TKB = $2000 (with 8 decimals for oracle)
+  // Set prices: TKA = $100, TKB = $2000, TKC = $1 (with 8 decimals for oracle)
   await priceOracle.setPrice(tokenAAddress, ethers.parseUnits("100", 8));
   console.log(`📈 Set TKA price to $100`);
   await priceOracle.setPrice(tokenBAddress, ethers.parseUnits("2000", 8));
   console.log(`📈 Set TKB price to $2000`);
+  await priceOracle.setPrice(tokenCAddress, ethers.parseUnits("1", 8));
+  console.log(`📈 Set TKC price to $1`);
+
+  // Fund wallets: 1,000 TKA, 50 TKB and 100,000 TKC ($100,000 each) each
+  for (const wallet of fundAddresses) {
+    await tokenA.mint(wallet, ethers.parseUnits("1000", 18));
+    await tokenB.mint(wallet, ethers.parseUnits("50", 18));
+    await tokenC.mint(wallet, ethers.parseUnits("100000", 18));
+    console.log(`🎁 Funded ${wallet} with 1000 TKA, 50 TKB and 100000 TKC`);
+  }
 
   // --- 3. Deploy Interest Rate Models ---
   console.log("\n_Step 3: Deploying Interest Rate Models..._");
@@ -65,6 +87,26 @@ async function main() {
   const irmBAddress = await irmB.getAddress();
   console.log(`✅ IRM for Token B deployed to: ${irmBAddress}`);
 
+  // Token C follows the global repo rate: 5% a year, as a per-second rate
+  const GlobalRepoRateOracle = await ethers.getContractFactory("GlobalRepoRateOracle");
+  const repoRateOracle = await GlobalRepoRateOracle.deploy(ethers.parseUnits("0.05", 18) / SECONDS_PER_YEAR, deployer.address);
+  await repoRateOracle.waitForDeployment();
+  const repoRateOracleAddress = await repoRateOracle.getAddress();
+  // The dashboard reads RepoRateUpdated events from this block on
+  const repoRateOracleBlock = (await repoRateOracle.deploymentTransaction().wait()).blockNumber;
+  console.log(`✅ GlobalRepoRateOracle deployed to: ${repoRateOracleAddress}`);
+
+  const DynamicInterestRateModel = await ethers.getContractFactory("DynamicInterestRateModel");
+  const irmC = await DynamicInterestRateModel.deploy(
+    repoRateOracleAddress,
+    ethers.parseUnits("0.01", 18) / SECONDS_PER_YEAR, // 1% a year on top of the repo rate
+    ethers.parseUnits("0.1", 18) / SECONDS_PER_YEAR,  // up to 10% a year more at full utilization
+    deployer.address
+  );
+  await irmC.waitForDeployment();
+  const irmCAddress = await irmC.getAddress();
+  console.log(`✅ IRM for Token C deployed to: ${irmCAddress}`);
+
   // --- 4. Deploy LendingPool ---
   console.log("\n_Step 4: Deploying LendingPool..._");
   const LendingPool = await ethers.getContractFactory("LendingPool");
@@ -75,14 +117,25 @@ async function main() {
 
   // --- 5. List Assets in the Pool ---
   console.log("\n_Step 5: Listing assets in the LendingPool..._");
-  // Asset A: 75% collateral factor, 5% liquidation bonus
-  await pool.listAsset(tokenAAddress, irmAAddress, ethers.parseUnits("0.75", 18), ethers.parseUnits("0.05", 18));
+  // Asset A: 75% collateral factor, 5% liquidation bonus, 10% reserve factor
+  await pool.listAsset(tokenAAddress, irmAAddress, ethers.parseUnits("0.75", 18), ethers.parseUnits("0.05", 18), ethers.parseUnits("0.10", 18));
   console.log(`-> Listed Token A (TKA)`);
-  // Asset B: 80% collateral factor, 8% liquidation bonus
-  await pool.listAsset(tokenBAddress, irmBAddress, ethers.parseUnits("0.80", 18), ethers.parseUnits("0.08", 18));
+  // Asset B: 80% collateral factor, 8% liquidation bonus, 10% reserve factor
+  await pool.listAsset(tokenBAddress, irmBAddress, ethers.parseUnits("0.80", 18), ethers.parseUnits("0.08", 18), ethers.parseUnits("0.10", 18));
   console.log(`-> Listed Token B (TKB)`);
+  // Asset C: 85% collateral factor, 5% liquidation bonus, 10% reserve factor
+  await pool.listAsset(tokenCAddress, irmCAddress, ethers.parseUnits("0.85", 18), ethers.parseUnits("0.05", 18), ethers.parseUnits("0.10", 18));
+  console.log(`-> Listed Token C (TKC)`);
+
+  // --- 6. Deploy Multicall for batched dashboard reads ---
+  console.log("\n_Step 6: Deploying Multicall..._");
+  const Multicall = await ethers.getContractFactory("Multicall");
+  const multicall = await Multicall.deploy();
+  await multicall.waitForDeployment();
+  const multicallAddress = await multicall.getAddress();
+  console.log(`✅ Multicall deployed to: ${multicallAddress}`);
 
-  // --- 6. Log Deployed Addresses & Save to Frontend ---
+  // --- 7. Log Deployed Addresses & Save to Frontend ---
   console.log("\n" + "=".repeat(60));
   console.log("🎉 DEPLOYMENT COMPLETE! 🎉");
   console.log("=".repeat(60));
@@ -92,6 +145,9 @@ async function main() {
     deployerAddress: deployer.address,
     lendingPool: poolAddress,
     priceOracle: priceOracleAddress,
+    multicall: multicallAddress,
+    repoRateOracle: repoRateOracleAddress,
+    repoRateOracleBlock,
     assets: {
       TKA: {
         token: tokenAAddress,
@@ -101,6 +157,10 @@ async function main() {
         token: tokenBAddress,
         irm: irmBAddress,
       },
+      TKC: {
+        token: tokenCAddress,
+        irm: irmCAddress,
+      },
     },
   };
   console.log(JSON.stringify(deployedContracts, null, 2));
@@ -112,6 +172,9 @@ async function main() {
     JSON.stringify(deployedContracts, null, 2)
   );
   console.log("\n✅ Contract addresses saved to frontend/deployed-contracts.json");
+
+  await writeFrontendAbis(hre);
+  console.log("✅ Contract ABIs saved to frontend/abis.json");
 }
 
 main()
@@ -0,0 +1,15 @@
+const hre = require("hardhat");
+const { writeFrontendAbis } = require("./lib/frontend-artifacts");
+
+async function main() {
+  await hre.run("compile");
+  const outPath = await writeFrontendAbis(hre);
+  console.log(`✅ Contract ABIs saved to ${outPath}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("💥 ABI export failed:", error);
+    process.exit(1);
+  });
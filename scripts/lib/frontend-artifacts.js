@@ -0,0 +1,48 @@
+const fs = require("fs");
+const path = require("path");
+
+// Contracts whose ABIs the dashboard loads at startup (see frontend/lib/abi-registry.js)
+const FRONTEND_CONTRACTS = [
+  "LendingPool",
+  "MockERC20",
+  "MockPriceOracle",
+  "LinearInterestRateModel",
+  "KinkInterestRateModel",
+  "ExponentialInterestRateModel",
+  "TimeWeightedInterestRateModel",
+  "DynamicInterestRateModel",
+  "RateGovernor",
+  "GlobalRepoRateOracle",
+  "Multicall",
+];
+
+const DEFAULT_ABI_PATH = path.join(__dirname, "..", "..", "frontend", "abis.json");
+
+/**
+ * Reads the compiled Hardhat artifacts for every contract the dashboard talks to.
+ * @returns {Promise<Object<string, Array>>} contract name -> ABI
+ */
+async function collectFrontendAbis(hre) {
+  const abis = {};
+  for (const name of FRONTEND_CONTRACTS) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    abis[name] = artifact.abi;
+  }
+  return abis;
+}
+
+/**
+ * Writes the ABIs next to deployed-contracts.json so the dashboard never relies on
+ * hand-written signatures.
+ */
+async function writeFrontendAbis(hre, outPath = DEFAULT_ABI_PATH) {
+  const abis = await collectFrontendAbis(hre);
+  fs.writeFileSync(outPath, JSON.stringify({ contracts: abis }, null, 2) + "\n");
+  return outPath;
+}
+
+module.exports = {
+  FRONTEND_CONTRACTS,
+  collectFrontendAbis,
+  writeFrontendAbis,
+};
@@ -0,0 +1,40 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Addresses the deploy scripts mint test tokens to. FUND_ADDRESSES takes a comma- or
+ * whitespace-separated list; FUND_ADDRESSES_FILE names a JSON array of addresses or a text
+ * file with one address per line (`#` starts a comment). Both can be set at once. Without
+ * either, `defaults` is used.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - environment variables
+ * @param {string[]} [options.defaults]
+ * @returns {string[]} checksummed addresses without duplicates
+ * @throws {Error} naming every entry that is not an address
+ */
+function readFundAddresses({ env = process.env, defaults = [] } = {}) {
+  const entries = [];
+  if (env.FUND_ADDRESSES) entries.push(...env.FUND_ADDRESSES.split(/[\s,]+/));
+  if (env.FUND_ADDRESSES_FILE) entries.push(...readAddressFile(env.FUND_ADDRESSES_FILE));
+  const listed = entries.map((entry) => entry.trim()).filter(Boolean);
+  if (!env.FUND_ADDRESSES && !env.FUND_ADDRESSES_FILE) listed.push(...defaults);
+
+  const invalid = listed.filter((entry) => !ethers.isAddress(entry));
+  if (invalid.length > 0) throw new Error(`Not addresses: ${invalid.join(", ")}`);
+  return [...new Set(listed.map((entry) => ethers.getAddress(entry)))];
+}
+
+function readAddressFile(path) {
+  const content = fs.readFileSync(path, "utf8");
+  if (content.trimStart().startsWith("[")) {
+    const addresses = JSON.parse(content);
+    if (!Array.isArray(addresses)) throw new Error(`${path} must hold a JSON array of addresses`);
+    return addresses.map(String);
+  }
+  return content.split("\n").map((line) => line.replace(/#.*/, ""));
+}
+
+module.exports = {
+  readFundAddresses,
+};
@@ -0,0 +1,186 @@
+const { ethers } = require("ethers");
+const EventHistory = require("../../frontend/lib/event-history");
+const LiquidationScanner = require("../../frontend/lib/liquidation-scanner");
+
+// Pool events that change an account's health factor; Liquidate names the account as `borrower`
+const ACCOUNT_EVENTS = ["Deposit", "Withdraw", "Borrow", "Repay"];
+const ERC20_ABI = [
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address,address) view returns (uint256)",
+  "function approve(address,uint256) returns (bool)",
+];
+
+// One JSON object per line; bigints become decimal strings
+function jsonLog(entry) {
+  console.log(JSON.stringify({ time: new Date().toISOString(), ...entry }, (key, value) =>
+    (typeof value === "bigint" ? value.toString() : value)));
+}
+
+/**
+ * Liquidation keeper for one pool. Each `poll()` reads the blocks mined since the last poll and
+ * only re-checks the accounts they affect: new borrowers, accounts named in pool events and,
+ * after a MockPriceOracle PriceUpdated event, the accounts that entered that asset's market.
+ * Unhealthy accounts are liquidated from `signer` through their most profitable pair.
+ *
+ * @param {Object} options
+ * @param {ethers.Contract} options.pool - LendingPool connected to the keeper's signer
+ * @param {ethers.Contract} options.oracle - MockPriceOracle the pool reads prices from
+ * @param {Object} options.reader - batch reader (see frontend/lib/batch-reader.js)
+ * @param {ethers.Signer} options.signer - account that repays debt and receives collateral
+ * @param {function(): Promise<Array>} options.loadAssets - listed assets in the shape
+ *        frontend/lib/liquidation-scanner.js expects, with current prices
+ * @param {number} [options.startBlock] - first block to read events from
+ * @param {bigint} [options.minProfit] - smallest estimated profit worth a transaction, 8-decimal USD
+ * @param {boolean} [options.dryRun] - log the liquidations that would be sent without sending them
+ * @param {number} [options.fullRecheckBlocks] - also re-check every borrower this often, since
+ *        accruing interest moves health factors without emitting events; 0 disables it
+ * @param {number} [options.chunkSize] - blocks per eth_getLogs range
+ * @param {function(Object)} [options.log] - receives one structured record per attempt
+ */
+function createKeeper({
+  pool,
+  oracle,
+  reader,
+  signer,
+  loadAssets,
+  startBlock = 0,
+  minProfit = 0n,
+  dryRun = false,
+  fullRecheckBlocks = 0,
+  chunkSize = EventHistory.DEFAULT_BLOCK_CHUNK_SIZE,
+  log = jsonLog,
+}) {
+  const provider = signer.provider;
+  const scanner = LiquidationScanner.createLiquidationScanner({ pool, provider, reader, startBlock, chunkSize });
+  // borrower -> lowercase addresses of the markets they entered
+  const markets = new Map();
+  let processedTo = startBlock - 1;
+  let lastFullRecheck = processedTo;
+  const stats = { polls: 0, accountsChecked: 0 };
+
+  async function queryRange(contract, filter, fromBlock, toBlock) {
+    const logs = [];
+    for (const [from, to] of EventHistory.blockRanges(fromBlock, toBlock, chunkSize)) {
+      logs.push(...(await contract.queryFilter(filter, from, to)));
+    }
+    return logs;
+  }
+
+  const fullRecheckDue = (toBlock) => fullRecheckBlocks > 0 && toBlock - lastFullRecheck >= fullRecheckBlocks;
+
+  // Accounts whose health factor may have changed in [fromBlock, toBlock]
+  async function changedAccounts(fromBlock, toBlock, known) {
+    const borrowers = await scanner.syncBorrowers();
+    const changed = new Set(borrowers.filter((account) => !known.has(account)));
+
+    for (const name of ACCOUNT_EVENTS) {
+      (await queryRange(pool, pool.filters[name](), fromBlock, toBlock)).forEach((log) => changed.add(log.args.user));
+    }
+    (await queryRange(pool, pool.filters.Liquidate(), fromBlock, toBlock)).forEach((log) => changed.add(log.args.borrower));
+
+    const repriced = new Set((await queryRange(oracle, oracle.filters.PriceUpdated(), fromBlock, toBlock))
+      .map((log) => log.args.asset.toLowerCase()));
+    for (const account of borrowers) {
+      const entered = markets.get(account);
+      // Accounts not checked yet have no cached markets and are re-checked anyway
+      if (!entered || [...entered].some((asset) => repriced.has(asset))) changed.add(account);
+    }
+
+    if (fullRecheckDue(toBlock)) borrowers.forEach((account) => changed.add(account));
+
+    // Only accounts with a borrow history can become liquidatable
+    const isBorrower = new Set(borrowers);
+    return [...changed].filter((account) => isBorrower.has(account));
+  }
+
+  async function refreshMarkets(accounts) {
+    const results = await reader.read(accounts.map((account) => ({
+      target: pool.target, iface: pool.interface, method: "getEnteredMarkets", args: [account],
+    })));
+    accounts.forEach((account, i) => {
+      if (results[i].success) markets.set(account, new Set(results[i].value.map((asset) => asset.toLowerCase())));
+    });
+  }
+
+  async function attempt(opportunity, block) {
+    const { borrower, healthFactor, best } = opportunity;
+    const record = { event: "liquidation", block, borrower, healthFactor, dryRun };
+    if (!best) return { ...record, status: "skipped", reason: "no-liquidatable-pair" };
+
+    Object.assign(record, {
+      debtAsset: best.debtAsset.address,
+      debtSymbol: best.debtAsset.symbol,
+      collateralAsset: best.collateralAsset.address,
+      collateralSymbol: best.collateralAsset.symbol,
+      repayAmount: best.repayAmount,
+      seizeAmount: best.seizeAmount,
+      profitUsd: ethers.formatUnits(best.profit, 8),
+    });
+    if (best.profit < minProfit) return { ...record, status: "skipped", reason: "below-profit-threshold" };
+    if (dryRun) return { ...record, status: "dry-run" };
+
+    const keeper = await signer.getAddress();
+    const token = new ethers.Contract(best.debtAsset.address, ERC20_ABI, signer);
+    try {
+      if ((await token.balanceOf(keeper)) < best.repayAmount) {
+        return { ...record, status: "skipped", reason: "insufficient-balance" };
+      }
+      if ((await token.allowance(keeper, pool.target)) < best.repayAmount) {
+        const approval = await (await token.approve(pool.target, ethers.MaxUint256)).wait();
+        record.approvalTx = approval.hash;
+      }
+
+      const receipt = await (await pool.connect(signer).liquidate(
+        borrower, best.debtAsset.address, best.collateralAsset.address, best.repayAmount
+      )).wait();
+      return { ...record, status: "liquidated", txHash: receipt.hash, gasUsed: receipt.gasUsed };
+    } catch (error) {
+      return { ...record, status: "failed", error: error.shortMessage || error.message };
+    }
+  }
+
+  /**
+   * Processes every block mined since the last poll. The blocks only count as processed once
+   * their accounts have been assessed, so a poll that fails part-way is retried in full.
+   * @returns {Promise<Array<Object>>} one record per unhealthy account that was checked
+   */
+  async function poll() {
+    const latest = await provider.getBlockNumber();
+    if (latest <= processedTo) return [];
+
+    const known = new Set(scanner.borrowers);
+    const accounts = await changedAccounts(processedTo + 1, latest, known);
+    let opportunities = [];
+    if (accounts.length > 0) {
+      await refreshMarkets(accounts);
+      const [assets, closeFactor] = await Promise.all([loadAssets(), pool.closeFactor()]);
+      opportunities = await LiquidationScanner.assessAccounts({ pool, reader, accounts, assets, closeFactor });
+    }
+
+    if (fullRecheckDue(latest)) lastFullRecheck = latest;
+    processedTo = latest;
+    stats.polls++;
+    stats.accountsChecked += accounts.length;
+
+    const records = [];
+    // Most profitable first, one transaction at a time so nonces and balances stay in order
+    for (const opportunity of opportunities) {
+      const record = await attempt(opportunity, latest);
+      log(record);
+      records.push(record);
+    }
+    return records;
+  }
+
+  return {
+    poll,
+    stats,
+    get processedTo() { return processedTo; },
+    get borrowers() { return scanner.borrowers; },
+  };
+}
+
+module.exports = {
+  createKeeper,
+  jsonLog,
+};
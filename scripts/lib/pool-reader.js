@@ -0,0 +1,84 @@
+const fs = require("fs");
+const { createBatchReader } = require("../../frontend/lib/batch-reader");
+
+const DEPLOYED_CONTRACTS_PATH = "./frontend/deployed-contracts.json";
+
+/**
+ * Addresses written by the deploy scripts, or an empty object before the first deployment.
+ */
+function readDeployment(path = DEPLOYED_CONTRACTS_PATH) {
+  return fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, "utf8")) : {};
+}
+
+/**
+ * Pool contract, batch reader and deployment block for scripts that watch the pool.
+ * POOL_ADDRESS overrides the deployed pool; the Multicall is used when one was deployed.
+ */
+async function connectPool(hre, { poolAddress = process.env.POOL_ADDRESS } = {}) {
+  const { ethers } = hre;
+  const deployment = readDeployment();
+  const address = poolAddress || deployment.lendingPool;
+  if (!address || !ethers.isAddress(address)) {
+    throw new Error("Set POOL_ADDRESS or deploy the pool so frontend/deployed-contracts.json lists it");
+  }
+  if ((await ethers.provider.getCode(address)) === "0x") {
+    throw new Error(`No contract deployed at ${address}`);
+  }
+
+  const multicallAddress = !poolAddress || poolAddress === deployment.lendingPool ? deployment.multicall : null;
+  const reader = createBatchReader({
+    provider: ethers.provider,
+    multicallAddress: multicallAddress || null,
+    multicallAbi: multicallAddress ? (await hre.artifacts.readArtifact("Multicall")).abi : null,
+  });
+
+  return {
+    pool: await ethers.getContractAt("LendingPool", address),
+    reader,
+    // Logs before the deployment block cannot involve the pool
+    startBlock: address === deployment.lendingPool ? deployment.blockNumber || 0 : 0,
+  };
+}
+
+/**
+ * Listed assets with the fields the frontend libraries expect: address, symbol, decimals,
+ * price (oracle precision), collateralFactor and liquidationBonus.
+ */
+async function loadPoolAssets(hre, pool, reader) {
+  const { ethers } = hre;
+  const count = Number(await pool.listedAssetsCount());
+  const addresses = await Promise.all(Array.from({ length: count }, (_, i) => pool.listedAssets(i)));
+  const oracle = await ethers.getContractAt("MockPriceOracle", await pool.priceOracle());
+  const token = await ethers.getContractAt("MockERC20", ethers.ZeroAddress);
+
+  const CALLS_PER_ASSET = 4;
+  const calls = addresses.flatMap((address) => [
+    { target: address, iface: token.interface, method: "symbol" },
+    { target: address, iface: token.interface, method: "decimals" },
+    { target: pool.target, iface: pool.interface, method: "assetConfigs", args: [address] },
+    { target: oracle.target, iface: oracle.interface, method: "getPrice", args: [address] },
+  ]);
+  const results = await reader.read(calls);
+
+  return addresses
+    .map((address, i) => {
+      const [symbol, decimals, config, price] = results.slice(i * CALLS_PER_ASSET, (i + 1) * CALLS_PER_ASSET);
+      return {
+        address,
+        symbol: symbol.success ? symbol.value : address.slice(0, 8),
+        decimals: decimals.success ? Number(decimals.value) : 18,
+        price: price.success ? price.value : 0n,
+        collateralFactor: config.success ? config.value.collateralFactor : 0n,
+        liquidationBonus: config.success ? config.value.liquidationBonus : 0n,
+        isActive: config.success && config.value.isActive,
+      };
+    })
+    .filter((asset) => asset.isActive);
+}
+
+module.exports = {
+  DEPLOYED_CONTRACTS_PATH,
+  readDeployment,
+  connectPool,
+  loadPoolAssets,
+};
@@ -0,0 +1,83 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { connectPool, loadPoolAssets } = require("./lib/pool-reader");
+const { createKeeper, jsonLog } = require("./lib/liquidation-keeper");
+
+// Follows new blocks and liquidates unhealthy accounts until stopped with Ctrl+C.
+// `hardhat run` does not forward custom flags, so options come from the environment:
+//   POOL_ADDRESS                LendingPool to watch (default: frontend/deployed-contracts.json)
+//   FROM_BLOCK                  first block to read events from (default: the pool's deployment block)
+//   KEEPER_PRIVATE_KEY          signer for liquidations; otherwise KEEPER_SIGNER_INDEX of the node's accounts
+//   KEEPER_SIGNER_INDEX         default 0
+//   KEEPER_MIN_PROFIT           smallest estimated profit in USD worth a transaction (default 0)
+//   KEEPER_DRY_RUN              "1" or "true" to log liquidations without sending them
+//   KEEPER_POLL_MS              how often to check for new blocks (default 1000)
+//   KEEPER_FULL_RECHECK_BLOCKS  re-check every borrower this often for accrued interest (default 20, 0 disables)
+
+const isLocalNetwork = (chainId) => chainId === 31337n || chainId === 1337n;
+
+function readNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) throw new Error(`${name} must be a non-negative integer, got "${raw}"`);
+  return value;
+}
+
+async function getKeeperSigner() {
+  if (process.env.KEEPER_PRIVATE_KEY) {
+    return new ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, ethers.provider);
+  }
+  const signers = await ethers.getSigners();
+  const index = readNumber("KEEPER_SIGNER_INDEX", 0);
+  if (!signers[index]) throw new Error(`KEEPER_SIGNER_INDEX ${index} is out of range (${signers.length} accounts)`);
+  return signers[index];
+}
+
+async function main() {
+  const { chainId } = await ethers.provider.getNetwork();
+  if (!isLocalNetwork(chainId)) {
+    throw new Error(`The keeper only runs on local networks (31337/1337), not chain ${chainId}`);
+  }
+
+  const { pool, reader, startBlock } = await connectPool(hre);
+  const signer = await getKeeperSigner();
+  const oracle = await ethers.getContractAt("MockPriceOracle", await pool.priceOracle());
+  const options = {
+    startBlock: readNumber("FROM_BLOCK", startBlock),
+    minProfit: ethers.parseUnits(process.env.KEEPER_MIN_PROFIT || "0", 8),
+    dryRun: ["1", "true"].includes((process.env.KEEPER_DRY_RUN || "").toLowerCase()),
+    fullRecheckBlocks: readNumber("KEEPER_FULL_RECHECK_BLOCKS", 20),
+  };
+  const pollMs = readNumber("KEEPER_POLL_MS", 1000);
+
+  const keeper = createKeeper({
+    pool,
+    oracle,
+    reader,
+    signer,
+    loadAssets: () => loadPoolAssets(hre, pool, reader),
+    ...options,
+  });
+
+  jsonLog({ event: "keeper-started", pool: pool.target, keeper: await signer.getAddress(), ...options });
+  process.on("SIGINT", () => {
+    jsonLog({ event: "keeper-stopped", processedTo: keeper.processedTo });
+    process.exit(0);
+  });
+
+  for (;;) {
+    try {
+      await keeper.poll();
+    } catch (error) {
+      // A node restart or a reorg on a dev chain should not stop a long simulation
+      jsonLog({ event: "poll-failed", processedTo: keeper.processedTo, error: error.message });
+    }
+    await new Promise((resolve) => setTimeout(resolve, pollMs));
+  }
+}
+
+main().catch((error) => {
+  console.error("💥 Liquidation keeper failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+const { spawnSync } = require('child_process');
+
+// Sets the variable here rather than in package.json so the script also runs from cmd and PowerShell
+const args = ['hardhat', 'test', 'test/LendingPoolGasBenchmark.js'];
+console.log('Running the full gas benchmark (up to 10,000 listed assets):', args.join(' '));
+
+const res = spawnSync('npx', args, {
+  stdio: 'inherit',
+  shell: process.platform === 'win32',
+  env: { ...process.env, FULL_GAS_BENCHMARK: '1' }
+});
+process.exit(res.status || 0);
@@ -0,0 +1,66 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const LiquidationScanner = require("../frontend/lib/liquidation-scanner");
+const { connectPool, loadPoolAssets } = require("./lib/pool-reader");
+
+// `hardhat run` does not forward custom flags, so options come from the environment:
+//   POOL_ADDRESS   LendingPool to scan (default: frontend/deployed-contracts.json)
+//   FROM_BLOCK     first block to read Borrow events from (default: the pool's deployment block)
+//   POLL_INTERVAL  seconds between scans; without it the script scans once and exits
+
+const formatUsd = (value) => `$${Number(ethers.formatUnits(value, 8)).toFixed(2)}`;
+
+function printOpportunity({ borrower, healthFactor, collateralValue, debtValue, positions, best }) {
+  console.log(`\n⚠️  ${borrower}  HF ${Number(ethers.formatUnits(healthFactor, 18)).toFixed(4)}`);
+  console.log(`   collateral ${formatUsd(collateralValue)}, debt ${formatUsd(debtValue)}`);
+  for (const { asset, deposits, borrows } of positions) {
+    const parts = [];
+    if (deposits > 0n) parts.push(`supplied ${ethers.formatUnits(deposits, asset.decimals)}`);
+    if (borrows > 0n) parts.push(`borrowed ${ethers.formatUnits(borrows, asset.decimals)}`);
+    console.log(`   ${asset.symbol.padEnd(8)} ${parts.join(", ")}`);
+  }
+
+  if (!best) {
+    console.log("   ⏭️  No debt/collateral pair the pool would liquidate");
+    return;
+  }
+  console.log(
+    `   💰 repay ${ethers.formatUnits(best.repayAmount, best.debtAsset.decimals)} ${best.debtAsset.symbol}` +
+    ` for ${ethers.formatUnits(best.seizeAmount, best.collateralAsset.decimals)} ${best.collateralAsset.symbol}` +
+    ` → est. profit ${formatUsd(best.profit)}`
+  );
+}
+
+async function main() {
+  const { pool, reader, startBlock } = await connectPool(hre);
+  const fromBlock = process.env.FROM_BLOCK !== undefined ? Number(process.env.FROM_BLOCK) : startBlock;
+  const pollInterval = Number(process.env.POLL_INTERVAL || 0);
+  if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+    throw new Error(`FROM_BLOCK must be a block number, got "${process.env.FROM_BLOCK}"`);
+  }
+
+  const scanner = LiquidationScanner.createLiquidationScanner({
+    pool, provider: ethers.provider, reader, startBlock: fromBlock,
+  });
+  console.log(`🔎 Scanning ${pool.target} for liquidations from block ${fromBlock}`);
+
+  for (;;) {
+    // Prices and listings can change between polls
+    const assets = await loadPoolAssets(hre, pool, reader);
+    const closeFactor = await pool.closeFactor();
+    const { borrowers, opportunities } = await scanner.scan({ assets, closeFactor });
+
+    console.log(`\n📋 Block ${scanner.scannedTo}: ${borrowers} borrower(s), ${opportunities.length} below HF 1.0`);
+    opportunities.forEach(printOpportunity);
+
+    if (!pollInterval) break;
+    await new Promise((resolve) => setTimeout(resolve, pollInterval * 1000));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("💥 Liquidation scan failed:", error);
+    process.exit(1);
+  });
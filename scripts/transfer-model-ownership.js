@@ -0,0 +1,51 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+
+// `hardhat run` does not forward custom flags, so addresses come from the environment:
+//   MODEL_ADDRESS     one address or a comma-separated list (rate models or the LendingPool)
+//   GOVERNOR_ADDRESS  RateGovernor that becomes the new owner
+async function main() {
+  const governorAddress = process.env.GOVERNOR_ADDRESS;
+  const modelAddresses = (process.env.MODEL_ADDRESS || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+  if (!governorAddress || !ethers.isAddress(governorAddress)) {
+    throw new Error("Set GOVERNOR_ADDRESS to the RateGovernor address");
+  }
+  if (modelAddresses.length === 0) {
+    throw new Error("Set MODEL_ADDRESS to one or more comma-separated contract addresses");
+  }
+  if ((await ethers.provider.getCode(governorAddress)) === "0x") {
+    throw new Error(`No contract deployed at GOVERNOR_ADDRESS ${governorAddress}`);
+  }
+
+  const [signer] = await ethers.getSigners();
+  for (const modelAddress of modelAddresses) {
+    if (!ethers.isAddress(modelAddress)) {
+      throw new Error(`Invalid MODEL_ADDRESS entry: ${modelAddress}`);
+    }
+
+    // Every rate model and the pool use OpenZeppelin Ownable
+    const model = await ethers.getContractAt("Ownable", modelAddress);
+    const currentOwner = await model.owner();
+    if (currentOwner.toLowerCase() === governorAddress.toLowerCase()) {
+      console.log(`⏭️  ${modelAddress} is already owned by the governor`);
+      continue;
+    }
+    if (currentOwner.toLowerCase() !== signer.address.toLowerCase()) {
+      throw new Error(`${modelAddress} is owned by ${currentOwner}, not by ${signer.address}`);
+    }
+
+    await (await model.transferOwnership(governorAddress)).wait();
+    console.log(`✅ Ownership of ${modelAddress} transferred to ${governorAddress}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("💥 Ownership transfer failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,371 @@
+const { task, types } = require("hardhat/config");
+const GovernanceCalls = require("../frontend/lib/governance-calls");
+const { proposalStatus } = require("../frontend/lib/governance-proposals");
+const GovernanceSimulation = require("../frontend/lib/governance-simulation");
+
+/**
+ * RateGovernor tasks: queue parameter updates for every interest rate model and for
+ * LendingPool.updateAssetConfig, then list, inspect, decode, simulate, cancel and execute proposals.
+ * See docs/governance-tooling.md for the workflow.
+ */
+
+// Parses a decimal fraction such as "0.03" (3%) into 1e18 fixed point
+function parseFraction(hre, name, value) {
+  if (!/^\d+(\.\d+)?$/.test(String(value))) {
+    throw new Error(`--${name} must be a non-negative decimal, got "${value}"`);
+  }
+  return hre.ethers.parseUnits(String(value), 18);
+}
+
+async function getGovernor(hre, address) {
+  if (!hre.ethers.isAddress(address)) throw new Error(`Invalid governor address: ${address}`);
+  return hre.ethers.getContractAt("RateGovernor", address);
+}
+
+async function latestTimestamp(hre) {
+  const block = await hre.ethers.provider.getBlock("latest");
+  return block.timestamp;
+}
+
+async function readProposal(hre, governor, id) {
+  const count = await governor.proposalCount();
+  if (BigInt(id) >= count) throw new Error(`Proposal ${id} does not exist (count: ${count})`);
+
+  const proposal = await governor.getProposal(id);
+  const now = await latestTimestamp(hre);
+  return {
+    id: Number(id),
+    target: proposal.target,
+    data: proposal.data,
+    executeAfter: Number(proposal.executeAfter),
+    executed: proposal.executed,
+    cancelled: proposal.cancelled,
+    status: proposalStatus(proposal, now),
+    secondsUntilReady: Math.max(0, Number(proposal.executeAfter) - now),
+    description: GovernanceCalls.describeCall(proposal.data)
+  };
+}
+
+function printProposal(proposal) {
+  console.log(`#${proposal.id} [${proposal.status}] ${proposal.description}`);
+  console.log(`   target:        ${proposal.target}`);
+  console.log(`   executeAfter:  ${new Date(proposal.executeAfter * 1000).toISOString()}` +
+    (proposal.status === "pending" ? ` (in ${proposal.secondsUntilReady}s)` : ""));
+}
+
+/**
+ * Queues a governed setter call on `target` and returns the proposal id and earliest execution time.
+ */
+async function queueGovernedCall(hre, { governor: governorAddress, target, contract, args, delay }) {
+  if (!hre.ethers.isAddress(target)) throw new Error(`Invalid target address: ${target}`);
+  const governor = await getGovernor(hre, governorAddress);
+
+  // The governor can only execute the call if it owns the target
+  const ownable = await hre.ethers.getContractAt(contract, target);
+  const owner = await ownable.owner();
+  if (owner.toLowerCase() !== governorAddress.toLowerCase()) {
+    console.warn(`⚠️  ${contract} at ${target} is owned by ${owner}, not the governor. Execution will revert until ownership is transferred.`);
+  }
+
+  const data = GovernanceCalls.encodeCall(contract, args);
+  const executeAfter = (await latestTimestamp(hre)) + Number(delay);
+
+  const tx = await governor.queueUpdate(target, data, executeAfter);
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map(log => { try { return governor.interface.parseLog(log); } catch { return null; } })
+    .find(parsed => parsed && parsed.name === "UpdateQueued");
+
+  const proposalId = Number(event.args.proposalId);
+  const queuedAfter = Number(event.args.executeAfter);
+  console.log(`✅ Queued proposal #${proposalId}: ${GovernanceCalls.describeCall(data)}`);
+  console.log(`   Executable after ${new Date(queuedAfter * 1000).toISOString()} (unix ${queuedAfter})`);
+
+  return { proposalId, executeAfter: queuedAfter, data, txHash: receipt.hash };
+}
+
+// Adds the parameters every queue task shares
+function queueTask(name, description) {
+  return task(name, description)
+    .addParam("governor", "RateGovernor address")
+    .addOptionalParam("delay", "Seconds from now before execution (raised to the governor's minDelay)", 0, types.int);
+}
+
+queueTask("governance:queue-linear-update", "Queue LinearInterestRateModel.setAPR")
+  .addParam("model", "LinearInterestRateModel address")
+  .addParam("base", "Base APR as a fraction, e.g. 0.03 for 3%")
+  .addParam("slope", "Slope APR as a fraction")
+  .setAction(async (args, hre) => queueGovernedCall(hre, {
+    governor: args.governor,
+    target: args.model,
+    contract: "LinearInterestRateModel",
+    args: [parseFraction(hre, "base", args.base), parseFraction(hre, "slope", args.slope)],
+    delay: args.delay
+  }));
+
+queueTask("governance:queue-kink-update", "Queue KinkInterestRateModel.setParams")
+  .addParam("model", "KinkInterestRateModel address")
+  .addParam("base", "Base APR as a fraction")
+  .addParam("slopeLow", "Slope below the kink as a fraction")
+  .addParam("slopeHigh", "Slope above the kink as a fraction")
+  .addParam("kink", "Kink utilization as a fraction, e.g. 0.8")
+  .setAction(async (args, hre) => queueGovernedCall(hre, {
+    governor: args.governor,
+    target: args.model,
+    contract: "KinkInterestRateModel",
+    args: [
+      parseFraction(hre, "base", args.base),
+      parseFraction(hre, "slope-low", args.slopeLow),
+      parseFraction(hre, "slope-high", args.slopeHigh),
+      parseFraction(hre, "kink", args.kink)
+    ],
+    delay: args.delay
+  }));
+
+queueTask("governance:queue-exponential-update", "Queue ExponentialInterestRateModel.setParams")
+  .addParam("model", "ExponentialInterestRateModel address")
+  .addParam("base", "Base APR as a fraction")
+  .addParam("coefficient", "Coefficient APR applied to the exponential growth, as a fraction")
+  .addParam("exponent", "Exponent factor controlling curvature (max 2)")
+  .setAction(async (args, hre) => queueGovernedCall(hre, {
+    governor: args.governor,
+    target: args.model,
+    contract: "ExponentialInterestRateModel",
+    args: [
+      parseFraction(hre, "base", args.base),
+      parseFraction(hre, "coefficient", args.coefficient),
+      parseFraction(hre, "exponent", args.exponent)
+    ],
+    delay: args.delay
+  }));
+
+queueTask("governance:queue-timeweighted-update", "Queue TimeWeightedInterestRateModel.setParameters")
+  .addParam("model", "TimeWeightedInterestRateModel address")
+  .addParam("min", "Minimum APR as a fraction")
+  .addParam("max", "Maximum APR as a fraction")
+  .addParam("neutral", "Neutral APR as a fraction")
+  .addParam("adjust", "APR change per second at full overshoot, as a fraction (max 0.005)")
+  .addParam("lower", "Lower bound of the target utilization band")
+  .addParam("upper", "Upper bound of the target utilization band")
+  .setAction(async (args, hre) => queueGovernedCall(hre, {
+    governor: args.governor,
+    target: args.model,
+    contract: "TimeWeightedInterestRateModel",
+    args: [
+      parseFraction(hre, "min", args.min),
+      parseFraction(hre, "max", args.max),
+      parseFraction(hre, "neutral", args.neutral),
+      parseFraction(hre, "adjust", args.adjust),
+      parseFraction(hre, "lower", args.lower),
+      parseFraction(hre, "upper", args.upper)
+    ],
+    delay: args.delay
+  }));
+
+queueTask("governance:queue-dynamic-update", "Queue DynamicInterestRateModel.setParameters")
+  .addParam("model", "DynamicInterestRateModel address")
+  .addParam("base", "Base rate per second as a fraction, e.g. 0.000000001")
+  .addParam("multiplier", "Utilization multiplier as a fraction, e.g. 0.5")
+  .setAction(async (args, hre) => queueGovernedCall(hre, {
+    governor: args.governor,
+    target: args.model,
+    contract: "DynamicInterestRateModel",
+    args: [parseFraction(hre, "base", args.base), parseFraction(hre, "multiplier", args.multiplier)],
+    delay: args.delay
+  }));
+
+queueTask("governance:queue-asset-config-update", "Queue LendingPool.updateAssetConfig")
+  .addParam("pool", "LendingPool address")
+  .addParam("asset", "Listed asset address")
+  .addParam("collateralFactor", "Collateral factor as a fraction, e.g. 0.75")
+  .addParam("liquidationBonus", "Liquidation bonus as a fraction, e.g. 0.05")
+  .addParam("reserveFactor", "Reserve factor as a fraction, e.g. 0.1")
+  .setAction(async (args, hre) => {
+    if (!hre.ethers.isAddress(args.asset)) throw new Error(`Invalid asset address: ${args.asset}`);
+    return queueGovernedCall(hre, {
+      governor: args.governor,
+      target: args.pool,
+      contract: "LendingPool",
+      args: [
+        args.asset,
+        parseFraction(hre, "collateral-factor", args.collateralFactor),
+        parseFraction(hre, "liquidation-bonus", args.liquidationBonus),
+        parseFraction(hre, "reserve-factor", args.reserveFactor)
+      ],
+      delay: args.delay
+    });
+  });
+
+task("governance:list", "List RateGovernor proposals")
+  .addParam("governor", "RateGovernor address")
+  .addFlag("pending", "Only show proposals that are not executed or cancelled")
+  .setAction(async (args, hre) => {
+    const governor = await getGovernor(hre, args.governor);
+    const count = Number(await governor.proposalCount());
+
+    const proposals = [];
+    for (let id = 0; id < count; id++) {
+      const proposal = await readProposal(hre, governor, id);
+      if (args.pending && (proposal.executed || proposal.cancelled)) continue;
+      proposals.push(proposal);
+    }
+
+    if (proposals.length === 0) {
+      console.log("No proposals.");
+    }
+    proposals.forEach(printProposal);
+    return proposals;
+  });
+
+task("governance:inspect", "Show a RateGovernor proposal with its decoded arguments")
+  .addParam("governor", "RateGovernor address")
+  .addParam("proposal", "Proposal id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const governor = await getGovernor(hre, args.governor);
+    const proposal = await readProposal(hre, governor, args.proposal);
+    const decoded = GovernanceCalls.decodeCall(proposal.data);
+
+    printProposal(proposal);
+    console.log(`   calldata:      ${proposal.data}`);
+    if (decoded) {
+      decoded.args.forEach(arg => console.log(`   ${arg.name.padEnd(24)} ${arg.formatted}`));
+    }
+    return { ...proposal, decoded };
+  });
+
+task("governance:decode", "Decode proposal calldata into the governed setter and its arguments")
+  .addOptionalParam("data", "Raw calldata (0x...)")
+  .addOptionalParam("governor", "RateGovernor address, to decode a queued proposal")
+  .addOptionalParam("proposal", "Proposal id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    let data = args.data;
+    if (!data) {
+      if (!args.governor || args.proposal === undefined) {
+        throw new Error("Pass --data, or --governor together with --proposal");
+      }
+      const governor = await getGovernor(hre, args.governor);
+      data = (await readProposal(hre, governor, args.proposal)).data;
+    }
+
+    const decoded = GovernanceCalls.decodeCall(data);
+    if (!decoded) {
+      throw new Error(`Calldata does not match any governed setter (selector ${data.slice(0, 10)})`);
+    }
+    console.log(`${decoded.contract}.${decoded.method}`);
+    decoded.args.forEach(arg => console.log(`   ${arg.name.padEnd(24)} ${arg.formatted}`));
+    return decoded;
+  });
+
+// Listed assets with the model each one uses, for the per-asset part of a simulation
+async function loadPoolAssets(hre, pool) {
+  const count = Number(await pool.listedAssetsCount());
+  const assets = [];
+  for (let i = 0; i < count; i++) {
+    const address = await pool.listedAssets(i);
+    const config = await pool.assetConfigs(address);
+    let symbol = address.slice(0, 10);
+    try {
+      symbol = await (await hre.ethers.getContractAt("MockERC20", address)).symbol();
+    } catch {
+      // Not every listed token exposes symbol()
+    }
+    assets.push({ address, symbol, interestRateModel: config.irmAddress });
+  }
+  return assets;
+}
+
+function printSimulation(result) {
+  const { formatPercent } = GovernanceSimulation;
+  const row = (label, before, after) => console.log(
+    `   ${label.padEnd(14)} ${formatPercent(before).padStart(10)} ${formatPercent(after).padStart(10)} ${formatPercent(after - before, { signed: true }).padStart(10)}`
+  );
+  const header = (label) => console.log(`   ${label.padEnd(14)} ${"Before".padStart(10)} ${"After".padStart(10)} ${"Change".padStart(10)}`);
+
+  console.log(`🔬 Simulated proposal #${result.proposalId}: ${result.description}`);
+  console.log(`   Executed at ${new Date(result.executedAt * 1000).toISOString()} on a snapshot, then reverted`);
+
+  if (result.curve.length > 0) {
+    console.log(`\n   Borrow APR curve of ${result.model}`);
+    header("Utilization");
+    result.curve.forEach(point => row(formatPercent(point.utilization, { digits: 0 }), point.before, point.after));
+  }
+
+  const priced = result.assets.filter(asset => asset.before !== null);
+  if (priced.length > 0) {
+    console.log("\n   Current borrow APR per affected asset");
+    header("Asset");
+    priced.forEach(asset => row(asset.symbol, asset.before, asset.after));
+  } else {
+    console.log("\n   No pool assets affected (pass --pool to include per-asset rates)");
+  }
+}
+
+task("governance:simulate", "Dry-run a queued proposal on a chain snapshot and compare rates before and after")
+  .addParam("governor", "RateGovernor address")
+  .addParam("proposal", "Proposal id", undefined, types.int)
+  .addOptionalParam("pool", "LendingPool address, to compare the current borrow APR of affected assets")
+  .addOptionalParam("steps", "Utilization increments between 0 and 100%", GovernanceSimulation.DEFAULT_STEPS, types.int)
+  .setAction(async (args, hre) => {
+    const governor = await getGovernor(hre, args.governor);
+    const proposal = await readProposal(hre, governor, args.proposal);
+    if (proposal.executed || proposal.cancelled) {
+      throw new Error(`Proposal #${proposal.id} is already ${proposal.status}`);
+    }
+
+    // Asset config updates target the pool itself
+    const decoded = GovernanceCalls.decodeCall(proposal.data);
+    const poolAddress = args.pool || (decoded?.contract === "LendingPool" ? proposal.target : null);
+    if (poolAddress && !hre.ethers.isAddress(poolAddress)) throw new Error(`Invalid pool address: ${poolAddress}`);
+    const pool = poolAddress ? await hre.ethers.getContractAt("LendingPool", poolAddress) : null;
+
+    const result = await GovernanceSimulation.simulateProposal({
+      provider: hre.ethers.provider,
+      governor,
+      proposalId: proposal.id,
+      pool,
+      assets: pool ? await loadPoolAssets(hre, pool) : [],
+      steps: args.steps
+    });
+    printSimulation(result);
+    return result;
+  });
+
+task("governance:cancel", "Cancel a queued RateGovernor proposal")
+  .addParam("governor", "RateGovernor address")
+  .addParam("proposal", "Proposal id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const governor = await getGovernor(hre, args.governor);
+    const proposal = await readProposal(hre, governor, args.proposal);
+    if (proposal.executed || proposal.cancelled) {
+      throw new Error(`Proposal #${proposal.id} is already ${proposal.status}`);
+    }
+
+    const receipt = await (await governor.cancel(args.proposal)).wait();
+    console.log(`🛑 Cancelled proposal #${proposal.id}: ${proposal.description}`);
+    return { proposalId: proposal.id, txHash: receipt.hash };
+  });
+
+task("governance:execute", "Execute a RateGovernor proposal once its delay has passed")
+  .addParam("governor", "RateGovernor address")
+  .addParam("proposal", "Proposal id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const governor = await getGovernor(hre, args.governor);
+    const proposal = await readProposal(hre, governor, args.proposal);
+    if (proposal.executed || proposal.cancelled) {
+      throw new Error(`Proposal #${proposal.id} is already ${proposal.status}`);
+    }
+    if (proposal.status === "pending") {
+      throw new Error(`Proposal #${proposal.id} is not ready for another ${proposal.secondsUntilReady}s`);
+    }
+
+    // Reverts bubble up with the target's own error message
+    const receipt = await (await governor.execute(args.proposal)).wait();
+    console.log(`✅ Executed proposal #${proposal.id}: ${proposal.description}`);
+    return { proposalId: proposal.id, txHash: receipt.hash };
+  });
+
+module.exports = {
+  parseFraction,
+  queueGovernedCall,
+  readProposal,
+};
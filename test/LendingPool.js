@@ -43,10 +43,10 @@ describe("LendingPool (Multi-Asset)", function () {
         irm2 = await KinkInterestRateModel.deploy(toWei(0.03, 18), toWei(0.15, 18), toWei(1.5, 18), toWei(0.8, 18), owner.address);
 
         // List the assets in the lending pool
-        // Asset 1: 75% collateral factor, 5% liquidation bonus
-        await pool.connect(owner).listAsset(token1.target, irm1.target, toWei(0.75, 18), toWei(0.05, 18));
-        // Asset 2: 80% collateral factor, 8% liquidation bonus
-        await pool.connect(owner).listAsset(token2.target, irm2.target, toWei(0.80, 18), toWei(0.08, 18));
+        // Asset 1: 75% collateral factor, 5% liquidation bonus, 10% reserve factor
+        await pool.connect(owner).listAsset(token1.target, irm1.target, toWei(0.75, 18), toWei(0.05, 18), toWei(0.1, 18));
+        // Asset 2: 80% collateral factor, 8% liquidation bonus, 10% reserve factor
+        await pool.connect(owner).listAsset(token2.target, irm2.target, toWei(0.80, 18), toWei(0.08, 18), toWei(0.1, 18));
 
         // Mint tokens to users
         await token1.connect(owner).mint(user1.address, toWei(1000)); // 1000 TKA
@@ -128,7 +128,7 @@ describe("LendingPool (Multi-Asset)", function () {
         // Accrue interest by making a state-changing call. A zero-amount borrow is simple.
         await pool.connect(user1).borrow(token2.target, 0);
 
-        const totalDebt = await pool.getTotalDebt(token2.target, user1.address);
+        const totalDebt = await pool.getTotalDebt(user1.address, token2.target);
         expect(totalDebt).to.be.gt(borrowAmount);
 
         // User1 repays the full debt
@@ -140,6 +140,133 @@ describe("LendingPool (Multi-Asset)", function () {
         expect(finalUserAccount.borrowPrincipal).to.equal(0);
     });
 
+    it("should not charge interest for time before the first borrow", async function () {
+        await token1.connect(user1).approve(pool.target, toWei(100));
+        await pool.connect(user1).deposit(token1.target, toWei(100));
+        await token2.connect(user2).approve(pool.target, toWei(10));
+        await pool.connect(user2).deposit(token2.target, toWei(10));
+
+        // A year passes with nothing borrowed
+        await hre.ethers.provider.send("evm_increaseTime", [365 * 24 * 60 * 60]);
+        await pool.connect(user1).borrow(token2.target, toWei(1));
+        await pool.accrueInterest(token2.target);
+
+        expect(await pool.userBorrows(user1.address, token2.target)).to.be.closeTo(toWei(1), toWei(0.000001));
+    });
+
+    describe("Entered Markets", function () {
+        it("should track assets a user supplies or borrows and drop them once closed", async function () {
+            await token1.connect(user1).approve(pool.target, ethers.MaxUint256);
+            await pool.connect(user1).deposit(token1.target, toWei(100));
+            await token2.connect(user2).approve(pool.target, toWei(10));
+            await pool.connect(user2).deposit(token2.target, toWei(10));
+
+            expect(await pool.getEnteredMarkets(user1.address)).to.deep.equal([token1.target]);
+
+            await pool.connect(user1).borrow(token2.target, toWei(1));
+            expect(await pool.getEnteredMarkets(user1.address)).to.deep.equal([token1.target, token2.target]);
+
+            // Fully withdrawing the only collateral is blocked while debt is open
+            const { shares } = await pool.userAccounts(user1.address, token1.target);
+            await expect(pool.connect(user1).withdraw(token1.target, shares)).to.be.revertedWithCustomError(pool, "InsufficientCollateral");
+
+            await token2.connect(owner).mint(user1.address, toWei(1));
+            await token2.connect(user1).approve(pool.target, ethers.MaxUint256);
+            await pool.connect(user1).repay(token2.target, ethers.MaxUint256);
+            expect(await pool.getEnteredMarkets(user1.address)).to.deep.equal([token1.target]);
+
+            await pool.connect(user1).withdraw(token1.target, shares);
+            expect(await pool.getEnteredMarkets(user1.address)).to.deep.equal([]);
+        });
+
+        it("should ignore listed assets the user never touched when checking liquidity", async function () {
+            // An asset whose oracle price is not set would revert any liquidity scan that visits it
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const unpriced = await MockERC20.deploy("Unpriced", "UNP");
+            await pool.connect(owner).listAsset(unpriced.target, irm1.target, toWei(0.5, 18), toWei(0.05, 18), 0);
+
+            await token1.connect(user1).approve(pool.target, toWei(100));
+            await pool.connect(user1).deposit(token1.target, toWei(100));
+
+            const [collateralValue] = await pool.getAccountLiquidity(user1.address);
+            expect(collateralValue).to.equal(toOracle(7500));
+        });
+    });
+
+    describe("Reserves", function () {
+        const ONE_YEAR = 365 * 24 * 60 * 60;
+
+        beforeEach(async function () {
+            // User2 supplies 10 TKB, user1 borrows 1 TKB against TKA
+            await token2.connect(user2).approve(pool.target, toWei(10));
+            await pool.connect(user2).deposit(token2.target, toWei(10));
+            await token1.connect(user1).approve(pool.target, toWei(100));
+            await pool.connect(user1).deposit(token1.target, toWei(100));
+            await pool.connect(user1).borrow(token2.target, toWei(1));
+        });
+
+        it("should split borrower interest between suppliers and reserves", async function () {
+            await hre.ethers.provider.send("evm_increaseTime", [ONE_YEAR]);
+            await expect(pool.accrueInterest(token2.target)).to.emit(pool, "ReservesAccrued");
+
+            const { totalBorrows, totalReserves } = await pool.poolAccounts(token2.target);
+            const interestPaid = totalBorrows - toWei(1);
+            const supplierInterest = (await pool.userDeposits(user2.address, token2.target)) - toWei(10);
+
+            expect(interestPaid).to.be.gt(0);
+            // 10% reserve factor
+            expect(totalReserves).to.equal(interestPaid / 10n);
+            // Allow for share rounding
+            expect(supplierInterest + totalReserves).to.be.closeTo(interestPaid, 10n);
+        });
+
+        it("should apply a reserve factor change only to interest accrued afterwards", async function () {
+            await hre.ethers.provider.send("evm_increaseTime", [ONE_YEAR]);
+            await expect(pool.connect(owner).updateAssetConfig(token2.target, toWei(0.80, 18), toWei(0.08, 18), toWei(0.5, 18)))
+                .to.emit(pool, "AssetConfigUpdated").withArgs(token2.target, toWei(0.80, 18), toWei(0.08, 18), toWei(0.5, 18));
+
+            const before = await pool.poolAccounts(token2.target);
+            expect(before.totalReserves).to.equal((before.totalBorrows - toWei(1)) / 10n);
+
+            await hre.ethers.provider.send("evm_increaseTime", [ONE_YEAR]);
+            await pool.accrueInterest(token2.target);
+
+            const after = await pool.poolAccounts(token2.target);
+            expect(after.totalReserves - before.totalReserves).to.equal((after.totalBorrows - before.totalBorrows) / 2n);
+            expect((await pool.assetConfigs(token2.target)).reserveFactor).to.equal(toWei(0.5, 18));
+        });
+
+        it("should reject reserve factors above 100%", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token3 = await MockERC20.deploy("Token C", "TKC");
+
+            await expect(pool.connect(owner).listAsset(token3.target, irm1.target, toWei(0.5, 18), toWei(0.05, 18), toWei(1.1, 18)))
+                .to.be.revertedWithCustomError(pool, "InvalidReserveFactor");
+            await expect(pool.connect(owner).updateAssetConfig(token2.target, toWei(0.80, 18), toWei(0.08, 18), toWei(1.1, 18)))
+                .to.be.revertedWithCustomError(pool, "InvalidReserveFactor");
+        });
+
+        it("should let only the owner withdraw reserves without touching supplier value", async function () {
+            await hre.ethers.provider.send("evm_increaseTime", [ONE_YEAR]);
+            await pool.accrueInterest(token2.target);
+
+            const { totalReserves } = await pool.poolAccounts(token2.target);
+            await expect(pool.connect(user1).withdrawReserves(token2.target, totalReserves, user1.address))
+                .to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount");
+            await expect(pool.connect(owner).withdrawReserves(token2.target, totalReserves * 2n, owner.address))
+                .to.be.revertedWithCustomError(pool, "InsufficientReserves");
+
+            const supplierValueBefore = await pool.userDeposits(user2.address, token2.target);
+            await expect(pool.connect(owner).withdrawReserves(token2.target, totalReserves, owner.address))
+                .to.emit(pool, "ReservesWithdrawn").withArgs(token2.target, owner.address, totalReserves);
+
+            expect(await token2.balanceOf(owner.address)).to.equal(totalReserves);
+            // Only the interest accrued in the withdrawal block is added on top
+            expect(await pool.userDeposits(user2.address, token2.target)).to.be.closeTo(supplierValueBefore, toWei(0.0001));
+            expect(await pool.userDeposits(user2.address, token2.target)).to.be.gte(supplierValueBefore);
+        });
+    });
+
     describe("Liquidation Scenarios", function () {
         beforeEach(async function() {
             // Setup a common scenario for liquidation tests
@@ -193,16 +320,19 @@ describe("LendingPool (Multi-Asset)", function () {
         });
 
         it("should allow full liquidation for an unhealthy position using max uint", async function () {
-            // Make position unhealthy
-            await priceOracle.connect(owner).setPrice(token1.target, toOracle(50)); // Collateral value drops to $375
+            // Let a single liquidation close the whole position
+            await pool.connect(owner).setCloseFactor(toWei(1));
+            // Collateral value drops to $700 * 75% = $525; seizing $600 * 1.05 = $630 still fits
+            await priceOracle.connect(owner).setPrice(token1.target, toOracle(70));
 
             // Liquidator signals to repay the full debt using MaxUint256
             await pool.accrueInterest(token2.target); // Accrue interest
             const userBorrowAcc = await pool.userAccounts(user1.address, token2.target);
             const poolAccount = await pool.poolAccounts(token2.target);
             const totalDebt = (userBorrowAcc.borrowPrincipal * poolAccount.borrowIndex) / userBorrowAcc.borrowIndex;
-            
-            await token2.connect(owner).mint(user2.address, totalDebt);
+
+            // Leave room for the interest accrued in the liquidation block
+            await token2.connect(owner).mint(user2.address, totalDebt + toWei(0.01));
             await token2.connect(user2).approve(pool.target, ethers.MaxUint256);
 
             await pool.connect(user2).liquidate(user1.address, token2.target, token1.target, ethers.MaxUint256);
@@ -213,5 +343,63 @@ describe("LendingPool (Multi-Asset)", function () {
             const liquidatorCollateralShares = (await pool.userAccounts(user2.address, token1.target)).shares;
             expect(liquidatorCollateralShares).to.be.gt(0);
         });
+
+        it("should seize collateral worth the repaid debt plus the collateral's liquidation bonus", async function () {
+            await priceOracle.connect(owner).setPrice(token1.target, toOracle(50));
+
+            const repayAmount = toWei(0.1);
+            await token2.connect(owner).mint(user2.address, repayAmount);
+            await token2.connect(user2).approve(pool.target, repayAmount);
+
+            // 0.1 TKB * $2000 = $200, plus TKA's 5% bonus = $210, at $50 per TKA = 4.2 TKA
+            const expectedSeize = toWei(4.2);
+            await expect(pool.connect(user2).liquidate(user1.address, token2.target, token1.target, repayAmount))
+                .to.emit(pool, "Liquidate")
+                .withArgs(user2.address, user1.address, token1.target, token2.target, repayAmount, expectedSeize);
+
+            expect(await pool.userDeposits(user2.address, token1.target)).to.equal(expectedSeize);
+            expect(await pool.userDeposits(user1.address, token1.target)).to.equal(toWei(10) - expectedSeize);
+            expect(await pool.getEnteredMarkets(user2.address)).to.include(token1.target);
+        });
+
+        it("should cap the repayment at the close factor", async function () {
+            await priceOracle.connect(owner).setPrice(token1.target, toOracle(50));
+
+            await token2.connect(owner).mint(user2.address, toWei(1));
+            await token2.connect(user2).approve(pool.target, ethers.MaxUint256);
+
+            const debtBefore = await pool.userBorrows(user1.address, token2.target);
+            const balanceBefore = await token2.balanceOf(user2.address);
+            await pool.connect(user2).liquidate(user1.address, token2.target, token1.target, toWei(1));
+
+            // Default close factor is 50%
+            const repaid = balanceBefore - await token2.balanceOf(user2.address);
+            expect(repaid).to.be.closeTo(debtBefore / 2n, toWei(0.0001));
+            expect(await pool.userBorrows(user1.address, token2.target)).to.be.closeTo(debtBefore / 2n, toWei(0.0001));
+        });
+
+        it("should limit the repayment to what the remaining collateral covers", async function () {
+            await pool.connect(owner).setCloseFactor(toWei(1));
+            // $300 of collateral cannot cover $600 of debt plus bonus
+            await priceOracle.connect(owner).setPrice(token1.target, toOracle(30));
+
+            await token2.connect(owner).mint(user2.address, toWei(1));
+            await token2.connect(user2).approve(pool.target, ethers.MaxUint256);
+            await pool.connect(user2).liquidate(user1.address, token2.target, token1.target, ethers.MaxUint256);
+
+            expect((await pool.userAccounts(user1.address, token1.target)).shares).to.equal(0);
+            // $300 seized / 1.05 = ~$285.71 repaid, i.e. ~0.142857 TKB of the 0.3 TKB debt
+            expect(await pool.userBorrows(user1.address, token2.target)).to.be.closeTo(toWei(0.3) - toWei(0.142857), toWei(0.0001));
+            expect(await pool.getEnteredMarkets(user1.address)).to.deep.equal([token2.target]);
+        });
+
+        it("should only let the owner set a close factor between 0 and 100%", async function () {
+            await expect(pool.connect(user1).setCloseFactor(toWei(0.6))).to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount");
+            await expect(pool.connect(owner).setCloseFactor(0)).to.be.revertedWithCustomError(pool, "InvalidCloseFactor");
+            await expect(pool.connect(owner).setCloseFactor(toWei(1.01))).to.be.revertedWithCustomError(pool, "InvalidCloseFactor");
+
+            await expect(pool.connect(owner).setCloseFactor(toWei(0.6))).to.emit(pool, "CloseFactorUpdated").withArgs(toWei(0.6));
+            expect(await pool.closeFactor()).to.equal(toWei(0.6));
+        });
     });
 });
\ No newline at end of file
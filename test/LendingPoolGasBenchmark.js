@@ -0,0 +1,86 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+// The default suite only compares 2 and 100 listed assets; `npm run test:gas-benchmark` sets
+// FULL_GAS_BENCHMARK and goes up to 10,000, which takes minutes on the in-process network
+const FULL = Boolean(process.env.FULL_GAS_BENCHMARK);
+
+describe("LendingPool gas benchmark", function () {
+    if (FULL) this.timeout(600000);
+
+    let owner, user1, user2;
+    let pool, priceOracle, lister;
+    let token1, token2, irm;
+
+    const toWei = (amount, decimals = 18) => ethers.parseUnits(amount.toString(), decimals);
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+
+    // Filler listings per transaction, kept under the block gas limit
+    const LISTINGS_PER_TX = 100;
+    const ASSET_COUNTS = FULL ? [2, 100, 1000, 10000] : [2, 100];
+
+    async function listFillersUpTo(total) {
+        const listed = Number(await pool.listedAssetsCount());
+        let remaining = total - listed;
+        if (remaining <= 0) return;
+
+        await pool.connect(owner).transferOwnership(lister.target);
+        while (remaining > 0) {
+            const count = Math.min(remaining, LISTINGS_PER_TX);
+            await lister.listFillers(pool.target, irm.target, count);
+            remaining -= count;
+        }
+        await lister.returnOwnership(pool.target);
+    }
+
+    before(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+
+        const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+        priceOracle = await MockPriceOracle.deploy(owner.address);
+
+        const LendingPool = await ethers.getContractFactory("LendingPool");
+        pool = await LendingPool.deploy(priceOracle.target, owner.address);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token1 = await MockERC20.deploy("Token A", "TKA");
+        token2 = await MockERC20.deploy("Token B", "TKB");
+
+        const KinkInterestRateModel = await ethers.getContractFactory("KinkInterestRateModel");
+        irm = await KinkInterestRateModel.deploy(toWei(0.02), toWei(0.1), toWei(1), toWei(0.8), owner.address);
+
+        await priceOracle.setPrice(token1.target, toOracle(100));
+        await priceOracle.setPrice(token2.target, toOracle(2000));
+        await pool.listAsset(token1.target, irm.target, toWei(0.75), toWei(0.05), toWei(0.1));
+        await pool.listAsset(token2.target, irm.target, toWei(0.80), toWei(0.08), toWei(0.1));
+
+        const BenchmarkAssetLister = await ethers.getContractFactory("BenchmarkAssetLister");
+        lister = await BenchmarkAssetLister.deploy();
+
+        await token1.mint(user1.address, toWei(1000));
+        await token2.mint(user2.address, toWei(100));
+        await token1.connect(user1).approve(pool.target, toWei(1000));
+        await token2.connect(user2).approve(pool.target, toWei(100));
+        await pool.connect(user1).deposit(token1.target, toWei(1000));
+        await pool.connect(user2).deposit(token2.target, toWei(100));
+
+        // Open a position so borrow also walks an existing debt
+        await pool.connect(user1).borrow(token2.target, toWei(1));
+    });
+
+    it(`should keep borrow gas flat from 2 to ${ASSET_COUNTS.at(-1).toLocaleString("en-US")} listed assets`, async function () {
+        const gasByCount = {};
+        for (const count of ASSET_COUNTS) {
+            await listFillersUpTo(count);
+            expect(await pool.listedAssetsCount()).to.equal(count);
+            gasByCount[count] = await pool.connect(user1).borrow.estimateGas(token2.target, toWei(1));
+        }
+
+        const baseline = gasByCount[ASSET_COUNTS[0]];
+        for (const count of ASSET_COUNTS) {
+            // Allow for storage-warmth noise, not per-asset growth
+            expect(gasByCount[count]).to.be.closeTo(baseline, 5000n);
+        }
+        expect(gasByCount[ASSET_COUNTS.at(-1)]).to.be.lessThan(500000n);
+    });
+});
@@ -0,0 +1,49 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readFundAddresses } = require("../../scripts/lib/fund-addresses");
+
+describe("Deploy script funding addresses", function () {
+    const alice = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const bob = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+    let dir;
+
+    before(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "fund-addresses-"));
+    });
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const writeFile = (name, content) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    };
+
+    it("should fall back to the defaults only when nothing is configured", function () {
+        expect(readFundAddresses({ env: {}, defaults: [alice.toLowerCase()] })).to.deep.equal([alice]);
+        expect(readFundAddresses({ env: { FUND_ADDRESSES: bob }, defaults: [alice] })).to.deep.equal([bob]);
+        expect(readFundAddresses({ env: {} })).to.deep.equal([]);
+    });
+
+    it("should read addresses from the environment and from JSON or text files", function () {
+        expect(readFundAddresses({ env: { FUND_ADDRESSES: ` ${alice.toLowerCase()}, ${bob}\n${alice}` } }))
+            .to.deep.equal([alice, bob]);
+
+        const json = writeFile("wallets.json", JSON.stringify([bob]));
+        expect(readFundAddresses({ env: { FUND_ADDRESSES_FILE: json } })).to.deep.equal([bob]);
+
+        const text = writeFile("wallets.txt", `# team wallets\n${alice}  # alice\n\n${bob}\n`);
+        expect(readFundAddresses({ env: { FUND_ADDRESSES: bob, FUND_ADDRESSES_FILE: text } })).to.deep.equal([bob, alice]);
+    });
+
+    it("should name every entry that is not an address", function () {
+        expect(() => readFundAddresses({ env: { FUND_ADDRESSES: `${alice},0x1234,alice.eth` } }))
+            .to.throw("Not addresses: 0x1234, alice.eth");
+        const broken = writeFile("broken.json", "[1");
+        expect(() => readFundAddresses({ env: { FUND_ADDRESSES_FILE: broken } })).to.throw();
+    });
+});
@@ -0,0 +1,50 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { collectFrontendAbis } = require("../../scripts/lib/frontend-artifacts");
+const AbiRegistry = require("../../frontend/lib/abi-registry");
+
+describe("Frontend ABI registry", function () {
+    let abis;
+
+    before(async function () {
+        abis = await collectFrontendAbis(hre);
+    });
+
+    it("should find every function the dashboard needs in the compiled artifacts", async function () {
+        expect(AbiRegistry.findMissingFunctions(abis)).to.deep.equal([]);
+        expect(() => AbiRegistry.createRegistry({ contracts: abis })).to.not.throw();
+    });
+
+    it("should reject hand-written ABIs that have drifted from the contracts", async function () {
+        // The hand-written ABI the dashboard used to ship with
+        const drifted = {
+            ...abis,
+            LendingPool: [
+                "function listedAssets(uint256) view returns (address)",
+                "function assetData(address) view returns (address oracle, address interestRateModel, uint256 collateralFactor, uint256 totalDeposits, uint256 totalBorrows, uint256 lastUpdateTime, uint256 borrowIndex)",
+                "function deposit(address asset, uint256 amount) external",
+                "function withdraw(address asset, uint256 amount) external",
+                "function borrow(address asset, uint256 amount) external",
+                "function repay(address asset, uint256 amount) external",
+                "function liquidate(address borrower, address collateralAsset, address borrowAsset, uint256 repayAmount) external",
+                "function userDeposits(address user, address asset) view returns (uint256)",
+                "function userBorrows(address user, address asset) view returns (uint256)",
+                "function getHealthFactor(address user) view returns (uint256)"
+            ]
+        };
+
+        const missing = AbiRegistry.findMissingFunctions(drifted);
+        expect(missing).to.deep.include({ contract: "LendingPool", signature: "assetConfigs(address)" });
+        expect(() => AbiRegistry.createRegistry({ contracts: drifted })).to.throw(/LendingPool\.priceOracle\(\)/);
+    });
+
+    it("should report every function of a contract whose ABI was not exported", async function () {
+        const { MockPriceOracle, ...rest } = abis;
+        const missing = AbiRegistry.findMissingFunctions(rest);
+        expect(missing).to.deep.equal([
+            { contract: "MockPriceOracle", signature: "getPrice(address)" },
+            { contract: "MockPriceOracle", signature: "owner()" },
+            { contract: "MockPriceOracle", signature: "setPrices(address[],uint256[])" }
+        ]);
+    });
+});
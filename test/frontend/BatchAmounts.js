@@ -0,0 +1,79 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const BatchAmounts = require("../../frontend/lib/batch-amounts");
+
+describe("Frontend batch amounts", function () {
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+
+    // A meme token at $0.00000123 and a 6-decimal stablecoin
+    const meme = { address: "0x" + "01".repeat(20), symbol: "MEME", decimals: 18, price: 123n };
+    const usdc = { address: "0x" + "02".repeat(20), symbol: "USDC", decimals: 6, price: toOracle(1) };
+    const unpriced = { address: "0x" + "03".repeat(20), symbol: "NEW", decimals: 18, price: 0n };
+
+    it("should parse typed amounts exactly and reject anything else", function () {
+        expect(BatchAmounts.parseAmount("0.000000000000000001", 18)).to.equal(1n);
+        expect(BatchAmounts.parseAmount(" 123456789.123456789123456789 ", 18)).to.equal(123456789123456789123456789n);
+        expect(BatchAmounts.parseAmount(".5", 6)).to.equal(500000n);
+        expect(BatchAmounts.parseAmount("5.", 6)).to.equal(5000000n);
+        expect(BatchAmounts.parseAmount("", 18)).to.equal(null);
+        expect(BatchAmounts.parseUsd("1000.01")).to.equal(toOracle("1000.01"));
+
+        for (const text of ["1e5", "-1", "1,000", "0x10", ".", "1.2.3"]) {
+            expect(() => BatchAmounts.parseAmount(text, 18), text).to.throw("is not a valid amount");
+        }
+        expect(() => BatchAmounts.parseAmount("1.0000001", 6)).to.throw("At most 6 decimal places");
+    });
+
+    it("should split a USD total in fixed point without losing low-priced token precision", function () {
+        const total = BatchAmounts.parseUsd("1000000.07");
+        const legs = BatchAmounts.usdLegs(total, [
+            { asset: meme, proportion: 33 },
+            { asset: usdc, proportion: 67 },
+            { asset: unpriced, proportion: 0 }
+        ]);
+
+        expect(legs.map(leg => leg.asset.symbol)).to.deep.equal(["MEME", "USDC"]);
+        // $330,000.0231 at $0.00000123
+        expect(legs[0].usdValue).to.equal(33000002310000n);
+        expect(legs[0].amount).to.equal(33000002310000n * 10n ** 18n / 123n);
+        expect(legs[1].amount).to.equal(670000046900n);
+
+        // The float maths this replaces turned $0.29 into 28999999 oracle units
+        const [small] = BatchAmounts.usdLegs(BatchAmounts.parseUsd("0.29"), [{ asset: meme, proportion: 100 }]);
+        expect(BigInt(Math.floor(0.29 * 1e8))).to.equal(28999999n);
+        expect(small.usdValue).to.equal(29000000n);
+        expect(small.amount).to.equal(29000000n * 10n ** 18n / 123n);
+
+        expect(BatchAmounts.usdLegs(total, [{ asset: unpriced, proportion: 100 }])[0].amount).to.equal(null);
+    });
+
+    it("should value exact token amounts and report invalid entries per asset", function () {
+        const { legs, errors } = BatchAmounts.tokenLegs([
+            { asset: meme, text: "1000000000" },
+            { asset: usdc, text: "12.345678" },
+            { asset: unpriced, text: "5" },
+            { asset: usdc, text: "" },
+            { asset: meme, text: "0" }
+        ]);
+
+        expect(errors).to.deep.equal([]);
+        expect(legs.map(leg => [leg.asset.symbol, leg.amount, leg.usdValue])).to.deep.equal([
+            ["MEME", 10n ** 27n, toOracle(1230)],
+            ["USDC", 12345678n, toOracle("12.345678")],
+            ["NEW", 5n * 10n ** 18n, null]
+        ]);
+        expect(BatchAmounts.totalUsd(legs)).to.equal(toOracle("1242.345678"));
+
+        const invalid = BatchAmounts.tokenLegs([{ asset: usdc, text: "0.0000001" }]);
+        expect(invalid.legs).to.deep.equal([]);
+        expect(invalid.errors).to.deep.equal([{ asset: usdc, message: "At most 6 decimal places are allowed" }]);
+    });
+
+    it("should format USD values in dollars and cents", function () {
+        expect(BatchAmounts.formatUsd(toOracle("1234567.899"))).to.equal("$1,234,567.89");
+        expect(BatchAmounts.formatUsd(toOracle("0.05"))).to.equal("$0.05");
+        expect(BatchAmounts.formatUsd(1n)).to.equal("<$0.01");
+        expect(BatchAmounts.formatUsd(0n)).to.equal("$0.00");
+        expect(BatchAmounts.formatUsd(null)).to.equal("N/A");
+    });
+});
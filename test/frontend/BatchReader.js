@@ -0,0 +1,101 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const BatchReader = require("../../frontend/lib/batch-reader");
+
+describe("Frontend batch reader", function () {
+    let owner;
+    let multicall, oracle;
+    let tokens;
+
+    const NUM_TOKENS = 5;
+
+    before(async function () {
+        [owner] = await ethers.getSigners();
+
+        const Multicall = await ethers.getContractFactory("Multicall");
+        multicall = await Multicall.deploy();
+
+        const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+        oracle = await MockPriceOracle.deploy(owner.address);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokens = [];
+        for (let i = 0; i < NUM_TOKENS; i++) {
+            const token = await MockERC20.deploy(`Token ${i}`, `TK${i}`);
+            tokens.push(token);
+        }
+        // Leave the last token without a price so its oracle read fails
+        for (const token of tokens.slice(0, -1)) {
+            await oracle.setPrice(token.target, ethers.parseUnits("10", 18));
+        }
+    });
+
+    function priceAndSymbolCalls() {
+        return tokens.flatMap(token => [
+            { target: token.target, iface: token.interface, method: "symbol" },
+            { target: oracle.target, iface: oracle.interface, method: "getPrice", args: [token.target] }
+        ]);
+    }
+
+    function createReader(options = {}) {
+        return BatchReader.createBatchReader({
+            provider: ethers.provider,
+            multicallAddress: multicall.target,
+            multicallAbi: multicall.interface.fragments,
+            ...options
+        });
+    }
+
+    it("should pack calls into one aggregated request per chunk", async function () {
+        const reader = createReader({ chunkSize: 4 });
+        const results = await reader.read(priceAndSymbolCalls());
+
+        // 10 calls in chunks of 4
+        expect(reader.stats.requests).to.equal(3);
+        expect(reader.stats.calls).to.equal(10);
+        expect(results[0]).to.deep.equal({ success: true, value: "TK0" });
+        expect(results[1]).to.deep.equal({ success: true, value: ethers.parseUnits("10", 18) });
+    });
+
+    it("should tolerate individual failing calls", async function () {
+        const reader = createReader();
+        const results = await reader.read(priceAndSymbolCalls());
+
+        expect(results).to.have.length(10);
+        expect(results[8]).to.deep.equal({ success: true, value: `TK${NUM_TOKENS - 1}` });
+        expect(results[9]).to.deep.equal({ success: false, value: null });
+    });
+
+    it("should treat an address without code as a failed call", async function () {
+        const reader = createReader();
+        const [result] = await reader.read([
+            { target: ethers.Wallet.createRandom().address, iface: tokens[0].interface, method: "symbol" }
+        ]);
+        expect(result.success).to.be.false;
+    });
+
+    it("should reject when a call that is not allowed to fail reverts", async function () {
+        const reader = createReader();
+        const calls = priceAndSymbolCalls();
+        calls[9].allowFailure = false;
+
+        await expect(reader.read(calls)).to.be.rejected;
+    });
+
+    it("should report progress as chunks complete", async function () {
+        const reader = createReader({ chunkSize: 3, concurrency: 1 });
+        const progress = [];
+        await reader.read(priceAndSymbolCalls(), { onProgress: (done, total) => progress.push([done, total]) });
+
+        expect(progress).to.deep.equal([[3, 10], [6, 10], [9, 10], [10, 10]]);
+    });
+
+    it("should fall back to one request per call without a multicall address", async function () {
+        const reader = BatchReader.createBatchReader({ provider: ethers.provider });
+        const results = await reader.read(priceAndSymbolCalls());
+
+        expect(reader.usesMulticall).to.be.false;
+        expect(reader.stats.requests).to.equal(10);
+        expect(results.map(r => r.success)).to.deep.equal([true, true, true, true, true, true, true, true, true, false]);
+    });
+});
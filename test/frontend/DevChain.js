@@ -0,0 +1,66 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const DevChain = require("../../frontend/lib/dev-chain");
+
+describe("Frontend dev chain time travel", function () {
+    let owner, alice;
+    let pool, collateral, debt;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+
+    before(async function () {
+        [owner, alice] = await ethers.getSigners();
+
+        const priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        // 10% APR flat
+        const irm = await (await ethers.getContractFactory("LinearInterestRateModel")).deploy(toWei(0.1), 0, owner.address);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        collateral = await MockERC20.deploy("Collateral", "COL");
+        debt = await MockERC20.deploy("Debt", "DEBT");
+        for (const token of [collateral, debt]) {
+            await priceOracle.setPrice(token.target, ethers.parseUnits("1", 8));
+            await pool.listAsset(token.target, irm.target, toWei(0.8), toWei(0.05), 0);
+        }
+
+        await debt.mint(owner.address, toWei(1000));
+        await debt.approve(pool.target, ethers.MaxUint256);
+        await pool.deposit(debt.target, toWei(1000));
+        await collateral.mint(alice.address, toWei(1000));
+        await collateral.connect(alice).approve(pool.target, ethers.MaxUint256);
+        await pool.connect(alice).deposit(collateral.target, toWei(1000));
+        await pool.connect(alice).borrow(debt.target, toWei(500));
+    });
+
+    it("should parse custom durations and label them", function () {
+        expect(DevChain.parseDuration("7", "days")).to.equal(7 * 86400);
+        expect(DevChain.parseDuration(" 90 ", "minutes")).to.equal(5400);
+        expect(() => DevChain.parseDuration("0", "hours")).to.throw("whole number above zero");
+        expect(() => DevChain.parseDuration("1.5", "days")).to.throw("whole number above zero");
+        expect(() => DevChain.parseDuration("4000", "days")).to.throw("at most ten years");
+        expect(() => DevChain.parseDuration("1", "weeks")).to.throw("Unknown time unit weeks");
+
+        expect(DevChain.TIME_PRESETS.map(preset => DevChain.formatDuration(preset.seconds)))
+            .to.deep.equal(["1 hour", "1 day", "30 days"]);
+        expect(DevChain.formatDuration(5400)).to.equal("90 minutes");
+        expect(DevChain.formatDuration(61)).to.equal("61 seconds");
+    });
+
+    it("should advance the clock and accrue interest on the given assets", async function () {
+        const debtBefore = await pool.getTotalDebt(alice.address, debt.target);
+        const { from, to } = await DevChain.advanceTime(ethers.provider, 30 * 86400);
+        expect(to - from).to.be.at.least(30 * 86400);
+
+        // Nothing accrues until the pool is touched
+        expect(await pool.getTotalDebt(alice.address, debt.target)).to.equal(debtBefore);
+
+        const progress = [];
+        await DevChain.accrueInterest(pool, [collateral.target, debt.target], (done, total) => progress.push([done, total]));
+        expect(progress).to.deep.equal([[1, 2], [2, 2]]);
+
+        // 500 at 10% APR for a little over 30 days
+        const grown = await pool.getTotalDebt(alice.address, debt.target) - debtBefore;
+        expect(grown).to.be.closeTo(toWei(500 * 0.1 * 30 / 365), toWei(0.01));
+    });
+});
@@ -0,0 +1,161 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const EventHistory = require("../../frontend/lib/event-history");
+
+describe("Frontend event history", function () {
+    let owner, user1, user2;
+    let pool, priceOracle, irm, token1, token2;
+    let startBlock;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+
+    // Minimal localStorage stand-in
+    function memoryStorage() {
+        const items = new Map();
+        return {
+            getItem: (key) => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: (key) => items.delete(key)
+        };
+    }
+
+    before(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+
+        priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        irm = await (await ethers.getContractFactory("LinearInterestRateModel")).deploy(0, 0, owner.address);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token1 = await MockERC20.deploy("Token A", "TKA");
+        token2 = await MockERC20.deploy("Token B", "TKB");
+
+        await priceOracle.setPrice(token1.target, toOracle(100));
+        await priceOracle.setPrice(token2.target, toOracle(2000));
+        for (const token of [token1, token2]) {
+            await pool.listAsset(token.target, irm.target, toWei(0.75), toWei(0.05), 0);
+        }
+        startBlock = await ethers.provider.getBlockNumber();
+
+        await token1.mint(user1.address, toWei(10));
+        await token1.connect(user1).approve(pool.target, ethers.MaxUint256);
+        await pool.connect(user1).deposit(token1.target, toWei(10));
+
+        await token2.mint(user2.address, toWei(2));
+        await token2.connect(user2).approve(pool.target, ethers.MaxUint256);
+        await pool.connect(user2).deposit(token2.target, toWei(1));
+
+        await pool.connect(user1).borrow(token2.target, toWei(0.3));
+        await token2.connect(user1).approve(pool.target, ethers.MaxUint256);
+        await pool.connect(user1).repay(token2.target, toWei(0.1));
+        await pool.connect(user1).withdraw(token1.target, toWei(1));
+
+        await priceOracle.setPrice(token1.target, toOracle(30));
+        await pool.connect(user2).liquidate(user1.address, token2.target, token1.target, toWei(0.05));
+    });
+
+    function createLoader(account, options = {}) {
+        return EventHistory.createHistoryLoader({
+            pool, provider: ethers.provider, account, startBlock, chunkSize: 3, ...options
+        });
+    }
+
+    it("should split block ranges into inclusive chunks", async function () {
+        expect(EventHistory.blockRanges(0, 6, 3)).to.deep.equal([[0, 2], [3, 5], [6, 6]]);
+        expect(EventHistory.blockRanges(5, 4, 3)).to.deep.equal([]);
+        expect(() => EventHistory.blockRanges(0, 1, 0)).to.throw(/positive integer/);
+    });
+
+    it("should collect the account's events newest first with timestamps", async function () {
+        const entries = await createLoader(user1.address).sync();
+
+        expect(entries.map(entry => entry.type)).to.deep.equal(["Liquidate", "Withdraw", "Repay", "Borrow", "Deposit"]);
+        expect(entries.every(entry => entry.timestamp > 0)).to.equal(true);
+
+        const [liquidation, , repay] = entries;
+        expect(repay).to.include({ role: "user", asset: token2.target, amount: toWei(0.1) });
+        expect(liquidation).to.include({
+            role: "borrower", asset: token2.target, collateralAsset: token1.target, counterparty: user2.address
+        });
+        expect(liquidation.seizedAmount).to.be.gt(0n);
+    });
+
+    it("should record liquidations from the liquidator's side", async function () {
+        const entries = await createLoader(user2.address).sync();
+
+        expect(entries.map(entry => [entry.type, entry.role])).to.deep.equal([["Liquidate", "liquidator"], ["Deposit", "user"]]);
+        expect(entries[0].counterparty).to.equal(user1.address);
+    });
+
+    it("should page in block-range chunks and only fetch new blocks on the next sync", async function () {
+        const storage = memoryStorage();
+        const cacheKey = `history:${pool.target}:${user1.address}`;
+        const progress = [];
+
+        const first = createLoader(user1.address, { storage, cacheKey });
+        await first.sync({ onProgress: (done, total) => progress.push([done, total]) });
+        const latest = await ethers.provider.getBlockNumber();
+        const chunks = EventHistory.blockRanges(startBlock, latest, 3).length;
+        expect(first.stats.logRequests).to.equal(chunks * 6);
+        expect(progress.at(-1)).to.deep.equal([latest - startBlock + 1, latest - startBlock + 1]);
+
+        // A new loader resumes from the cache and picks up a later deposit
+        await pool.connect(user1).deposit(token1.target, toWei(0.5));
+        const second = createLoader(user1.address, { storage, cacheKey });
+        expect(second.entries).to.have.lengthOf(5);
+        const entries = await second.sync();
+
+        expect(second.stats.logRequests).to.equal(6);
+        expect(entries).to.have.lengthOf(6);
+        expect(entries[0]).to.include({ type: "Deposit", amount: toWei(0.5) });
+
+        second.clear();
+        expect(storage.getItem(cacheKey)).to.equal(null);
+        expect(second.scannedTo).to.equal(startBlock - 1);
+    });
+
+    it("should drop a cache of blocks the chain no longer has", async function () {
+        const storage = memoryStorage();
+        const cacheKey = `history:${pool.target}:${user1.address}`;
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+        await pool.connect(user1).deposit(token1.target, toWei(0.25));
+        await createLoader(user1.address, { storage, cacheKey }).sync();
+
+        // Back to fewer blocks than were scanned, as after a node reset
+        await ethers.provider.send("evm_revert", [snapshot]);
+        const shorter = createLoader(user1.address, { storage, cacheKey });
+        expect(shorter.entries.map(entry => entry.amount)).to.include(toWei(0.25));
+        expect((await shorter.sync()).map(entry => entry.amount)).to.not.include(toWei(0.25));
+
+        // Same height again, but a different block at the scanned height
+        const resnapshot = await ethers.provider.send("evm_snapshot", []);
+        await pool.connect(user1).deposit(token1.target, toWei(0.35));
+        const replaced = await createLoader(user1.address, { storage, cacheKey }).sync();
+        await ethers.provider.send("evm_revert", [resnapshot]);
+        await pool.connect(user1).deposit(token1.target, toWei(0.45));
+        const entries = await createLoader(user1.address, { storage, cacheKey }).sync();
+
+        expect(replaced[0].amount).to.equal(toWei(0.35));
+        expect(entries[0].amount).to.equal(toWei(0.45));
+        expect(entries.map(entry => entry.amount)).to.not.include(toWei(0.35));
+    });
+
+    it("should export rows with symbols and USD values to CSV and JSON", async function () {
+        const entries = await createLoader(user1.address).sync();
+        const assetsByAddress = new Map([
+            [token1.target.toLowerCase(), { symbol: "TKA", decimals: 18, price: toOracle(30) }],
+            [token2.target.toLowerCase(), { symbol: "TKB", decimals: 18, price: toOracle(2000) }]
+        ]);
+
+        const rows = EventHistory.toExportRows(entries, assetsByAddress);
+        const repay = rows.find(row => row.type === "Repay");
+        expect(repay).to.include({ asset: "TKB", amount: "0.1", usdValue: "200.0" });
+        expect(rows.find(row => row.type === "Liquidate").collateralAsset).to.equal("TKA");
+
+        const csv = EventHistory.toCSV(rows).trim().split("\n");
+        expect(csv[0]).to.equal("time,block,transactionHash,type,role,asset,amount,usdValue,collateralAsset,seizedAmount,counterparty");
+        expect(csv).to.have.lengthOf(rows.length + 1);
+        expect(JSON.parse(EventHistory.toJSON(rows))).to.deep.equal(rows);
+    });
+});
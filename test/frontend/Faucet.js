@@ -0,0 +1,99 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const BatchReader = require("../../frontend/lib/batch-reader");
+const Faucet = require("../../frontend/lib/faucet");
+
+describe("Frontend token faucet", function () {
+    let owner, alice;
+    let reader, tokenA, tokenB;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+
+    // In-memory stand-in for localStorage
+    const memoryStorage = () => {
+        const items = new Map();
+        return { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+    };
+
+    before(async function () {
+        [owner, alice] = await ethers.getSigners();
+
+        const multicall = await (await ethers.getContractFactory("Multicall")).deploy();
+        reader = BatchReader.createBatchReader({
+            provider: ethers.provider,
+            multicallAddress: multicall.target,
+            multicallAbi: multicall.interface.fragments
+        });
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+    });
+
+    const asset = (token, symbol, balance = 0n) => ({ address: token.target, symbol, decimals: 18, balance });
+
+    it("should validate amounts against the configured maximum", function () {
+        expect(Faucet.parseAmount("1000", 18)).to.equal(toWei(1000));
+        expect(Faucet.parseAmount("0.5", 6)).to.equal(500000n);
+        expect(() => Faucet.parseAmount("0", 18)).to.throw("Amount must be above zero");
+        expect(() => Faucet.parseAmount("lots", 18)).to.throw('"lots" is not a valid amount');
+        expect(() => Faucet.parseAmount("1000001", 18)).to.throw("At most 1000000 per asset");
+        expect(() => Faucet.parseAmount("11", 18, "10")).to.throw("At most 10 per asset");
+    });
+
+    it("should rate-limit each account and asset, across page reloads", function () {
+        let time = 1000000;
+        const storage = memoryStorage();
+        const limiter = Faucet.createRateLimiter({ cooldownSeconds: 60, storage, now: () => time });
+
+        limiter.record(alice.address, tokenA.target);
+        time += 15000;
+        expect(limiter.waitSeconds(alice.address, tokenA.target)).to.equal(45);
+        expect(limiter.waitSeconds(alice.address, tokenB.target)).to.equal(0);
+        expect(limiter.waitSeconds(owner.address, tokenA.target)).to.equal(0);
+
+        const reloaded = Faucet.createRateLimiter({ cooldownSeconds: 60, storage, now: () => time });
+        expect(reloaded.waitSeconds(alice.address.toLowerCase(), tokenA.target)).to.equal(45);
+        time += 45000;
+        expect(reloaded.waitSeconds(alice.address, tokenA.target)).to.equal(0);
+    });
+
+    it("should plan fixed mints and top-ups, skipping rate-limited and full balances", function () {
+        const limiter = Faucet.createRateLimiter({ cooldownSeconds: 60 });
+        limiter.record(alice.address, tokenB.target);
+        const plan = (mode, assets, config) => Faucet.planMints({ mode, assets, amount: "100", account: alice.address, limiter, config });
+
+        const mint = plan("mint", [asset(tokenA, "TKA", toWei(70)), asset(tokenB, "TKB")]);
+        expect(mint.mints.map(m => [m.asset.symbol, m.amount])).to.deep.equal([["TKA", toWei(100)]]);
+        expect(mint.skipped.map(s => [s.asset.symbol, s.reason])).to.deep.equal([["TKB", "try again in 60s"]]);
+
+        // Top-ups only mint the difference up to the amount
+        expect(plan("topUp", [asset(tokenA, "TKA", toWei(70))]).mints[0].amount).to.equal(toWei(30));
+        expect(plan("topUp", [asset(tokenA, "TKA", toWei(100))]).skipped[0].reason).to.equal("already topped up");
+
+        expect(() => plan("topUp", [])).to.throw("Select at least one asset");
+        expect(() => plan("topUp", [asset(tokenA, "TKA"), asset(tokenB, "TKB")], { maxAssetsPerRequest: 1 }))
+            .to.throw("at most 1 assets per request");
+    });
+
+    it("should mint from each token's owner account to the connected account", async function () {
+        const assets = [asset(tokenA, "TKA"), asset(tokenB, "TKB"), { address: alice.address, symbol: "EOA", decimals: 18 }];
+        const owners = await Faucet.readTokenOwners({ reader, assets });
+        expect([...owners.values()]).to.deep.equal([owner.address, owner.address, null]);
+
+        const progress = [];
+        const { minted, failed } = await Faucet.sendMints({
+            provider: ethers.provider,
+            account: alice.address,
+            mints: assets.map(a => ({ asset: a, amount: toWei(5) })),
+            owners,
+            onMinted: (done, total, token) => progress.push([done, total, token.symbol])
+        });
+
+        expect(minted).to.have.lengthOf(2);
+        expect(failed).to.deep.equal([{ asset: assets[2], error: "not a MockERC20" }]);
+        expect(progress).to.deep.equal([[1, 3, "TKA"], [2, 3, "TKB"]]);
+        expect(await tokenA.balanceOf(alice.address)).to.equal(toWei(5));
+        expect(await tokenB.balanceOf(alice.address)).to.equal(toWei(5));
+    });
+});
@@ -0,0 +1,92 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const GovernanceCalls = require("../../frontend/lib/governance-calls");
+const GovernanceProposals = require("../../frontend/lib/governance-proposals");
+
+describe("Frontend governance proposals", function () {
+    const toWei = (value) => ethers.parseUnits(value.toString(), 18);
+
+    describe("Proposal status and countdown", function () {
+        it("should derive the status from the flags and the chain time", async function () {
+            const proposal = { executed: false, cancelled: false, executeAfter: 1000n };
+            expect(GovernanceProposals.proposalStatus(proposal, 999)).to.equal("pending");
+            expect(GovernanceProposals.proposalStatus(proposal, 1000)).to.equal("ready");
+            expect(GovernanceProposals.proposalStatus({ ...proposal, executed: true }, 0)).to.equal("executed");
+            expect(GovernanceProposals.proposalStatus({ ...proposal, cancelled: true }, 2000)).to.equal("cancelled");
+        });
+
+        it("should format the remaining delay", async function () {
+            expect(GovernanceProposals.formatCountdown(0)).to.equal("ready");
+            expect(GovernanceProposals.formatCountdown(-5)).to.equal("ready");
+            expect(GovernanceProposals.formatCountdown(65)).to.equal("00h 01m 05s");
+            expect(GovernanceProposals.formatCountdown(86400 + 7325)).to.equal("1d 02h 02m 05s");
+        });
+    });
+
+    describe("History", function () {
+        it("should pair queued proposals with their outcome, newest activity first", async function () {
+            const queued = [0, 1, 2].map(id => ({
+                proposalId: BigInt(id), target: "0xTarget", data: "0x", executeAfter: 500n + BigInt(id),
+                blockNumber: 10 + id, transactionHash: `0xq${id}`
+            }));
+            const history = GovernanceProposals.buildProposalHistory({
+                queued,
+                executed: [{ proposalId: 0n, blockNumber: 20, transactionHash: "0xe0" }],
+                cancelled: [
+                    { proposalId: 1n, blockNumber: 15, transactionHash: "0xc1" },
+                    // Queued before the scanned range
+                    { proposalId: 9n, blockNumber: 16, transactionHash: "0xc9" }
+                ]
+            });
+
+            expect(history.map(entry => [entry.id, entry.outcome])).to.deep.equal([
+                [0, "executed"], [1, "cancelled"], [2, null]
+            ]);
+            expect(history[0]).to.include({ executeAfter: 500, queuedTx: "0xq0", outcomeTx: "0xe0", outcomeBlock: 20 });
+        });
+    });
+
+    describe("Readable changes", function () {
+        let owner, kink, pool, token;
+
+        before(async function () {
+            [owner] = await ethers.getSigners();
+            kink = await (await ethers.getContractFactory("KinkInterestRateModel"))
+                .deploy(toWei(0.02), toWei(0.1), toWei(1), toWei(0.8), owner.address);
+
+            const oracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+            pool = await (await ethers.getContractFactory("LendingPool")).deploy(oracle.target, owner.address);
+            token = await (await ethers.getContractFactory("MockERC20")).deploy("Token A", "TKA");
+            await pool.listAsset(token.target, kink.target, toWei(0.75), toWei(0.05), toWei(0.1));
+        });
+
+        it("should describe a model update against the model's current parameters", async function () {
+            const data = GovernanceCalls.encodeCall("KinkInterestRateModel", [toWei(0.03), toWei(0.1), toWei(1), toWei(0.85)]);
+            const decoded = GovernanceCalls.decodeCall(data);
+            const current = await GovernanceCalls.readCurrentValues(decoded, kink);
+
+            const changes = GovernanceCalls.describeChanges(decoded, current);
+            expect(changes[0]).to.deep.equal({ label: "base", from: "2%", to: "3%", changed: true });
+            expect(changes[1].changed).to.equal(false);
+            expect(GovernanceCalls.summarizeChanges(decoded, current)).to.equal("Kink base 2% → 3%, kink 80% → 85%");
+        });
+
+        it("should read asset config values for LendingPool updates", async function () {
+            const data = GovernanceCalls.encodeCall("LendingPool", [token.target, toWei(0.7), toWei(0.05), toWei(0.1)]);
+            const decoded = GovernanceCalls.decodeCall(data);
+            const current = await GovernanceCalls.readCurrentValues(decoded, pool);
+
+            expect(current[0]).to.equal(null);
+            expect(GovernanceCalls.summarizeChanges(decoded, current)).to.equal("LendingPool collateral factor 75% → 70%");
+        });
+
+        it("should fall back to the new values when the current ones are unknown", async function () {
+            const data = GovernanceCalls.encodeCall("KinkInterestRateModel", [toWei(0.02), toWei(0.1), toWei(1), toWei(0.8)]);
+            const decoded = GovernanceCalls.decodeCall(data);
+
+            expect(GovernanceCalls.summarizeChanges(decoded)).to.equal("Kink base → 2%, slope low → 10%, slope high → 100%, kink → 80%");
+            expect(GovernanceCalls.summarizeChanges(decoded, [toWei(0.02), toWei(0.1), toWei(1), toWei(0.8)]))
+                .to.equal("Kink (no parameter changes)");
+        });
+    });
+});
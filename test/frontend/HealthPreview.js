@@ -0,0 +1,230 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const HealthPreview = require("../../frontend/lib/health-preview");
+
+describe("Frontend health-factor preview", function () {
+    let owner, user1, user2;
+    let pool, priceOracle, token1, token2;
+    let assetA, assetB;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+    // Token amounts worth less than one oracle unit (1e-8 USD) at these prices
+    const VALUE_DUST = 10n ** 10n;
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+
+        priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        // Zero rates keep positions constant between the preview and execution
+        const irm = await (await ethers.getContractFactory("LinearInterestRateModel")).deploy(0, 0, owner.address);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token1 = await MockERC20.deploy("Token A", "TKA");
+        token2 = await MockERC20.deploy("Token B", "TKB");
+
+        await priceOracle.setPrice(token1.target, toOracle(100));
+        await priceOracle.setPrice(token2.target, toOracle(2000));
+        for (const token of [token1, token2]) {
+            await pool.listAsset(token.target, irm.target, toWei(0.75), toWei(0.05), 0);
+            for (const user of [user1, user2]) {
+                await token.mint(user.address, toWei(20));
+                await token.connect(user).approve(pool.target, ethers.MaxUint256);
+            }
+        }
+
+        // user1: $1,000 of TKA collateral; user2 supplies 1 TKB of liquidity
+        await pool.connect(user1).deposit(token1.target, toWei(10));
+        await pool.connect(user2).deposit(token2.target, toWei(1));
+    });
+
+    async function readAsset(token) {
+        const config = await pool.assetConfigs(token.target);
+        return {
+            address: token.target,
+            price: await priceOracle.getPrice(token.target),
+            decimals: 18,
+            collateralFactor: config.collateralFactor,
+            liquidity: await token.balanceOf(pool.target)
+        };
+    }
+
+    async function readPositions(user) {
+        assetA = await readAsset(token1);
+        assetB = await readAsset(token2);
+        return Promise.all([[assetA, token1], [assetB, token2]].map(async ([asset, token]) => ({
+            asset,
+            deposits: await pool.userDeposits(user.address, token.target),
+            borrows: await pool.userBorrows(user.address, token.target),
+            balance: await token.balanceOf(user.address)
+        })));
+    }
+
+    // Sends every leg like the dashboard does, skipping the ones that revert
+    async function executeLegs(user, operation, legs) {
+        const outcomes = [];
+        for (const { asset, amount } of legs) {
+            try {
+                await (await pool.connect(user)[operation](asset.address, amount)).wait();
+                outcomes.push(true);
+            } catch {
+                outcomes.push(false);
+            }
+        }
+        return outcomes;
+    }
+
+    it("should flag the borrow legs that exceed collateral and match the resulting health factor", async function () {
+        const positions = await readPositions(user1);
+        // Borrowing power $750: the second $400 leg no longer fits, the $200 one does
+        const legs = [
+            { asset: assetB, amount: toWei(0.2) },
+            { asset: assetB, amount: toWei(0.2) },
+            { asset: assetB, amount: toWei(0.1) }
+        ];
+
+        const preview = HealthPreview.simulateBatch({ operation: "borrow", legs, positions });
+
+        expect(preview.legs.map(leg => leg.reason)).to.deep.equal([null, "InsufficientCollateral", null]);
+        expect(preview.before.healthFactor).to.equal(HealthPreview.MAX_HEALTH_FACTOR);
+        expect(preview.after.collateralValue).to.equal(toOracle(1000));
+        expect(preview.after.debt).to.equal(toOracle(600));
+
+        const outcomes = await executeLegs(user1, "borrow", legs);
+        expect(outcomes).to.deep.equal(preview.legs.map(leg => leg.ok));
+        expect(preview.after.healthFactor).to.equal(await pool.getHealthFactor(user1.address));
+    });
+
+    it("should flag borrows beyond the pool's liquidity", async function () {
+        // Plenty of collateral, but only 1 TKB in the pool
+        await priceOracle.setPrice(token1.target, toOracle(1000));
+        const positions = await readPositions(user1);
+
+        const preview = HealthPreview.simulateBatch({
+            operation: "borrow",
+            legs: [{ asset: assetB, amount: toWei(0.6) }, { asset: assetB, amount: toWei(0.6) }],
+            positions
+        });
+
+        expect(preview.legs.map(leg => leg.reason)).to.deep.equal([null, "InsufficientLiquidity"]);
+    });
+
+    it("should mirror the pool's per-asset check on withdrawals", async function () {
+        await pool.connect(user1).deposit(token2.target, toWei(0.5));
+        await pool.connect(user1).borrow(token2.target, toWei(0.2));
+        const positions = await readPositions(user1);
+
+        // $400 of debt: withdrawing most of the TKB leaves too little TKB collateral,
+        // even though the TKA deposit would cover the debt
+        const legs = [
+            { asset: assetB, amount: toWei(0.4) },
+            { asset: assetA, amount: toWei(1) }
+        ];
+        const preview = HealthPreview.simulateBatch({ operation: "withdraw", legs, positions });
+
+        expect(preview.legs.map(leg => leg.reason)).to.deep.equal(["InsufficientCollateral", null]);
+        const outcomes = await executeLegs(user1, "withdraw", legs);
+        expect(outcomes).to.deep.equal([false, true]);
+        expect(preview.after.healthFactor).to.equal(await pool.getHealthFactor(user1.address));
+    });
+
+    it("should flag deposits and repayments the wallet cannot cover", async function () {
+        await pool.connect(user1).borrow(token2.target, toWei(0.2));
+        const positions = await readPositions(user1);
+
+        const deposit = HealthPreview.simulateBatch({
+            operation: "deposit", legs: [{ asset: assetA, amount: toWei(25) }], positions
+        });
+        expect(deposit.legs[0].reason).to.equal("Insufficient wallet balance");
+
+        // Repayments above the debt are capped, so only the debt needs covering
+        const repay = HealthPreview.simulateBatch({
+            operation: "repay", legs: [{ asset: assetB, amount: toWei(100) }], positions
+        });
+        expect(repay.legs[0].ok).to.equal(true);
+        expect(repay.after.debt).to.equal(0n);
+    });
+
+    it("should block only batches that lower the health factor below the margin", async function () {
+        await pool.connect(user1).borrow(token2.target, toWei(0.3));
+        const positions = await readPositions(user1);
+        const margin = toWei(1.2);
+
+        // 750 / 600 = 1.25 now
+        const borrow = HealthPreview.simulateBatch({
+            operation: "borrow", legs: [{ asset: assetB, amount: toWei(0.02) }], positions
+        });
+        expect(borrow.after.healthFactor).to.be.lt(margin);
+        expect(HealthPreview.isBelowSafetyMargin(borrow, margin)).to.equal(true);
+
+        await priceOracle.setPrice(token1.target, toOracle(90));
+        const repay = HealthPreview.simulateBatch({
+            operation: "repay", legs: [{ asset: assetB, amount: toWei(0.01) }], positions: await readPositions(user1)
+        });
+        expect(repay.after.healthFactor).to.be.lt(margin);
+        expect(HealthPreview.isBelowSafetyMargin(repay, margin)).to.equal(false);
+    });
+
+    it("should borrow exactly up to the target health factor", async function () {
+        const positions = await readPositions(user1);
+        const target = toWei(1.5);
+
+        // $750 of borrowing power at 1.5 leaves $500, i.e. 0.25 TKB plus dust below the oracle's resolution
+        const max = HealthPreview.maxSafeAmount({ operation: "borrow", asset: assetB, positions, targetHealthFactor: target });
+        expect(max).to.be.closeTo(toWei(0.25), VALUE_DUST);
+
+        const over = HealthPreview.simulateBatch({ operation: "borrow", legs: [{ asset: assetB, amount: max + 1n }], positions });
+        expect(over.after.healthFactor).to.be.lt(target);
+
+        await pool.connect(user1).borrow(token2.target, max);
+        expect(await pool.getHealthFactor(user1.address)).to.equal(target);
+    });
+
+    it("should cap borrows at the pool's liquidity and targets below 1 at the pool's own limit", async function () {
+        await priceOracle.setPrice(token1.target, toOracle(1000));
+        let positions = await readPositions(user1);
+        expect(HealthPreview.maxSafeAmount({ operation: "borrow", asset: assetB, positions, targetHealthFactor: toWei(1) }))
+            .to.equal(toWei(1));
+
+        await priceOracle.setPrice(token1.target, toOracle(100));
+        positions = await readPositions(user1);
+        expect(HealthPreview.maxSafeAmount({ operation: "borrow", asset: assetB, positions, targetHealthFactor: toWei(0.5) }))
+            .to.be.closeTo(toWei(0.375), VALUE_DUST);
+    });
+
+    it("should keep the collateral backing a loan when withdrawing", async function () {
+        await pool.connect(user1).borrow(token2.target, toWei(0.2));
+        const positions = await readPositions(user1);
+
+        // $400 of debt at 1.25 needs $500 of the $750 borrowing power: $333.33 of TKA can leave
+        const max = HealthPreview.maxSafeAmount({
+            operation: "withdraw", asset: assetA, positions, targetHealthFactor: toWei(1.25)
+        });
+        expect(max).to.be.lt(toWei(10));
+        expect(max).to.be.closeTo(ethers.parseUnits("3.333333333333333333", 18), VALUE_DUST);
+
+        await pool.connect(user1).withdraw(token1.target, max);
+        expect(await pool.getHealthFactor(user1.address)).to.be.gte(toWei(1.25));
+
+        const after = await readPositions(user1);
+        expect(HealthPreview.maxSafeAmount({ operation: "withdraw", asset: assetA, positions: after, targetHealthFactor: toWei(1.25) }))
+            .to.be.lt(VALUE_DUST);
+    });
+
+    it("should size a split batch so that every leg fits and the target holds", async function () {
+        await pool.connect(user2).deposit(token1.target, toWei(10));
+        const positions = await readPositions(user1);
+        const allocations = [{ asset: assetA, proportion: 50 }, { asset: assetB, proportion: 50 }];
+
+        const value = HealthPreview.maxSafeBatchValue({
+            operation: "borrow", allocations, positions, targetHealthFactor: toWei(1.5)
+        });
+        expect(value).to.be.closeTo(toOracle(500), 2n);
+
+        const legs = allocations.map(({ asset, proportion }) => ({
+            asset, amount: value * BigInt(proportion) / 100n * 10n ** 18n / BigInt(asset.price)
+        }));
+        expect(await executeLegs(user1, "borrow", legs)).to.deep.equal([true, true]);
+        expect(await pool.getHealthFactor(user1.address)).to.be.gte(toWei(1.5));
+    });
+});
@@ -0,0 +1,129 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const LiquidationScanner = require("../../frontend/lib/liquidation-scanner");
+const { createBatchReader } = require("../../frontend/lib/batch-reader");
+
+describe("Frontend liquidation scanner", function () {
+    let owner, healthy, risky, liquidator;
+    let pool, priceOracle, token1, token2;
+    let startBlock;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+
+    beforeEach(async function () {
+        [owner, healthy, risky, liquidator] = await ethers.getSigners();
+
+        priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        // Zero rates keep debts constant between the scan and the liquidation
+        const irm = await (await ethers.getContractFactory("LinearInterestRateModel")).deploy(0, 0, owner.address);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token1 = await MockERC20.deploy("Token A", "TKA");
+        token2 = await MockERC20.deploy("Token B", "TKB");
+        startBlock = await ethers.provider.getBlockNumber();
+
+        await priceOracle.setPrice(token1.target, toOracle(100));
+        await priceOracle.setPrice(token2.target, toOracle(2000));
+        for (const token of [token1, token2]) {
+            await pool.listAsset(token.target, irm.target, toWei(0.75), toWei(0.05), 0);
+            for (const user of [healthy, risky, liquidator]) {
+                await token.mint(user.address, toWei(100));
+                await token.connect(user).approve(pool.target, ethers.MaxUint256);
+            }
+        }
+
+        await pool.connect(liquidator).deposit(token2.target, toWei(5));
+        // Both borrow $600 of TKB; `healthy` has twice the collateral
+        await pool.connect(healthy).deposit(token1.target, toWei(20));
+        await pool.connect(healthy).borrow(token2.target, toWei(0.3));
+        await pool.connect(risky).deposit(token1.target, toWei(10));
+        await pool.connect(risky).borrow(token2.target, toWei(0.3));
+    });
+
+    async function readAssets() {
+        return Promise.all([token1, token2].map(async (token) => {
+            const config = await pool.assetConfigs(token.target);
+            return {
+                address: token.target,
+                symbol: await token.symbol(),
+                decimals: 18,
+                price: await priceOracle.getPrice(token.target),
+                collateralFactor: config.collateralFactor,
+                liquidationBonus: config.liquidationBonus
+            };
+        }));
+    }
+
+    function createScanner() {
+        return LiquidationScanner.createLiquidationScanner({
+            pool, provider: ethers.provider, reader: createBatchReader({ provider: ethers.provider }), startBlock, chunkSize: 4
+        });
+    }
+
+    async function scan(scanner) {
+        return scanner.scan({ assets: await readAssets(), closeFactor: await pool.closeFactor() });
+    }
+
+    it("should list only borrowers below HF 1.0 with their positions", async function () {
+        const scanner = createScanner();
+        expect((await scan(scanner)).opportunities).to.deep.equal([]);
+
+        // $500 of TKA at 75% against $600 of debt
+        await priceOracle.setPrice(token1.target, toOracle(50));
+        const { borrowers, opportunities } = await scan(scanner);
+
+        expect(borrowers).to.equal(2);
+        expect(opportunities).to.have.lengthOf(1);
+        const [opportunity] = opportunities;
+        expect(opportunity.borrower).to.equal(risky.address);
+        expect(opportunity.healthFactor).to.equal(await pool.getHealthFactor(risky.address));
+        expect(opportunity.collateralValue).to.equal(toOracle(500));
+        expect(opportunity.debtValue).to.equal(toOracle(600));
+        expect(opportunity.positions.map(position => [position.asset.symbol, position.deposits, position.borrows]))
+            .to.deep.equal([["TKA", toWei(10), 0n], ["TKB", 0n, toWei(0.3)]]);
+    });
+
+    it("should quote the close-factor repayment and match the pool's seizure", async function () {
+        await priceOracle.setPrice(token1.target, toOracle(50));
+        const [{ best }] = (await scan(createScanner())).opportunities;
+
+        // Half the debt: $300 repaid for $315 of TKA
+        expect(best.debtAsset.address).to.equal(token2.target);
+        expect(best.collateralAsset.address).to.equal(token1.target);
+        expect(best.repayAmount).to.equal(toWei(0.15));
+        expect(best.seizeAmount).to.equal(toWei(6.3));
+        expect(best.profit).to.equal(toOracle(15));
+
+        await expect(pool.connect(liquidator).liquidate(risky.address, token2.target, token1.target, best.repayAmount))
+            .to.emit(pool, "Liquidate")
+            .withArgs(liquidator.address, risky.address, token1.target, token2.target, best.repayAmount, best.seizeAmount);
+    });
+
+    it("should shrink the repayment when the collateral cannot cover the bonus", async function () {
+        // 10 TKA is only worth $200 now; the other borrower's 20 TKA still covers a full repayment
+        await priceOracle.setPrice(token1.target, toOracle(20));
+        const { opportunities } = await scan(createScanner());
+        expect(opportunities.map(opportunity => opportunity.borrower)).to.deep.equal([healthy.address, risky.address]);
+        const { best } = opportunities[1];
+
+        expect(best.seizeAmount).to.equal(toWei(10));
+        expect(best.repayAmount).to.be.lt(toWei(0.15));
+        expect(best.profit).to.be.closeTo(toOracle(9.5238), toOracle(0.0001));
+
+        await expect(pool.connect(liquidator).liquidate(risky.address, token2.target, token1.target, toWei(1)))
+            .to.emit(pool, "Liquidate")
+            .withArgs(liquidator.address, risky.address, token1.target, token2.target, best.repayAmount, best.seizeAmount);
+    });
+
+    it("should only read Borrow events from new blocks on later scans", async function () {
+        const scanner = createScanner();
+        await scanner.syncBorrowers();
+        const scannedTo = scanner.scannedTo;
+        expect(scanner.borrowers).to.have.members([healthy.address, risky.address]);
+
+        await pool.connect(liquidator).borrow(token2.target, toWei(0.1));
+        expect(await scanner.syncBorrowers()).to.have.members([healthy.address, risky.address, liquidator.address]);
+        expect(scanner.scannedTo).to.equal(scannedTo + 1);
+    });
+});
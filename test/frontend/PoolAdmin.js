@@ -0,0 +1,116 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const BatchReader = require("../../frontend/lib/batch-reader");
+const PoolAdmin = require("../../frontend/lib/pool-admin");
+
+describe("Frontend pool admin", function () {
+    let owner, alice, bob;
+    let pool, priceOracle, irm, reader, collateral, debt, idle;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+
+    before(async function () {
+        [owner, alice, bob] = await ethers.getSigners();
+
+        priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        irm = await (await ethers.getContractFactory("LinearInterestRateModel")).deploy(0, 0, owner.address);
+        const multicall = await (await ethers.getContractFactory("Multicall")).deploy();
+        reader = BatchReader.createBatchReader({
+            provider: ethers.provider,
+            multicallAddress: multicall.target,
+            multicallAbi: multicall.interface.fragments
+        });
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        collateral = await MockERC20.deploy("Collateral", "COL");
+        debt = await MockERC20.deploy("Debt", "DEBT");
+        idle = await MockERC20.deploy("Idle", "IDLE");
+        for (const token of [collateral, debt, idle]) {
+            await priceOracle.setPrice(token.target, toOracle(1));
+            await pool.listAsset(token.target, irm.target, toWei(0.8), toWei(0.05), 0);
+        }
+
+        // Liquidity to borrow from
+        await debt.mint(owner.address, toWei(1000));
+        await debt.approve(pool.target, ethers.MaxUint256);
+        await pool.deposit(debt.target, toWei(1000));
+
+        // Alice borrows 70 against 100 (HF 1.14), Bob 40 against 100 (HF 2)
+        for (const [user, amount] of [[alice, 70], [bob, 40]]) {
+            await collateral.mint(user.address, toWei(100));
+            await collateral.connect(user).approve(pool.target, ethers.MaxUint256);
+            await pool.connect(user).deposit(collateral.target, toWei(100));
+            await pool.connect(user).borrow(debt.target, toWei(amount));
+        }
+    });
+
+    const listedAssets = () => [collateral, debt, idle].map(token => ({
+        address: token.target, decimals: 18, price: toOracle(1), collateralFactor: toWei(0.8)
+    }));
+
+    it("should reject unsafe risk parameters", function () {
+        const valid = { collateralFactor: toWei(0.75), liquidationBonus: toWei(0.05), reserveFactor: toWei(0.1) };
+        expect(PoolAdmin.validateAssetConfig(valid)).to.deep.equal([]);
+        expect(PoolAdmin.validateAssetConfig({ ...valid, collateralFactor: toWei(1) })).to.deep.equal(["Collateral factor must be below 100%"]);
+        expect(PoolAdmin.validateAssetConfig({ ...valid, liquidationBonus: toWei(0.3) })).to.have.lengthOf(1);
+        // 90% × 1.15 seizes more collateral than the account could spare
+        expect(PoolAdmin.validateAssetConfig({ ...valid, collateralFactor: toWei(0.9), liquidationBonus: toWei(0.15) })[0])
+            .to.match(/must stay below 100%/);
+        expect(PoolAdmin.validateAssetConfig({ ...valid, reserveFactor: toWei(1.01) })).to.deep.equal(["Reserve factor must be at most 100%"]);
+    });
+
+    it("should only accept interest rate models that implement the interface", async function () {
+        const model = await PoolAdmin.checkInterestRateModel({ provider: ethers.provider, reader, address: irm.target });
+        expect(model.ok).to.equal(true);
+        expect(model.rates.map(rate => rate.utilization)).to.deep.equal([0n, toWei(0.5), toWei(1)]);
+
+        const token = await PoolAdmin.checkInterestRateModel({ provider: ethers.provider, reader, address: collateral.target });
+        expect(token.ok).to.equal(false);
+        expect(token.errors).to.include("Does not implement getBorrowRatePerSecond(uint256)");
+        expect(token.errors).to.include("getBorrowRatePerSecond reverts at 50% utilization");
+
+        const account = await PoolAdmin.checkInterestRateModel({ provider: ethers.provider, reader, address: alice.address });
+        expect(account.errors).to.deep.equal(["No contract at this address"]);
+    });
+
+    it("should read borrowers' positions in the markets they entered", async function () {
+        const positions = await PoolAdmin.readAccountPositions({
+            pool, reader, accounts: [alice.address, bob.address, owner.address], assets: listedAssets()
+        });
+
+        expect(positions.get(alice.address).map(p => [p.asset.address, p.deposits, p.borrows])).to.deep.equal([
+            [collateral.target, toWei(100), 0n],
+            [debt.target, 0n, toWei(70)]
+        ]);
+        expect(positions.get(owner.address)).to.have.lengthOf(1);
+    });
+
+    it("should preview which borrowers a lower collateral factor or new prices make liquidatable", async function () {
+        const accounts = [alice.address, bob.address, owner.address];
+        const positions = await PoolAdmin.readAccountPositions({ pool, reader, accounts, assets: listedAssets() });
+
+        const cut = PoolAdmin.healthImpact(positions, new Map([[collateral.target, { collateralFactor: toWei(0.6) }]]));
+        expect(cut).to.include({ checked: 2, lowered: 2, liquidatable: 1, newlyLiquidatable: 1 });
+        expect(cut.accounts.map(row => row.account)).to.deep.equal([alice.address, bob.address]);
+        expect(cut.accounts[0].before).to.equal(await pool.getHealthFactor(alice.address));
+        expect(cut.accounts[0].after).to.equal(toWei(60) * toWei(1) / toWei(70));
+
+        // Confirm against the pool after the change is made
+        await pool.updateAssetConfig(collateral.target, toWei(0.6), toWei(0.05), 0);
+        expect(await pool.getHealthFactor(alice.address)).to.equal(cut.accounts[0].after);
+        await pool.updateAssetConfig(collateral.target, toWei(0.8), toWei(0.05), 0);
+
+        // A price change on an asset nobody uses moves nothing
+        const unused = PoolAdmin.healthImpact(positions, new Map([[idle.target, { price: toOracle(2) }]]));
+        expect(unused).to.include({ checked: 2, lowered: 0, newlyLiquidatable: 0 });
+        expect(unused.accounts).to.deep.equal([]);
+
+        const prices = await PoolAdmin.readOraclePrices({
+            reader, oracle: priceOracle.target, iface: priceOracle.interface,
+            assets: [...listedAssets(), { address: ethers.Wallet.createRandom().address }]
+        });
+        expect([...prices.values()]).to.deep.equal([toOracle(1), toOracle(1), toOracle(1), null]);
+    });
+});
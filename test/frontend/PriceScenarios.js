@@ -0,0 +1,126 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const BatchReader = require("../../frontend/lib/batch-reader");
+const PoolAdmin = require("../../frontend/lib/pool-admin");
+const PriceScenarios = require("../../frontend/lib/price-scenarios");
+
+describe("Frontend price scenarios", function () {
+    let owner, alice;
+    let pool, priceOracle, reader, weth, usdc, doge;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+
+    before(async function () {
+        [owner, alice] = await ethers.getSigners();
+
+        priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        const irm = await (await ethers.getContractFactory("LinearInterestRateModel")).deploy(0, 0, owner.address);
+        const multicall = await (await ethers.getContractFactory("Multicall")).deploy();
+        reader = BatchReader.createBatchReader({
+            provider: ethers.provider,
+            multicallAddress: multicall.target,
+            multicallAbi: multicall.interface.fragments
+        });
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        weth = await MockERC20.deploy("Wrapped Ether", "WETH");
+        usdc = await MockERC20.deploy("USD Coin", "USDC");
+        doge = await MockERC20.deploy("Dogecoin", "DOGE");
+        await priceOracle.setPrices([weth.target, usdc.target, doge.target], [toOracle(2000), toOracle(1), toOracle(0.1)]);
+        for (const token of [weth, usdc, doge]) {
+            await pool.listAsset(token.target, irm.target, toWei(0.8), toWei(0.05), 0);
+        }
+
+        // Alice borrows 600 USDC against 10,000 DOGE worth $1,000 (HF 1.33)
+        await usdc.mint(owner.address, toWei(10000));
+        await usdc.approve(pool.target, ethers.MaxUint256);
+        await pool.deposit(usdc.target, toWei(10000));
+        await doge.mint(alice.address, toWei(10000));
+        await doge.connect(alice).approve(pool.target, ethers.MaxUint256);
+        await pool.connect(alice).deposit(doge.target, toWei(10000));
+        await pool.connect(alice).borrow(usdc.target, toWei(600));
+    });
+
+    const listedAssets = () => [
+        { address: weth.target, category: "BLUECHIP", price: toOracle(2000), decimals: 18, collateralFactor: toWei(0.8) },
+        { address: usdc.target, category: "STABLE", price: toOracle(1), decimals: 18, collateralFactor: toWei(0.8) },
+        { address: doge.target, category: "MEME", price: toOracle(0.1), decimals: 18, collateralFactor: toWei(0.8) }
+    ];
+
+    it("should set several prices in one owner-only transaction", async function () {
+        expect(await priceOracle.getPrice(weth.target)).to.equal(toOracle(2000));
+        expect(await priceOracle.getPrice(doge.target)).to.equal(toOracle(0.1));
+
+        await expect(priceOracle.setPrices([weth.target], [1n, 2n])).to.be.revertedWith("Length mismatch");
+        await expect(priceOracle.connect(alice).setPrices([weth.target], [1n]))
+            .to.be.revertedWithCustomError(priceOracle, "OwnableUnauthorizedAccount");
+    });
+
+    it("should apply category, asset and market-wide shocks in order", function () {
+        const assets = listedAssets();
+
+        // A 30% drop in the MEME category only touches DOGE
+        const meme = PriceScenarios.applyShocks(assets, [{ target: "MEME", type: "percent", value: "-30" }]);
+        expect([...meme]).to.deep.equal([[doge.target, toOracle(0.07)]]);
+
+        // A stablecoin depeg, addressed by asset in any letter case
+        const depeg = PriceScenarios.applyShocks(assets, [{ target: usdc.target.toLowerCase(), type: "price", value: "0.92" }]);
+        expect([...depeg]).to.deep.equal([[usdc.target, toOracle(0.92)]]);
+
+        // Shocks compound: -50% then +10% on everything
+        const crash = PriceScenarios.applyShocks(assets, [
+            { target: PriceScenarios.ALL_ASSETS, type: "percent", value: "-50" },
+            { target: PriceScenarios.ALL_ASSETS, type: "percent", value: "10" }
+        ]);
+        expect(crash.get(weth.target)).to.equal(toOracle(1100));
+        expect(crash.get(usdc.target)).to.equal(toOracle(0.55));
+
+        // Never a zero price, which would make getPrice revert; unpriced assets are left alone
+        const tiny = PriceScenarios.applyShocks([{ ...assets[0], price: 1n }, { ...assets[1], price: 0n }],
+            [{ target: PriceScenarios.ALL_ASSETS, type: "percent", value: "-99.9" }]);
+        expect(tiny.size).to.equal(0);
+
+        // Setting a price it already has changes nothing
+        expect(PriceScenarios.applyShocks(assets, [{ target: "STABLE", type: "price", value: "1" }]).size).to.equal(0);
+    });
+
+    it("should save and load scenarios as JSON and reject invalid ones", function () {
+        const scenario = {
+            name: "Meme crash",
+            shocks: [{ target: "MEME", type: "percent", value: -40 }, { target: usdc.target.toLowerCase(), type: "price", value: "0.95" }]
+        };
+        const loaded = PriceScenarios.parseScenario(PriceScenarios.serializeScenario(scenario));
+        expect(loaded).to.deep.equal({
+            name: "Meme crash",
+            shocks: [{ target: "MEME", type: "percent", value: "-40" }, { target: usdc.target, type: "price", value: "0.95" }]
+        });
+
+        expect(() => PriceScenarios.parseScenario("{")).to.throw("Scenario is not valid JSON");
+        expect(() => PriceScenarios.parseScenario({ version: 2, shocks: [] })).to.throw("Unsupported scenario version 2");
+        expect(() => PriceScenarios.parseScenario({ version: 1, shocks: [] })).to.throw("Scenario has no shocks");
+        const invalid = (shock) => () => PriceScenarios.parseScenario({ version: 1, shocks: [shock] });
+        expect(invalid({ target: "MEME", type: "percent", value: "-100" })).to.throw("cannot remove 100% or more");
+        expect(invalid({ target: "MEME", type: "price", value: "0" })).to.throw("price must be above zero");
+        expect(invalid({ target: "MEME", type: "percent", value: "ten" })).to.throw('value "ten" is not a number');
+        expect(invalid({ target: "MEME", type: "scale", value: "2" })).to.throw("type must be one of percent, price");
+    });
+
+    it("should batch the changed prices and count the borrowers a shock makes liquidatable", async function () {
+        const prices = PriceScenarios.applyShocks(listedAssets(), [{ target: "MEME", type: "percent", value: "-30" }]);
+        const positions = await PoolAdmin.readAccountPositions({
+            pool, reader, accounts: [alice.address, owner.address], assets: listedAssets()
+        });
+        const impact = PoolAdmin.healthImpact(positions, new Map([...prices].map(([address, price]) => [address, { price }])));
+        expect(impact).to.include({ checked: 1, liquidatable: 1, newlyLiquidatable: 1 });
+
+        const batches = PriceScenarios.priceBatches(prices, 1);
+        for (const batch of batches) await priceOracle.setPrices(batch.assets, batch.prices);
+        expect(await pool.getHealthFactor(alice.address)).to.equal(impact.accounts[0].after);
+        expect(impact.accounts[0].after).to.be.lessThan(toWei(1));
+
+        const split = PriceScenarios.priceBatches(new Map([["a", 1n], ["b", 2n], ["c", 3n]]), 2);
+        expect(split).to.deep.equal([{ assets: ["a", "b"], prices: [1n, 2n] }, { assets: ["c"], prices: [3n] }]);
+    });
+});
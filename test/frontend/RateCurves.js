@@ -0,0 +1,90 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const BatchReader = require("../../frontend/lib/batch-reader");
+const GovernanceCalls = require("../../frontend/lib/governance-calls");
+const RateCurves = require("../../frontend/lib/rate-curves");
+
+describe("Frontend rate curves", function () {
+    let owner;
+    let reader, repoOracle;
+    let models; // contract name -> deployed model
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+
+    before(async function () {
+        [owner] = await ethers.getSigners();
+
+        const multicall = await (await ethers.getContractFactory("Multicall")).deploy();
+        reader = BatchReader.createBatchReader({
+            provider: ethers.provider,
+            multicallAddress: multicall.target,
+            multicallAbi: multicall.interface.fragments
+        });
+
+        repoOracle = await (await ethers.getContractFactory("GlobalRepoRateOracle")).deploy(1000000000n, owner.address);
+        const deploy = async (name, ...args) => (await ethers.getContractFactory(name)).deploy(...args, owner.address);
+        models = {
+            LinearInterestRateModel: await deploy("LinearInterestRateModel", toWei(0.02), toWei(0.18)),
+            KinkInterestRateModel: await deploy("KinkInterestRateModel", toWei(0.01), toWei(0.05), toWei(1.5), toWei(0.85)),
+            ExponentialInterestRateModel: await deploy("ExponentialInterestRateModel", toWei(0.01), toWei(0.3), toWei(2)),
+            DynamicInterestRateModel: await deploy("DynamicInterestRateModel", repoOracle.target, 500000000n, 3000000000n),
+            TimeWeightedInterestRateModel: await deploy("TimeWeightedInterestRateModel",
+                toWei(0.01), toWei(1), toWei(0.1), toWei(0.001), toWei(0.6), toWei(0.8))
+        };
+    });
+
+    const interfaces = () => Object.fromEntries(Object.entries(models).map(([name, model]) => [name, model.interface]));
+
+    it("should tell the deployed models apart", async function () {
+        for (const [name, model] of Object.entries(models)) {
+            expect(await RateCurves.detectModel({ reader, model: model.target, interfaces: interfaces() })).to.equal(name);
+        }
+        expect(await RateCurves.detectModel({ reader, model: owner.address, interfaces: interfaces() })).to.equal(null);
+    });
+
+    it("should evaluate current parameters locally exactly as the contracts do", async function () {
+        for (const contract of Object.keys(RateCurves.FORMULAS)) {
+            const model = models[contract];
+            const params = await RateCurves.readModelParams({
+                reader,
+                model: model.target,
+                iface: model.interface,
+                params: GovernanceCalls.getCall(contract).params,
+                contract,
+                repoOracleInterface: repoOracle.interface
+            });
+            // Off-grid utilizations too, and past 100% where the capped models flatten
+            const utilizations = [...RateCurves.sampleUtilizations(), 333333333333333333n, 849999999999999999n, toWei(1.2)];
+
+            const onChain = await RateCurves.readCurve({ reader, model: model.target, iface: model.interface, utilizations });
+            expect(RateCurves.localCurve(contract, params, utilizations), contract).to.deep.equal(onChain);
+        }
+    });
+
+    it("should sample a curve from 0 to 100% in one batch and mark points the model reverts on", async function () {
+        const requests = reader.stats.requests;
+        const curve = await RateCurves.readCurve({
+            reader, model: models.KinkInterestRateModel.target, iface: models.KinkInterestRateModel.interface
+        });
+        expect(reader.stats.requests - requests).to.equal(1);
+        expect(curve).to.have.lengthOf(RateCurves.DEFAULT_SAMPLES);
+        expect(curve[0].utilization).to.equal(0n);
+        expect(curve[20].utilization).to.equal(toWei(1));
+        // base + slope low * kink + slope high * 15%, less per-second rounding
+        expect(curve[20].apr).to.be.closeTo(toWei(0.01 + 0.0425 + 0.225), 100000000n);
+
+        // An exponent factor the contract's setter would refuse overflows ExpMath past 2/3 utilization
+        const steep = RateCurves.localCurve("ExponentialInterestRateModel",
+            { baseAPR: toWei(0.01), coefficientAPR: toWei(0.3), exponentFactor: toWei(3) });
+        expect(steep[13].apr).to.be.a("bigint");
+        expect(steep[14].apr).to.equal(null);
+    });
+
+    it("should round the chart's APR axis up to 1, 2 or 5 times a power of ten", function () {
+        const curve = (...aprs) => aprs.map(apr => ({ apr: apr === null ? null : toWei(apr) }));
+        expect(RateCurves.chartMaxApr([curve(0.004, null), []])).to.equal(toWei(0.01));
+        expect(RateCurves.chartMaxApr([curve(0.13), curve(0.27)])).to.equal(toWei(0.5));
+        expect(RateCurves.chartMaxApr([curve(1.5)])).to.equal(toWei(2));
+        expect(RateCurves.chartMaxApr([curve(0)])).to.equal(toWei(0.01));
+    });
+});
@@ -0,0 +1,82 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const BatchReader = require("../../frontend/lib/batch-reader");
+const RateMath = require("../../frontend/lib/rate-math");
+
+describe("Frontend rate math", function () {
+    let owner, user;
+    let pool, irm, multicall, tokenA, tokenB;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+
+    before(async function () {
+        [owner, user] = await ethers.getSigners();
+
+        const priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        // 2% base, 10% up to the 80% kink, 100% above it
+        irm = await (await ethers.getContractFactory("KinkInterestRateModel"))
+            .deploy(toWei(0.02), toWei(0.1), toWei(1), toWei(0.8), owner.address);
+        multicall = await (await ethers.getContractFactory("Multicall")).deploy();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        tokenA = await MockERC20.deploy("Token A", "TKA");
+        tokenB = await MockERC20.deploy("Token B", "TKB");
+        for (const token of [tokenA, tokenB]) {
+            await priceOracle.setPrice(token.target, toOracle(1));
+            await pool.listAsset(token.target, irm.target, toWei(0.75), toWei(0.05), toWei(0.1));
+            await token.mint(user.address, toWei(1000));
+            await token.connect(user).approve(pool.target, ethers.MaxUint256);
+            await pool.connect(user).deposit(token.target, toWei(100));
+        }
+        // 90% of TKA is borrowed, past the kink; TKB is idle
+        await pool.connect(user).borrow(tokenA.target, toWei(90));
+    });
+
+    it("should read utilization and rates in batches matching the pool", async function () {
+        const reader = BatchReader.createBatchReader({
+            provider: ethers.provider,
+            multicallAddress: multicall.target,
+            multicallAbi: multicall.interface.fragments
+        });
+        const assets = [tokenA, tokenB].map(token => ({ address: token.target, interestRateModel: irm.target, reserveFactor: toWei(0.1) }));
+        // An asset whose model is not a contract has no rates
+        const broken = { address: ethers.Wallet.createRandom().address, interestRateModel: user.address, reserveFactor: 0n };
+
+        const rates = await RateMath.readAssetRates({ reader, pool, irmInterface: irm.interface, assets: [...assets, broken] });
+
+        expect(reader.stats.requests).to.equal(2);
+        for (const token of [tokenA, tokenB]) {
+            const rate = rates.get(token.target);
+            expect(rate.utilization).to.equal(await pool.utilization(token.target));
+            expect(rate.borrowRatePerSecond).to.equal(await pool.borrowRatePerSecond(token.target));
+            expect(rate.supplyRatePerSecond).to.equal(await pool.supplyRatePerSecond(token.target));
+        }
+        expect(rates.get(tokenA.target).supplyApy).to.be.greaterThan(0n);
+        expect(rates.get(tokenB.target).supplyApy).to.equal(0n);
+        expect(rates.get(broken.address)).to.equal(null);
+    });
+
+    it("should compound per-second rates into an APY above the simple APR", function () {
+        // 10% a year compounded every second is e^0.1 - 1
+        const ratePerSecond = toWei(0.1) / RateMath.SECONDS_PER_YEAR;
+        const apr = RateMath.aprFromRate(ratePerSecond);
+        const apy = RateMath.apyFromRate(ratePerSecond);
+
+        expect(apr).to.be.lessThanOrEqual(toWei(0.1));
+        expect(apy).to.be.greaterThan(apr);
+        expect(RateMath.formatPercent(apy)).to.equal("10.51%");
+        expect(RateMath.apyFromRate(0n)).to.equal(0n);
+
+        // Suppliers get the borrowed share minus the reserve factor
+        expect(RateMath.supplyRatePerSecond(1000n, toWei(0.5), toWei(0.2))).to.equal(400n);
+    });
+
+    it("should format rates as percentages", function () {
+        expect(RateMath.formatPercent(toWei(0.0425))).to.equal("4.25%");
+        expect(RateMath.formatPercent(toWei(1.5), 0)).to.equal("150%");
+        expect(RateMath.formatPercent(toWei(0.00001), 3)).to.equal("0.001%");
+        expect(RateMath.formatPercent(0n)).to.equal("0.00%");
+    });
+});
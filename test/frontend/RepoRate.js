@@ -0,0 +1,98 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const BatchReader = require("../../frontend/lib/batch-reader");
+const RateMath = require("../../frontend/lib/rate-math");
+const RepoRate = require("../../frontend/lib/repo-rate");
+
+describe("Frontend repo rate", function () {
+    let owner, alice;
+    let pool, reader, repoOracle, dynamic, linear, dynamicToken, linearToken;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+
+    before(async function () {
+        [owner, alice] = await ethers.getSigners();
+
+        const priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        const multicall = await (await ethers.getContractFactory("Multicall")).deploy();
+        reader = BatchReader.createBatchReader({
+            provider: ethers.provider,
+            multicallAddress: multicall.target,
+            multicallAbi: multicall.interface.fragments
+        });
+
+        repoOracle = await (await ethers.getContractFactory("GlobalRepoRateOracle")).deploy(1000000000n, owner.address);
+        dynamic = await (await ethers.getContractFactory("DynamicInterestRateModel"))
+            .deploy(repoOracle.target, 500000000n, 3000000000n, owner.address);
+        linear = await (await ethers.getContractFactory("LinearInterestRateModel")).deploy(toWei(0.02), toWei(0.1), owner.address);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        dynamicToken = await MockERC20.deploy("Dynamic", "DYN");
+        linearToken = await MockERC20.deploy("Linear", "LIN");
+        for (const [token, irm] of [[dynamicToken, dynamic], [linearToken, linear]]) {
+            await priceOracle.setPrice(token.target, ethers.parseUnits("1", 8));
+            await pool.listAsset(token.target, irm.target, toWei(0.8), toWei(0.05), 0);
+        }
+
+        // 40% utilization of the Dynamic asset
+        await dynamicToken.mint(owner.address, toWei(1000));
+        await dynamicToken.approve(pool.target, ethers.MaxUint256);
+        await pool.deposit(dynamicToken.target, toWei(1000));
+        await linearToken.mint(alice.address, toWei(1000));
+        await linearToken.connect(alice).approve(pool.target, ethers.MaxUint256);
+        await pool.connect(alice).deposit(linearToken.target, toWei(1000));
+        await pool.connect(alice).borrow(dynamicToken.target, toWei(400));
+    });
+
+    const readAssets = async () => {
+        const assets = [dynamicToken, linearToken].map((token, i) => ({
+            address: token.target, symbol: ["DYN", "LIN"][i], interestRateModel: [dynamic, linear][i].target, reserveFactor: 0n
+        }));
+        const rates = await RateMath.readAssetRates({ reader, pool, irmInterface: linear.interface, assets });
+        return assets.map(asset => ({ ...asset, rates: rates.get(asset.address) }));
+    };
+
+    it("should convert a yearly percentage to the per-second rate the oracle stores", function () {
+        expect(RepoRate.parseAnnualRate("3.1536")).to.equal(1000000000n);
+        expect(RepoRate.parseAnnualRate("0")).to.equal(0n);
+        // Rounded down, as an integer per-second rate must be
+        expect(RepoRate.parseAnnualRate("5")).to.equal(toWei(0.05) / RateMath.SECONDS_PER_YEAR);
+        expect(() => RepoRate.parseAnnualRate("-1")).to.throw('"-1" is not a percentage');
+        expect(() => RepoRate.parseAnnualRate("")).to.throw("is not a percentage");
+    });
+
+    it("should rebuild the rate history from RepoRateUpdated events across block chunks", async function () {
+        const fromBlock = await ethers.provider.getBlockNumber();
+        await repoOracle.setRepoRate(2000000000n);
+        await ethers.provider.send("evm_increaseTime", [3600]);
+        await repoOracle.setRepoRate(1500000000n);
+
+        const history = await RepoRate.readRateHistory({ oracle: repoOracle, provider: ethers.provider, fromBlock, chunkSize: 1 });
+        expect(history.map(entry => entry.rate)).to.deep.equal([2000000000n, 1500000000n]);
+        expect(history[1].apr).to.equal(1500000000n * RateMath.SECONDS_PER_YEAR);
+        expect(history[1].timestamp - history[0].timestamp).to.be.at.least(3600);
+        expect(history[0].transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+
+        await expect(repoOracle.connect(alice).setRepoRate(0n))
+            .to.be.revertedWithCustomError(repoOracle, "OwnableUnauthorizedAccount");
+    });
+
+    it("should find Dynamic models and preview each one's borrow APR at a new rate", async function () {
+        const assets = await readAssets();
+        const models = await RepoRate.readDynamicModels({ reader, iface: dynamic.interface, assets: [...assets, ...assets] });
+        expect([...models]).to.deep.equal([[dynamic.target, repoOracle.target]]);
+
+        const current = await repoOracle.getRepoRate();
+        const proposed = RepoRate.parseAnnualRate("10");
+        const changes = RepoRate.borrowAprChanges(assets, models, repoOracle.target.toLowerCase(), current, proposed);
+        expect(changes.map(change => change.asset.symbol)).to.deep.equal(["DYN"]);
+        expect(changes[0].utilization).to.equal(toWei(0.4));
+        expect(changes[0].after - changes[0].before).to.equal((proposed - current) * RateMath.SECONDS_PER_YEAR);
+
+        // Matches the model once the rate is set
+        await repoOracle.setRepoRate(proposed);
+        const [after] = await readAssets();
+        expect(RateMath.aprFromRate(after.rates.borrowRatePerSecond)).to.equal(changes[0].after);
+    });
+});
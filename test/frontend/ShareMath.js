@@ -0,0 +1,94 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const ShareMath = require("../../frontend/lib/share-math");
+
+describe("Frontend share conversions", function () {
+    let owner, user1, user2;
+    let pool, priceOracle, token1, token2;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+    const ONE_YEAR = 365 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+
+        priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        const irm = await (await ethers.getContractFactory("LinearInterestRateModel")).deploy(toWei(0.05), toWei(0.5), owner.address);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token1 = await MockERC20.deploy("Token A", "TKA");
+        token2 = await MockERC20.deploy("Token B", "TKB");
+
+        await priceOracle.setPrice(token1.target, toOracle(100));
+        await priceOracle.setPrice(token2.target, toOracle(100));
+        for (const token of [token1, token2]) {
+            await pool.listAsset(token.target, irm.target, toWei(0.75), toWei(0.05), toWei(0.1));
+            for (const user of [user1, user2]) {
+                await token.mint(user.address, toWei(1000));
+                await token.connect(user).approve(pool.target, ethers.MaxUint256);
+            }
+        }
+
+        // user1 supplies TKA that user2 borrows; a year of interest makes each share worth more than 1 TKA
+        await pool.connect(user1).deposit(token1.target, toWei(100));
+        await pool.connect(user2).deposit(token2.target, toWei(500));
+        await pool.connect(user2).borrow(token1.target, toWei(70));
+        await ethers.provider.send("evm_increaseTime", [ONE_YEAR]);
+        await pool.accrueInterest(token1.target);
+    });
+
+    async function readPool(token) {
+        const account = await pool.poolAccounts(token.target);
+        return {
+            cash: await token.balanceOf(pool.target),
+            totalShares: account.totalShares,
+            totalBorrows: account.totalBorrows,
+            totalReserves: account.totalReserves
+        };
+    }
+
+    it("should convert between amounts and shares exactly like the pool", async function () {
+        const state = await readPool(token1);
+        expect(ShareMath.totalDeposits(state)).to.be.gt(toWei(100));
+
+        for (const value of [1n, 3n, toWei(1), toWei(33.333), toWei(100)]) {
+            expect(ShareMath.amountForShares(value, state)).to.equal(await pool.getAmountForShares(token1.target, value));
+            expect(ShareMath.sharesForAmount(value, state)).to.equal(await pool.getSharesForAmount(token1.target, value));
+        }
+    });
+
+    it("should withdraw at least the exact amount asked for", async function () {
+        const { shares: userShares } = await pool.userAccounts(user1.address, token1.target);
+        const amount = toWei(25);
+        const { shares, all } = ShareMath.withdrawShares({ amount, userShares, pool: await readPool(token1) });
+        expect(all).to.equal(false);
+        // Treating the amount as shares would withdraw more than asked
+        expect(shares).to.be.lt(amount);
+
+        const balanceBefore = await token1.balanceOf(user1.address);
+        await pool.connect(user1).withdraw(token1.target, shares);
+        const received = (await token1.balanceOf(user1.address)) - balanceBefore;
+
+        // Interest accrued in the withdraw transaction itself is the only extra
+        expect(received).to.be.gte(amount);
+        expect(received - amount).to.be.lt(toWei(0.0001));
+    });
+
+    it("should withdraw every share when asked for all or for more than the deposit", async function () {
+        const { shares: userShares } = await pool.userAccounts(user1.address, token1.target);
+        const state = await readPool(token1);
+
+        expect(ShareMath.withdrawShares({ amount: null, userShares, pool: state }))
+            .to.deep.equal({ shares: userShares, amount: await pool.userDeposits(user1.address, token1.target), all: true });
+        expect(ShareMath.withdrawShares({ amount: toWei(1000), userShares, pool: state }).shares).to.equal(userShares);
+
+        // Repay so the pool has the cash to pay out the whole deposit
+        await pool.connect(user2).repay(token1.target, ethers.MaxUint256);
+        const { shares } = ShareMath.withdrawShares({ amount: null, userShares, pool: await readPool(token1) });
+        await pool.connect(user1).withdraw(token1.target, shares);
+
+        expect((await pool.userAccounts(user1.address, token1.target)).shares).to.equal(0n);
+        expect(await pool.userDeposits(user1.address, token1.target)).to.equal(0n);
+    });
+});
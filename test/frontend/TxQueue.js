@@ -0,0 +1,208 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const TxQueue = require("../../frontend/lib/tx-queue");
+
+describe("Frontend transaction queue", function () {
+    let owner, user;
+    let pool, priceOracle, token1, token2, token3;
+    const STORAGE_KEY = "mini-defi-tx-queue:test";
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+
+    // Minimal localStorage stand-in
+    function memoryStorage(initial = []) {
+        const items = new Map(initial);
+        return {
+            items,
+            getItem: (key) => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: (key) => items.delete(key)
+        };
+    }
+
+    beforeEach(async function () {
+        [owner, user] = await ethers.getSigners();
+
+        priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        const irm = await (await ethers.getContractFactory("LinearInterestRateModel")).deploy(0, 0, owner.address);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token1 = await MockERC20.deploy("Token A", "TKA");
+        token2 = await MockERC20.deploy("Token B", "TKB");
+        token3 = await MockERC20.deploy("Token C", "TKC");
+
+        for (const token of [token1, token2, token3]) {
+            await priceOracle.setPrice(token.target, toOracle(1));
+            await pool.listAsset(token.target, irm.target, toWei(0.75), toWei(0.05), 0);
+            await token.mint(user.address, toWei(100));
+        }
+    });
+
+    // Deposits the way the dashboard does: approve when needed, then call the pool
+    async function depositLeg(leg, hooks) {
+        const token = await ethers.getContractAt("MockERC20", leg.asset.address, user);
+        if ((await token.allowance(user.address, pool.target)) < leg.amount) {
+            hooks.signing("approval");
+            const approval = await token.approve(pool.target, ethers.MaxUint256);
+            hooks.submitted("approval", approval.hash);
+            await approval.wait();
+        }
+        hooks.signing("transaction");
+        const tx = await pool.connect(user).deposit(leg.asset.address, leg.amount);
+        hooks.submitted("transaction", tx.hash);
+        return tx.wait();
+    }
+
+    async function confirmOnChain(txHash) {
+        const tx = await ethers.provider.getTransaction(txHash);
+        return tx ? tx.wait() : null;
+    }
+
+    const legsFor = (...entries) => entries.map(([token, amount]) => ({
+        asset: { address: token.target, symbol: "T", decimals: 18 },
+        amount: amount === null ? null : toWei(amount),
+        usdValue: amount === null ? null : toOracle(amount)
+    }));
+
+    it("should run legs in order and save every status change", async function () {
+        const storage = memoryStorage();
+        const saved = [];
+        const queue = TxQueue.createTxQueue({
+            execute: depositLeg,
+            confirm: confirmOnChain,
+            storage,
+            storageKey: STORAGE_KEY,
+            onChange: () => saved.push(JSON.parse(storage.getItem(STORAGE_KEY))?.legs.map(leg => leg.status).join(","))
+        });
+
+        // 200 TKB is more than the user has, so that leg reverts
+        const counts = await queue.start("deposit", legsFor([token1, 10], [token2, 200], [token3, 5]));
+
+        expect(counts).to.include({ mined: 2, failed: 1, pending: 0 });
+        expect(queue.legs.map(leg => leg.status)).to.deep.equal(["mined", "failed", "mined"]);
+        expect(queue.legs[1].error).to.be.a("string").and.not.equal("");
+        expect(await pool.userDeposits(user.address, token1.target)).to.equal(toWei(10));
+        expect(await pool.userDeposits(user.address, token3.target)).to.equal(toWei(5));
+
+        const receipt = await ethers.provider.getTransactionReceipt(queue.legs[0].txHash);
+        expect(receipt.blockNumber).to.equal(queue.legs[0].blockNumber);
+        expect(queue.legs[0].approvalTxHash).to.be.a("string");
+        expect(saved).to.include.members([
+            "pending,pending,pending",
+            "awaiting-signature,pending,pending",
+            "confirming,pending,pending",
+            "mined,failed,confirming"
+        ]);
+
+        // The retried leg sends again and succeeds once the balance is there
+        await token2.mint(user.address, toWei(100));
+        expect(await queue.retry()).to.include({ mined: 3, failed: 0 });
+        expect(await pool.userDeposits(user.address, token2.target)).to.equal(toWei(200));
+
+        queue.clear();
+        expect(storage.getItem(STORAGE_KEY)).to.equal(null);
+    });
+
+    it("should record legs without an amount as failed and cancel the legs not sent yet", async function () {
+        const queue = TxQueue.createTxQueue({
+            execute: async (leg, hooks) => {
+                // The user cancels while the first leg is in the wallet
+                queue.cancel();
+                return depositLeg(leg, hooks);
+            },
+            confirm: confirmOnChain
+        });
+
+        const counts = await queue.start("deposit", [
+            ...legsFor([token1, 10]),
+            { ...legsFor([token2, null])[0], error: "No price data" },
+            ...legsFor([token3, 5])
+        ]);
+
+        expect(counts).to.include({ mined: 1, failed: 1, cancelled: 1 });
+        expect(queue.legs[1].error).to.equal("No price data");
+        expect(queue.hasUnfinished).to.equal(false);
+        expect(await pool.userDeposits(user.address, token3.target)).to.equal(0n);
+    });
+
+    it("should resume after a reload without sending a leg twice", async function () {
+        const storage = memoryStorage();
+        let snapshot;
+        const first = TxQueue.createTxQueue({
+            execute: async (leg, hooks) => {
+                const receipt = await depositLeg(leg, {
+                    ...hooks,
+                    submitted: (step, txHash) => {
+                        hooks.submitted(step, txHash);
+                        // The page reloads right after the wallet returns the first deposit
+                        if (step === "transaction") {
+                            snapshot = new Map(storage.items);
+                            first.cancel();
+                        }
+                    }
+                });
+                return receipt;
+            },
+            confirm: confirmOnChain,
+            storage,
+            storageKey: STORAGE_KEY
+        });
+        await first.start("deposit", legsFor([token1, 10], [token2, 20]));
+
+        const sent = [];
+        const resumed = TxQueue.createTxQueue({
+            execute: async (leg, hooks) => {
+                sent.push(leg.id);
+                return depositLeg(leg, hooks);
+            },
+            confirm: confirmOnChain,
+            storage: memoryStorage(snapshot),
+            storageKey: STORAGE_KEY
+        });
+        expect(resumed.legs.map(leg => leg.status)).to.deep.equal(["confirming", "pending"]);
+        expect(resumed.hasUnfinished).to.equal(true);
+
+        expect(await resumed.run()).to.include({ mined: 2 });
+        expect(sent).to.deep.equal([1]);
+        expect(resumed.legs[0].txHash).to.equal(first.legs[0].txHash);
+        expect(await pool.userDeposits(user.address, token1.target)).to.equal(toWei(10));
+        expect(await pool.userDeposits(user.address, token2.target)).to.equal(toWei(20));
+    });
+
+    it("should not resend a leg that may have been signed before the reload", async function () {
+        const leg = (status, step, txHash = null) => ({
+            id: 0, asset: { address: token1.target, symbol: "TKA", decimals: 18 }, amount: "1", usdValue: "100000000",
+            status, step, txHash, approvalTxHash: null, blockNumber: null, error: null
+        });
+        const storage = memoryStorage([[STORAGE_KEY, JSON.stringify({
+            version: 1,
+            operation: "deposit",
+            createdAt: 0,
+            legs: [
+                leg("awaiting-signature", "transaction"),
+                leg("awaiting-signature", "approval"),
+                leg("confirming", "approval"),
+                leg("confirming", "transaction", ethers.ZeroHash)
+            ].map((entry, id) => ({ ...entry, id }))
+        })]]);
+
+        const queue = TxQueue.createTxQueue({
+            execute: async () => { throw new Error("Rejected by user"); },
+            confirm: confirmOnChain,
+            storage,
+            storageKey: STORAGE_KEY
+        });
+        expect(queue.legs.map(entry => entry.status)).to.deep.equal(["failed", "pending", "pending", "confirming"]);
+        expect(queue.legs[0].error).to.match(/Interrupted/);
+        expect(queue.legs[1]).to.include({ amount: 1n, usdValue: toOracle(1) });
+
+        await queue.run();
+        expect(queue.legs.map(entry => entry.error)).to.deep.equal([
+            queue.legs[0].error,
+            "Rejected by user",
+            "Rejected by user",
+            "Transaction not found; it was dropped or the node was reset"
+        ]);
+    });
+});
@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const VirtualList = require("../../frontend/lib/virtual-list");
+
+describe("Frontend virtual list", function () {
+    const ROW_HEIGHT = 66;
+    const VIEWPORT = 660; // ten rows
+    const items = Array.from({ length: 10000 }, (_, i) => ({ address: `0x${i.toString(16).padStart(40, "0")}` }));
+
+    // Just enough of the DOM for the list: element creation, listeners and the scroll box
+    function createContainer() {
+        const created = [];
+        const listeners = {};
+        const createElement = () => {
+            const element = {
+                style: {},
+                parentNode: null,
+                innerHTML: "",
+                appendChild(child) {
+                    child.parentNode = element;
+                }
+            };
+            created.push(element);
+            return element;
+        };
+        const container = {
+            ownerDocument: { createElement },
+            scrollTop: 0,
+            clientHeight: VIEWPORT,
+            replaceChildren(child) {
+                child.parentNode = container;
+            },
+            addEventListener(type, listener) {
+                listeners[type] = listener;
+            },
+            scrollTo(scrollTop) {
+                container.scrollTop = scrollTop;
+                listeners.scroll({});
+            },
+            press(key) {
+                let prevented = false;
+                listeners.keydown({ key, preventDefault: () => { prevented = true; } });
+                return prevented;
+            },
+            // The list creates a spacer, then the rows element inside it
+            rowsElement: () => created[1]
+        };
+        return container;
+    }
+
+    function createList() {
+        const container = createContainer();
+        const selected = new Set();
+        const list = VirtualList.createVirtualList({
+            container,
+            rowHeight: ROW_HEIGHT,
+            overscan: 6,
+            requestFrame: (fn) => fn(),
+            renderRow: (item, index, { active }) =>
+                `<div data-index="${index}" class="${selected.has(item.address) ? "selected" : ""}${active ? " active" : ""}"></div>`,
+            onActivate: (item) => selected.add(item.address)
+        });
+        const rows = () => [...container.rowsElement().innerHTML.matchAll(/data-index="(\d+)" class="([^"]*)"/g)]
+            .map(([, index, className]) => ({ index: Number(index), className }));
+        return { list, container, selected, rows };
+    }
+
+    it("should compute a window around the viewport with overscan", function () {
+        const window = (scrollTop) => VirtualList.computeWindow({
+            itemCount: items.length, rowHeight: ROW_HEIGHT, scrollTop, viewportHeight: VIEWPORT, overscan: 6
+        });
+
+        expect(window(0)).to.deep.equal({ start: 0, end: 16, offset: 0, totalHeight: 660000 });
+        expect(window(ROW_HEIGHT * 5000 + 10)).to.deep.include({ start: 4994, end: 5017, offset: 4994 * ROW_HEIGHT });
+        // Past the end, e.g. right after the list shrank
+        expect(window(10 ** 9)).to.deep.include({ start: 9984, end: 10000 });
+        expect(VirtualList.computeWindow({ itemCount: 0, rowHeight: ROW_HEIGHT, scrollTop: 500, viewportHeight: VIEWPORT }))
+            .to.deep.equal({ start: 0, end: 0, offset: 0, totalHeight: 0 });
+    });
+
+    it("should keep the rendered row count bounded while scrolling through 10,000 rows", function () {
+        const { list, container, rows } = createList();
+        list.setItems(items);
+
+        // Viewport rows, one partly visible row and the overscan on both sides
+        const maxRows = VIEWPORT / ROW_HEIGHT + 1 + 2 * 6;
+        for (let scrollTop = 0; scrollTop <= items.length * ROW_HEIGHT; scrollTop += 997) {
+            container.scrollTo(scrollTop);
+            const rendered = rows();
+            const firstVisible = Math.floor(Math.min(scrollTop, items.length * ROW_HEIGHT - VIEWPORT) / ROW_HEIGHT);
+
+            expect(rendered.length).to.be.within(1, maxRows);
+            expect(rendered.map(row => row.index)).to.include(firstVisible);
+            expect(container.rowsElement().style.transform).to.equal(`translateY(${rendered[0].index * ROW_HEIGHT}px)`);
+        }
+        expect(rows().at(-1).index).to.equal(items.length - 1);
+        expect(container.rowsElement().parentNode.style.height).to.equal(`${items.length * ROW_HEIGHT}px`);
+    });
+
+    it("should keep selections made through the keyboard across scrolls", function () {
+        const { list, container, selected, rows } = createList();
+        list.setItems(items);
+
+        expect(container.press("ArrowDown")).to.equal(true);
+        expect(container.press("ArrowDown")).to.equal(true);
+        expect(container.press(" ")).to.equal(true);
+        expect(selected).to.have.keys([items[1].address]);
+        expect(rows()[1].className).to.equal("selected active");
+
+        container.scrollTo(ROW_HEIGHT * 8000);
+        expect(rows().map(row => row.index)).to.not.include(1);
+        container.scrollTo(0);
+        expect(rows()[1].className).to.equal("selected active");
+        expect(container.press("a")).to.equal(false);
+    });
+
+    it("should scroll the active row into view on keyboard navigation", function () {
+        const { list, container } = createList();
+        list.setItems(items);
+
+        container.press("End");
+        expect(list.activeIndex).to.equal(items.length - 1);
+        expect(container.scrollTop).to.equal(items.length * ROW_HEIGHT - VIEWPORT);
+        expect(list.range.end).to.equal(items.length);
+
+        // A page is one row less than the viewport, so the old top row stays in view
+        container.press("PageUp");
+        expect(list.activeIndex).to.equal(items.length - 10);
+        expect(container.scrollTop).to.equal(items.length * ROW_HEIGHT - VIEWPORT);
+        container.press("PageUp");
+        expect(list.activeIndex).to.equal(items.length - 19);
+        expect(container.scrollTop).to.equal((items.length - 19) * ROW_HEIGHT);
+
+        container.press("Home");
+        expect(list.activeIndex).to.equal(0);
+        expect(container.scrollTop).to.equal(0);
+        container.press("ArrowUp");
+        expect(list.activeIndex).to.equal(0);
+
+        // A new search starts over at the top without an active row
+        container.scrollTo(ROW_HEIGHT * 100);
+        list.setItems(items.slice(0, 50), { resetScroll: true });
+        expect(container.scrollTop).to.equal(0);
+        expect(list.activeIndex).to.equal(-1);
+    });
+});
@@ -0,0 +1,106 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { expect } = require("chai");
+
+describe("Governance simulation", function () {
+    let owner, user;
+    let governor, pool, token, kink, priceOracle;
+    let originalLog;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const MIN_DELAY = 3600;
+    // Per-second rates lose a little precision when annualized again
+    const APR_TOLERANCE = toWei(0.000001);
+
+    before(function () {
+        originalLog = console.log;
+        console.log = () => {};
+    });
+
+    after(function () {
+        console.log = originalLog;
+    });
+
+    beforeEach(async function () {
+        [owner, user] = await ethers.getSigners();
+
+        governor = await (await ethers.getContractFactory("RateGovernor")).deploy(MIN_DELAY, owner.address);
+        kink = await (await ethers.getContractFactory("KinkInterestRateModel"))
+            .deploy(toWei(0.02), toWei(0.1), toWei(1), toWei(0.8), owner.address);
+
+        priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        token = await (await ethers.getContractFactory("MockERC20")).deploy("Token A", "TKA");
+        await priceOracle.setPrice(token.target, toWei(1));
+        await pool.listAsset(token.target, kink.target, toWei(0.75), toWei(0.05), toWei(0.1));
+
+        // 50% utilization
+        await token.mint(user.address, toWei(100));
+        await token.connect(user).approve(pool.target, toWei(100));
+        await pool.connect(user).deposit(token.target, toWei(100));
+        await pool.connect(user).borrow(token.target, toWei(50));
+
+        await kink.transferOwnership(governor.target);
+        await pool.transferOwnership(governor.target);
+    });
+
+    async function queueKinkUpdate() {
+        return hre.run("governance:queue-kink-update", {
+            governor: governor.target, model: kink.target, base: "0.03", slopeLow: "0.1", slopeHigh: "1", kink: "0.8"
+        });
+    }
+
+    it("should compare the rate curve and affected assets before and after execution", async function () {
+        const { proposalId } = await queueKinkUpdate();
+
+        const result = await hre.run("governance:simulate", {
+            governor: governor.target, proposal: proposalId, pool: pool.target
+        });
+
+        expect(result.curve).to.have.lengthOf(11);
+        expect(result.curve[0].utilization).to.equal(0n);
+        expect(result.curve[0].before).to.be.closeTo(toWei(0.02), APR_TOLERANCE);
+        expect(result.curve[0].after).to.be.closeTo(toWei(0.03), APR_TOLERANCE);
+        expect(result.curve[10].utilization).to.equal(toWei(1));
+
+        expect(result.assets).to.have.lengthOf(1);
+        expect(result.assets[0].symbol).to.equal("TKA");
+        expect(result.assets[0].before).to.be.closeTo(toWei(0.07), APR_TOLERANCE);
+        expect(result.assets[0].after).to.be.closeTo(toWei(0.08), APR_TOLERANCE);
+        expect(result.executedAt).to.be.at.least(result.executeAfter);
+    });
+
+    it("should revert the chain to its state before the dry run", async function () {
+        const { proposalId } = await queueKinkUpdate();
+        const blockBefore = await ethers.provider.getBlock("latest");
+
+        await hre.run("governance:simulate", { governor: governor.target, proposal: proposalId, steps: 4 });
+
+        const proposal = await governor.getProposal(proposalId);
+        expect(proposal.executed).to.equal(false);
+        expect(await kink.baseAPR()).to.equal(toWei(0.02));
+        expect((await ethers.provider.getBlock("latest")).number).to.equal(blockBefore.number);
+        await expect(governor.execute(proposalId)).to.be.revertedWithCustomError(governor, "NotReady");
+    });
+
+    it("should use the pool and the configured asset for asset config updates", async function () {
+        const { proposalId } = await hre.run("governance:queue-asset-config-update", {
+            governor: governor.target, pool: pool.target, asset: token.target,
+            collateralFactor: "0.7", liquidationBonus: "0.05", reserveFactor: "0.2"
+        });
+
+        const result = await hre.run("governance:simulate", { governor: governor.target, proposal: proposalId });
+
+        expect(result.model).to.equal(kink.target);
+        expect(result.assets.map(asset => asset.address)).to.deep.equal([token.target]);
+        expect(result.curve[5].after).to.equal(result.curve[5].before);
+    });
+
+    it("should refuse to simulate handled proposals", async function () {
+        const { proposalId } = await queueKinkUpdate();
+        await hre.run("governance:cancel", { governor: governor.target, proposal: proposalId });
+
+        await expect(hre.run("governance:simulate", { governor: governor.target, proposal: proposalId }))
+            .to.be.rejectedWith(/already cancelled/);
+    });
+});
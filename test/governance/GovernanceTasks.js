@@ -0,0 +1,178 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { expect } = require("chai");
+
+describe("Governance tasks", function () {
+    let owner, user;
+    let governor, pool, token, priceOracle;
+    let linear, kink, exponential, timeWeighted, dynamic;
+    let originalLog, originalWarn;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const MIN_DELAY = 3600;
+
+    async function advance(seconds) {
+        await hre.network.provider.send("evm_increaseTime", [seconds]);
+        await hre.network.provider.send("evm_mine");
+    }
+
+    before(function () {
+        // Keep task output out of the test report
+        originalLog = console.log;
+        originalWarn = console.warn;
+        console.log = () => {};
+        console.warn = () => {};
+    });
+
+    after(function () {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    });
+
+    beforeEach(async function () {
+        [owner, user] = await ethers.getSigners();
+
+        const RateGovernor = await ethers.getContractFactory("RateGovernor");
+        governor = await RateGovernor.deploy(MIN_DELAY, owner.address);
+
+        linear = await (await ethers.getContractFactory("LinearInterestRateModel"))
+            .deploy(toWei(0.02), toWei(0.2), owner.address);
+        kink = await (await ethers.getContractFactory("KinkInterestRateModel"))
+            .deploy(toWei(0.02), toWei(0.1), toWei(1), toWei(0.8), owner.address);
+        exponential = await (await ethers.getContractFactory("ExponentialInterestRateModel"))
+            .deploy(toWei(0.01), toWei(0.05), toWei(1), owner.address);
+        timeWeighted = await (await ethers.getContractFactory("TimeWeightedInterestRateModel"))
+            .deploy(toWei(0.01), toWei(0.5), toWei(0.05), 10n ** 13n, toWei(0.6), toWei(0.8), owner.address);
+        const repoOracle = await (await ethers.getContractFactory("GlobalRepoRateOracle"))
+            .deploy(toWei(0.025), owner.address);
+        dynamic = await (await ethers.getContractFactory("DynamicInterestRateModel"))
+            .deploy(repoOracle.target, toWei(0.01), toWei(0.5), owner.address);
+
+        priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        token = await (await ethers.getContractFactory("MockERC20")).deploy("Token A", "TKA");
+        await pool.listAsset(token.target, kink.target, toWei(0.75), toWei(0.05), toWei(0.1));
+
+        for (const contract of [linear, kink, exponential, timeWeighted, dynamic, pool]) {
+            await contract.transferOwnership(governor.target);
+        }
+    });
+
+    it("should queue and execute an update for every rate model", async function () {
+        const common = { governor: governor.target };
+        await hre.run("governance:queue-linear-update", { ...common, model: linear.target, base: "0.03", slope: "0.35" });
+        await hre.run("governance:queue-kink-update", {
+            ...common, model: kink.target, base: "0.03", slopeLow: "0.12", slopeHigh: "1.5", kink: "0.85"
+        });
+        await hre.run("governance:queue-exponential-update", {
+            ...common, model: exponential.target, base: "0.02", coefficient: "0.1", exponent: "1.5"
+        });
+        await hre.run("governance:queue-timeweighted-update", {
+            ...common, model: timeWeighted.target, min: "0.02", max: "0.7", neutral: "0.1", adjust: "0.0001", lower: "0.3", upper: "0.65"
+        });
+        await hre.run("governance:queue-dynamic-update", {
+            ...common, model: dynamic.target, base: "0.02", multiplier: "0.4"
+        });
+
+        await advance(MIN_DELAY);
+        for (let id = 0; id < 5; id++) {
+            await hre.run("governance:execute", { governor: governor.target, proposal: id });
+        }
+
+        expect(await linear.baseAPR()).to.equal(toWei(0.03));
+        expect(await linear.slopeAPR()).to.equal(toWei(0.35));
+        expect(await kink.kink()).to.equal(toWei(0.85));
+        expect(await kink.slopeHighAPR()).to.equal(toWei(1.5));
+        expect(await exponential.exponentFactor()).to.equal(toWei(1.5));
+        expect(await timeWeighted.upperUtilization()).to.equal(toWei(0.65));
+        expect(await timeWeighted.adjustmentRatePerSecond()).to.equal(toWei(0.0001));
+        expect(await dynamic.utilizationMultiplier()).to.equal(toWei(0.4));
+    });
+
+    it("should queue a LendingPool asset config update", async function () {
+        const { proposalId } = await hre.run("governance:queue-asset-config-update", {
+            governor: governor.target,
+            pool: pool.target,
+            asset: token.target,
+            collateralFactor: "0.7",
+            liquidationBonus: "0.08",
+            reserveFactor: "0.2"
+        });
+
+        await advance(MIN_DELAY);
+        await hre.run("governance:execute", { governor: governor.target, proposal: proposalId });
+
+        const config = await pool.assetConfigs(token.target);
+        expect(config.collateralFactor).to.equal(toWei(0.7));
+        expect(config.liquidationBonus).to.equal(toWei(0.08));
+        expect(config.reserveFactor).to.equal(toWei(0.2));
+    });
+
+    it("should enforce at least the governor's delay and refuse early execution", async function () {
+        const { proposalId, executeAfter } = await hre.run("governance:queue-linear-update", {
+            governor: governor.target, model: linear.target, base: "0.03", slope: "0.35", delay: 60
+        });
+
+        const latest = await ethers.provider.getBlock("latest");
+        expect(executeAfter).to.be.gte(latest.timestamp + MIN_DELAY - 1);
+
+        await expect(hre.run("governance:execute", { governor: governor.target, proposal: proposalId }))
+            .to.be.rejectedWith(/not ready/);
+    });
+
+    it("should list, inspect and decode proposals", async function () {
+        await hre.run("governance:queue-kink-update", {
+            governor: governor.target, model: kink.target, base: "0.03", slopeLow: "0.1", slopeHigh: "1", kink: "0.8"
+        });
+        await hre.run("governance:queue-linear-update", {
+            governor: governor.target, model: linear.target, base: "0.04", slope: "0.2"
+        });
+
+        const proposals = await hre.run("governance:list", { governor: governor.target });
+        expect(proposals.map(p => p.status)).to.deep.equal(["pending", "pending"]);
+        expect(proposals[0].description).to.equal("Kink setParams(base 3%, slope low 10%, slope high 100%, kink 80%)");
+
+        const inspected = await hre.run("governance:inspect", { governor: governor.target, proposal: 1 });
+        expect(inspected.target).to.equal(linear.target);
+        expect(inspected.decoded.args.map(a => a.formatted)).to.deep.equal(["4%", "20%"]);
+
+        const decoded = await hre.run("governance:decode", { data: inspected.data });
+        expect(decoded.contract).to.equal("LinearInterestRateModel");
+        expect(decoded.args[0].value).to.equal(toWei(0.04));
+
+        await expect(hre.run("governance:decode", { data: "0xdeadbeef" })).to.be.rejectedWith(/does not match/);
+    });
+
+    it("should cancel proposals and hide them from the pending list", async function () {
+        await hre.run("governance:queue-linear-update", {
+            governor: governor.target, model: linear.target, base: "0.03", slope: "0.35"
+        });
+        await hre.run("governance:cancel", { governor: governor.target, proposal: 0 });
+
+        const all = await hre.run("governance:list", { governor: governor.target });
+        expect(all[0].status).to.equal("cancelled");
+        expect(await hre.run("governance:list", { governor: governor.target, pending: true })).to.deep.equal([]);
+
+        await advance(MIN_DELAY);
+        await expect(hre.run("governance:execute", { governor: governor.target, proposal: 0 }))
+            .to.be.rejectedWith(/already cancelled/);
+    });
+
+    it("should surface the model's revert reason when execution fails", async function () {
+        // Linear caps the base APR at 100%
+        await hre.run("governance:queue-linear-update", {
+            governor: governor.target, model: linear.target, base: "1.5", slope: "0.35"
+        });
+        await advance(MIN_DELAY);
+
+        await expect(hre.run("governance:execute", { governor: governor.target, proposal: 0 }))
+            .to.be.rejectedWith(/base too high/);
+    });
+
+    it("should reject malformed parameters before sending a transaction", async function () {
+        await expect(hre.run("governance:queue-linear-update", {
+            governor: governor.target, model: linear.target, base: "3%", slope: "0.35"
+        })).to.be.rejectedWith(/--base must be a non-negative decimal/);
+        expect(await governor.proposalCount()).to.equal(0);
+    });
+});
@@ -34,7 +34,7 @@ describe("TimeWeightedInterestRateModel", function () {
         mockPool = await MockLendingPool.deploy();
         
         // Authorize the mock pool to call the model
-        await model.connect(owner).setPool(mockPool.target);
+        await model.connect(owner).setPool(mockPool.target, addr1.address);
         await mockPool.setIRM(model.target);
     });
 
@@ -64,7 +64,7 @@ describe("TimeWeightedInterestRateModel", function () {
             );
 
             await expect(
-                newModel.connect(owner).setPool(addr1.address)
+                newModel.connect(owner).setPool(addr1.address, addr1.address)
             ).to.be.revertedWithCustomError(newModel, "OwnableUnauthorizedAccount");
         });
     });
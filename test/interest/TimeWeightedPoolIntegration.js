@@ -0,0 +1,140 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { expect } = require("chai");
+
+describe("TimeWeightedInterestRateModel in LendingPool", function () {
+    let owner, supplier, borrower;
+    let pool, priceOracle, collateralToken, borrowToken;
+    let model;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+    const ONE_HOUR = 60 * 60;
+    const ONE_DAY = 24 * ONE_HOUR;
+    const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+    const MIN_APR = toWei(0.01);
+    const MAX_APR = toWei(0.5);
+    const NEUTRAL_APR = toWei(0.05);
+    const ADJUSTMENT_SPEED = 10n ** 13n; // 0.001% APR per second at full overshoot
+    const LOWER_BOUND = toWei(0.6);
+    const UPPER_BOUND = toWei(0.8);
+
+    async function advance(seconds) {
+        await hre.network.provider.send("evm_increaseTime", [seconds]);
+        await hre.network.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+        [owner, supplier, borrower] = await ethers.getSigners();
+
+        const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+        priceOracle = await MockPriceOracle.deploy(owner.address);
+
+        const LendingPool = await ethers.getContractFactory("LendingPool");
+        pool = await LendingPool.deploy(priceOracle.target, owner.address);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        collateralToken = await MockERC20.deploy("Collateral", "COL");
+        borrowToken = await MockERC20.deploy("Borrowable", "BOR");
+        await priceOracle.setPrice(collateralToken.target, toOracle(100));
+        await priceOracle.setPrice(borrowToken.target, toOracle(1));
+
+        const KinkInterestRateModel = await ethers.getContractFactory("KinkInterestRateModel");
+        const kink = await KinkInterestRateModel.deploy(toWei(0.02), toWei(0.1), toWei(1), toWei(0.8), owner.address);
+
+        const TimeWeightedInterestRateModel = await ethers.getContractFactory("TimeWeightedInterestRateModel");
+        model = await TimeWeightedInterestRateModel.deploy(
+            MIN_APR, MAX_APR, NEUTRAL_APR, ADJUSTMENT_SPEED, LOWER_BOUND, UPPER_BOUND, owner.address
+        );
+        // The model reads the utilization of the asset it prices
+        await model.setPool(pool.target, borrowToken.target);
+
+        await pool.listAsset(collateralToken.target, kink.target, toWei(0.75), toWei(0.05), 0);
+        await pool.listAsset(borrowToken.target, model.target, toWei(0.8), toWei(0.05), toWei(0.1));
+
+        await borrowToken.mint(supplier.address, toWei(100));
+        await borrowToken.connect(supplier).approve(pool.target, toWei(100));
+        await pool.connect(supplier).deposit(borrowToken.target, toWei(100));
+
+        await collateralToken.mint(borrower.address, toWei(10));
+        await collateralToken.connect(borrower).approve(pool.target, toWei(10));
+        await pool.connect(borrower).deposit(collateralToken.target, toWei(10));
+    });
+
+    it("should expose per-asset utilization and rates from the model", async function () {
+        await pool.connect(borrower).borrow(borrowToken.target, toWei(70));
+
+        expect(await pool.utilization(borrowToken.target)).to.equal(toWei(0.7));
+        expect(await pool.utilization(collateralToken.target)).to.equal(0);
+
+        const borrowRate = await pool.borrowRatePerSecond(borrowToken.target);
+        expect(borrowRate).to.equal((await model.currentAPR()) / SECONDS_PER_YEAR);
+        // Suppliers earn the borrow rate scaled by utilization, minus the 10% reserve factor
+        const expectedSupplyRate = (borrowRate * toWei(0.7) / toWei(1)) * toWei(0.9) / toWei(1);
+        expect(await pool.supplyRatePerSecond(borrowToken.target)).to.equal(expectedSupplyRate);
+    });
+
+    it("should raise the APR while utilization stays above the band and lower it below", async function () {
+        // 90% utilization, above the 60-80% band
+        await pool.connect(borrower).borrow(borrowToken.target, toWei(90));
+        await advance(ONE_DAY);
+        await expect(pool.accrueInterest(borrowToken.target)).to.emit(model, "RateAdjusted");
+
+        const raisedAPR = await model.currentAPR();
+        expect(raisedAPR).to.be.gt(NEUTRAL_APR);
+        expect(await pool.borrowRatePerSecond(borrowToken.target)).to.equal(raisedAPR / SECONDS_PER_YEAR);
+
+        // Repaying most of the debt drops utilization below the band
+        await borrowToken.connect(borrower).approve(pool.target, toWei(60));
+        await pool.connect(borrower).repay(borrowToken.target, toWei(60));
+        expect(await pool.utilization(borrowToken.target)).to.be.lt(LOWER_BOUND);
+
+        await advance(ONE_HOUR);
+        await pool.accrueInterest(borrowToken.target);
+        const loweredAPR = await model.currentAPR();
+        expect(loweredAPR).to.be.lt(raisedAPR);
+
+        await advance(ONE_HOUR);
+        await pool.accrueInterest(borrowToken.target);
+        const currentAPR = await model.currentAPR();
+        expect(currentAPR).to.be.lt(loweredAPR);
+        expect(currentAPR).to.be.gt(MIN_APR);
+    });
+
+    it("should keep adjusting while nothing is borrowed", async function () {
+        await advance(ONE_DAY);
+        await pool.accrueInterest(borrowToken.target);
+
+        // 0% utilization sits far below the band
+        expect(await model.currentAPR()).to.equal(MIN_APR);
+    });
+
+    it("should only list the model for the asset it is anchored to", async function () {
+        const TimeWeightedInterestRateModel = await ethers.getContractFactory("TimeWeightedInterestRateModel");
+        const deployModel = () => TimeWeightedInterestRateModel.deploy(
+            MIN_APR, MAX_APR, NEUTRAL_APR, ADJUSTMENT_SPEED, LOWER_BOUND, UPPER_BOUND, owner.address
+        );
+        const otherToken = await (await ethers.getContractFactory("MockERC20")).deploy("Other", "OTH");
+
+        // Unconfigured, shared with another asset, or anchored to another pool
+        const unconfigured = await deployModel();
+        await expect(pool.listAsset(otherToken.target, unconfigured.target, toWei(0.8), toWei(0.05), 0))
+            .to.be.revertedWithCustomError(pool, "InterestRateModelNotAnchored");
+        await expect(pool.listAsset(otherToken.target, model.target, toWei(0.8), toWei(0.05), 0))
+            .to.be.revertedWithCustomError(pool, "InterestRateModelNotAnchored");
+        const elsewhere = await deployModel();
+        await elsewhere.setPool(priceOracle.target, otherToken.target);
+        await expect(pool.listAsset(otherToken.target, elsewhere.target, toWei(0.8), toWei(0.05), 0))
+            .to.be.revertedWithCustomError(pool, "InterestRateModelNotAnchored");
+
+        await unconfigured.setPool(pool.target, otherToken.target);
+        await expect(pool.listAsset(otherToken.target, unconfigured.target, toWei(0.8), toWei(0.05), 0))
+            .to.emit(pool, "AssetListed");
+    });
+
+    it("should only accept rate updates from the pool", async function () {
+        await expect(model.connect(borrower).updateBorrowRate(toWei(0.9)))
+            .to.be.revertedWithCustomError(model, "UnauthorizedUpdater");
+    });
+});
@@ -0,0 +1,167 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { createKeeper } = require("../../scripts/lib/liquidation-keeper");
+const { createBatchReader } = require("../../frontend/lib/batch-reader");
+
+describe("Liquidation keeper", function () {
+    let owner, borrower, other, keeperSigner;
+    let pool, priceOracle, token1, token2, token3;
+    let startBlock;
+
+    const toWei = (amount) => ethers.parseUnits(amount.toString(), 18);
+    const toOracle = (amount) => ethers.parseUnits(amount.toString(), 8);
+
+    beforeEach(async function () {
+        [owner, borrower, other, keeperSigner] = await ethers.getSigners();
+
+        priceOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy(owner.address);
+        pool = await (await ethers.getContractFactory("LendingPool")).deploy(priceOracle.target, owner.address);
+        // Zero rates keep health factors constant unless prices or positions change
+        const irm = await (await ethers.getContractFactory("LinearInterestRateModel")).deploy(0, 0, owner.address);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token1 = await MockERC20.deploy("Token A", "TKA");
+        token2 = await MockERC20.deploy("Token B", "TKB");
+        token3 = await MockERC20.deploy("Token C", "TKC");
+        startBlock = await ethers.provider.getBlockNumber();
+
+        for (const [token, price] of [[token1, 100], [token2, 2000], [token3, 1]]) {
+            await priceOracle.setPrice(token.target, toOracle(price));
+            await pool.listAsset(token.target, irm.target, toWei(0.75), toWei(0.05), 0);
+            for (const user of [borrower, other]) {
+                await token.mint(user.address, toWei(1000));
+                await token.connect(user).approve(pool.target, ethers.MaxUint256);
+            }
+        }
+        await token2.mint(keeperSigner.address, toWei(10));
+
+        await pool.connect(other).deposit(token2.target, toWei(5));
+        // $1,000 of TKA against $600 of TKB; `other` borrows TKC against TKB and TKC
+        await pool.connect(borrower).deposit(token1.target, toWei(10));
+        await pool.connect(borrower).borrow(token2.target, toWei(0.3));
+        await pool.connect(other).deposit(token3.target, toWei(100));
+        await pool.connect(other).borrow(token3.target, toWei(10));
+    });
+
+    async function loadAssets() {
+        return Promise.all([token1, token2, token3].map(async (token) => {
+            const config = await pool.assetConfigs(token.target);
+            return {
+                address: token.target,
+                symbol: await token.symbol(),
+                decimals: 18,
+                price: await priceOracle.getPrice(token.target),
+                collateralFactor: config.collateralFactor,
+                liquidationBonus: config.liquidationBonus
+            };
+        }));
+    }
+
+    function newKeeper(options = {}) {
+        const logs = [];
+        const keeper = createKeeper({
+            pool,
+            oracle: priceOracle,
+            reader: createBatchReader({ provider: ethers.provider }),
+            signer: keeperSigner,
+            loadAssets,
+            startBlock,
+            chunkSize: 5,
+            log: (record) => logs.push(record),
+            ...options
+        });
+        return { keeper, logs };
+    }
+
+    it("should only log the liquidation it would send in dry-run mode", async function () {
+        const { keeper, logs } = newKeeper({ dryRun: true });
+        expect(await keeper.poll()).to.deep.equal([]);
+        expect(keeper.borrowers).to.have.members([borrower.address, other.address]);
+
+        await priceOracle.setPrice(token1.target, toOracle(50));
+        const [record] = await keeper.poll();
+
+        expect(record).to.include({
+            event: "liquidation", status: "dry-run", borrower: borrower.address,
+            debtSymbol: "TKB", collateralSymbol: "TKA", repayAmount: toWei(0.15), profitUsd: "15.0"
+        });
+        expect(logs).to.deep.equal([record]);
+        expect(await pool.userBorrows(borrower.address, token2.target)).to.equal(toWei(0.3));
+    });
+
+    it("should approve the debt asset, liquidate and log the transaction", async function () {
+        const { keeper } = newKeeper();
+        await keeper.poll();
+
+        await priceOracle.setPrice(token1.target, toOracle(50));
+        const [record] = await keeper.poll();
+
+        expect(record.status).to.equal("liquidated");
+        expect(record.approvalTx).to.be.a("string");
+        expect(record.gasUsed).to.be.gt(0n);
+        expect(await pool.userBorrows(borrower.address, token2.target)).to.equal(toWei(0.15));
+        expect(await pool.userDeposits(keeperSigner.address, token1.target)).to.equal(toWei(6.3));
+
+        // Still unhealthy after the first liquidation: the Liquidate event triggers a re-check
+        const [second] = await keeper.poll();
+        expect(second).to.include({ status: "liquidated", borrower: borrower.address });
+        expect(second.approvalTx).to.equal(undefined);
+    });
+
+    it("should re-check only the accounts whose markets were repriced", async function () {
+        const { keeper } = newKeeper({ dryRun: true });
+        await keeper.poll();
+        expect(keeper.stats.accountsChecked).to.equal(2);
+
+        // Only `other` entered the TKC market
+        await priceOracle.setPrice(token3.target, toOracle(1.01));
+        expect(await keeper.poll()).to.deep.equal([]);
+        expect(keeper.stats.accountsChecked).to.equal(3);
+
+        // Only `borrower` entered the TKA market, and is now liquidatable
+        await priceOracle.setPrice(token1.target, toOracle(50));
+        const records = await keeper.poll();
+        expect(records.map(record => record.borrower)).to.deep.equal([borrower.address]);
+        expect(keeper.stats.accountsChecked).to.equal(4);
+
+        // No new blocks, nothing to re-check
+        expect(await keeper.poll()).to.deep.equal([]);
+        expect(keeper.stats.accountsChecked).to.equal(4);
+    });
+
+    it("should re-read the blocks of a poll that failed before assessing them", async function () {
+        let failing = false;
+        const { keeper } = newKeeper({
+            dryRun: true,
+            loadAssets: async () => {
+                if (failing) throw new Error("RPC unavailable");
+                return loadAssets();
+            }
+        });
+        await keeper.poll();
+        const processedTo = keeper.processedTo;
+
+        await priceOracle.setPrice(token1.target, toOracle(50));
+        failing = true;
+        await expect(keeper.poll()).to.be.rejectedWith("RPC unavailable");
+        expect(keeper.processedTo).to.equal(processedTo);
+
+        failing = false;
+        const records = await keeper.poll();
+        expect(records.map(record => record.borrower)).to.deep.equal([borrower.address]);
+        expect(keeper.processedTo).to.be.greaterThan(processedTo);
+    });
+
+    it("should skip liquidations below the profit threshold or without funds", async function () {
+        const { keeper: picky } = newKeeper({ minProfit: toOracle(20) });
+        await picky.poll();
+        await priceOracle.setPrice(token1.target, toOracle(50));
+        const [skipped] = await picky.poll();
+        expect(skipped).to.include({ status: "skipped", reason: "below-profit-threshold" });
+
+        await token2.connect(keeperSigner).transfer(owner.address, toWei(10));
+        const { keeper: broke } = newKeeper();
+        const [unfunded] = await broke.poll();
+        expect(unfunded).to.include({ status: "skipped", reason: "insufficient-balance" });
+        expect(await pool.userBorrows(borrower.address, token2.target)).to.equal(toWei(0.3));
+    });
+});
@@ -0,0 +1,52 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+describe("Multicall", function () {
+    let owner;
+    let multicall, token, oracle;
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+
+        const Multicall = await ethers.getContractFactory("Multicall");
+        multicall = await Multicall.deploy();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("Token A", "TKA");
+
+        const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+        oracle = await MockPriceOracle.deploy(owner.address);
+        await oracle.setPrice(token.target, ethers.parseUnits("100", 18));
+    });
+
+    it("should return the result of every call in order", async function () {
+        const [blockNumber, results] = await multicall.aggregate([
+            { target: token.target, allowFailure: false, callData: token.interface.encodeFunctionData("symbol") },
+            { target: oracle.target, allowFailure: false, callData: oracle.interface.encodeFunctionData("getPrice", [token.target]) }
+        ]);
+
+        expect(blockNumber).to.equal(await ethers.provider.getBlockNumber());
+        expect(results[0].success).to.be.true;
+        expect(token.interface.decodeFunctionResult("symbol", results[0].returnData)[0]).to.equal("TKA");
+        expect(oracle.interface.decodeFunctionResult("getPrice", results[1].returnData)[0]).to.equal(ethers.parseUnits("100", 18));
+    });
+
+    it("should report a failing call without reverting when failure is allowed", async function () {
+        const unpriced = ethers.Wallet.createRandom().address;
+        const [, results] = await multicall.aggregate([
+            { target: oracle.target, allowFailure: true, callData: oracle.interface.encodeFunctionData("getPrice", [unpriced]) },
+            { target: token.target, allowFailure: true, callData: token.interface.encodeFunctionData("decimals") }
+        ]);
+
+        expect(results[0].success).to.be.false;
+        expect(results[1].success).to.be.true;
+    });
+
+    it("should revert with the index of a failing call that is not allowed to fail", async function () {
+        const unpriced = ethers.Wallet.createRandom().address;
+        await expect(multicall.aggregate([
+            { target: token.target, allowFailure: false, callData: token.interface.encodeFunctionData("decimals") },
+            { target: oracle.target, allowFailure: false, callData: oracle.interface.encodeFunctionData("getPrice", [unpriced]) }
+        ])).to.be.revertedWithCustomError(multicall, "CallFailed").withArgs(1);
+    });
+});
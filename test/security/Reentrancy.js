@@ -39,8 +39,8 @@ describe("Reentrancy Attack", function () {
         await attackerContract.waitForDeployment();
 
         // List both tokens
-        await lendingPool.listAsset(maliciousToken.target, interestRateModel.target, ethers.parseUnits("0.75", 18), ethers.parseUnits("0.05", 18));
-        await lendingPool.listAsset(collateralToken.target, interestRateModel.target, ethers.parseUnits("0.75", 18), ethers.parseUnits("0.05", 18));
+        await lendingPool.listAsset(maliciousToken.target, interestRateModel.target, ethers.parseUnits("0.75", 18), ethers.parseUnits("0.05", 18), 0);
+        await lendingPool.listAsset(collateralToken.target, interestRateModel.target, ethers.parseUnits("0.75", 18), ethers.parseUnits("0.05", 18), 0);
         
         // Set prices for both tokens
         await priceOracle.setPrice(maliciousToken.target, ethers.parseUnits("1", 8));